@@ -4,23 +4,42 @@ import { QueryClientProvider } from "@tanstack/react-query";
 import { Toaster } from "@/components/ui/toaster";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import Dashboard from "@/pages/dashboard";
+import History from "@/pages/history";
+import Login from "@/pages/login";
 import NotFound from "@/pages/not-found";
+import { useRealtimeEvents } from "@/hooks/use-realtime";
+import { AuthProvider, useAuth } from "@/hooks/use-auth";
+
+// Only mounted once logged in, so the event channel connects with the session
+function AuthenticatedRouter() {
+  useRealtimeEvents();
 
-function Router() {
   return (
     <Switch>
       <Route path="/" component={Dashboard} />
+      <Route path="/history" component={History} />
       <Route component={NotFound} />
     </Switch>
   );
 }
 
+function Router() {
+  const { user, isLoading } = useAuth();
+
+  if (isLoading) {
+    return <div className="min-h-screen bg-gray-50" />;
+  }
+  return user ? <AuthenticatedRouter /> : <Login />;
+}
+
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
       <TooltipProvider>
         <Toaster />
-        <Router />
+        <AuthProvider>
+          <Router />
+        </AuthProvider>
       </TooltipProvider>
     </QueryClientProvider>
   );
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { UserCircle, KeyRound, Users, LogOut } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
+import { useMutation } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/use-auth";
+import UsersPanel from "@/components/UsersPanel";
+
+export default function AccountMenu() {
+  const { user, can, logoutMutation } = useAuth();
+  const [passwordOpen, setPasswordOpen] = useState(false);
+  const [usersOpen, setUsersOpen] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const { toast } = useToast();
+
+  const changePasswordMutation = useMutation({
+    mutationFn: async () => {
+      await apiRequest('PUT', '/api/auth/password', { currentPassword, newPassword });
+    },
+    onSuccess: () => {
+      setPasswordOpen(false);
+      setCurrentPassword("");
+      setNewPassword("");
+      toast({
+        title: "Password Changed",
+        description: "Other logins with this account were ended.",
+      });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to change password",
+        variant: "destructive",
+      });
+    },
+  });
+
+  if (!user) return null;
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+            title="Account"
+          >
+            <UserCircle className="h-5 w-5" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuLabel>
+            <p className="text-sm">{user.username}</p>
+            <p className="text-xs font-normal text-gray-500">{user.role}</p>
+          </DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onSelect={() => setPasswordOpen(true)}>
+            <KeyRound className="h-4 w-4 mr-2" />
+            Change password
+          </DropdownMenuItem>
+          {can('admin') && (
+            <DropdownMenuItem onSelect={() => setUsersOpen(true)}>
+              <Users className="h-4 w-4 mr-2" />
+              Users
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onSelect={() => logoutMutation.mutate()}>
+            <LogOut className="h-4 w-4 mr-2" />
+            Log out
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={passwordOpen} onOpenChange={setPasswordOpen}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>Change password</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div>
+              <Label htmlFor="current-password">Current password</Label>
+              <Input
+                id="current-password"
+                type="password"
+                autoComplete="current-password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="new-password">New password</Label>
+              <Input
+                id="new-password"
+                type="password"
+                autoComplete="new-password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+              />
+              <p className="text-xs text-gray-500 mt-1">At least 8 characters.</p>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button
+              onClick={() => changePasswordMutation.mutate()}
+              disabled={!currentPassword || newPassword.length < 8 || changePasswordMutation.isPending}
+            >
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {can('admin') && <UsersPanel open={usersOpen} onOpenChange={setUsersOpen} />}
+    </>
+  );
+}
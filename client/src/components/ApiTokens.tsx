@@ -0,0 +1,205 @@
+import { useState } from "react";
+import { KeyRound, Trash2, Copy, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/use-auth";
+import { API_TOKEN_SCOPES, API_TOKEN_SCOPE_ROLES, type ApiTokenScope, type PublicApiToken } from "@shared/schema";
+
+const SCOPE_DESCRIPTIONS: Record<ApiTokenScope, string> = {
+  'read-only': 'Status, library, playlists and history',
+  'stream-control': 'Start, stop and switch the stream; schedule and destinations',
+  'media-write': 'Upload and edit videos, jobs and playlists',
+  admin: 'Everything your account can do',
+};
+
+// Days until expiry offered when creating a token; "never" stores no expiry
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'Never' },
+];
+
+// Personal bearer tokens for bots and scripts, shown in the settings dialog
+export default function ApiTokens() {
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState<ApiTokenScope[]>(['read-only']);
+  const [expiry, setExpiry] = useState('90');
+  const [createdToken, setCreatedToken] = useState<string | null>(null);
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: tokens = [] } = useQuery<PublicApiToken[]>({
+    queryKey: ['/api/tokens'],
+  });
+
+  const grantableScopes = API_TOKEN_SCOPES.filter(scope => can(API_TOKEN_SCOPE_ROLES[scope]));
+
+  const createTokenMutation = useMutation({
+    mutationFn: async () => {
+      const expiresAt = expiry === 'never' ? null : new Date(Date.now() + parseInt(expiry) * 24 * 60 * 60 * 1000);
+      const response = await apiRequest('POST', '/api/tokens', { name: name.trim(), scopes, expiresAt });
+      return response.json() as Promise<PublicApiToken & { token: string }>;
+    },
+    onSuccess: (created) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/tokens'] });
+      setCreatedToken(created.token);
+      setName("");
+      setScopes(['read-only']);
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to create API token",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const revokeTokenMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/tokens/${id}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/tokens'] });
+      toast({ title: "Token Revoked", description: "Requests using it are refused from now on." });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to revoke API token",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const toggleScope = (scope: ApiTokenScope, checked: boolean) => {
+    setScopes(prev => checked ? [...prev, scope] : prev.filter(s => s !== scope));
+  };
+
+  const copyToken = async () => {
+    if (!createdToken) return;
+    await navigator.clipboard.writeText(createdToken);
+    toast({ title: "Copied", description: "The token is on your clipboard." });
+  };
+
+  const isExpired = (token: PublicApiToken) => !!token.expiresAt && new Date(token.expiresAt).getTime() <= Date.now();
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <KeyRound className="h-5 w-5" />
+          <span>API Tokens</span>
+        </CardTitle>
+        <CardDescription>
+          Send as <code className="text-xs">Authorization: Bearer &lt;token&gt;</code>. A token can do what its scopes allow, and never more than your role.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {createdToken && (
+          <div className="p-3 rounded border border-green-200 bg-green-50 space-y-2">
+            <p className="text-sm font-medium text-green-800">Copy this token now; it will not be shown again.</p>
+            <div className="flex items-center gap-2">
+              <Input readOnly value={createdToken} className="font-mono text-xs" onFocus={(e) => e.target.select()} />
+              <Button size="sm" variant="outline" onClick={copyToken} title="Copy token">
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <Button size="sm" variant="ghost" onClick={() => setCreatedToken(null)}>Done</Button>
+          </div>
+        )}
+
+        <div className="space-y-2 max-h-56 overflow-y-auto">
+          {tokens.length === 0 && <p className="text-sm text-gray-500">No tokens yet.</p>}
+          {tokens.map(token => (
+            <div key={token.id} className="flex items-center gap-3 p-2 rounded border border-gray-100">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500">{token.tokenPrefix}…</span>
+                </p>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {token.scopes.map(scope => (
+                    <Badge key={scope} variant="outline" className="text-xs">{scope}</Badge>
+                  ))}
+                  {isExpired(token) && <Badge variant="destructive" className="text-xs">expired</Badge>}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                  {' · '}
+                  {token.lastUsedAt
+                    ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}${token.lastUsedIp ? ` from ${token.lastUsedIp}` : ''}`
+                    : 'Never used'}
+                </p>
+              </div>
+              <Button
+                size="sm"
+                variant="ghost"
+                title="Revoke token"
+                onClick={() => revokeTokenMutation.mutate(token.id)}
+                disabled={revokeTokenMutation.isPending}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        <div className="border-t pt-4 space-y-3">
+          <div className="grid grid-cols-[1fr_9rem] gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="token-name" className="font-medium">Name</Label>
+              <Input id="token-name" placeholder="Discord bot" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label className="font-medium">Expires</Label>
+              <Select value={expiry} onValueChange={setExpiry}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPIRY_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {grantableScopes.map(scope => (
+              <div key={scope} className="flex items-start gap-2">
+                <Checkbox
+                  id={`scope-${scope}`}
+                  checked={scopes.includes(scope)}
+                  onCheckedChange={(checked) => toggleScope(scope, checked === true)}
+                />
+                <Label htmlFor={`scope-${scope}`} className="text-sm leading-tight">
+                  <span className="font-medium">{scope}</span>
+                  <span className="block text-xs text-gray-500 font-normal">{SCOPE_DESCRIPTIONS[scope]}</span>
+                </Label>
+              </div>
+            ))}
+          </div>
+          <Button
+            onClick={() => createTokenMutation.mutate()}
+            disabled={!name.trim() || scopes.length === 0 || createTokenMutation.isPending}
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {createTokenMutation.isPending ? "Creating..." : "Create Token"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,159 @@
+import { useState } from "react";
+import { ScrollText, Download, ChevronRight, ChevronDown } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useQuery } from "@tanstack/react-query";
+import { AUDIT_TARGET_TYPES, type AuditLogEntry } from "@shared/schema";
+
+const formatTime = (value: Date | string) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+  });
+
+const formatSnapshot = (snapshot: Record<string, unknown> | null) =>
+  snapshot ? JSON.stringify(snapshot, null, 2) : '—';
+
+// Admin-only list of who changed what, shown in the settings dialog
+export default function AuditLog() {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [actor, setActor] = useState("");
+  const [action, setAction] = useState("");
+  const [targetType, setTargetType] = useState('all');
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  // Whole days in the admin's timezone
+  const params = new URLSearchParams();
+  if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+  if (actor.trim()) params.set('actor', actor.trim());
+  if (action.trim()) params.set('action', action.trim());
+  if (targetType !== 'all') params.set('targetType', targetType);
+  const auditUrl = `/api/audit?${params.toString()}`;
+
+  const { data: entries = [], isLoading } = useQuery<AuditLogEntry[]>({
+    queryKey: [auditUrl],
+    refetchInterval: 15000,
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ScrollText className="h-5 w-5" />
+          <span>Audit Log</span>
+        </CardTitle>
+        <CardDescription>
+          Every change made through the dashboard or the API, with who made it and what it changed. The latest 200 matches are shown; exports include all of them.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="audit-from" className="text-xs">From</Label>
+            <Input id="audit-from" type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-to" className="text-xs">To</Label>
+            <Input id="audit-to" type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-actor" className="text-xs">User</Label>
+            <Input id="audit-actor" placeholder="Any" value={actor} onChange={(e) => setActor(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-action" className="text-xs">Action contains</Label>
+            <Input id="audit-action" placeholder="stream/stop" value={action} onChange={(e) => setAction(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-target" className="text-xs">Target</Label>
+            <Select value={targetType} onValueChange={setTargetType}>
+              <SelectTrigger id="audit-target">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All</SelectItem>
+                {AUDIT_TARGET_TYPES.map(type => (
+                  <SelectItem key={type} value={type}>{type}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-end gap-2">
+            <Button variant="outline" size="sm" asChild>
+              <a href={`${auditUrl}&format=csv`}>
+                <Download className="h-4 w-4 mr-1" />
+                CSV
+              </a>
+            </Button>
+            <Button variant="outline" size="sm" asChild>
+              <a href={`${auditUrl}&format=json`}>
+                <Download className="h-4 w-4 mr-1" />
+                JSON
+              </a>
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-1 max-h-80 overflow-y-auto">
+          {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+          {!isLoading && entries.length === 0 && <p className="text-sm text-gray-500">No matching entries.</p>}
+          {entries.map(entry => {
+            const isExpanded = expanded === entry.id;
+            const hasDetails = !!entry.before || !!entry.after;
+            return (
+              <div key={entry.id} className="rounded border border-gray-100">
+                <button
+                  type="button"
+                  className="w-full flex items-center gap-2 p-2 text-left disabled:cursor-default"
+                  onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                  disabled={!hasDetails}
+                >
+                  {hasDetails
+                    ? (isExpanded ? <ChevronDown className="h-4 w-4 shrink-0" /> : <ChevronRight className="h-4 w-4 shrink-0" />)
+                    : <span className="w-4 shrink-0" />}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-mono truncate">{entry.action}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatTime(entry.createdAt)}
+                      {' · '}
+                      {entry.actorName ?? 'anonymous'}
+                      {entry.apiTokenId !== null && ` (API token #${entry.apiTokenId})`}
+                      {entry.ip && ` · ${entry.ip}`}
+                      {' · '}
+                      {entry.targetType}{entry.targetId && ` ${entry.targetId}`}
+                    </p>
+                  </div>
+                  <Badge variant={entry.statusCode >= 400 ? 'destructive' : 'outline'} className="text-xs">
+                    {entry.statusCode}
+                  </Badge>
+                </button>
+                {isExpanded && (
+                  <div className="grid grid-cols-2 gap-2 px-2 pb-2">
+                    <div>
+                      <p className="text-xs font-medium text-gray-600 mb-1">Before</p>
+                      <pre className="text-xs bg-gray-50 rounded p-2 overflow-x-auto">{formatSnapshot(entry.before)}</pre>
+                    </div>
+                    <div>
+                      <p className="text-xs font-medium text-gray-600 mb-1">After</p>
+                      <pre className="text-xs bg-gray-50 rounded p-2 overflow-x-auto">{formatSnapshot(entry.after)}</pre>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
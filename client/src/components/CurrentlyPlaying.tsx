@@ -1,23 +1,36 @@
-import { Play } from "lucide-react";
 import { Progress } from "@/components/ui/progress";
 import { useQuery } from "@tanstack/react-query";
-import { Video, StreamStatus } from "@shared/schema";
+import { Video, StreamStatus, PlaylistWithVideos } from "@shared/schema";
+import type { PlaybackSettings } from "@shared/events";
+import VideoThumbnail from "@/components/VideoThumbnail";
 
 export default function CurrentlyPlaying() {
   const { data: videos = [] } = useQuery<Video[]>({
     queryKey: ['/api/videos'],
   });
 
+  const { data: activePlaylist } = useQuery<PlaylistWithVideos>({
+    queryKey: ['/api/playlists/active'],
+  });
+
   const { data: streamStatus } = useQuery<StreamStatus>({
     queryKey: ['/api/stream-status'],
-    refetchInterval: 5000,
   });
 
+  const { data: playback } = useQuery<PlaybackSettings>({
+    queryKey: ['/api/stream/playback'],
+  });
+
+  // Playout follows the active playlist, which may not contain the current
+  // video right after switching; it then continues from the top
+  const playlistVideos = activePlaylist?.videos || [];
   const currentVideo = videos.find(v => v.id === streamStatus?.currentVideoId);
-  const currentIndex = videos.findIndex(v => v.id === streamStatus?.currentVideoId);
-  const nextVideo = currentIndex >= 0 && currentIndex < videos.length - 1 
-    ? videos[currentIndex + 1] 
-    : null;
+  const currentIndex = playlistVideos.findIndex(v => v.id === streamStatus?.currentVideoId);
+  const queuedVideo = playback?.queue.length ? videos.find(v => v.id === playback.queue[0]) : undefined;
+  const picksAtRandom = !!playback && playback.mode !== 'sequential' && !!streamStatus?.loopPlaylist;
+  const nextVideo = queuedVideo || (!picksAtRandom && playlistVideos.length > 0 && (streamStatus?.loopPlaylist || currentIndex < playlistVideos.length - 1)
+    ? playlistVideos[(currentIndex + 1) % playlistVideos.length]
+    : null);
 
   // Mock progress - in real implementation, this would come from the streaming service
   const progress = streamStatus?.status === 'live' ? 30 : 0;
@@ -39,11 +52,7 @@ export default function CurrentlyPlaying() {
       
       <div className="space-y-4">
         <div className="flex items-center space-x-3">
-          <div className="w-16 h-12 bg-gray-300 rounded overflow-hidden flex-shrink-0">
-            <div className="w-full h-full bg-gradient-to-br from-gray-400 to-gray-500 flex items-center justify-center">
-              <Play className="h-3 w-3 text-white" />
-            </div>
-          </div>
+          <VideoThumbnail video={currentVideo} className="w-16 h-12 flex-shrink-0" iconClassName="h-3 w-3 text-gray-500" />
           <div className="flex-1 min-w-0">
             <h3 className="text-sm font-medium text-gray-900 truncate">{currentVideo.title}</h3>
             <p className="text-xs text-gray-500">
@@ -59,6 +68,8 @@ export default function CurrentlyPlaying() {
           <div className="text-sm text-gray-600">
             Next: {nextVideo ? (
               <span className="font-medium">{nextVideo.title}</span>
+            ) : picksAtRandom ? (
+              <span className="font-medium capitalize">{playback?.mode} pick</span>
             ) : (
               <span className="font-medium">End of playlist</span>
             )}
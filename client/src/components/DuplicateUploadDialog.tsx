@@ -0,0 +1,60 @@
+import { useRef, useState } from "react";
+import { Copy } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from "@/components/ui/dialog";
+import type { DuplicateChoice } from "@/lib/chunked-upload";
+import type { Video } from "@shared/schema";
+
+interface DuplicateRequest {
+  fileName: string;
+  duplicates: Video[];
+  resolve: (choice: DuplicateChoice) => void;
+}
+
+// Asks what to do with an upload whose content is already in the library.
+// Prompts from parallel uploads are shown one after another.
+export function useDuplicatePrompt() {
+  const [current, setCurrent] = useState<DuplicateRequest | null>(null);
+  const queue = useRef<DuplicateRequest[]>([]);
+
+  const prompt = (fileName: string, duplicates: Video[]) =>
+    new Promise<DuplicateChoice>((resolve) => {
+      queue.current.push({ fileName, duplicates, resolve });
+      if (queue.current.length === 1) {
+        setCurrent(queue.current[0]);
+      }
+    });
+
+  const answer = (choice: DuplicateChoice) => {
+    queue.current.shift()?.resolve(choice);
+    setCurrent(queue.current[0] ?? null);
+  };
+
+  const dialog = (
+    <Dialog open={!!current} onOpenChange={(open) => !open && answer('cancel')}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Copy className="h-5 w-5" />
+            Already in the library
+          </DialogTitle>
+          <DialogDescription>
+            {current?.fileName} has the same content as:
+          </DialogDescription>
+        </DialogHeader>
+        <ul className="text-sm text-gray-700 list-disc pl-5 space-y-1">
+          {current?.duplicates.map(video => (
+            <li key={video.id}>{video.title}</li>
+          ))}
+        </ul>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => answer('cancel')}>Cancel upload</Button>
+          <Button variant="outline" onClick={() => answer('new')}>Add as new video</Button>
+          <Button onClick={() => answer('existing')}>Use existing</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+
+  return { prompt, dialog };
+}
@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { Cog, RotateCw, X, FileText, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import type { MediaJob, MediaJobSummary, Video } from "@shared/schema";
+
+const JOB_LABELS: Record<string, string> = {
+  probe: 'Probe',
+  thumbnails: 'Thumbnails',
+  loudness: 'Loudness',
+  normalize: 'Normalize',
+};
+
+export default function JobsPanel() {
+  const [logJobId, setLogJobId] = useState<number | null>(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: jobs = [] } = useQuery<MediaJobSummary[]>({
+    queryKey: ['/api/jobs'],
+  });
+
+  const { data: videos = [] } = useQuery<Video[]>({
+    queryKey: ['/api/videos'],
+  });
+
+  const { data: logJob } = useQuery<MediaJob>({
+    queryKey: ['/api/jobs', logJobId],
+    enabled: logJobId !== null,
+    refetchInterval: (query) => query.state.data?.status === 'running' ? 2000 : false,
+  });
+
+  const onError = (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || "Job action failed",
+      variant: "destructive",
+    });
+  };
+
+  const jobActionMutation = useMutation({
+    mutationFn: async ({ id, action }: { id: number; action: 'cancel' | 'retry' }) => {
+      const response = await apiRequest('POST', `/api/jobs/${id}/${action}`);
+      return response.json();
+    },
+    onError,
+  });
+
+  const clearFinishedMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('DELETE', '/api/jobs');
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/jobs'] });
+    },
+    onError,
+  });
+
+  const getStatusBadge = (status: string) => {
+    switch (status) {
+      case 'queued':
+        return <Badge variant="outline">Queued</Badge>;
+      case 'running':
+        return <Badge variant="outline" className="bg-blue-50 text-blue-700">Running</Badge>;
+      case 'completed':
+        return <Badge className="bg-success text-white">Done</Badge>;
+      case 'failed':
+        return <Badge variant="outline" className="bg-red-50 text-red-700">Failed</Badge>;
+      case 'cancelled':
+        return <Badge variant="outline" className="text-gray-500">Cancelled</Badge>;
+      default:
+        return <Badge variant="outline">{status}</Badge>;
+    }
+  };
+
+  const videoTitle = (videoId: number | null) =>
+    videos.find(v => v.id === videoId)?.title ?? (videoId !== null ? `Video #${videoId}` : 'No video');
+
+  const hasFinished = jobs.some(job => ['completed', 'failed', 'cancelled'].includes(job.status));
+
+  return (
+    <div className="bg-white rounded-lg shadow-material p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <Cog className="h-5 w-5" />
+          Media Jobs
+        </h2>
+        {hasFinished && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => clearFinishedMutation.mutate()}
+            disabled={clearFinishedMutation.isPending}
+            title="Clear finished jobs"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+
+      {jobs.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No media processing yet.</p>
+      ) : (
+        <ScrollArea className="h-64 pr-3">
+          <div className="space-y-3">
+            {jobs.map((job) => (
+              <div key={job.id} className="text-sm border-b border-gray-100 pb-2 last:border-0">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {getStatusBadge(job.status)}
+                    <span className="font-medium text-gray-900 truncate">
+                      {JOB_LABELS[job.type] ?? job.type} &middot; {videoTitle(job.videoId)}
+                    </span>
+                  </div>
+                  <div className="flex items-center flex-shrink-0">
+                    <Button variant="ghost" size="sm" className="h-7 w-7 p-0" onClick={() => setLogJobId(job.id)} title="Show log">
+                      <FileText className="h-3.5 w-3.5" />
+                    </Button>
+                    {(job.status === 'queued' || job.status === 'running') && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 w-7 p-0"
+                        onClick={() => jobActionMutation.mutate({ id: job.id, action: 'cancel' })}
+                        disabled={jobActionMutation.isPending}
+                        title="Cancel job"
+                      >
+                        <X className="h-3.5 w-3.5" />
+                      </Button>
+                    )}
+                    {(job.status === 'failed' || job.status === 'cancelled') && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 w-7 p-0"
+                        onClick={() => jobActionMutation.mutate({ id: job.id, action: 'retry' })}
+                        disabled={jobActionMutation.isPending}
+                        title="Retry job"
+                      >
+                        <RotateCw className="h-3.5 w-3.5" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                {job.status === 'running' && (
+                  <div className="flex items-center gap-2 mt-1">
+                    <Progress value={job.progress} className="h-1.5 flex-1" />
+                    <span className="text-xs text-gray-600 w-9 text-right">{job.progress}%</span>
+                  </div>
+                )}
+                {job.error && job.status !== 'completed' && (
+                  <p className="text-xs text-red-600 mt-1 break-words">
+                    {job.status === 'queued' ? `Attempt ${job.attempts} of ${job.maxAttempts} failed: ` : ''}
+                    {job.error}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </ScrollArea>
+      )}
+
+      <Dialog open={logJobId !== null} onOpenChange={(open) => !open && setLogJobId(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Job log</DialogTitle>
+            <DialogDescription>
+              {logJob ? `${JOB_LABELS[logJob.type] ?? logJob.type} · ${videoTitle(logJob.videoId)} · ${logJob.status}` : 'Loading...'}
+            </DialogDescription>
+          </DialogHeader>
+          <ScrollArea className="h-80 rounded border bg-gray-50">
+            <pre className="p-3 text-xs text-gray-800 whitespace-pre-wrap break-words">
+              {logJob?.log || 'No output recorded.'}
+            </pre>
+          </ScrollArea>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,278 @@
+import { useEffect, useRef, useState } from "react";
+import { Scissors, RotateCcw, Play } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Slider } from "@/components/ui/slider";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from "@/components/ui/dialog";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import type { PlaylistVideo, UpdatePlaylistItem } from "@shared/schema";
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+// Local time in the format datetime-local inputs expect
+const toDateTimeInput = (date: Date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// m:ss.s, or h:mm:ss.s past the hour
+export const formatOffset = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${rest}` : `${minutes}:${rest}`;
+};
+
+const parseSeconds = (value: string): number | null => {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 10) / 10 : null;
+};
+
+interface PlaylistItemEditorProps {
+  playlistId: number;
+  item: PlaylistVideo | null;
+  onClose: () => void;
+}
+
+// Trim points and rotation rules for one playlist item. The scrubber plays
+// the file in the browser so in and out points can be picked by eye.
+export default function PlaylistItemEditor({ playlistId, item, onClose }: PlaylistItemEditorProps) {
+  const [startSeconds, setStartSeconds] = useState("");
+  const [endSeconds, setEndSeconds] = useState("");
+  const [playLimit, setPlayLimit] = useState("");
+  const [activeFrom, setActiveFrom] = useState("");
+  const [activeUntil, setActiveUntil] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (item) {
+      setStartSeconds(item.startSeconds?.toString() ?? "");
+      setEndSeconds(item.endSeconds?.toString() ?? "");
+      setPlayLimit(item.playLimit?.toString() ?? "");
+      setActiveFrom(item.activeFrom ?? "");
+      setActiveUntil(item.activeUntil ?? "");
+      setExpiresAt(item.expiresAt ? toDateTimeInput(new Date(item.expiresAt)) : "");
+      setPosition(item.startSeconds ?? 0);
+      setDuration(item.durationSeconds ?? 0);
+    }
+    // Only when another item is opened; refetches of the playlist keep the edits
+  }, [item?.itemId]);
+
+  const saveMutation = useMutation({
+    mutationFn: async (update: UpdatePlaylistItem) => {
+      await apiRequest('PUT', `/api/playlists/${playlistId}/items/${item!.itemId}`, update);
+    },
+    onSuccess: (_data, update) => {
+      queryClient.invalidateQueries({
+        predicate: (query) => String(query.queryKey[0]).startsWith('/api/playlists'),
+      });
+      if (update.playCount === 0 && Object.keys(update).length === 1) {
+        toast({ title: "Play Count Reset", description: "The item is back in rotation." });
+        return;
+      }
+      onClose();
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save playlist item",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const start = parseSeconds(startSeconds);
+  const end = parseSeconds(endSeconds);
+
+  const seek = (seconds: number) => {
+    setPosition(seconds);
+    if (videoRef.current) {
+      videoRef.current.currentTime = seconds;
+    }
+  };
+
+  const previewTrim = () => {
+    seek(start ?? 0);
+    videoRef.current?.play();
+  };
+
+  const save = () => {
+    saveMutation.mutate({
+      startSeconds: start,
+      endSeconds: end,
+      playLimit: parseInt(playLimit) || null,
+      activeFrom: activeFrom || null,
+      activeUntil: activeUntil || null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+  };
+
+  const trimStartPercent = duration > 0 ? ((start ?? 0) / duration) * 100 : 0;
+  const trimEndPercent = duration > 0 ? ((end ?? duration) / duration) * 100 : 100;
+  const windowHalfSet = !!activeFrom !== !!activeUntil;
+
+  return (
+    <Dialog open={!!item} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Scissors className="h-5 w-5" />
+            {item?.title}
+          </DialogTitle>
+          <DialogDescription>
+            Trim applies to this playlist only. Rules take the item out of rotation; "play next" still plays it.
+          </DialogDescription>
+        </DialogHeader>
+
+        {item && (
+          <div className="space-y-5">
+            <div className="space-y-2">
+              <div className="bg-black rounded-lg overflow-hidden">
+                <video
+                  ref={videoRef}
+                  className="w-full h-auto max-h-64"
+                  preload="metadata"
+                  poster={item.thumbnailUrl ?? undefined}
+                  src={item.filename.startsWith('/') ? `/api/videos/${item.id}/file` : `/uploads/${item.filename}`}
+                  onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+                  onTimeUpdate={(e) => {
+                    const time = e.currentTarget.currentTime;
+                    setPosition(time);
+                    // Stop at the out point so the preview matches what goes on air
+                    if (end !== null && time >= end && !e.currentTarget.paused) {
+                      e.currentTarget.pause();
+                    }
+                  }}
+                />
+              </div>
+
+              <div className="relative pt-2">
+                {/* The part that plays, drawn under the playhead slider */}
+                <div
+                  className="absolute top-0 h-1 bg-green-500 rounded"
+                  style={{ left: `${trimStartPercent}%`, width: `${Math.max(0, trimEndPercent - trimStartPercent)}%` }}
+                />
+                <Slider
+                  value={[position]}
+                  max={duration || 1}
+                  step={0.1}
+                  onValueChange={([seconds]) => seek(seconds)}
+                  disabled={duration === 0}
+                />
+              </div>
+              <div className="flex items-center justify-between text-xs text-gray-500">
+                <span>{formatOffset(position)} / {formatOffset(duration)}</span>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => setStartSeconds(position.toFixed(1))}>
+                    Set in
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => setEndSeconds(position.toFixed(1))}>
+                    Set out
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={previewTrim} title="Play from the in point to the out point">
+                    <Play className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label htmlFor="item-start" className="text-xs">In point (seconds)</Label>
+                  <Input
+                    id="item-start"
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    placeholder="Start of file"
+                    value={startSeconds}
+                    onChange={(e) => setStartSeconds(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="item-end" className="text-xs">Out point (seconds)</Label>
+                  <Input
+                    id="item-end"
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    placeholder="End of file"
+                    value={endSeconds}
+                    onChange={(e) => setEndSeconds(e.target.value)}
+                  />
+                </div>
+              </div>
+              {start !== null && end !== null && start >= end && (
+                <p className="text-xs text-red-600">The in point must be before the out point.</p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 border-t border-gray-100 pt-4">
+              <div>
+                <Label htmlFor="item-limit" className="text-xs">Play at most (times)</Label>
+                <Input
+                  id="item-limit"
+                  type="number"
+                  min={1}
+                  placeholder="Unlimited"
+                  value={playLimit}
+                  onChange={(e) => setPlayLimit(e.target.value)}
+                />
+                <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+                  <span>Played {item.playCount} time(s)</span>
+                  {item.playCount > 0 && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-6 px-2"
+                      onClick={() => saveMutation.mutate({ playCount: 0 })}
+                      disabled={saveMutation.isPending}
+                      title="Reset play count"
+                    >
+                      <RotateCcw className="h-3 w-3" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="item-expires" className="text-xs">Skip after</Label>
+                <Input
+                  id="item-expires"
+                  type="datetime-local"
+                  value={expiresAt}
+                  onChange={(e) => setExpiresAt(e.target.value)}
+                />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">Only play between (server time)</Label>
+                <div className="flex items-center gap-2">
+                  <Input type="time" value={activeFrom} onChange={(e) => setActiveFrom(e.target.value)} />
+                  <span className="text-gray-500">and</span>
+                  <Input type="time" value={activeUntil} onChange={(e) => setActiveUntil(e.target.value)} />
+                </div>
+                {windowHalfSet && (
+                  <p className="text-xs text-red-600 mt-1">Set both times, or clear both.</p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button
+            onClick={save}
+            disabled={saveMutation.isPending || windowHalfSet || (start !== null && end !== null && start >= end)}
+          >
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
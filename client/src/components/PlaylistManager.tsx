@@ -1,11 +1,17 @@
 import { useState, useRef } from "react";
-import { GripVertical, Play, Edit, Trash2, Plus, CheckCircle, Circle, Upload, Repeat, Eye } from "lucide-react";
+import { GripVertical, Play, Edit, Trash2, Plus, CheckCircle, Circle, Upload, Repeat, Eye, ListX, ListPlus, Copy, Pencil, Check, ListStart, X, Download, FileUp, Scissors } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { Video, StreamStatus } from "@shared/schema";
+import { Video, StreamStatus, PlaylistSummary, PlaylistWithVideos, PlaylistImportResult, PlaylistVideo } from "@shared/schema";
+import type { PlaybackMode, PlaybackSettings } from "@shared/events";
 import { apiRequest } from "@/lib/queryClient";
+import { uploadVideoInChunks } from "@/lib/chunked-upload";
+import VideoThumbnail from "@/components/VideoThumbnail";
+import { useDuplicatePrompt } from "@/components/DuplicateUploadDialog";
+import PlaylistItemEditor, { formatOffset } from "@/components/PlaylistItemEditor";
 import { useToast } from "@/hooks/use-toast";
-import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogTrigger } from "@/components/ui/dialog";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
@@ -16,17 +22,50 @@ export default function PlaylistManager() {
   const [editingVideo, setEditingVideo] = useState<Video | null>(null);
   const [editTitle, setEditTitle] = useState("");
   const [previewVideo, setPreviewVideo] = useState<Video | null>(null);
+  const [selectedPlaylistId, setSelectedPlaylistId] = useState<number | null>(null);
+  const [nameDialog, setNameDialog] = useState<{ mode: 'create' | 'rename' | 'duplicate'; name: string } | null>(null);
+  const [importResult, setImportResult] = useState<PlaylistImportResult | null>(null);
+  const [editingItemId, setEditingItemId] = useState<number | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
   const { toast } = useToast();
   const queryClient = useQueryClient();
+  const duplicatePrompt = useDuplicatePrompt();
 
-  const { data: videos = [], isLoading } = useQuery<Video[]>({
+  const { data: playlists = [] } = useQuery<PlaylistSummary[]>({
+    queryKey: ['/api/playlists'],
+  });
+
+  // Show the active playlist until another one is picked
+  const activePlaylist = playlists.find(p => p.isActive);
+  const playlistId = selectedPlaylistId ?? activePlaylist?.id ?? null;
+
+  const { data: selectedPlaylist, isLoading } = useQuery<PlaylistWithVideos>({
+    queryKey: [`/api/playlists/${playlistId}`],
+    enabled: playlistId !== null,
+  });
+
+  const { data: library = [] } = useQuery<Video[]>({
     queryKey: ['/api/videos'],
   });
 
+  const videos = selectedPlaylist?.videos || [];
+  const isActivePlaylist = selectedPlaylist?.playlist.isActive || false;
+  const videosNotInPlaylist = library.filter(video => !videos.some(v => v.id === video.id));
+  const editingItem = videos.find(video => video.itemId === editingItemId) ?? null;
+
+  const invalidatePlaylists = () => {
+    queryClient.invalidateQueries({
+      predicate: (query) => String(query.queryKey[0]).startsWith('/api/playlists'),
+    });
+  };
+
   const { data: streamStatus } = useQuery<StreamStatus>({
     queryKey: ['/api/stream-status'],
-    refetchInterval: 5000,
+  });
+
+  const { data: playback } = useQuery<PlaybackSettings>({
+    queryKey: ['/api/stream/playback'],
   });
 
   const toggleLoopMutation = useMutation({
@@ -56,6 +95,7 @@ export default function PlaylistManager() {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      invalidatePlaylists();
       toast({
         title: "Success",
         description: "Video deleted successfully!",
@@ -72,30 +112,27 @@ export default function PlaylistManager() {
 
   const uploadVideoMutation = useMutation({
     mutationFn: async (file: File) => {
-      const formData = new FormData();
-      formData.append('video', file);
-      formData.append('title', file.name);
-      formData.append('duration', '00:00');
-      
-      const response = await fetch('/api/videos', {
-        method: 'POST',
-        body: formData,
+      // The server adds uploads to the active playlist; add it here too when editing another one
+      const video = await uploadVideoInChunks(file, {
+        onDuplicate: (duplicates) => duplicatePrompt.prompt(file.name, duplicates),
       });
-      
-      if (!response.ok) {
-        throw new Error('Upload failed');
+      if (playlistId !== null && !isActivePlaylist) {
+        await apiRequest('POST', `/api/playlists/${playlistId}/items`, { videoId: video.id });
       }
-      
-      return response.json();
+      return video;
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      invalidatePlaylists();
       toast({
         title: "Success",
         description: "Video uploaded successfully!",
       });
     },
     onError: (error: any) => {
+      if (error?.name === 'AbortError') {
+        return;
+      }
       toast({
         title: "Error",
         description: error.message || "Failed to upload video",
@@ -104,6 +141,212 @@ export default function PlaylistManager() {
     },
   });
 
+  const savePlaylistNameMutation = useMutation({
+    mutationFn: async ({ mode, name }: { mode: 'create' | 'rename' | 'duplicate'; name: string }) => {
+      if (mode === 'create') {
+        return (await apiRequest('POST', '/api/playlists', { name })).json();
+      }
+      if (mode === 'duplicate') {
+        return (await apiRequest('POST', `/api/playlists/${playlistId}/duplicate`, { name })).json();
+      }
+      return (await apiRequest('PUT', `/api/playlists/${playlistId}`, { name })).json();
+    },
+    onSuccess: (playlist: PlaylistSummary) => {
+      invalidatePlaylists();
+      setSelectedPlaylistId(playlist.id);
+      setNameDialog(null);
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const importPlaylistMutation = useMutation({
+    mutationFn: async (file: File) => {
+      const content = await file.text();
+      const response = await apiRequest('POST', '/api/playlists/import', { content });
+      return response.json();
+    },
+    onSuccess: (result: PlaylistImportResult) => {
+      invalidatePlaylists();
+      queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      if (result.playlist) {
+        setSelectedPlaylistId(result.playlist.id);
+      }
+      if (result.missing.length > 0) {
+        setImportResult(result);
+      } else {
+        toast({
+          title: "Playlist Imported",
+          description: `${result.matched} video(s) matched in the library`,
+        });
+      }
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Import Failed",
+        description: error.message || "Failed to import playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const handleImportChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (file) {
+      importPlaylistMutation.mutate(file);
+    }
+    event.target.value = '';
+  };
+
+  const activatePlaylistMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('POST', `/api/playlists/${id}/activate`);
+    },
+    onSuccess: () => {
+      invalidatePlaylists();
+      toast({
+        title: "Success",
+        description: streamStatus?.status === 'live'
+          ? "Playlist activated; it takes over after the current video"
+          : "Playlist activated!",
+      });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to activate playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const deletePlaylistMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/playlists/${id}`);
+    },
+    onSuccess: () => {
+      setSelectedPlaylistId(null);
+      invalidatePlaylists();
+      toast({
+        title: "Success",
+        description: "Playlist deleted!",
+      });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to delete playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const addToPlaylistMutation = useMutation({
+    mutationFn: async (videoId: number) => {
+      await apiRequest('POST', `/api/playlists/${playlistId}/items`, { videoId });
+    },
+    onSuccess: () => {
+      invalidatePlaylists();
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to add video to playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const removeFromPlaylistMutation = useMutation({
+    mutationFn: async (itemId: number) => {
+      await apiRequest('DELETE', `/api/playlists/${playlistId}/items/${itemId}`);
+    },
+    onSuccess: () => {
+      invalidatePlaylists();
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to remove video from playlist",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const setPlaybackModeMutation = useMutation({
+    mutationFn: async (settings: { mode: PlaybackMode; noRepeatWindow?: number }) => {
+      await apiRequest('POST', '/api/stream/playback/mode', settings);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/stream/playback'] });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to change playback mode",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const queueVideoMutation = useMutation({
+    mutationFn: async (videoId: number) => {
+      await apiRequest('POST', '/api/stream/playback/queue', { videoId });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/stream/playback'] });
+      toast({
+        title: "Success",
+        description: "Queued to play next",
+      });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to queue video",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const dequeueVideoMutation = useMutation({
+    mutationFn: async (position: number | null) => {
+      await apiRequest('DELETE', position === null ? '/api/stream/playback/queue' : `/api/stream/playback/queue/${position}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/stream/playback'] });
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update queue",
+        variant: "destructive",
+      });
+    },
+  });
+
+  const updateWeightMutation = useMutation({
+    mutationFn: async ({ id, weight }: { id: number; weight: number }) => {
+      await apiRequest('PUT', `/api/videos/${id}`, { weight });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      invalidatePlaylists();
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update weight",
+        variant: "destructive",
+      });
+    },
+  });
+
   const setCurrentVideoMutation = useMutation({
     mutationFn: async (videoId: number) => {
       await apiRequest('POST', '/api/stream/set-current', { videoId });
@@ -144,16 +387,6 @@ export default function PlaylistManager() {
         return;
       }
       
-      // Validate file size (500MB limit)
-      if (file.size > 500 * 1024 * 1024) {
-        toast({
-          title: "Error",
-          description: "File size too large. Maximum size is 500MB.",
-          variant: "destructive",
-        });
-        return;
-      }
-      
       uploadVideoMutation.mutate(file);
     }
     
@@ -161,6 +394,64 @@ export default function PlaylistManager() {
     e.target.value = '';
   };
 
+  // Resolution, frame rate, codecs, channels and bitrate, once the probe job has run
+  const formatMediaDetails = (video: Video): string => {
+    const parts: string[] = [];
+    if (video.width && video.height) parts.push(`${video.width}x${video.height}`);
+    if (video.fps) parts.push(`${Math.round(video.fps * 100) / 100} fps`);
+    const codecs = [video.videoCodec, video.audioCodec].filter(Boolean).join('/');
+    if (codecs) parts.push(codecs);
+    if (video.audioChannels) parts.push(video.audioChannels === 2 ? 'stereo' : video.audioChannels === 1 ? 'mono' : `${video.audioChannels}ch`);
+    if (video.bitrateKbps) parts.push(video.bitrateKbps >= 1000 ? `${(video.bitrateKbps / 1000).toFixed(1)} Mbps` : `${video.bitrateKbps} kbps`);
+    return parts.join(' · ');
+  };
+
+  const getValidationBadges = (video: Video) => {
+    if (video.validationStatus === 'pending') {
+      return <Badge variant="outline" className="text-xs text-gray-500">Checking</Badge>;
+    }
+    // Errors collapse into one badge; each warning gets its own
+    const errors = video.validationIssues.filter(issue => issue.severity === 'error');
+    const warnings = video.validationIssues.filter(issue => issue.severity === 'warning');
+    return (
+      <>
+        {errors.length > 0 && (
+          <Badge variant="outline" className="text-xs bg-red-50 text-red-700" title={errors.map(issue => issue.message).join('\n')}>
+            Unplayable
+          </Badge>
+        )}
+        {warnings.map((issue) => (
+          <Badge key={issue.code} variant="outline" className="text-xs bg-yellow-50 text-yellow-700" title={issue.message}>
+            {issue.code === 'vfr' ? 'VFR' : 'No audio'}
+          </Badge>
+        ))}
+      </>
+    );
+  };
+
+  // Trim and rotation rules set on the item, shown next to the media details
+  const getItemBadges = (video: PlaylistVideo) => {
+    const badges: Array<{ label: string; muted: boolean }> = [];
+    if (video.startSeconds !== null || video.endSeconds !== null) {
+      badges.push({ label: `${formatOffset(video.startSeconds ?? 0)}-${video.endSeconds !== null ? formatOffset(video.endSeconds) : 'end'}`, muted: false });
+    }
+    if (video.playLimit !== null) {
+      badges.push({ label: `${video.playCount}/${video.playLimit} plays`, muted: video.playCount >= video.playLimit });
+    }
+    if (video.activeFrom && video.activeUntil) {
+      badges.push({ label: `${video.activeFrom}-${video.activeUntil}`, muted: false });
+    }
+    if (video.expiresAt) {
+      const expired = new Date(video.expiresAt).getTime() <= Date.now();
+      badges.push({ label: expired ? 'Expired' : `Until ${new Date(video.expiresAt).toLocaleDateString()}`, muted: expired });
+    }
+    return badges.map(badge => (
+      <Badge key={badge.label} variant="outline" className={`text-xs ${badge.muted ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+        {badge.label}
+      </Badge>
+    ));
+  };
+
   const formatFileSize = (bytes: number): string => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -169,8 +460,15 @@ export default function PlaylistManager() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  const queue = playback?.queue || [];
+  const playbackMode = playback?.mode || 'sequential';
+  const usesNoRepeatWindow = playbackMode === 'random' || playbackMode === 'weighted';
+
+  // Only a queued video or sequential order tells us what plays next
   const getNextVideo = () => {
-    if (!streamStatus?.currentVideoId || videos.length === 0) return null;
+    if (queue.length > 0) return library.find(v => v.id === queue[0]) || null;
+    if (playbackMode !== 'sequential') return null;
+    if (!isActivePlaylist || !streamStatus?.currentVideoId || videos.length === 0) return null;
     
     const currentIndex = videos.findIndex(v => v.id === streamStatus.currentVideoId);
     if (currentIndex === -1) return null;
@@ -208,6 +506,9 @@ export default function PlaylistManager() {
           <h2 className="text-lg font-semibold text-gray-900">Playlist Management</h2>
           <div className="flex items-center space-x-4 mt-1">
             <span className="text-sm text-gray-500">{videos.length} videos</span>
+            {selectedPlaylist && !isActivePlaylist && (
+              <span className="text-sm text-gray-500">Not on air</span>
+            )}
             {streamStatus?.currentVideoId && (
               <div className="flex items-center space-x-2">
                 <Circle className="h-3 w-3 text-primary" />
@@ -228,6 +529,39 @@ export default function PlaylistManager() {
               disabled={toggleLoopMutation.isPending}
             />
           </div>
+          <div className="flex items-center gap-2">
+            <Select
+              value={playbackMode}
+              onValueChange={(value) => setPlaybackModeMutation.mutate({ mode: value as PlaybackMode })}
+            >
+              <SelectTrigger className="w-36 h-8" title="Playback order">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="sequential">Sequential</SelectItem>
+                <SelectItem value="shuffle">Shuffle</SelectItem>
+                <SelectItem value="random">Random</SelectItem>
+                <SelectItem value="weighted">Weighted</SelectItem>
+              </SelectContent>
+            </Select>
+            {usesNoRepeatWindow && (
+              <Input
+                key={playback?.noRepeatWindow}
+                type="number"
+                min={0}
+                max={50}
+                defaultValue={playback?.noRepeatWindow ?? 3}
+                className="w-16 h-8"
+                title="Don't repeat any of the last N videos"
+                onBlur={(e) => {
+                  const noRepeatWindow = parseInt(e.target.value);
+                  if (!isNaN(noRepeatWindow) && noRepeatWindow !== playback?.noRepeatWindow) {
+                    setPlaybackModeMutation.mutate({ mode: playbackMode, noRepeatWindow });
+                  }
+                }}
+              />
+            )}
+          </div>
           <div className="flex items-center space-x-2">
             {streamStatus?.status === 'live' && (
               <Badge variant="destructive" className="text-xs">
@@ -257,9 +591,135 @@ export default function PlaylistManager() {
         </div>
       </div>
 
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <Select
+          value={playlistId !== null ? String(playlistId) : undefined}
+          onValueChange={(value) => setSelectedPlaylistId(parseInt(value))}
+        >
+          <SelectTrigger className="w-56">
+            <SelectValue placeholder="Select a playlist" />
+          </SelectTrigger>
+          <SelectContent>
+            {playlists.map((playlist) => (
+              <SelectItem key={playlist.id} value={String(playlist.id)}>
+                {playlist.name} ({playlist.itemCount}){playlist.isActive ? ' • active' : ''}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {selectedPlaylist && !isActivePlaylist && (
+          <Button
+            size="sm"
+            onClick={() => activatePlaylistMutation.mutate(selectedPlaylist.playlist.id)}
+            disabled={activatePlaylistMutation.isPending}
+          >
+            <Check className="h-4 w-4 mr-1" />
+            Activate
+          </Button>
+        )}
+        <Button size="sm" variant="outline" title="New playlist" onClick={() => setNameDialog({ mode: 'create', name: '' })}>
+          <Plus className="h-4 w-4" />
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          title="Import playlist (M3U or JSON)"
+          onClick={() => importInputRef.current?.click()}
+          disabled={importPlaylistMutation.isPending}
+        >
+          <FileUp className="h-4 w-4" />
+        </Button>
+        {selectedPlaylist && (
+          <>
+            <Button
+              size="sm"
+              variant="outline"
+              title="Rename playlist"
+              onClick={() => setNameDialog({ mode: 'rename', name: selectedPlaylist.playlist.name })}
+            >
+              <Pencil className="h-4 w-4" />
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              title="Duplicate playlist"
+              onClick={() => setNameDialog({ mode: 'duplicate', name: `${selectedPlaylist.playlist.name} (copy)` })}
+            >
+              <Copy className="h-4 w-4" />
+            </Button>
+            <Button size="sm" variant="outline" title="Export as JSON" asChild>
+              <a href={`/api/playlists/export?id=${selectedPlaylist.playlist.id}&format=json`} download>
+                <Download className="h-4 w-4 mr-1" />
+                JSON
+              </a>
+            </Button>
+            <Button size="sm" variant="outline" title="Export as extended M3U" asChild>
+              <a href={`/api/playlists/export?id=${selectedPlaylist.playlist.id}&format=m3u`} download>
+                <Download className="h-4 w-4 mr-1" />
+                M3U
+              </a>
+            </Button>
+            {!isActivePlaylist && (
+              <Button
+                size="sm"
+                variant="outline"
+                title="Delete playlist"
+                onClick={() => deletePlaylistMutation.mutate(selectedPlaylist.playlist.id)}
+                disabled={deletePlaylistMutation.isPending}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </>
+        )}
+        {selectedPlaylist && videosNotInPlaylist.length > 0 && (
+          <Select value="" onValueChange={(value) => addToPlaylistMutation.mutate(parseInt(value))}>
+            <SelectTrigger className="w-48 ml-auto">
+              <ListPlus className="h-4 w-4 mr-1" />
+              <SelectValue placeholder="Add from library" />
+            </SelectTrigger>
+            <SelectContent>
+              {videosNotInPlaylist.map((video) => (
+                <SelectItem key={video.id} value={String(video.id)}>{video.title}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+
+      {queue.length > 0 && (
+        <div className="mb-4 p-3 bg-green-50 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-900">Play next ({queue.length})</span>
+            <Button size="sm" variant="ghost" onClick={() => dequeueVideoMutation.mutate(null)}>
+              Clear
+            </Button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {queue.map((videoId, position) => (
+              <Badge key={`${position}-${videoId}`} variant="outline" className="bg-white">
+                {position + 1}. {library.find(v => v.id === videoId)?.title || `Video ${videoId}`}
+                <button
+                  type="button"
+                  className="ml-1 text-gray-500 hover:text-gray-900"
+                  onClick={() => dequeueVideoMutation.mutate(position)}
+                  title="Remove from queue"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+
       {videos.length === 0 ? (
         <div className="text-center py-8">
-          <p className="text-gray-500">No videos in playlist. Upload some videos to get started!</p>
+          <p className="text-gray-500">
+            {library.length === 0
+              ? 'No videos in playlist. Upload some videos to get started!'
+              : 'No videos in this playlist. Add some from the library or upload new ones.'}
+          </p>
         </div>
       ) : (
         <div className="space-y-3">
@@ -283,9 +743,7 @@ export default function PlaylistManager() {
                   <GripVertical className="h-5 w-5 text-gray-400" />
                 </div>
                 
-                <div className="flex-shrink-0 w-16 h-12 bg-gray-200 rounded flex items-center justify-center">
-                  <Play className="h-4 w-4 text-gray-500" />
-                </div>
+                <VideoThumbnail video={video} className="flex-shrink-0 w-16 h-12" />
                 
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center space-x-2">
@@ -300,10 +758,32 @@ export default function PlaylistManager() {
                     <p className="text-sm font-medium text-gray-900 truncate">
                       {video.title}
                     </p>
+                    {getValidationBadges(video)}
+                    {getItemBadges(video)}
                   </div>
                   <div className="flex items-center space-x-4 text-xs text-gray-500">
                     <span>{video.duration}</span>
                     <span>{formatFileSize(video.fileSize)}</span>
+                    {formatMediaDetails(video) && <span className="truncate">{formatMediaDetails(video)}</span>}
+                    {playbackMode === 'weighted' && (
+                      <label className="flex items-center gap-1">
+                        Weight
+                        <Input
+                          key={video.weight}
+                          type="number"
+                          min={0}
+                          max={100}
+                          defaultValue={video.weight}
+                          className="w-16 h-6 text-xs"
+                          onBlur={(e) => {
+                            const weight = parseInt(e.target.value);
+                            if (!isNaN(weight) && weight !== video.weight) {
+                              updateWeightMutation.mutate({ id: video.id, weight });
+                            }
+                          }}
+                        />
+                      </label>
+                    )}
                   </div>
                 </div>
                 
@@ -316,6 +796,14 @@ export default function PlaylistManager() {
                   >
                     <Eye className="h-4 w-4" />
                   </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setEditingItemId(video.itemId)}
+                    title="Trim and rules"
+                  >
+                    <Scissors className="h-4 w-4" />
+                  </Button>
                   <Button
                     size="sm"
                     variant="outline"
@@ -324,11 +812,30 @@ export default function PlaylistManager() {
                   >
                     <Play className="h-4 w-4" />
                   </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => queueVideoMutation.mutate(video.id)}
+                    disabled={queueVideoMutation.isPending}
+                    title="Play next"
+                  >
+                    <ListStart className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => removeFromPlaylistMutation.mutate(video.itemId)}
+                    disabled={removeFromPlaylistMutation.isPending}
+                    title="Remove from playlist"
+                  >
+                    <ListX className="h-4 w-4" />
+                  </Button>
                   <Button
                     size="sm"
                     variant="outline"
                     onClick={() => deleteVideoMutation.mutate(video.id)}
                     disabled={deleteVideoMutation.isPending}
+                    title="Delete video from every playlist"
                   >
                     <Trash2 className="h-4 w-4" />
                   </Button>
@@ -346,6 +853,79 @@ export default function PlaylistManager() {
         accept="video/mp4,video/avi,video/mov,video/quicktime"
         style={{ display: 'none' }}
       />
+      <input
+        type="file"
+        ref={importInputRef}
+        onChange={handleImportChange}
+        accept=".m3u,.m3u8,.json,audio/x-mpegurl,application/json"
+        style={{ display: 'none' }}
+      />
+
+      {playlistId !== null && (
+        <PlaylistItemEditor playlistId={playlistId} item={editingItem} onClose={() => setEditingItemId(null)} />
+      )}
+
+      {/* Playlist Import Report Dialog */}
+      <Dialog open={!!importResult} onOpenChange={(open) => !open && setImportResult(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Playlist Imported With Missing Media</DialogTitle>
+            <DialogDescription>
+              {importResult?.matched} video(s) were matched. These entries are not in the library and were left out;
+              upload them and import the file again to get the full playlist.
+            </DialogDescription>
+          </DialogHeader>
+          {importResult && (
+            <ul className="text-sm text-gray-700 space-y-1 max-h-64 overflow-y-auto">
+              {importResult.missing.map(item => (
+                <li key={item.position} className="truncate" title={item.filename}>
+                  <span className="text-gray-400 mr-2">#{item.position + 1}</span>
+                  {item.title ?? item.filename}
+                </li>
+              ))}
+            </ul>
+          )}
+          <DialogFooter>
+            <Button onClick={() => setImportResult(null)}>Close</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Playlist Name Dialog */}
+      <Dialog open={!!nameDialog} onOpenChange={(open) => !open && setNameDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {nameDialog?.mode === 'create' ? 'New Playlist' : nameDialog?.mode === 'duplicate' ? 'Duplicate Playlist' : 'Rename Playlist'}
+            </DialogTitle>
+            <DialogDescription>
+              {nameDialog?.mode === 'duplicate'
+                ? 'The copy gets the same videos in the same order.'
+                : 'Videos can be part of any number of playlists.'}
+            </DialogDescription>
+          </DialogHeader>
+          {nameDialog && (
+            <div className="space-y-2">
+              <Label htmlFor="playlist-name">Name</Label>
+              <Input
+                id="playlist-name"
+                value={nameDialog.name}
+                onChange={(e) => setNameDialog({ ...nameDialog, name: e.target.value })}
+                placeholder="Overnight filler"
+              />
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setNameDialog(null)}>Cancel</Button>
+            <Button
+              onClick={() => nameDialog && savePlaylistNameMutation.mutate({ mode: nameDialog.mode, name: nameDialog.name.trim() })}
+              disabled={!nameDialog?.name.trim() || savePlaylistNameMutation.isPending}
+            >
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
 
       {/* Video Preview Dialog */}
       <Dialog open={!!previewVideo} onOpenChange={() => setPreviewVideo(null)}>
@@ -363,7 +943,8 @@ export default function PlaylistManager() {
                   controls
                   className="w-full h-auto max-h-96"
                   preload="metadata"
-                  src={`/uploads/${previewVideo.filename}`}
+                  poster={previewVideo.thumbnailUrl ?? undefined}
+                  src={previewVideo.filename.startsWith('/') ? `/api/videos/${previewVideo.id}/file` : `/uploads/${previewVideo.filename}`}
                   onError={(e) => {
                     console.error('Video playback error:', e);
                     toast({
@@ -383,6 +964,22 @@ export default function PlaylistManager() {
                     <span>Duration: {previewVideo.duration}</span>
                     <span>Size: {formatFileSize(previewVideo.fileSize)}</span>
                   </div>
+                  {formatMediaDetails(previewVideo) && (
+                    <p className="text-sm text-gray-500">
+                      {formatMediaDetails(previewVideo)}
+                      {previewVideo.rotation ? ` · rotated ${previewVideo.rotation}°` : ''}
+                    </p>
+                  )}
+                  {previewVideo.validationIssues.map((issue) => (
+                    <p key={issue.code} className={`text-sm ${issue.severity === 'error' ? 'text-red-600' : 'text-yellow-700'}`}>
+                      {issue.message}
+                    </p>
+                  ))}
+                  {previewVideo.contentHash && (
+                    <p className="text-xs text-gray-400 font-mono truncate" title={previewVideo.contentHash}>
+                      SHA-256 {previewVideo.contentHash}
+                    </p>
+                  )}
                 </div>
                 <Button
                   variant="outline"
@@ -395,6 +992,8 @@ export default function PlaylistManager() {
           )}
         </DialogContent>
       </Dialog>
+
+      {duplicatePrompt.dialog}
     </div>
   );
 }
\ No newline at end of file
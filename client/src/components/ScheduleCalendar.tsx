@@ -0,0 +1,462 @@
+import { useState } from "react";
+import { CalendarClock, ChevronLeft, ChevronRight, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import type { ScheduleEntry, Video, PlaylistSummary } from "@shared/schema";
+import type { ScheduleState, ScheduledOccurrence } from "@shared/events";
+
+type Occurrence = ScheduledOccurrence & { key: string };
+
+interface EntryForm {
+  title: string;
+  startsAt: string;
+  endsAt: string;
+  recurrence: string;
+  cronExpression: string;
+  recurrenceUntil: string;
+  videoId: string; // 'playlist' starts from the top of the playlist
+  playlistId: string; // 'active' keeps whichever playlist is active
+  loopPlaylist: boolean;
+  enabled: boolean;
+}
+
+const HOUR_HEIGHT = 32; // px per hour in the grid
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+// Local time in the formats datetime-local and date inputs expect
+const toDateTimeInput = (date: Date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+const toDateInput = (date: Date) => toDateTimeInput(date).slice(0, 10);
+
+// Weeks start on Monday
+const startOfWeek = (date: Date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const addDays = (date: Date, days: number) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const formatTime = (value: Date | string) =>
+  new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+const formatDateTime = (value: Date | string) =>
+  new Date(value).toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false });
+
+const newEntryForm = (start: Date): EntryForm => ({
+  title: '',
+  startsAt: toDateTimeInput(start),
+  endsAt: toDateTimeInput(new Date(start.getTime() + 60 * 60 * 1000)),
+  recurrence: 'none',
+  cronExpression: '',
+  recurrenceUntil: '',
+  videoId: 'playlist',
+  playlistId: 'active',
+  loopPlaylist: true,
+  enabled: true,
+});
+
+const entryToForm = (entry: ScheduleEntry): EntryForm => ({
+  title: entry.title,
+  startsAt: toDateTimeInput(new Date(entry.startsAt)),
+  endsAt: toDateTimeInput(new Date(entry.endsAt)),
+  recurrence: entry.recurrence,
+  cronExpression: entry.cronExpression || '',
+  recurrenceUntil: entry.recurrenceUntil ? toDateInput(new Date(entry.recurrenceUntil)) : '',
+  videoId: entry.videoId === null ? 'playlist' : String(entry.videoId),
+  playlistId: entry.playlistId === null ? 'active' : String(entry.playlistId),
+  loopPlaylist: entry.loopPlaylist,
+  enabled: entry.enabled,
+});
+
+const formToPayload = (form: EntryForm) => ({
+  title: form.title.trim(),
+  startsAt: new Date(form.startsAt).toISOString(),
+  endsAt: new Date(form.endsAt).toISOString(),
+  recurrence: form.recurrence,
+  cronExpression: form.recurrence === 'cron' ? form.cronExpression.trim() : null,
+  // Repeats run through the end of the chosen day
+  recurrenceUntil: form.recurrence !== 'none' && form.recurrenceUntil
+    ? new Date(`${form.recurrenceUntil}T23:59:59.999`).toISOString()
+    : null,
+  videoId: form.videoId === 'playlist' ? null : parseInt(form.videoId),
+  playlistId: form.playlistId === 'active' ? null : parseInt(form.playlistId),
+  loopPlaylist: form.loopPlaylist,
+  enabled: form.enabled,
+});
+
+export default function ScheduleCalendar() {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [form, setForm] = useState<EntryForm | null>(null);
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const weekEnd = addDays(weekStart, 7);
+  const occurrencesUrl = `/api/schedule/occurrences?from=${encodeURIComponent(weekStart.toISOString())}&to=${encodeURIComponent(weekEnd.toISOString())}`;
+
+  const { data: schedule } = useQuery<{ entries: ScheduleEntry[]; state: ScheduleState }>({
+    queryKey: ['/api/schedule'],
+  });
+
+  const { data: occurrences = [] } = useQuery<Occurrence[]>({
+    queryKey: [occurrencesUrl],
+  });
+
+  const { data: videos = [] } = useQuery<Video[]>({
+    queryKey: ['/api/videos'],
+  });
+
+  const { data: playlists = [] } = useQuery<PlaylistSummary[]>({
+    queryKey: ['/api/playlists'],
+  });
+
+  const entries = schedule?.entries || [];
+  const state = schedule?.state;
+
+  const invalidateSchedule = () => {
+    queryClient.invalidateQueries({
+      predicate: (query) => String(query.queryKey[0]).startsWith('/api/schedule'),
+    });
+  };
+
+  const onError = (fallback: string) => (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const closeDialog = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const saveEntryMutation = useMutation({
+    mutationFn: async ({ id, entry }: { id: number | null; entry: EntryForm }) => {
+      if (id === null) {
+        await apiRequest('POST', '/api/schedule', formToPayload(entry));
+      } else {
+        await apiRequest('PUT', `/api/schedule/${id}`, formToPayload(entry));
+      }
+    },
+    onSuccess: () => {
+      invalidateSchedule();
+      closeDialog();
+      toast({
+        title: "Success",
+        description: "Schedule saved!",
+      });
+    },
+    onError: onError("Failed to save schedule entry"),
+  });
+
+  const deleteEntryMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/schedule/${id}`);
+    },
+    onSuccess: () => {
+      invalidateSchedule();
+      closeDialog();
+      toast({
+        title: "Success",
+        description: "Schedule entry removed!",
+      });
+    },
+    onError: onError("Failed to remove schedule entry"),
+  });
+
+  const openNew = (start: Date) => {
+    setEditingId(null);
+    setForm(newEntryForm(start));
+  };
+
+  const openEdit = (entryId: number) => {
+    const entry = entries.find(e => e.id === entryId);
+    if (entry) {
+      setEditingId(entry.id);
+      setForm(entryToForm(entry));
+    }
+  };
+
+  // The part of each occurrence that falls on the given day, as grid offsets
+  const blocksForDay = (day: Date) => {
+    const dayStart = day.getTime();
+    const dayEnd = addDays(day, 1).getTime();
+    return occurrences.flatMap((occurrence) => {
+      const start = Math.max(new Date(occurrence.start).getTime(), dayStart);
+      const end = Math.min(new Date(occurrence.end).getTime(), dayEnd);
+      if (end <= start) return [];
+      const dayLength = dayEnd - dayStart; // 23 or 25 hours on DST days
+      return [{
+        occurrence,
+        top: ((start - dayStart) / dayLength) * 24 * HOUR_HEIGHT,
+        height: Math.max(((end - start) / dayLength) * 24 * HOUR_HEIGHT, 14),
+        disabled: entries.find(e => e.id === occurrence.entryId)?.enabled === false,
+      }];
+    });
+  };
+
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const today = toDateInput(new Date());
+  const canSubmit = form && form.title.trim() && form.startsAt && form.endsAt &&
+    (form.recurrence !== 'cron' || form.cronExpression.trim());
+
+  return (
+    <div className="bg-white rounded-lg shadow-material p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Schedule
+        </h2>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(addDays(weekStart, -7))}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(startOfWeek(new Date()))}>
+            Today
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(addDays(weekStart, 7))}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+          <Button size="sm" onClick={() => openNew(new Date(Math.ceil(Date.now() / 3600000) * 3600000))}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-3">
+        {state?.current
+          ? <>On air: <span className="font-medium text-gray-900">{state.current.title}</span> until {formatDateTime(state.current.end)}</>
+          : state?.next
+            ? <>Next: <span className="font-medium text-gray-900">{state.next.title}</span> at {formatDateTime(state.next.start)}</>
+            : 'Nothing scheduled in the next 7 days.'}
+      </p>
+
+      <div className="grid grid-cols-[3rem_repeat(7,minmax(0,1fr))] text-xs text-gray-600 border-b border-gray-200 pb-1">
+        <div />
+        {days.map((day) => (
+          <div
+            key={day.toISOString()}
+            className={`text-center ${toDateInput(day) === today ? 'font-semibold text-primary' : ''}`}
+          >
+            {day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}
+          </div>
+        ))}
+      </div>
+
+      <ScrollArea className="h-96">
+        <div className="grid grid-cols-[3rem_repeat(7,minmax(0,1fr))]">
+          <div>
+            {Array.from({ length: 24 }, (_, hour) => (
+              <div key={hour} className="text-[10px] text-gray-400 text-right pr-2" style={{ height: HOUR_HEIGHT }}>
+                {pad(hour)}:00
+              </div>
+            ))}
+          </div>
+          {days.map((day) => (
+            <div key={day.toISOString()} className="relative border-l border-gray-100">
+              {Array.from({ length: 24 }, (_, hour) => (
+                <div
+                  key={hour}
+                  className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                  style={{ height: HOUR_HEIGHT }}
+                  onClick={() => {
+                    const start = new Date(day);
+                    start.setHours(hour);
+                    openNew(start);
+                  }}
+                />
+              ))}
+              {blocksForDay(day).map(({ occurrence, top, height, disabled }) => (
+                <button
+                  key={occurrence.key}
+                  type="button"
+                  className={`absolute left-0.5 right-0.5 rounded px-1 text-left text-[11px] leading-tight overflow-hidden ${
+                    disabled ? 'bg-gray-200 text-gray-500' : 'bg-primary/90 text-white hover:bg-primary'
+                  }`}
+                  style={{ top, height }}
+                  title={`${occurrence.title}\n${formatTime(occurrence.start)}–${formatTime(occurrence.end)}`}
+                  onClick={() => openEdit(occurrence.entryId)}
+                >
+                  <span className="font-medium">{occurrence.title}</span>
+                  {height >= 28 && <span className="block opacity-80">{formatTime(occurrence.start)}</span>}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      </ScrollArea>
+
+      <Dialog open={form !== null} onOpenChange={(open) => !open && closeDialog()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingId === null ? 'Schedule Broadcast' : 'Edit Scheduled Broadcast'}</DialogTitle>
+            <DialogDescription>
+              The stream starts at the scheduled time and stops when the window ends. Times are in the server's timezone.
+            </DialogDescription>
+          </DialogHeader>
+
+          {form && (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="schedule-title">Title</Label>
+                <Input
+                  id="schedule-title"
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  placeholder="Evening stream"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-start">Starts</Label>
+                  <Input
+                    id="schedule-start"
+                    type="datetime-local"
+                    value={form.startsAt}
+                    onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-end">Ends</Label>
+                  <Input
+                    id="schedule-end"
+                    type="datetime-local"
+                    value={form.endsAt}
+                    min={form.startsAt}
+                    onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-recurrence">Repeat</Label>
+                  <Select value={form.recurrence} onValueChange={(value) => setForm({ ...form, recurrence: value })}>
+                    <SelectTrigger id="schedule-recurrence">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Once</SelectItem>
+                      <SelectItem value="daily">Daily</SelectItem>
+                      <SelectItem value="weekly">Weekly</SelectItem>
+                      <SelectItem value="cron">Cron expression</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {form.recurrence !== 'none' && (
+                  <div className="space-y-2">
+                    <Label htmlFor="schedule-until">Repeat until (optional)</Label>
+                    <Input
+                      id="schedule-until"
+                      type="date"
+                      value={form.recurrenceUntil}
+                      min={form.startsAt.slice(0, 10)}
+                      onChange={(e) => setForm({ ...form, recurrenceUntil: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+              {form.recurrence === 'cron' && (
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-cron">Cron Expression</Label>
+                  <Input
+                    id="schedule-cron"
+                    value={form.cronExpression}
+                    onChange={(e) => setForm({ ...form, cronExpression: e.target.value })}
+                    placeholder="0 18 * * 1-5"
+                    className="font-mono"
+                  />
+                  <p className="text-xs text-gray-500">
+                    minute hour day-of-month month day-of-week. Each match starts a window as long as Starts to Ends.
+                  </p>
+                </div>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="schedule-playlist">Playlist</Label>
+                <Select value={form.playlistId} onValueChange={(value) => setForm({ ...form, playlistId: value })}>
+                  <SelectTrigger id="schedule-playlist">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="active">Keep the active playlist</SelectItem>
+                    {playlists.map((playlist) => (
+                      <SelectItem key={playlist.id} value={String(playlist.id)}>{playlist.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="schedule-video">Play</Label>
+                <Select value={form.videoId} onValueChange={(value) => setForm({ ...form, videoId: value })}>
+                  <SelectTrigger id="schedule-video">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="playlist">Playlist from the top</SelectItem>
+                    {videos.map((video) => (
+                      <SelectItem key={video.id} value={String(video.id)}>{video.title}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="schedule-loop">Loop playlist</Label>
+                <Switch
+                  id="schedule-loop"
+                  checked={form.loopPlaylist}
+                  onCheckedChange={(checked) => setForm({ ...form, loopPlaylist: checked })}
+                />
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="schedule-enabled">Enabled</Label>
+                <Switch
+                  id="schedule-enabled"
+                  checked={form.enabled}
+                  onCheckedChange={(checked) => setForm({ ...form, enabled: checked })}
+                />
+              </div>
+            </div>
+          )}
+
+          <DialogFooter className="gap-2">
+            {editingId !== null && (
+              <Button
+                variant="outline"
+                className="text-red-600 mr-auto"
+                onClick={() => deleteEntryMutation.mutate(editingId)}
+                disabled={deleteEntryMutation.isPending}
+              >
+                <Trash2 className="h-4 w-4 mr-1" />
+                Delete
+              </Button>
+            )}
+            <Button variant="outline" onClick={closeDialog}>Cancel</Button>
+            <Button
+              onClick={() => form && saveEntryMutation.mutate({ id: editingId, entry: form })}
+              disabled={!canSubmit || saveEntryMutation.isPending}
+            >
+              {saveEntryMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
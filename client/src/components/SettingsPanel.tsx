@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { Settings, X, Monitor, Wifi, Database, Info, Moon, Sun, RotateCcw, Server, Globe, HardDrive, Download, Upload, RefreshCw } from "lucide-react";
+import { Settings, X, Monitor, Wifi, Database, Info, Moon, Sun, RotateCcw, Server, Globe, HardDrive, Download, Upload, RefreshCw, Film } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
@@ -14,6 +14,10 @@ import { useQuery, useMutation } from "@tanstack/react-query";
 import { queryClient } from "@/lib/queryClient";
 import { useToast } from "@/hooks/use-toast";
 import { apiRequest } from "@/lib/queryClient";
+import { useAuth } from "@/hooks/use-auth";
+import ApiTokens from "@/components/ApiTokens";
+import AuditLog from "@/components/AuditLog";
+import Webhooks from "@/components/Webhooks";
 import type { SystemConfig, InsertSystemConfig } from "@shared/schema";
 
 interface Settings {
@@ -21,13 +25,18 @@ interface Settings {
   autoRefresh: boolean;
   defaultQuality: string;
   bufferSize: number;
-  autoRestart: boolean;
   refreshInterval: number;
 }
 
+// Restart behaviour lives in the system config so the server can act on it
+type RecoverySettings = Pick<InsertSystemConfig, 'autoRestart' | 'restartMaxRetries' | 'restartBackoffSeconds' | 'restartBackoffMaxSeconds'>;
+
 export default function SettingsPanel() {
   const [isOpen, setIsOpen] = useState(false);
   const { toast } = useToast();
+  const { can } = useAuth();
+  // Server, database, recovery and media settings are admin-only; everyone gets display settings and API tokens
+  const isAdmin = can('admin');
   
   // Load settings from localStorage with defaults
   const [settings, setSettings] = useState<Settings>(() => {
@@ -37,7 +46,6 @@ export default function SettingsPanel() {
       autoRefresh: true,
       defaultQuality: '1280x720',
       bufferSize: 5,
-      autoRestart: true,
       refreshInterval: 5000
     };
   });
@@ -46,12 +54,14 @@ export default function SettingsPanel() {
   const { data: dbStatus, isLoading: dbLoading } = useQuery({
     queryKey: ['/api/system-config'],
     refetchInterval: settings.autoRefresh ? settings.refreshInterval : false,
+    enabled: isAdmin,
   });
 
   // System configuration
-  const { data: systemConfig, isLoading: configLoading } = useQuery({
+  const { data: systemConfig, isLoading: configLoading } = useQuery<SystemConfig>({
     queryKey: ['/api/system-config'],
     refetchInterval: settings.autoRefresh ? settings.refreshInterval : false,
+    enabled: isAdmin,
   });
 
   // Form state for system configuration
@@ -66,6 +76,26 @@ export default function SettingsPanel() {
     useExternalDb: false,
   });
 
+  const [watchFolderPath, setWatchFolderPath] = useState("");
+
+  const { data: watchFolderStatus } = useQuery<{
+    folder: string | null;
+    error: string | null;
+    pending: string[];
+    recent: Array<{ file: string; status: string; message: string; at: string }>;
+  }>({
+    queryKey: ['/api/watch-folder'],
+    enabled: isOpen && isAdmin,
+    refetchInterval: isOpen && isAdmin ? 5000 : false,
+  });
+
+  const [recoveryForm, setRecoveryForm] = useState<RecoverySettings>({
+    autoRestart: true,
+    restartMaxRetries: 5,
+    restartBackoffSeconds: 2,
+    restartBackoffMaxSeconds: 60,
+  });
+
   // Update form when system config loads
   useEffect(() => {
     if (systemConfig) {
@@ -79,6 +109,13 @@ export default function SettingsPanel() {
         dbPassword: systemConfig.dbPassword,
         useExternalDb: systemConfig.useExternalDb,
       });
+      setRecoveryForm({
+        autoRestart: systemConfig.autoRestart,
+        restartMaxRetries: systemConfig.restartMaxRetries,
+        restartBackoffSeconds: systemConfig.restartBackoffSeconds,
+        restartBackoffMaxSeconds: systemConfig.restartBackoffMaxSeconds,
+      });
+      setWatchFolderPath(systemConfig.watchFolder ?? "");
     }
   }, [systemConfig]);
 
@@ -107,6 +144,94 @@ export default function SettingsPanel() {
     },
   });
 
+  const updateRecoverySettings = useMutation({
+    mutationFn: async (recovery: RecoverySettings) => {
+      await apiRequest('POST', '/api/system-config', recovery);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/system-config'] });
+      toast({
+        title: "Recovery Settings Saved",
+        description: "Crash recovery settings apply to the running stream immediately.",
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: "Update Failed",
+        description: "Failed to save recovery settings: " + error.message,
+        variant: "destructive",
+      });
+    },
+  });
+
+  const updateNormalizeOnIngest = useMutation({
+    mutationFn: async (normalizeOnIngest: boolean) => {
+      await apiRequest('POST', '/api/system-config', { normalizeOnIngest });
+    },
+    onSuccess: (_data, normalizeOnIngest) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/system-config'] });
+      toast({
+        title: normalizeOnIngest ? "Normalize on Ingest Enabled" : "Normalize on Ingest Disabled",
+        description: normalizeOnIngest
+          ? "New uploads are transcoded to the stream profile once, then copied during playout."
+          : "New uploads are encoded live during playout.",
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: "Update Failed",
+        description: "Failed to save media settings: " + error.message,
+        variant: "destructive",
+      });
+    },
+  });
+
+  const normalizeLibrary = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/videos/normalize');
+      return response.json();
+    },
+    onSuccess: (data: { queued: number }) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/jobs'] });
+      toast({
+        title: "Normalization Queued",
+        description: data.queued > 0
+          ? `${data.queued} video(s) will be transcoded in the background.`
+          : "Every video already matches the stream profile.",
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: "Normalization Failed",
+        description: "Failed to queue normalization: " + error.message,
+        variant: "destructive",
+      });
+    },
+  });
+
+  const updateWatchFolder = useMutation({
+    mutationFn: async (watchFolder: string) => {
+      await apiRequest('POST', '/api/system-config', { watchFolder: watchFolder.trim() || null });
+    },
+    onSuccess: (_data, watchFolder) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/system-config'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/watch-folder'] });
+      toast({
+        title: watchFolder.trim() ? "Watch Folder Saved" : "Watch Folder Disabled",
+        description: watchFolder.trim()
+          ? "Files copied into the folder are imported once they stop growing."
+          : "Files on the server are no longer picked up automatically.",
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: "Update Failed",
+        description: "Failed to save the watch folder: " + error.message,
+        variant: "destructive",
+      });
+    },
+  });
+
   // Database management mutations
   const installDatabase = useMutation({
     mutationFn: async () => {
@@ -216,7 +341,6 @@ export default function SettingsPanel() {
       autoRefresh: true,
       defaultQuality: '1280x720',
       bufferSize: 5,
-      autoRestart: true,
       refreshInterval: 5000
     };
     setSettings(defaultSettings);
@@ -246,10 +370,12 @@ export default function SettingsPanel() {
         </DialogHeader>
         
         <Tabs defaultValue="general" className="w-full">
-          <TabsList className="grid w-full grid-cols-4">
+          <TabsList className={`grid w-full ${isAdmin ? 'grid-cols-6' : 'grid-cols-4'}`}>
             <TabsTrigger value="general">General</TabsTrigger>
-            <TabsTrigger value="system">System</TabsTrigger>
+            {isAdmin && <TabsTrigger value="system">System</TabsTrigger>}
             <TabsTrigger value="streaming">Streaming</TabsTrigger>
+            <TabsTrigger value="api">API</TabsTrigger>
+            {isAdmin && <TabsTrigger value="audit">Audit</TabsTrigger>}
             <TabsTrigger value="about">About</TabsTrigger>
           </TabsList>
           
@@ -327,211 +453,213 @@ export default function SettingsPanel() {
             </Card>
           </TabsContent>
           
-          <TabsContent value="system" className="space-y-4">
-            <Card>
-              <CardHeader>
-                <CardTitle className="flex items-center space-x-2">
-                  <Server className="h-5 w-5" />
-                  <span>Server Configuration</span>
-                </CardTitle>
-                <CardDescription>
-                  Configure RTMP and web server port settings
-                </CardDescription>
-              </CardHeader>
-              <CardContent className="space-y-6">
-                <div className="grid grid-cols-2 gap-4">
-                  <div className="space-y-2">
-                    <Label htmlFor="rtmp-port" className="font-medium">RTMP Port</Label>
-                    <Input
-                      id="rtmp-port"
-                      type="number"
-                      value={configForm.rtmpPort}
-                      onChange={(e) => setConfigForm(prev => ({ ...prev, rtmpPort: parseInt(e.target.value) || 1935 }))}
-                      placeholder="1935"
-                      className="w-full"
-                    />
-                    <p className="text-sm text-gray-600">Port for RTMP streaming server</p>
-                  </div>
-                  <div className="space-y-2">
-                    <Label htmlFor="web-port" className="font-medium">Web Port</Label>
-                    <Input
-                      id="web-port"
-                      type="number"
-                      value={configForm.webPort}
-                      onChange={(e) => setConfigForm(prev => ({ ...prev, webPort: parseInt(e.target.value) || 5000 }))}
-                      placeholder="5000"
-                      className="w-full"
-                    />
-                    <p className="text-sm text-gray-600">Port for web application server</p>
-                  </div>
-                </div>
-              </CardContent>
-            </Card>
-
-            <Card>
-              <CardHeader>
-                <CardTitle className="flex items-center space-x-2">
-                  <HardDrive className="h-5 w-5" />
-                  <span>Database Configuration</span>
-                </CardTitle>
-                <CardDescription>
-                  Configure external database connection settings
-                </CardDescription>
-              </CardHeader>
-              <CardContent className="space-y-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <Label htmlFor="use-external-db" className="font-medium">Use External Database</Label>
-                    <p className="text-sm text-gray-600">Connect to an external PostgreSQL database</p>
-                  </div>
-                  <Switch 
-                    id="use-external-db"
-                    checked={configForm.useExternalDb}
-                    onCheckedChange={(checked) => setConfigForm(prev => ({ ...prev, useExternalDb: checked }))}
-                  />
-                </div>
-
-                {configForm.useExternalDb && (
-                  <div className="space-y-4 pt-4 border-t">
-                    <div className="grid grid-cols-2 gap-4">
-                      <div className="space-y-2">
-                        <Label htmlFor="db-host" className="font-medium">Database Host</Label>
-                        <Input
-                          id="db-host"
-                          value={configForm.dbHost}
-                          onChange={(e) => setConfigForm(prev => ({ ...prev, dbHost: e.target.value }))}
-                          placeholder="localhost"
-                          className="w-full"
-                        />
-                      </div>
-                      <div className="space-y-2">
-                        <Label htmlFor="db-port" className="font-medium">Database Port</Label>
-                        <Input
-                          id="db-port"
-                          type="number"
-                          value={configForm.dbPort}
-                          onChange={(e) => setConfigForm(prev => ({ ...prev, dbPort: parseInt(e.target.value) || 5432 }))}
-                          placeholder="5432"
-                          className="w-full"
-                        />
-                      </div>
+          {isAdmin && (
+            <TabsContent value="system" className="space-y-4">
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <Server className="h-5 w-5" />
+                    <span>Server Configuration</span>
+                  </CardTitle>
+                  <CardDescription>
+                    Configure RTMP and web server port settings
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="rtmp-port" className="font-medium">RTMP Port</Label>
+                      <Input
+                        id="rtmp-port"
+                        type="number"
+                        value={configForm.rtmpPort}
+                        onChange={(e) => setConfigForm(prev => ({ ...prev, rtmpPort: parseInt(e.target.value) || 1935 }))}
+                        placeholder="1935"
+                        className="w-full"
+                      />
+                      <p className="text-sm text-gray-600">Port for RTMP streaming server</p>
                     </div>
                     <div className="space-y-2">
-                      <Label htmlFor="db-name" className="font-medium">Database Name</Label>
+                      <Label htmlFor="web-port" className="font-medium">Web Port</Label>
                       <Input
-                        id="db-name"
-                        value={configForm.dbName}
-                        onChange={(e) => setConfigForm(prev => ({ ...prev, dbName: e.target.value }))}
-                        placeholder="streaming_db"
+                        id="web-port"
+                        type="number"
+                        value={configForm.webPort}
+                        onChange={(e) => setConfigForm(prev => ({ ...prev, webPort: parseInt(e.target.value) || 5000 }))}
+                        placeholder="5000"
                         className="w-full"
                       />
+                      <p className="text-sm text-gray-600">Port for web application server</p>
                     </div>
-                    <div className="grid grid-cols-2 gap-4">
-                      <div className="space-y-2">
-                        <Label htmlFor="db-user" className="font-medium">Username</Label>
-                        <Input
-                          id="db-user"
-                          value={configForm.dbUser}
-                          onChange={(e) => setConfigForm(prev => ({ ...prev, dbUser: e.target.value }))}
-                          placeholder="postgres"
-                          className="w-full"
-                        />
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <HardDrive className="h-5 w-5" />
+                    <span>Database Configuration</span>
+                  </CardTitle>
+                  <CardDescription>
+                    Configure external database connection settings
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label htmlFor="use-external-db" className="font-medium">Use External Database</Label>
+                      <p className="text-sm text-gray-600">Connect to an external PostgreSQL database</p>
+                    </div>
+                    <Switch 
+                      id="use-external-db"
+                      checked={configForm.useExternalDb}
+                      onCheckedChange={(checked) => setConfigForm(prev => ({ ...prev, useExternalDb: checked }))}
+                    />
+                  </div>
+
+                  {configForm.useExternalDb && (
+                    <div className="space-y-4 pt-4 border-t">
+                      <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                          <Label htmlFor="db-host" className="font-medium">Database Host</Label>
+                          <Input
+                            id="db-host"
+                            value={configForm.dbHost}
+                            onChange={(e) => setConfigForm(prev => ({ ...prev, dbHost: e.target.value }))}
+                            placeholder="localhost"
+                            className="w-full"
+                          />
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="db-port" className="font-medium">Database Port</Label>
+                          <Input
+                            id="db-port"
+                            type="number"
+                            value={configForm.dbPort}
+                            onChange={(e) => setConfigForm(prev => ({ ...prev, dbPort: parseInt(e.target.value) || 5432 }))}
+                            placeholder="5432"
+                            className="w-full"
+                          />
+                        </div>
                       </div>
                       <div className="space-y-2">
-                        <Label htmlFor="db-password" className="font-medium">Password</Label>
+                        <Label htmlFor="db-name" className="font-medium">Database Name</Label>
                         <Input
-                          id="db-password"
-                          type="password"
-                          value={configForm.dbPassword}
-                          onChange={(e) => setConfigForm(prev => ({ ...prev, dbPassword: e.target.value }))}
-                          placeholder="••••••••"
+                          id="db-name"
+                          value={configForm.dbName}
+                          onChange={(e) => setConfigForm(prev => ({ ...prev, dbName: e.target.value }))}
+                          placeholder="streaming_db"
                           className="w-full"
                         />
                       </div>
+                      <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                          <Label htmlFor="db-user" className="font-medium">Username</Label>
+                          <Input
+                            id="db-user"
+                            value={configForm.dbUser}
+                            onChange={(e) => setConfigForm(prev => ({ ...prev, dbUser: e.target.value }))}
+                            placeholder="postgres"
+                            className="w-full"
+                          />
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="db-password" className="font-medium">Password</Label>
+                          <Input
+                            id="db-password"
+                            type="password"
+                            value={configForm.dbPassword}
+                            onChange={(e) => setConfigForm(prev => ({ ...prev, dbPassword: e.target.value }))}
+                            placeholder="••••••••"
+                            className="w-full"
+                          />
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                )}
+                  )}
 
-                <div className="pt-4 border-t space-y-4">
-                  <div className="space-y-3">
-                    <h4 className="font-medium text-sm">Database Management</h4>
+                  <div className="pt-4 border-t space-y-4">
+                    <div className="space-y-3">
+                      <h4 className="font-medium text-sm">Database Management</h4>
                     
-                    <div className="grid grid-cols-1 gap-2">
-                      <Button
-                        onClick={() => installDatabase.mutate()}
-                        disabled={installDatabase.isPending}
-                        variant="outline"
-                        size="sm"
-                        className="w-full"
-                      >
-                        {installDatabase.isPending ? (
-                          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                        ) : (
-                          <Database className="h-4 w-4 mr-2" />
-                        )}
-                        Install Default Database
-                      </Button>
-                      
-                      <Button
-                        onClick={() => createBackup.mutate()}
-                        disabled={createBackup.isPending}
-                        variant="outline"
-                        size="sm"
-                        className="w-full"
-                      >
-                        {createBackup.isPending ? (
-                          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
-                        ) : (
-                          <Download className="h-4 w-4 mr-2" />
-                        )}
-                        Create Backup
-                      </Button>
+                      <div className="grid grid-cols-1 gap-2">
+                        <Button
+                          onClick={() => installDatabase.mutate()}
+                          disabled={installDatabase.isPending}
+                          variant="outline"
+                          size="sm"
+                          className="w-full"
+                        >
+                          {installDatabase.isPending ? (
+                            <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                          ) : (
+                            <Database className="h-4 w-4 mr-2" />
+                          )}
+                          Install Default Database
+                        </Button>
                       
-                      <div className="relative">
-                        <input
-                          type="file"
-                          accept=".sql"
-                          onChange={handleRestoreFile}
-                          className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
-                          disabled={restoreDatabase.isPending}
-                        />
                         <Button
-                          disabled={restoreDatabase.isPending}
+                          onClick={() => createBackup.mutate()}
+                          disabled={createBackup.isPending}
                           variant="outline"
                           size="sm"
                           className="w-full"
                         >
-                          {restoreDatabase.isPending ? (
+                          {createBackup.isPending ? (
                             <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
                           ) : (
-                            <Upload className="h-4 w-4 mr-2" />
+                            <Download className="h-4 w-4 mr-2" />
                           )}
-                          Restore from Backup
+                          Create Backup
                         </Button>
+                      
+                        <div className="relative">
+                          <input
+                            type="file"
+                            accept=".sql"
+                            onChange={handleRestoreFile}
+                            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                            disabled={restoreDatabase.isPending}
+                          />
+                          <Button
+                            disabled={restoreDatabase.isPending}
+                            variant="outline"
+                            size="sm"
+                            className="w-full"
+                          >
+                            {restoreDatabase.isPending ? (
+                              <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                            ) : (
+                              <Upload className="h-4 w-4 mr-2" />
+                            )}
+                            Restore from Backup
+                          </Button>
+                        </div>
                       </div>
-                    </div>
                     
-                    <p className="text-xs text-gray-500">
-                      Database operations may require application restart
-                    </p>
-                  </div>
+                      <p className="text-xs text-gray-500">
+                        Database operations may require application restart
+                      </p>
+                    </div>
 
-                  <div className="pt-3 border-t">
-                    <Button 
-                      onClick={() => updateSystemConfig.mutate(configForm)}
-                      disabled={updateSystemConfig.isPending || configLoading}
-                      className="w-full"
-                    >
-                      {updateSystemConfig.isPending ? "Saving..." : "Save Configuration"}
-                    </Button>
-                    <p className="text-sm text-gray-600 mt-2">
-                      Changes will take effect after application restart
-                    </p>
+                    <div className="pt-3 border-t">
+                      <Button 
+                        onClick={() => updateSystemConfig.mutate(configForm)}
+                        disabled={updateSystemConfig.isPending || configLoading}
+                        className="w-full"
+                      >
+                        {updateSystemConfig.isPending ? "Saving..." : "Save Configuration"}
+                      </Button>
+                      <p className="text-sm text-gray-600 mt-2">
+                        Changes will take effect after application restart
+                      </p>
+                    </div>
                   </div>
-                </div>
-              </CardContent>
-            </Card>
-          </TabsContent>
+                </CardContent>
+              </Card>
+            </TabsContent>
+          )}
           
           <TabsContent value="streaming" className="space-y-4">
             <Card>
@@ -583,21 +711,161 @@ export default function SettingsPanel() {
                   <p className="text-sm text-gray-600">Video buffer size affects stream stability and latency</p>
                 </div>
                 
-                <div className="flex items-center justify-between">
-                  <div>
-                    <Label htmlFor="auto-restart" className="font-medium">Auto-restart</Label>
-                    <p className="text-sm text-gray-600">Automatically restart failed streams</p>
-                  </div>
-                  <Switch 
-                    id="auto-restart"
-                    checked={settings.autoRestart}
-                    onCheckedChange={(checked) => updateSetting('autoRestart', checked)}
-                  />
-                </div>
               </CardContent>
             </Card>
+
+            {isAdmin && (
+              <>
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <RotateCcw className="h-5 w-5" />
+                    <span>Crash Recovery</span>
+                  </CardTitle>
+                  <CardDescription>
+                    Restart a crashed encoder or dropped destination with exponential backoff. Rejected stream keys are never retried.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label htmlFor="auto-restart" className="font-medium">Auto-restart</Label>
+                      <p className="text-sm text-gray-600">Automatically restart failed streams</p>
+                    </div>
+                    <Switch 
+                      id="auto-restart"
+                      checked={recoveryForm.autoRestart ?? true}
+                      onCheckedChange={(checked) => setRecoveryForm(prev => ({ ...prev, autoRestart: checked }))}
+                    />
+                  </div>
+
+                  {recoveryForm.autoRestart && (
+                    <div className="grid grid-cols-3 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="restart-max-retries" className="font-medium">Max Retries</Label>
+                        <Input
+                          id="restart-max-retries"
+                          type="number"
+                          min={1}
+                          value={recoveryForm.restartMaxRetries ?? 5}
+                          onChange={(e) => setRecoveryForm(prev => ({ ...prev, restartMaxRetries: Math.max(1, parseInt(e.target.value) || 1) }))}
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="restart-backoff" className="font-medium">First Delay (s)</Label>
+                        <Input
+                          id="restart-backoff"
+                          type="number"
+                          min={1}
+                          value={recoveryForm.restartBackoffSeconds ?? 2}
+                          onChange={(e) => setRecoveryForm(prev => ({ ...prev, restartBackoffSeconds: Math.max(1, parseInt(e.target.value) || 1) }))}
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="restart-backoff-max" className="font-medium">Max Delay (s)</Label>
+                        <Input
+                          id="restart-backoff-max"
+                          type="number"
+                          min={1}
+                          value={recoveryForm.restartBackoffMaxSeconds ?? 60}
+                          onChange={(e) => setRecoveryForm(prev => ({ ...prev, restartBackoffMaxSeconds: Math.max(1, parseInt(e.target.value) || 1) }))}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  <Button
+                    onClick={() => updateRecoverySettings.mutate(recoveryForm)}
+                    disabled={updateRecoverySettings.isPending || configLoading}
+                    className="w-full"
+                  >
+                    {updateRecoverySettings.isPending ? "Saving..." : "Save Recovery Settings"}
+                  </Button>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <Film className="h-5 w-5" />
+                    <span>Media Processing</span>
+                  </CardTitle>
+                  <CardDescription>
+                    Transcode videos to the stream profile ahead of time so playout copies them instead of encoding in real time. Changing the stream settings invalidates earlier copies.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label htmlFor="normalize-on-ingest" className="font-medium">Normalize on ingest</Label>
+                      <p className="text-sm text-gray-600">Transcode each upload once in the background</p>
+                    </div>
+                    <Switch
+                      id="normalize-on-ingest"
+                      checked={systemConfig?.normalizeOnIngest ?? false}
+                      onCheckedChange={(checked) => updateNormalizeOnIngest.mutate(checked)}
+                      disabled={updateNormalizeOnIngest.isPending || configLoading}
+                    />
+                  </div>
+
+                  <Button
+                    variant="outline"
+                    onClick={() => normalizeLibrary.mutate()}
+                    disabled={normalizeLibrary.isPending}
+                    className="w-full"
+                  >
+                    {normalizeLibrary.isPending ? "Queueing..." : "Normalize Existing Library"}
+                  </Button>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="watch-folder" className="font-medium">Watch folder</Label>
+                    <p className="text-sm text-gray-600">
+                      Recordings copied here (scp, rsync) are moved into the library once they stop growing. Must be an absolute path inside MEDIA_IMPORT_ROOTS; leave empty to disable.
+                    </p>
+                    <div className="flex gap-2">
+                      <Input
+                        id="watch-folder"
+                        placeholder="/srv/incoming"
+                        value={watchFolderPath}
+                        onChange={(e) => setWatchFolderPath(e.target.value)}
+                      />
+                      <Button
+                        variant="outline"
+                        onClick={() => updateWatchFolder.mutate(watchFolderPath)}
+                        disabled={updateWatchFolder.isPending || configLoading}
+                      >
+                        Save
+                      </Button>
+                    </div>
+                    {watchFolderStatus?.error && (
+                      <p className="text-xs text-red-600">{watchFolderStatus.error}</p>
+                    )}
+                    {watchFolderStatus && watchFolderStatus.pending.length > 0 && (
+                      <p className="text-xs text-gray-500">Waiting for: {watchFolderStatus.pending.join(', ')}</p>
+                    )}
+                    {watchFolderStatus?.recent.slice(0, 5).map(event => (
+                      <p key={`${event.file}-${event.at}`} className={`text-xs ${event.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                        {new Date(event.at).toLocaleTimeString()} {event.file}: {event.message}
+                      </p>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+              </>
+            )}
           </TabsContent>
           
+          <TabsContent value="api" className="space-y-4">
+            <ApiTokens />
+            {isAdmin && <Webhooks />}
+          </TabsContent>
+          
+          {isAdmin && (
+            <TabsContent value="audit" className="space-y-4">
+              <AuditLog />
+            </TabsContent>
+          )}
+
           <TabsContent value="about" className="space-y-4">
             <Card>
               <CardHeader>
@@ -619,25 +887,27 @@ export default function SettingsPanel() {
                     <span className="font-medium">Build</span>
                     <span className="text-gray-600">Jan 2025</span>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="font-medium">Database</span>
-                    {dbLoading ? (
-                      <Badge variant="outline" className="bg-yellow-50 text-yellow-700">
-                        <Database className="h-3 w-3 mr-1" />
-                        Checking...
-                      </Badge>
-                    ) : dbStatus ? (
-                      <Badge variant="outline" className="bg-green-50 text-green-700">
-                        <Database className="h-3 w-3 mr-1" />
-                        Connected
-                      </Badge>
-                    ) : (
-                      <Badge variant="outline" className="bg-red-50 text-red-700">
-                        <Database className="h-3 w-3 mr-1" />
-                        Error
-                      </Badge>
-                    )}
-                  </div>
+                  {isAdmin && (
+                    <div className="flex justify-between">
+                      <span className="font-medium">Database</span>
+                      {dbLoading ? (
+                        <Badge variant="outline" className="bg-yellow-50 text-yellow-700">
+                          <Database className="h-3 w-3 mr-1" />
+                          Checking...
+                        </Badge>
+                      ) : dbStatus ? (
+                        <Badge variant="outline" className="bg-green-50 text-green-700">
+                          <Database className="h-3 w-3 mr-1" />
+                          Connected
+                        </Badge>
+                      ) : (
+                        <Badge variant="outline" className="bg-red-50 text-red-700">
+                          <Database className="h-3 w-3 mr-1" />
+                          Error
+                        </Badge>
+                      )}
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="font-medium">FFmpeg</span>
                     <Badge variant="outline" className="bg-blue-50 text-blue-700">
@@ -0,0 +1,244 @@
+import { useEffect, useState } from "react";
+import { HardDrive, RefreshCw, Trash2, AlertTriangle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Progress } from "@/components/ui/progress";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import type { StorageReport, SystemConfig } from "@shared/schema";
+
+const GB = 1024 ** 3;
+
+export default function StoragePanel() {
+  const [quotaGb, setQuotaGb] = useState("");
+  const [reserveGb, setReserveGb] = useState("");
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: report, isFetching, refetch } = useQuery<StorageReport>({
+    queryKey: ['/api/storage'],
+  });
+
+  const { data: systemConfig } = useQuery<SystemConfig>({
+    queryKey: ['/api/system-config'],
+  });
+
+  useEffect(() => {
+    if (systemConfig) {
+      setQuotaGb(systemConfig.storageQuotaGb?.toString() ?? "");
+      setReserveGb((systemConfig.storageReserveGb ?? 2).toString());
+    }
+  }, [systemConfig]);
+
+  const onError = (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || "Storage action failed",
+      variant: "destructive",
+    });
+  };
+
+  const saveLimitsMutation = useMutation({
+    mutationFn: async () => {
+      await apiRequest('POST', '/api/system-config', {
+        storageQuotaGb: parseInt(quotaGb) || null,
+        storageReserveGb: parseInt(reserveGb) || 0,
+      });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/system-config'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/storage'] });
+      toast({
+        title: "Storage Limits Saved",
+        description: "Uploads that do not fit are now refused before they are written.",
+      });
+    },
+    onError,
+  });
+
+  const deleteOrphansMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('DELETE', '/api/storage/orphans');
+      return response.json();
+    },
+    onSuccess: (data: { message: string }) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/storage'] });
+      toast({ title: "Orphans Deleted", description: data.message });
+    },
+    onError,
+  });
+
+  const removeMissingMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('DELETE', '/api/storage/missing');
+      return response.json();
+    },
+    onSuccess: (data: { message: string }) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/storage'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/playlists'] });
+      toast({ title: "Library Reconciled", description: data.message });
+    },
+    onError,
+  });
+
+  const formatFileSize = (bytes: number) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  // Measured against the quota when there is one, otherwise against the disk
+  const limit = report?.quotaBytes ?? report?.diskTotalBytes ?? null;
+  const usedPercent = report && limit ? Math.min(100, Math.round((report.usedBytes / limit) * 100)) : 0;
+  const lowOnSpace = !!report && report.diskFreeBytes !== null && report.diskFreeBytes < report.reserveBytes + GB;
+
+  return (
+    <div className="bg-white rounded-lg shadow-material p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <HardDrive className="h-5 w-5" />
+          Storage
+        </h2>
+        <Button variant="ghost" size="sm" onClick={() => refetch()} disabled={isFetching} title="Rescan">
+          <RefreshCw className={`h-4 w-4 ${isFetching ? 'animate-spin' : ''}`} />
+        </Button>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-gray-500 text-center py-4">Scanning...</p>
+      ) : (
+        <div className="space-y-4 text-sm">
+          <div>
+            <div className="flex justify-between mb-1">
+              <span className="font-medium text-gray-900">{formatFileSize(report.usedBytes)} used</span>
+              <span className="text-gray-600">
+                {report.quotaBytes !== null ? `of ${formatFileSize(report.quotaBytes)} quota` : 'no quota'}
+              </span>
+            </div>
+            <Progress value={usedPercent} className="h-2" />
+            {report.diskFreeBytes !== null && (
+              <p className={`text-xs mt-1 ${lowOnSpace ? 'text-red-600' : 'text-gray-500'}`}>
+                {formatFileSize(report.diskFreeBytes)} free on disk, {formatFileSize(report.reserveBytes)} kept in reserve
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-600">
+            <span>Media</span><span className="text-right">{formatFileSize(report.mediaBytes)}</span>
+            <span>Normalized copies</span><span className="text-right">{formatFileSize(report.normalizedBytes)}</span>
+            <span>Thumbnails</span><span className="text-right">{formatFileSize(report.thumbnailBytes)}</span>
+            <span>Unfinished uploads</span><span className="text-right">{formatFileSize(report.partialBytes)}</span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <Label htmlFor="storage-quota" className="text-xs">Quota (GB)</Label>
+              <Input
+                id="storage-quota"
+                type="number"
+                min={1}
+                placeholder="None"
+                value={quotaGb}
+                onChange={(e) => setQuotaGb(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="storage-reserve" className="text-xs">Keep free (GB)</Label>
+              <Input
+                id="storage-reserve"
+                type="number"
+                min={0}
+                value={reserveGb}
+                onChange={(e) => setReserveGb(e.target.value)}
+              />
+            </div>
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            className="w-full"
+            onClick={() => saveLimitsMutation.mutate()}
+            disabled={saveLimitsMutation.isPending}
+          >
+            Save Limits
+          </Button>
+
+          {report.videos.length > 0 && (
+            <div>
+              <p className="font-medium text-gray-900 mb-1">By video</p>
+              <ScrollArea className="h-32 pr-3">
+                <div className="space-y-1">
+                  {report.videos.map(video => (
+                    <div key={video.videoId} className="flex justify-between gap-2 text-xs">
+                      <span className={`truncate ${video.missing ? 'text-red-600' : 'text-gray-700'}`}>
+                        {video.title}
+                        {video.sharedWith > 0 && <span className="text-gray-400"> (shared)</span>}
+                        {video.imported && <span className="text-gray-400"> (in place)</span>}
+                      </span>
+                      <span className="text-gray-600 flex-shrink-0">{formatFileSize(video.fileBytes + video.derivedBytes)}</span>
+                    </div>
+                  ))}
+                </div>
+              </ScrollArea>
+            </div>
+          )}
+
+          {report.orphans.length > 0 && (
+            <div className="border-t border-gray-100 pt-3">
+              <div className="flex items-center justify-between mb-1">
+                <p className="font-medium text-gray-900">
+                  {report.orphans.length} orphaned file(s), {formatFileSize(report.orphanBytes)}
+                </p>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => deleteOrphansMutation.mutate()}
+                  disabled={deleteOrphansMutation.isPending}
+                  title="Delete orphaned files"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <ul className="text-xs text-gray-500 space-y-0.5 max-h-24 overflow-y-auto">
+                {report.orphans.map(orphan => (
+                  <li key={orphan.path} className="truncate font-mono" title={orphan.path}>{orphan.path}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.missingVideos.length > 0 && (
+            <div className="border-t border-gray-100 pt-3">
+              <div className="flex items-center justify-between mb-1">
+                <p className="font-medium text-red-700 flex items-center gap-1">
+                  <AlertTriangle className="h-4 w-4" />
+                  {report.missingVideos.length} video(s) missing their file
+                </p>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => removeMissingMutation.mutate()}
+                  disabled={removeMissingMutation.isPending}
+                  title="Remove these entries from the library"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <ul className="text-xs text-gray-500 space-y-0.5">
+                {report.missingVideos.map(video => (
+                  <li key={video.videoId} className="truncate" title={video.filename}>{video.title}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
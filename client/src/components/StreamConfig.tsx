@@ -12,11 +12,13 @@ import { Alert, AlertDescription } from "@/components/ui/alert";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form";
-import { insertStreamConfigSchema } from "@shared/schema";
+import { insertStreamConfigSchema, isMaskedSecret, type StreamDestination } from "@shared/schema";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { apiRequest } from "@/lib/queryClient";
 import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/use-auth";
 import { z } from "zod";
+import StreamDestinations from "@/components/StreamDestinations";
 
 const formSchema = insertStreamConfigSchema.extend({
   streamKey: z.string().min(1, "Stream key is required"),
@@ -39,12 +41,18 @@ const formSchema = insertStreamConfigSchema.extend({
 export default function StreamConfig() {
   const [showStreamKey, setShowStreamKey] = useState(false);
   const { toast } = useToast();
+  const { can } = useAuth();
   const queryClient = useQueryClient();
 
   const { data: streamConfig } = useQuery({
     queryKey: ['/api/stream-config'],
   });
 
+  const { data: destinations = [] } = useQuery<StreamDestination[]>({
+    queryKey: ['/api/destinations'],
+  });
+  const hasEnabledDestination = destinations.some(d => d.enabled);
+
   const form = useForm<z.infer<typeof formSchema>>({
     resolver: zodResolver(formSchema),
     defaultValues: {
@@ -115,6 +123,26 @@ export default function StreamConfig() {
     },
   });
 
+  // The server only sends the key masked; admins can fetch the real one
+  const revealStreamKeyMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/secrets/reveal', { kind: 'stream-config' });
+      const { value } = await response.json();
+      return value as string;
+    },
+    onSuccess: (value) => {
+      form.setValue('streamKey', value);
+      setShowStreamKey(true);
+    },
+    onError: (error: any) => {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to reveal the stream key",
+        variant: "destructive",
+      });
+    },
+  });
+
   const testConnectionMutation = useMutation({
     mutationFn: async () => {
       await apiRequest('POST', '/api/stream/test');
@@ -296,7 +324,14 @@ export default function StreamConfig() {
                           variant="ghost"
                           size="sm"
                           className="absolute inset-y-0 right-0 h-full px-3 hover:bg-transparent"
-                          onClick={() => setShowStreamKey(!showStreamKey)}
+                          onClick={() => {
+                            if (!showStreamKey && isMaskedSecret(field.value) && can('admin')) {
+                              revealStreamKeyMutation.mutate();
+                            } else {
+                              setShowStreamKey(!showStreamKey);
+                            }
+                          }}
+                          disabled={revealStreamKeyMutation.isPending}
                         >
                           {showStreamKey ? (
                             <EyeOff className="h-4 w-4 text-gray-400" />
@@ -306,6 +341,9 @@ export default function StreamConfig() {
                         </Button>
                       </div>
                     </FormControl>
+                    {isMaskedSecret(field.value) && (
+                      <p className="text-xs text-gray-500">The saved key is hidden. Type a new one to replace it.</p>
+                    )}
                     <FormMessage />
                   </FormItem>
                 )}
@@ -510,7 +548,7 @@ export default function StreamConfig() {
                 <Button 
                   type="button"
                   onClick={handleStartStream}
-                  disabled={startStreamMutation.isPending || !form.watch('streamKey')}
+                  disabled={startStreamMutation.isPending || (!form.watch('streamKey') && !hasEnabledDestination)}
                   className="flex-1"
                 >
                   <Play className="h-4 w-4 mr-2" />
@@ -530,6 +568,8 @@ export default function StreamConfig() {
           </Card>
         </form>
       </Form>
+
+      <StreamDestinations />
     </div>
   );
 }
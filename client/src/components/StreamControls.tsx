@@ -11,7 +11,6 @@ export default function StreamControls() {
 
   const { data: streamStatus } = useQuery<StreamStatusType>({
     queryKey: ['/api/stream-status'],
-    refetchInterval: 5000,
   });
 
   const startStreamMutation = useMutation({
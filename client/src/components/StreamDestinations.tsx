@@ -0,0 +1,272 @@
+import { useState } from "react";
+import { Radio, Plus, Trash2, RefreshCw, Eye, EyeOff } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import type { StreamDestination, InsertStreamDestination } from "@shared/schema";
+import type { DestinationHealth } from "@shared/events";
+
+type DestinationWithHealth = StreamDestination & { health: DestinationHealth | null };
+
+const emptyDestination: InsertStreamDestination = {
+  name: '',
+  platform: 'youtube',
+  streamKey: '',
+  rtmpUrl: '',
+  enabled: true,
+};
+
+export default function StreamDestinations() {
+  const [showForm, setShowForm] = useState(false);
+  const [showStreamKey, setShowStreamKey] = useState(false);
+  const [newDestination, setNewDestination] = useState<InsertStreamDestination>(emptyDestination);
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: destinations = [] } = useQuery<DestinationWithHealth[]>({
+    queryKey: ['/api/destinations'],
+  });
+
+  const onError = (fallback: string) => (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const createDestinationMutation = useMutation({
+    mutationFn: async (destination: InsertStreamDestination) => {
+      await apiRequest('POST', '/api/destinations', destination);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/destinations'] });
+      setNewDestination(emptyDestination);
+      setShowForm(false);
+      toast({
+        title: "Success",
+        description: "Destination added!",
+      });
+    },
+    onError: onError("Failed to add destination"),
+  });
+
+  const toggleDestinationMutation = useMutation({
+    mutationFn: async ({ id, enabled }: { id: number; enabled: boolean }) => {
+      await apiRequest('PUT', `/api/destinations/${id}`, { enabled });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/destinations'] });
+    },
+    onError: onError("Failed to update destination"),
+  });
+
+  const deleteDestinationMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/destinations/${id}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/destinations'] });
+      toast({
+        title: "Success",
+        description: "Destination removed!",
+      });
+    },
+    onError: onError("Failed to remove destination"),
+  });
+
+  const reconnectDestinationMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('POST', `/api/destinations/${id}/reconnect`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/destinations'] });
+    },
+    onError: onError("Failed to reconnect destination"),
+  });
+
+  const getHealthBadge = (destination: DestinationWithHealth) => {
+    if (!destination.enabled) {
+      return <Badge variant="outline" className="text-gray-500">Disabled</Badge>;
+    }
+    switch (destination.health?.state) {
+      case 'live':
+        return <Badge className="bg-success text-white">Live</Badge>;
+      case 'connecting':
+        return <Badge variant="outline" className="bg-yellow-50 text-yellow-700">Connecting</Badge>;
+      case 'failed':
+        return <Badge variant="outline" className="bg-red-50 text-red-700">Failed</Badge>;
+      case 'reconnecting':
+        return (
+          <Badge variant="outline" className="bg-red-50 text-red-700">
+            Reconnecting ({destination.health.reconnectAttempts})
+          </Badge>
+        );
+      default:
+        return <Badge variant="outline" className="text-gray-500">Idle</Badge>;
+    }
+  };
+
+  const canSubmit = newDestination.name.trim() && newDestination.streamKey.trim() &&
+    (newDestination.platform !== 'custom' || newDestination.rtmpUrl?.startsWith('rtmp'));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Radio className="h-5 w-5" />
+          Destinations
+        </CardTitle>
+        <CardDescription>
+          Stream one encode to every enabled destination at once. When none are enabled, the platform settings above are used.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {destinations.length === 0 ? (
+          <p className="text-sm text-gray-500">No destinations added yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {destinations.map((destination) => (
+              <div key={destination.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm font-medium text-gray-900 truncate">{destination.name}</p>
+                    {getHealthBadge(destination)}
+                  </div>
+                  <p className="text-xs text-gray-500 capitalize">{destination.platform}</p>
+                  {destination.enabled && destination.health?.lastError && destination.health.state !== 'live' && (
+                    <p className="text-xs text-red-600 truncate" title={destination.health.lastError}>
+                      {destination.health.lastError}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <Switch
+                    checked={destination.enabled ?? false}
+                    onCheckedChange={(enabled) => toggleDestinationMutation.mutate({ id: destination.id, enabled })}
+                    disabled={toggleDestinationMutation.isPending}
+                  />
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    title="Reconnect destination"
+                    onClick={() => reconnectDestinationMutation.mutate(destination.id)}
+                    disabled={!destination.health || reconnectDestinationMutation.isPending}
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    title="Remove destination"
+                    onClick={() => deleteDestinationMutation.mutate(destination.id)}
+                    disabled={deleteDestinationMutation.isPending}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {showForm ? (
+          <div className="space-y-3 pt-4 border-t">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="destination-name">Name</Label>
+                <Input
+                  id="destination-name"
+                  placeholder="Main YouTube channel"
+                  value={newDestination.name}
+                  onChange={(e) => setNewDestination(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="destination-platform">Platform</Label>
+                <Select
+                  value={newDestination.platform}
+                  onValueChange={(platform) => setNewDestination(prev => ({ ...prev, platform }))}
+                >
+                  <SelectTrigger id="destination-platform">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="youtube">YouTube</SelectItem>
+                    <SelectItem value="twitch">Twitch</SelectItem>
+                    <SelectItem value="facebook">Facebook</SelectItem>
+                    <SelectItem value="custom">Custom RTMP</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {newDestination.platform === 'custom' && (
+              <div className="space-y-2">
+                <Label htmlFor="destination-url">RTMP URL</Label>
+                <Input
+                  id="destination-url"
+                  placeholder="rtmp://your-server.com/live"
+                  value={newDestination.rtmpUrl || ''}
+                  onChange={(e) => setNewDestination(prev => ({ ...prev, rtmpUrl: e.target.value }))}
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="destination-key">Stream Key</Label>
+              <div className="relative">
+                <Input
+                  id="destination-key"
+                  type={showStreamKey ? "text" : "password"}
+                  placeholder="Enter your stream key"
+                  value={newDestination.streamKey}
+                  onChange={(e) => setNewDestination(prev => ({ ...prev, streamKey: e.target.value }))}
+                  className="pr-10"
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="absolute inset-y-0 right-0 h-full px-3 hover:bg-transparent"
+                  onClick={() => setShowStreamKey(!showStreamKey)}
+                >
+                  {showStreamKey ? (
+                    <EyeOff className="h-4 w-4 text-gray-400" />
+                  ) : (
+                    <Eye className="h-4 w-4 text-gray-400" />
+                  )}
+                </Button>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                className="flex-1"
+                onClick={() => createDestinationMutation.mutate(newDestination)}
+                disabled={!canSubmit || createDestinationMutation.isPending}
+              >
+                {createDestinationMutation.isPending ? 'Adding...' : 'Add Destination'}
+              </Button>
+              <Button type="button" variant="outline" onClick={() => setShowForm(false)}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button type="button" variant="outline" className="w-full" onClick={() => setShowForm(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Destination
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
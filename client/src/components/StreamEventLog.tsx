@@ -0,0 +1,82 @@
+import { History } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { useQuery } from "@tanstack/react-query";
+import type { StreamEventLogEntry } from "@shared/schema";
+
+export default function StreamEventLog() {
+  const { data: events = [] } = useQuery<StreamEventLogEntry[]>({
+    queryKey: ['/api/stream/events'],
+  });
+
+  const getEventBadge = (event: string) => {
+    switch (event) {
+      case 'crash':
+        return <Badge variant="outline" className="bg-red-50 text-red-700">Crash</Badge>;
+      case 'gave_up':
+        return <Badge className="bg-error text-white">Gave up</Badge>;
+      case 'restart_scheduled':
+        return <Badge variant="outline" className="bg-yellow-50 text-yellow-700">Retrying</Badge>;
+      case 'restarted':
+        return <Badge variant="outline" className="bg-blue-50 text-blue-700">Restarted</Badge>;
+      case 'recovered':
+        return <Badge className="bg-success text-white">Recovered</Badge>;
+      case 'schedule_start':
+        return <Badge variant="outline" className="bg-blue-50 text-blue-700">Scheduled start</Badge>;
+      case 'schedule_stop':
+        return <Badge variant="outline">Scheduled stop</Badge>;
+      case 'schedule_failed':
+        return <Badge variant="outline" className="bg-red-50 text-red-700">Schedule failed</Badge>;
+      default:
+        return <Badge variant="outline">{event}</Badge>;
+    }
+  };
+
+  const formatTime = (value: Date | string | null) => {
+    if (!value) return '';
+    return new Date(value).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-material p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+        <History className="h-5 w-5" />
+        Stream Events
+      </h2>
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No crashes or restarts recorded.</p>
+      ) : (
+        <ScrollArea className="h-64 pr-3">
+          <div className="space-y-3">
+            {events.map((entry) => (
+              <div key={entry.id} className="text-sm border-b border-gray-100 pb-2 last:border-0">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {getEventBadge(entry.event)}
+                    <span className="font-medium text-gray-900 truncate">
+                      {entry.source === 'encoder' ? 'Encoder' : entry.sourceName}
+                    </span>
+                  </div>
+                  <span className="text-xs text-gray-500 flex-shrink-0">{formatTime(entry.createdAt)}</span>
+                </div>
+                <p className="text-xs text-gray-600 mt-1 break-words">
+                  {entry.category && <span className="capitalize">{entry.category} &middot; </span>}
+                  {entry.attempt ? `Attempt ${entry.attempt} · ` : ''}
+                  {entry.message}
+                </p>
+              </div>
+            ))}
+          </div>
+        </ScrollArea>
+      )}
+    </div>
+  );
+}
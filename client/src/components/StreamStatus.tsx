@@ -1,22 +1,76 @@
-import { Square, Pause, Monitor, Signal } from "lucide-react";
+import { Square, Pause, Monitor, Signal, AlertTriangle } from "lucide-react";
+import { Line, LineChart, ReferenceLine, YAxis } from "recharts";
 import { Button } from "@/components/ui/button";
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from "@/components/ui/chart";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { StreamStatus as StreamStatusType, StreamConfig } from "@shared/schema";
+import type { EncoderHealth, EncoderMetricsSample } from "@shared/events";
 import { apiRequest } from "@/lib/queryClient";
 import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/use-auth";
+
+// Samples drawn in the charts (one per second)
+const CHART_WINDOW = 60;
+// Recent samples averaged for the below-realtime warning
+const SPEED_WINDOW = 5;
+
+const metricsChartConfig = {
+  speed: { label: "Speed", color: "var(--primary)" },
+  fps: { label: "FPS", color: "var(--success)" },
+  bitrateKbps: { label: "Bitrate (kbps)", color: "hsl(262, 52%, 55%)" },
+} satisfies ChartConfig;
+
+function MetricChart({ data, dataKey, reference }: {
+  data: EncoderMetricsSample[];
+  dataKey: keyof typeof metricsChartConfig;
+  reference?: number;
+}) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-1">{metricsChartConfig[dataKey].label}</p>
+      <ChartContainer config={metricsChartConfig} className="aspect-auto h-16 w-full">
+        <LineChart data={data} margin={{ top: 4, right: 4, bottom: 4, left: 4 }}>
+          <YAxis hide domain={reference ? [0, (max: number) => Math.max(max, reference * 1.2)] : [0, 'auto']} />
+          {reference !== undefined && (
+            <ReferenceLine y={reference} stroke="var(--error)" strokeDasharray="3 3" />
+          )}
+          <ChartTooltip content={<ChartTooltipContent hideLabel />} />
+          <Line
+            dataKey={dataKey}
+            type="monotone"
+            stroke={`var(--color-${dataKey})`}
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ChartContainer>
+    </div>
+  );
+}
 
 export default function StreamStatus() {
   const { toast } = useToast();
   const queryClient = useQueryClient();
+  const { can } = useAuth();
 
   const { data: streamStatus } = useQuery<StreamStatusType>({
     queryKey: ['/api/stream-status'],
-    refetchInterval: 5000,
+  });
+
+  const { data: encoderHealth } = useQuery<EncoderHealth>({
+    queryKey: ['/api/stream/encoder'],
+  });
+
+  const { data: metrics } = useQuery<{ current: EncoderMetricsSample | null; history: EncoderMetricsSample[] }>({
+    queryKey: ['/api/stream/metrics'],
   });
 
   const { data: streamConfig } = useQuery<StreamConfig>({
     queryKey: ['/api/stream-config'],
     refetchInterval: 10000,
+    // Stream keys live in the config, so viewers never load it
+    enabled: can('operator'),
   });
 
   const stopStreamMutation = useMutation({
@@ -72,6 +126,15 @@ export default function StreamStatus() {
     }
   };
 
+  const encoderRunning = encoderHealth?.state === 'running';
+  const chartData = metrics?.history.slice(-CHART_WINDOW) || [];
+  const recentSpeed = chartData.slice(-SPEED_WINDOW);
+  const averageSpeed = recentSpeed.length > 0
+    ? recentSpeed.reduce((sum, sample) => sum + sample.speed, 0) / recentSpeed.length
+    : null;
+  const belowRealtime = encoderRunning && recentSpeed.length === SPEED_WINDOW &&
+    averageSpeed !== null && averageSpeed < 1;
+
   return (
     <div className="bg-white rounded-lg shadow-material p-6">
       <h2 className="text-lg font-semibold text-gray-900 mb-4">Stream Status</h2>
@@ -87,6 +150,51 @@ export default function StreamStatus() {
           </div>
         </div>
         
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-600">Encoder</span>
+          <span
+            className={`text-sm font-medium ${encoderHealth?.state === 'error' ? 'text-error' : 'text-gray-900'}`}
+            title={encoderHealth?.message || undefined}
+          >
+            {encoderHealth?.state === 'running' ? 'Running' :
+             encoderHealth?.state === 'error' ? 'Error' : 'Idle'}
+          </span>
+        </div>
+        
+        {encoderRunning && metrics?.current && (
+          <>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-600">Encoder Speed</span>
+              <span className={`text-sm font-medium ${belowRealtime ? 'text-error' : 'text-gray-900'}`}>
+                {metrics.current.speed.toFixed(2)}x &middot; {Math.round(metrics.current.fps)} fps &middot; {Math.round(metrics.current.bitrateKbps)} kbps
+              </span>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-600">Dropped / Duplicated</span>
+              <span className="text-sm font-medium text-gray-900">
+                {metrics.current.droppedFrames} / {metrics.current.duplicatedFrames}
+              </span>
+            </div>
+
+            {belowRealtime && (
+              <div className="flex items-start gap-2 p-2 rounded bg-red-50 text-red-700 text-xs">
+                <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+                <span>
+                  Encoder is running at {averageSpeed!.toFixed(2)}x, below realtime. Viewers will start buffering.
+                  Lower the resolution or bitrate.
+                </span>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <MetricChart data={chartData} dataKey="speed" reference={1} />
+              <MetricChart data={chartData} dataKey="fps" />
+              <MetricChart data={chartData} dataKey="bitrateKbps" />
+            </div>
+          </>
+        )}
+        
         <div className="flex items-center justify-between">
           <span className="text-sm text-gray-600">Viewers</span>
           <span className="text-sm font-medium text-gray-900">
@@ -94,6 +202,13 @@ export default function StreamStatus() {
           </span>
         </div>
         
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-600">Peak Viewers</span>
+          <span className="text-sm font-medium text-gray-900">
+            {streamStatus?.peakViewerCount?.toLocaleString() || '0'}
+          </span>
+        </div>
+        
         <div className="flex items-center justify-between">
           <span className="text-sm text-gray-600">Uptime</span>
           <span className="text-sm font-medium text-gray-900">
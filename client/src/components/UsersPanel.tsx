@@ -0,0 +1,210 @@
+import { useState } from "react";
+import { Users, Trash2, KeyRound, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/use-auth";
+import { USER_ROLES, type PublicUser, type UserRole, type UpdateUser } from "@shared/schema";
+
+const ROLE_DESCRIPTIONS: Record<UserRole, string> = {
+  viewer: 'Sees the dashboard, changes nothing',
+  operator: 'Runs the stream, playlists, uploads and schedule',
+  admin: 'Everything, including users, system settings and the database',
+};
+
+interface UsersPanelProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+// Admin-only list of accounts: add, change role, disable, reset password, delete
+export default function UsersPanel({ open, onOpenChange }: UsersPanelProps) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [role, setRole] = useState<UserRole>('operator');
+  const [resetting, setResetting] = useState<{ id: number; password: string } | null>(null);
+  const { user: currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: users = [] } = useQuery<PublicUser[]>({
+    queryKey: ['/api/users'],
+    enabled: open,
+  });
+
+  const onError = (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || "User change failed",
+      variant: "destructive",
+    });
+  };
+
+  const createUserMutation = useMutation({
+    mutationFn: async () => {
+      await apiRequest('POST', '/api/users', { username: username.trim(), password, role });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      setUsername("");
+      setPassword("");
+    },
+    onError,
+  });
+
+  const updateUserMutation = useMutation({
+    mutationFn: async ({ id, update }: { id: number; update: UpdateUser }) => {
+      await apiRequest('PUT', `/api/users/${id}`, update);
+    },
+    onSuccess: (_data, { update }) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      if (update.password) {
+        setResetting(null);
+        toast({ title: "Password Changed", description: "The user's other logins were ended." });
+      }
+    },
+    onError,
+  });
+
+  const deleteUserMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/users/${id}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+    },
+    onError,
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            Users
+          </DialogTitle>
+          <DialogDescription>
+            {USER_ROLES.map(r => `${r}: ${ROLE_DESCRIPTIONS[r]}`).join('. ')}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {users.map(user => {
+            const isSelf = user.id === currentUser?.id;
+            return (
+              <div key={user.id} className="flex items-center gap-3 p-2 rounded border border-gray-100">
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-medium truncate ${user.disabled ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                    {user.username}
+                    {isSelf && <Badge variant="outline" className="ml-2 text-xs">you</Badge>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {user.lastLoginAt ? `Last login ${new Date(user.lastLoginAt).toLocaleString()}` : 'Never logged in'}
+                  </p>
+                </div>
+                {resetting?.id === user.id ? (
+                  <div className="flex items-center gap-1">
+                    <Input
+                      type="password"
+                      placeholder="New password"
+                      className="h-8 w-40"
+                      value={resetting.password}
+                      onChange={(e) => setResetting({ id: user.id, password: e.target.value })}
+                    />
+                    <Button
+                      size="sm"
+                      onClick={() => updateUserMutation.mutate({ id: user.id, update: { password: resetting.password } })}
+                      disabled={resetting.password.length < 8 || updateUserMutation.isPending}
+                    >
+                      Save
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setResetting(null)}>Cancel</Button>
+                  </div>
+                ) : (
+                  <>
+                    <Select
+                      value={user.role}
+                      onValueChange={(value) => updateUserMutation.mutate({ id: user.id, update: { role: value as UserRole } })}
+                      disabled={isSelf}
+                    >
+                      <SelectTrigger className="w-32 h-8">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {USER_ROLES.map(r => (
+                          <SelectItem key={r} value={r}>{r}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Switch
+                      checked={!user.disabled}
+                      onCheckedChange={(enabled) => updateUserMutation.mutate({ id: user.id, update: { disabled: !enabled } })}
+                      disabled={isSelf}
+                      title={user.disabled ? 'Disabled' : 'Enabled'}
+                    />
+                    <Button size="sm" variant="ghost" title="Set a new password" onClick={() => setResetting({ id: user.id, password: '' })}>
+                      <KeyRound className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      title="Delete user"
+                      onClick={() => deleteUserMutation.mutate(user.id)}
+                      disabled={isSelf || deleteUserMutation.isPending}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="border-t border-gray-100 pt-4">
+          <p className="text-sm font-medium text-gray-900 mb-2">Add user</p>
+          <div className="grid grid-cols-[1fr_1fr_8rem_auto] gap-2 items-end">
+            <div>
+              <Label htmlFor="new-user-name" className="text-xs">Username</Label>
+              <Input id="new-user-name" value={username} onChange={(e) => setUsername(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="new-user-password" className="text-xs">Password</Label>
+              <Input
+                id="new-user-password"
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <Select value={role} onValueChange={(value) => setRole(value as UserRole)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {USER_ROLES.map(r => (
+                  <SelectItem key={r} value={r}>{r}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              onClick={() => createUserMutation.mutate()}
+              disabled={username.trim().length < 3 || password.length < 8 || createUserMutation.isPending}
+            >
+              <Plus className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Play } from "lucide-react";
+import { useQuery } from "@tanstack/react-query";
+import type { Video } from "@shared/schema";
+
+interface SpriteCue {
+  start: number;
+  end: number;
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+interface SpriteIndex {
+  image: string;
+  width: number;
+  height: number;
+  duration: number;
+  cues: SpriteCue[];
+}
+
+function parseTimestamp(value: string): number {
+  const [h, m, s] = value.split(":");
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+// Reads the "start --> end" / "sprite.jpg#xywh=x,y,w,h" pairs written by server/media.ts
+function parseSpriteVtt(text: string, baseUrl: string): SpriteIndex | null {
+  const cues: SpriteCue[] = [];
+  let image = "";
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length - 1; i++) {
+    const timing = lines[i].match(/^([\d:.]+)\s+-->\s+([\d:.]+)/);
+    const target = lines[i + 1].match(/^(.+)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    if (!timing || !target) {
+      continue;
+    }
+    image = new URL(target[1], new URL(baseUrl, window.location.href)).pathname;
+    const [x, y, w, h] = target.slice(2).map(Number);
+    cues.push({ start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), x, y, w, h });
+  }
+  if (cues.length === 0) {
+    return null;
+  }
+  return {
+    image,
+    width: Math.max(...cues.map(cue => cue.x + cue.w)),
+    height: Math.max(...cues.map(cue => cue.y + cue.h)),
+    duration: cues[cues.length - 1].end,
+    cues,
+  };
+}
+
+interface VideoThumbnailProps {
+  video: Video;
+  className?: string;
+  iconClassName?: string;
+}
+
+// Poster frame with hover-scrubbing through the preview sprite; falls back
+// to a play icon until the media job has produced them
+export default function VideoThumbnail({ video, className = "", iconClassName = "h-4 w-4 text-gray-500" }: VideoThumbnailProps) {
+  const [hovering, setHovering] = useState(false);
+  const [fraction, setFraction] = useState(0);
+  const [box, setBox] = useState({ width: 0, height: 0 });
+
+  const { data: sprite } = useQuery<SpriteIndex | null>({
+    queryKey: [video.previewUrl],
+    queryFn: async () => {
+      const res = await fetch(video.previewUrl!, { credentials: "include" });
+      return res.ok ? parseSpriteVtt(await res.text(), video.previewUrl!) : null;
+    },
+    enabled: hovering && !!video.previewUrl,
+  });
+
+  const handleMouseMove = (e: React.MouseEvent<HTMLDivElement>) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    setBox({ width: rect.width, height: rect.height });
+    setFraction(Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.999));
+  };
+
+  const time = sprite ? fraction * sprite.duration : 0;
+  const cue = sprite?.cues.find(c => time >= c.start && time < c.end) ?? sprite?.cues[sprite.cues.length - 1];
+
+  let scrubStyle: React.CSSProperties | undefined;
+  if (hovering && sprite && cue && box.width > 0) {
+    // Scale the sprite so one tile fills the box
+    const scaleX = box.width / cue.w;
+    const scaleY = box.height / cue.h;
+    scrubStyle = {
+      backgroundImage: `url(${sprite.image})`,
+      backgroundSize: `${sprite.width * scaleX}px ${sprite.height * scaleY}px`,
+      backgroundPosition: `-${cue.x * scaleX}px -${cue.y * scaleY}px`,
+    };
+  }
+
+  return (
+    <div
+      className={`relative bg-gray-200 rounded overflow-hidden flex items-center justify-center ${className}`}
+      onMouseEnter={() => setHovering(true)}
+      onMouseLeave={() => setHovering(false)}
+      onMouseMove={handleMouseMove}
+    >
+      {scrubStyle ? (
+        <>
+          <div className="absolute inset-0" style={scrubStyle} />
+          <div className="absolute bottom-0 left-0 h-0.5 bg-primary" style={{ width: `${fraction * 100}%` }} />
+        </>
+      ) : video.thumbnailUrl ? (
+        <img src={video.thumbnailUrl} alt="" className="w-full h-full object-cover" loading="lazy" />
+      ) : (
+        <Play className={iconClassName} />
+      )}
+    </div>
+  );
+}
@@ -1,59 +1,103 @@
 import { useState, useRef } from "react";
-import { Upload, CloudUpload, FileVideo, X } from "lucide-react";
+import { Upload, CloudUpload, FileVideo, X, RotateCw, FolderInput } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
 import { Progress } from "@/components/ui/progress";
 import { useToast } from "@/hooks/use-toast";
 import { useMutation, useQueryClient } from "@tanstack/react-query";
 import { apiRequest } from "@/lib/queryClient";
+import { uploadVideoInChunks, cancelChunkedUpload } from "@/lib/chunked-upload";
+import { useDuplicatePrompt } from "@/components/DuplicateUploadDialog";
 
 interface UploadingFile {
   file: File;
   progress: number;
+  uploadedBytes: number;
   id: string;
+  error?: string;
+  controller: AbortController;
 }
 
 export default function VideoUpload() {
   const [dragActive, setDragActive] = useState(false);
   const [uploadingFiles, setUploadingFiles] = useState<UploadingFile[]>([]);
+  const [serverPath, setServerPath] = useState("");
+  const [recursive, setRecursive] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const { toast } = useToast();
   const queryClient = useQueryClient();
+  const duplicatePrompt = useDuplicatePrompt();
 
-  const uploadMutation = useMutation({
-    mutationFn: async (file: File) => {
-      const formData = new FormData();
-      formData.append('video', file);
-      formData.append('title', file.name);
-      formData.append('duration', '00:00'); // Will be processed server-side in real implementation
-      
-      const response = await fetch('/api/videos', {
-        method: 'POST',
-        body: formData,
+  const updateUpload = (id: string, changes: Partial<UploadingFile>) => {
+    setUploadingFiles(prev => prev.map(upload => upload.id === id ? { ...upload, ...changes } : upload));
+  };
+
+  // Failed uploads stay in the list so they can be resumed from the last stored chunk
+  const startUpload = async (upload: UploadingFile) => {
+    try {
+      await uploadVideoInChunks(upload.file, {
+        signal: upload.controller.signal,
+        onDuplicate: (duplicates) => duplicatePrompt.prompt(upload.file.name, duplicates),
+        onProgress: ({ uploadedBytes, percent }) => updateUpload(upload.id, { uploadedBytes, progress: percent }),
       });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Upload failed');
+      setUploadingFiles(prev => prev.filter(u => u.id !== upload.id));
+      queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      toast({
+        title: "Success",
+        description: "Video uploaded successfully!",
+      });
+    } catch (error: any) {
+      if (error?.name === 'AbortError') {
+        setUploadingFiles(prev => prev.filter(u => u.id !== upload.id));
+        return;
       }
-      
+      updateUpload(upload.id, { error: error.message || "Failed to upload video" });
+      toast({
+        title: "Error",
+        description: error.message || "Failed to upload video",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Registers files already on the server in place, e.g. recordings copied over with rsync
+  const importMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/videos/import', { path: serverPath.trim(), recursive });
       return response.json();
     },
-    onSuccess: () => {
+    onSuccess: (data: { message: string; skipped: Array<{ path: string; reason: string }> }) => {
       queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/playlists'] });
+      setServerPath("");
       toast({
-        title: "Success",
-        description: "Video uploaded successfully!",
+        title: "Import Finished",
+        description: data.skipped.length > 0 ? `${data.message}, skipped ${data.skipped.length}` : data.message,
       });
     },
     onError: (error: any) => {
       toast({
-        title: "Error",
-        description: error.message || "Failed to upload video",
+        title: "Import Failed",
+        description: error.message || "Failed to import videos",
         variant: "destructive",
       });
     },
   });
 
+  const resumeUpload = (upload: UploadingFile) => {
+    const resumed = { ...upload, error: undefined, controller: new AbortController() };
+    updateUpload(upload.id, resumed);
+    startUpload(resumed);
+  };
+
+  const cancelUpload = (upload: UploadingFile) => {
+    upload.controller.abort();
+    setUploadingFiles(prev => prev.filter(u => u.id !== upload.id));
+    cancelChunkedUpload(upload.file);
+  };
+
   const handleDrag = (e: React.DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
@@ -76,31 +120,16 @@ export default function VideoUpload() {
   const handleFiles = (files: FileList) => {
     Array.from(files).forEach(file => {
       if (file.type.startsWith('video/')) {
-        const uploadId = Math.random().toString(36).substring(7);
-        
-        setUploadingFiles(prev => [...prev, {
+        const upload: UploadingFile = {
           file,
           progress: 0,
-          id: uploadId
-        }]);
-
-        // Simulate upload progress
-        const interval = setInterval(() => {
-          setUploadingFiles(prev => 
-            prev.map(upload => 
-              upload.id === uploadId 
-                ? { ...upload, progress: Math.min(upload.progress + 10, 90) }
-                : upload
-            )
-          );
-        }, 200);
-
-        uploadMutation.mutate(file, {
-          onSettled: () => {
-            clearInterval(interval);
-            setUploadingFiles(prev => prev.filter(upload => upload.id !== uploadId));
-          }
-        });
+          uploadedBytes: 0,
+          id: Math.random().toString(36).substring(7),
+          controller: new AbortController(),
+        };
+
+        setUploadingFiles(prev => [...prev, upload]);
+        startUpload(upload);
       } else {
         toast({
           title: "Invalid file type",
@@ -159,6 +188,31 @@ export default function VideoUpload() {
         />
       </div>
 
+      {/* Import from a path on the server */}
+      <div className="mt-4 space-y-2">
+        <div className="flex gap-2">
+          <Input
+            placeholder="/srv/recordings/episode-12.mp4"
+            value={serverPath}
+            onChange={(e) => setServerPath(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && serverPath.trim() && importMutation.mutate()}
+          />
+          <Button
+            variant="outline"
+            onClick={() => importMutation.mutate()}
+            disabled={!serverPath.trim() || importMutation.isPending}
+            title="Add a file or directory from the server without copying it"
+          >
+            <FolderInput className="h-4 w-4 mr-2" />
+            {importMutation.isPending ? "Importing..." : "Import"}
+          </Button>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Checkbox id="import-recursive" checked={recursive} onCheckedChange={(checked) => setRecursive(checked === true)} />
+          <Label htmlFor="import-recursive" className="text-xs text-gray-600">Include subdirectories</Label>
+        </div>
+      </div>
+
       {/* Upload Progress */}
       {uploadingFiles.length > 0 && (
         <div className="mt-6 space-y-3">
@@ -168,7 +222,9 @@ export default function VideoUpload() {
                 <FileVideo className="h-5 w-5 text-primary" />
                 <div>
                   <p className="text-sm font-medium text-gray-900">{upload.file.name}</p>
-                  <p className="text-xs text-gray-500">{formatFileSize(upload.file.size)}</p>
+                  <p className={`text-xs ${upload.error ? 'text-red-600' : 'text-gray-500'}`}>
+                    {upload.error || `${formatFileSize(upload.uploadedBytes)} of ${formatFileSize(upload.file.size)}`}
+                  </p>
                 </div>
               </div>
               <div className="flex items-center space-x-2">
@@ -176,11 +232,21 @@ export default function VideoUpload() {
                   <Progress value={upload.progress} className="h-2" />
                 </div>
                 <span className="text-sm text-gray-600 w-10">{upload.progress}%</span>
+                {upload.error && (
+                  <Button variant="ghost" size="sm" onClick={() => resumeUpload(upload)} title="Resume upload">
+                    <RotateCw className="h-4 w-4" />
+                  </Button>
+                )}
+                <Button variant="ghost" size="sm" onClick={() => cancelUpload(upload)} title="Cancel upload">
+                  <X className="h-4 w-4" />
+                </Button>
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {duplicatePrompt.dialog}
     </div>
   );
 }
@@ -0,0 +1,284 @@
+import { useState } from "react";
+import { Webhook as WebhookIcon, Trash2, Copy, Plus, Send, RefreshCw, History } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS, type Webhook, type WebhookDelivery, type WebhookEvent, type WebhookFormat, type InsertWebhook } from "@shared/schema";
+
+const EVENT_DESCRIPTIONS: Record<WebhookEvent, string> = {
+  'stream.started': 'The stream went live',
+  'stream.stopped': 'The stream ended, for any reason',
+  'stream.error': 'The encoder or a destination crashed',
+  'video.changed': 'A new video started playing',
+  'upload.completed': 'A video was added to the library',
+  'backup.created': 'A database backup was written',
+};
+
+const FORMAT_LABELS: Record<WebhookFormat, string> = {
+  json: 'JSON (signed)',
+  discord: 'Discord message',
+};
+
+const DELIVERY_BADGES: Record<string, string> = {
+  succeeded: 'bg-green-50 text-green-700',
+  failed: 'bg-red-50 text-red-700',
+  pending: 'bg-yellow-50 text-yellow-700',
+  sending: 'bg-blue-50 text-blue-700',
+};
+
+// The delivery log of one webhook, refreshed while open
+function DeliveryLog({ webhookId }: { webhookId: number }) {
+  const { data: deliveries = [] } = useQuery<WebhookDelivery[]>({
+    queryKey: ['/api/webhooks', webhookId, 'deliveries'],
+    refetchInterval: 5000,
+  });
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gray-500 px-2 pb-2">No deliveries yet.</p>;
+  }
+
+  return (
+    <div className="space-y-1 px-2 pb-2 max-h-48 overflow-y-auto">
+      {deliveries.map(delivery => (
+        <div key={delivery.id} className="text-xs flex items-start gap-2">
+          <Badge variant="outline" className={`text-xs capitalize ${DELIVERY_BADGES[delivery.status] ?? ''}`}>{delivery.status}</Badge>
+          <div className="flex-1 min-w-0">
+            <p className="font-mono">
+              {delivery.event}
+              <span className="text-gray-500 font-sans">
+                {' · '}{new Date(delivery.createdAt).toLocaleString()}
+                {' · '}{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                {delivery.responseStatus !== null && ` · HTTP ${delivery.responseStatus}`}
+                {delivery.status === 'pending' && delivery.attempts > 0 && ` · next try ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+              </span>
+            </p>
+            {delivery.error && <p className="text-red-600 truncate" title={delivery.error}>{delivery.error}</p>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Admin-only outbound webhooks, shown in the settings dialog
+export default function Webhooks() {
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [format, setFormat] = useState<WebhookFormat>('json');
+  const [events, setEvents] = useState<WebhookEvent[]>(['stream.started', 'stream.stopped', 'stream.error']);
+  const [shownSecret, setShownSecret] = useState<{ name: string; secret: string } | null>(null);
+  const [logOpen, setLogOpen] = useState<number | null>(null);
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  const { data: webhooks = [] } = useQuery<Webhook[]>({
+    queryKey: ['/api/webhooks'],
+  });
+
+  const onError = (error: any) => {
+    toast({
+      title: "Error",
+      description: error.message || "Webhook change failed",
+      variant: "destructive",
+    });
+  };
+
+  const createWebhookMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/webhooks', { name: name.trim(), url: url.trim(), format, events });
+      return response.json() as Promise<Webhook>;
+    },
+    onSuccess: (created) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/webhooks'] });
+      if (created.format === 'json') {
+        setShownSecret({ name: created.name, secret: created.secret });
+      }
+      setName("");
+      setUrl("");
+    },
+    onError,
+  });
+
+  const updateWebhookMutation = useMutation({
+    mutationFn: async ({ id, update }: { id: number; update: Partial<InsertWebhook> }) => {
+      await apiRequest('PUT', `/api/webhooks/${id}`, update);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/webhooks'] });
+    },
+    onError,
+  });
+
+  const rotateSecretMutation = useMutation({
+    mutationFn: async (id: number) => {
+      const response = await apiRequest('POST', `/api/webhooks/${id}/secret`);
+      return response.json() as Promise<Webhook>;
+    },
+    onSuccess: (rotated) => {
+      queryClient.invalidateQueries({ queryKey: ['/api/webhooks'] });
+      setShownSecret({ name: rotated.name, secret: rotated.secret });
+    },
+    onError,
+  });
+
+  const testWebhookMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('POST', `/api/webhooks/${id}/test`);
+      return id;
+    },
+    onSuccess: (id) => {
+      setLogOpen(id);
+      queryClient.invalidateQueries({ queryKey: ['/api/webhooks', id, 'deliveries'] });
+      toast({ title: "Test Sent", description: "The result shows in the delivery log." });
+    },
+    onError,
+  });
+
+  const deleteWebhookMutation = useMutation({
+    mutationFn: async (id: number) => {
+      await apiRequest('DELETE', `/api/webhooks/${id}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['/api/webhooks'] });
+    },
+    onError,
+  });
+
+  const toggleEvent = (event: WebhookEvent, checked: boolean) => {
+    setEvents(prev => checked ? [...prev, event] : prev.filter(e => e !== event));
+  };
+
+  const copySecret = async () => {
+    if (!shownSecret) return;
+    await navigator.clipboard.writeText(shownSecret.secret);
+    toast({ title: "Copied", description: "The signing secret is on your clipboard." });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <WebhookIcon className="h-5 w-5" />
+          <span>Webhooks</span>
+        </CardTitle>
+        <CardDescription>
+          Events are POSTed to each URL and retried with backoff for about 15 minutes. JSON deliveries carry
+          an <code className="text-xs">X-Webhook-Signature</code> header: the HMAC-SHA256 of the
+          <code className="text-xs"> X-Webhook-Timestamp</code> value, a dot and the body, keyed with the signing secret.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {shownSecret && (
+          <div className="p-3 rounded border border-green-200 bg-green-50 space-y-2">
+            <p className="text-sm font-medium text-green-800">Signing secret for {shownSecret.name}. Copy it now; it will not be shown again.</p>
+            <div className="flex items-center gap-2">
+              <Input readOnly value={shownSecret.secret} className="font-mono text-xs" onFocus={(e) => e.target.select()} />
+              <Button size="sm" variant="outline" onClick={copySecret} title="Copy secret">
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <Button size="sm" variant="ghost" onClick={() => setShownSecret(null)}>Done</Button>
+          </div>
+        )}
+
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {webhooks.length === 0 && <p className="text-sm text-gray-500">No webhooks yet.</p>}
+          {webhooks.map(webhook => (
+            <div key={webhook.id} className="rounded border border-gray-100">
+              <div className="flex items-center gap-2 p-2">
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-medium truncate ${webhook.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                    {webhook.name}
+                    <span className="ml-2 text-xs font-normal text-gray-500">{FORMAT_LABELS[webhook.format]}</span>
+                  </p>
+                  <p className="text-xs text-gray-500 truncate" title={webhook.url}>{webhook.url}</p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {webhook.events.map(event => (
+                      <Badge key={event} variant="outline" className="text-xs">{event}</Badge>
+                    ))}
+                  </div>
+                </div>
+                <Switch
+                  checked={webhook.enabled}
+                  onCheckedChange={(enabled) => updateWebhookMutation.mutate({ id: webhook.id, update: { enabled } })}
+                  title={webhook.enabled ? 'Enabled' : 'Disabled'}
+                />
+                <Button size="sm" variant="ghost" title="Send a test event" onClick={() => testWebhookMutation.mutate(webhook.id)} disabled={!webhook.enabled || testWebhookMutation.isPending}>
+                  <Send className="h-4 w-4" />
+                </Button>
+                <Button size="sm" variant="ghost" title="Delivery log" onClick={() => setLogOpen(logOpen === webhook.id ? null : webhook.id)}>
+                  <History className="h-4 w-4" />
+                </Button>
+                {webhook.format === 'json' && (
+                  <Button size="sm" variant="ghost" title="New signing secret" onClick={() => rotateSecretMutation.mutate(webhook.id)} disabled={rotateSecretMutation.isPending}>
+                    <RefreshCw className="h-4 w-4" />
+                  </Button>
+                )}
+                <Button size="sm" variant="ghost" title="Delete webhook" onClick={() => deleteWebhookMutation.mutate(webhook.id)} disabled={deleteWebhookMutation.isPending}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              {logOpen === webhook.id && <DeliveryLog webhookId={webhook.id} />}
+            </div>
+          ))}
+        </div>
+
+        <div className="border-t pt-4 space-y-3">
+          <div className="grid grid-cols-[1fr_11rem] gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="webhook-name" className="font-medium">Name</Label>
+              <Input id="webhook-name" placeholder="Discord #stream" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label className="font-medium">Format</Label>
+              <Select value={format} onValueChange={(value) => setFormat(value as WebhookFormat)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {WEBHOOK_FORMATS.map(option => (
+                    <SelectItem key={option} value={option}>{FORMAT_LABELS[option]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="webhook-url" className="font-medium">URL</Label>
+            <Input id="webhook-url" placeholder="https://example.com/hooks/stream" value={url} onChange={(e) => setUrl(e.target.value)} />
+          </div>
+          <div className="space-y-2">
+            {WEBHOOK_EVENTS.map(event => (
+              <div key={event} className="flex items-start gap-2">
+                <Checkbox
+                  id={`webhook-event-${event}`}
+                  checked={events.includes(event)}
+                  onCheckedChange={(checked) => toggleEvent(event, checked === true)}
+                />
+                <Label htmlFor={`webhook-event-${event}`} className="text-sm leading-tight">
+                  <span className="font-medium">{event}</span>
+                  <span className="block text-xs text-gray-500 font-normal">{EVENT_DESCRIPTIONS[event]}</span>
+                </Label>
+              </div>
+            ))}
+          </div>
+          <Button
+            onClick={() => createWebhookMutation.mutate()}
+            disabled={!name.trim() || !/^https?:\/\/.+/i.test(url.trim()) || events.length === 0 || createWebhookMutation.isPending}
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {createWebhookMutation.isPending ? "Adding..." : "Add Webhook"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
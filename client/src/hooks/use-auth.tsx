@@ -0,0 +1,89 @@
+import { createContext, useContext, type ReactNode } from "react";
+import { useQuery, useMutation, type UseMutationResult } from "@tanstack/react-query";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { hasRole, type PublicUser, type UserRole } from "@shared/schema";
+
+type Credentials = { username: string; password: string };
+
+interface AuthContextValue {
+  user: PublicUser | null;
+  setupRequired: boolean;
+  isLoading: boolean;
+  can: (role: UserRole) => boolean;
+  loginMutation: UseMutationResult<PublicUser, Error, Credentials>;
+  setupMutation: UseMutationResult<PublicUser, Error, Credentials>;
+  logoutMutation: UseMutationResult<void, Error, void>;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+// Logging in or out changes what every query may return, so the whole cache goes
+const resetCache = () => {
+  queryClient.clear();
+  queryClient.invalidateQueries({ queryKey: ['/api/auth/me'] });
+};
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const { toast } = useToast();
+
+  const { data, isLoading } = useQuery<{ user: PublicUser | null; setupRequired: boolean }>({
+    queryKey: ['/api/auth/me'],
+  });
+
+  const onError = (title: string) => (error: Error) => {
+    toast({ title, description: error.message, variant: "destructive" });
+  };
+
+  const loginMutation = useMutation({
+    mutationFn: async (credentials: Credentials) => {
+      const response = await apiRequest('POST', '/api/auth/login', credentials);
+      return response.json();
+    },
+    onSuccess: resetCache,
+    onError: onError("Login Failed"),
+  });
+
+  const setupMutation = useMutation({
+    mutationFn: async (credentials: Credentials) => {
+      const response = await apiRequest('POST', '/api/auth/setup', credentials);
+      return response.json();
+    },
+    onSuccess: resetCache,
+    onError: onError("Setup Failed"),
+  });
+
+  const logoutMutation = useMutation({
+    mutationFn: async () => {
+      await apiRequest('POST', '/api/auth/logout');
+    },
+    onSuccess: resetCache,
+    onError: onError("Logout Failed"),
+  });
+
+  const user = data?.user ?? null;
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user,
+        setupRequired: data?.setupRequired ?? false,
+        isLoading,
+        can: (role) => !!user && hasRole(user.role, role),
+        loginMutation,
+        setupMutation,
+        logoutMutation,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+}
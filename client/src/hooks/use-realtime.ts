@@ -0,0 +1,134 @@
+import { useEffect } from "react";
+import { queryClient } from "@/lib/queryClient";
+import type { StreamStatus, StreamDestination, StreamEventLogEntry, ScheduleEntry, MediaJobSummary } from "@shared/schema";
+import type { DestinationHealth, EncoderMetricsSample, ScheduleState, StreamEventMessage, ViewerCounts } from "@shared/events";
+
+const MAX_RECONNECT_DELAY = 30000;
+const METRICS_HISTORY_SIZE = 300;
+const EVENT_LOG_SIZE = 100;
+
+type DestinationWithHealth = StreamDestination & { health: DestinationHealth | null };
+type EncoderMetrics = { current: EncoderMetricsSample | null; history: EncoderMetricsSample[] };
+type Schedule = { entries: ScheduleEntry[]; state: ScheduleState };
+
+function applyEvent(message: StreamEventMessage) {
+  switch (message.type) {
+    case 'status':
+      queryClient.setQueryData(['/api/stream-status'], message.data);
+      break;
+    case 'video.changed': {
+      const { videoId } = message.data as StreamEventMessage<'video.changed'>['data'];
+      queryClient.setQueryData<StreamStatus>(['/api/stream-status'], (status) =>
+        status ? { ...status, currentVideoId: videoId } : status
+      );
+      break;
+    }
+    case 'encoder.health':
+      queryClient.setQueryData(['/api/stream/encoder'], message.data);
+      break;
+    case 'encoder.metrics': {
+      const sample = message.data as EncoderMetricsSample;
+      queryClient.setQueryData<EncoderMetrics>(['/api/stream/metrics'], (metrics) => ({
+        current: sample,
+        history: [...(metrics?.history || []), sample].slice(-METRICS_HISTORY_SIZE),
+      }));
+      break;
+    }
+    case 'destinations': {
+      const health = message.data as DestinationHealth[];
+      queryClient.setQueryData<DestinationWithHealth[]>(['/api/destinations'], (destinations) =>
+        destinations?.map(destination => ({
+          ...destination,
+          health: health.find(h => h.id === String(destination.id)) || null,
+        }))
+      );
+      break;
+    }
+    case 'viewers': {
+      const { current, peak } = message.data as ViewerCounts;
+      queryClient.setQueryData<StreamStatus>(['/api/stream-status'], (status) =>
+        status?.status === 'live' ? { ...status, viewerCount: current, peakViewerCount: peak } : status
+      );
+      break;
+    }
+    case 'stream.event': {
+      const entry = message.data as StreamEventLogEntry;
+      queryClient.setQueryData<StreamEventLogEntry[]>(['/api/stream/events'], (entries) =>
+        entries ? [entry, ...entries].slice(0, EVENT_LOG_SIZE) : entries
+      );
+      break;
+    }
+    case 'playlist.changed':
+      queryClient.invalidateQueries({ queryKey: ['/api/videos'] });
+      queryClient.invalidateQueries({
+        predicate: (query) => String(query.queryKey[0]).startsWith('/api/playlists'),
+      });
+      break;
+    case 'playback':
+      queryClient.setQueryData(['/api/stream/playback'], message.data);
+      break;
+    case 'job.updated': {
+      const job = message.data as MediaJobSummary;
+      queryClient.setQueryData<MediaJobSummary[]>(['/api/jobs'], (jobs) => {
+        if (!jobs) return jobs;
+        return jobs.some(j => j.id === job.id)
+          ? jobs.map(j => j.id === job.id ? job : j)
+          : [job, ...jobs];
+      });
+      break;
+    }
+    case 'schedule.changed': {
+      const state = message.data as ScheduleState;
+      queryClient.setQueryData<Schedule>(['/api/schedule'], (schedule) =>
+        schedule ? { ...schedule, state } : schedule
+      );
+      break;
+    }
+  }
+}
+
+// Keeps the React Query cache in sync with events pushed over /ws
+export function useRealtimeEvents() {
+  useEffect(() => {
+    let socket: WebSocket | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let attempts = 0;
+    let closed = false;
+
+    const connect = () => {
+      const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+      socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+
+      socket.onopen = () => {
+        // Catch up on anything missed while disconnected
+        if (attempts > 0) {
+          queryClient.invalidateQueries();
+        }
+        attempts = 0;
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          applyEvent(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Invalid realtime message:', error);
+        }
+      };
+
+      socket.onclose = () => {
+        if (closed) return;
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+        attempts++;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      socket?.close();
+    };
+  }, []);
+}
@@ -0,0 +1,242 @@
+import type { UploadSession, Video } from "@shared/schema";
+
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_RETRIES = 5;
+const SESSION_KEY_PREFIX = "upload:";
+
+export interface UploadProgress {
+  uploadedBytes: number;
+  totalBytes: number;
+  percent: number;
+}
+
+// 'existing' keeps the library entry already there, 'new' adds another one
+export type DuplicateChoice = "existing" | "new" | "cancel";
+
+export interface ChunkedUploadOptions {
+  title?: string;
+  onProgress?: (progress: UploadProgress) => void;
+  // Called when the server already has a file with the same content; without
+  // it the upload fails with the server's message
+  onDuplicate?: (duplicates: Video[]) => Promise<DuplicateChoice>;
+  signal?: AbortSignal;
+}
+
+class UploadRequestError extends Error {
+  constructor(message: string, public status: number, public offset?: number) {
+    super(message);
+    this.name = "UploadRequestError";
+  }
+}
+
+// The same file picked again resumes the upload it started before
+function sessionKey(file: File): string {
+  return `${SESSION_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function abortError(): DOMException {
+  return new DOMException("Upload cancelled", "AbortError");
+}
+
+async function readError(res: Response): Promise<UploadRequestError> {
+  const body = await res.json().catch(() => ({}));
+  return new UploadRequestError(body.message || res.statusText, res.status, body.offset);
+}
+
+async function sha256Hex(data: ArrayBuffer | Blob): Promise<string | undefined> {
+  // crypto.subtle only exists in secure contexts; the server skips the check without it
+  if (!window.crypto?.subtle) {
+    return undefined;
+  }
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await window.crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+async function findSession(file: File): Promise<UploadSession | null> {
+  const id = localStorage.getItem(sessionKey(file));
+  if (!id) {
+    return null;
+  }
+  const res = await fetch(`/api/uploads/${id}`, { credentials: "include" });
+  if (!res.ok) {
+    localStorage.removeItem(sessionKey(file));
+    return null;
+  }
+  const session: UploadSession = await res.json();
+  return session.totalSize === file.size ? session : null;
+}
+
+async function createSession(file: File, title: string): Promise<UploadSession> {
+  const res = await fetch("/api/uploads", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      filename: file.name,
+      title,
+      mimeType: file.type,
+      totalSize: file.size,
+    }),
+    credentials: "include",
+  });
+  if (!res.ok) {
+    throw await readError(res);
+  }
+  const session: UploadSession = await res.json();
+  localStorage.setItem(sessionKey(file), session.id);
+  return session;
+}
+
+// XHR rather than fetch so progress is reported while the chunk is in flight
+function sendChunk(
+  id: string,
+  offset: number,
+  chunk: Blob,
+  checksum: string | undefined,
+  onBytes: (sent: number) => void,
+  signal?: AbortSignal,
+): Promise<UploadSession> {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", `/api/uploads/${id}/chunk`);
+    xhr.withCredentials = true;
+    xhr.setRequestHeader("Content-Type", "application/octet-stream");
+    xhr.setRequestHeader("Upload-Offset", String(offset));
+    if (checksum) {
+      xhr.setRequestHeader("Chunk-Checksum", checksum);
+    }
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener("abort", onAbort);
+    const done = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.upload.onprogress = (event) => onBytes(event.loaded);
+    xhr.onload = () => {
+      done();
+      let body: any = {};
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch {
+        // Proxies answer errors such as 413 with HTML
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(body);
+      } else {
+        reject(new UploadRequestError(body.message || xhr.statusText || "Chunk upload failed", xhr.status, body.offset));
+      }
+    };
+    xhr.onerror = () => {
+      done();
+      reject(new UploadRequestError("Network error", 0));
+    };
+    xhr.onabort = () => {
+      done();
+      reject(abortError());
+    };
+    xhr.send(chunk);
+  });
+}
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+// Uploads a video in chunks through /api/uploads, resuming a session left
+// behind by an earlier attempt. Transient failures are retried with backoff;
+// a 409 means the server holds a different offset, so we continue from there.
+export async function uploadVideoInChunks(file: File, options: ChunkedUploadOptions = {}): Promise<Video> {
+  const { title = file.name, onProgress, signal } = options;
+  const report = (uploadedBytes: number) => onProgress?.({
+    uploadedBytes,
+    totalBytes: file.size,
+    percent: file.size > 0 ? Math.round((uploadedBytes / file.size) * 100) : 100,
+  });
+
+  let session = (await findSession(file)) ?? (await createSession(file, title));
+  let offset = session.receivedBytes;
+  let retries = 0;
+  report(offset);
+
+  while (offset < file.size) {
+    if (signal?.aborted) {
+      throw abortError();
+    }
+
+    const chunk = file.slice(offset, Math.min(offset + CHUNK_SIZE, file.size));
+    try {
+      const checksum = await sha256Hex(chunk);
+      const chunkStart = offset;
+      session = await sendChunk(session.id, chunkStart, chunk, checksum, sent => report(chunkStart + sent), signal);
+      offset = session.receivedBytes;
+      retries = 0;
+      report(offset);
+    } catch (error) {
+      if (error instanceof DOMException && error.name === "AbortError") {
+        throw error;
+      }
+      if (error instanceof UploadRequestError && error.status === 409 && error.offset !== undefined) {
+        offset = error.offset;
+        report(offset);
+        continue;
+      }
+      // Client errors other than a corrupted chunk will not fix themselves
+      const retryable = !(error instanceof UploadRequestError) || error.status === 0 || error.status === 422 || error.status >= 500;
+      if (!retryable || ++retries > MAX_RETRIES) {
+        throw error;
+      }
+      await wait(Math.min(1000 * 2 ** (retries - 1), 30000), signal);
+      report(offset);
+    }
+  }
+
+  let res = await completeUpload(session.id, "ask", signal);
+  if (res.status === 409 && options.onDuplicate) {
+    const body = await res.clone().json().catch(() => ({}));
+    if (Array.isArray(body.duplicates)) {
+      const choice = await options.onDuplicate(body.duplicates);
+      if (choice === "cancel") {
+        await cancelChunkedUpload(file);
+        throw abortError();
+      }
+      res = await completeUpload(session.id, choice, signal);
+    }
+  }
+  if (!res.ok) {
+    const error = await readError(res);
+    if (error.status === 422 || error.status === 404) {
+      // The server dropped the session; the next attempt starts from scratch
+      localStorage.removeItem(sessionKey(file));
+    }
+    throw error;
+  }
+
+  localStorage.removeItem(sessionKey(file));
+  return res.json();
+}
+
+function completeUpload(id: string, duplicate: "ask" | "existing" | "new", signal?: AbortSignal): Promise<Response> {
+  return fetch(`/api/uploads/${id}/complete`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ duplicate }),
+    credentials: "include",
+    signal,
+  });
+}
+
+// Gives up on a pending upload so the next attempt starts from the beginning
+export async function cancelChunkedUpload(file: File): Promise<void> {
+  const id = localStorage.getItem(sessionKey(file));
+  localStorage.removeItem(sessionKey(file));
+  if (id) {
+    await fetch(`/api/uploads/${id}`, { method: "DELETE", credentials: "include" }).catch(() => undefined);
+  }
+}
@@ -1,6 +1,10 @@
 import { QueryClient, QueryFunction } from "@tanstack/react-query";
 
 async function throwIfResNotOk(res: Response) {
+  // The session ended; refreshing who is logged in brings back the login page
+  if (res.status === 401) {
+    queryClient.invalidateQueries({ queryKey: ['/api/auth/me'] });
+  }
   if (!res.ok) {
     const text = (await res.text()) || res.statusText;
     throw new Error(`${res.status}: ${text}`);
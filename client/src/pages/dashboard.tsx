@@ -1,20 +1,28 @@
 import { useState, useEffect } from "react";
-import { Video, Eye, Settings, Clock } from "lucide-react";
+import { Video, Eye, Settings, Clock, History } from "lucide-react";
+import { Link } from "wouter";
+import { Button } from "@/components/ui/button";
 import VideoUpload from "@/components/VideoUpload";
+import JobsPanel from "@/components/JobsPanel";
+import StoragePanel from "@/components/StoragePanel";
 import PlaylistManager from "@/components/PlaylistManager";
 import StreamStatus from "@/components/StreamStatus";
 import StreamConfig from "@/components/StreamConfig";
 import CurrentlyPlaying from "@/components/CurrentlyPlaying";
+import StreamEventLog from "@/components/StreamEventLog";
+import ScheduleCalendar from "@/components/ScheduleCalendar";
 import SettingsPanel from "@/components/SettingsPanel";
+import AccountMenu from "@/components/AccountMenu";
 import { useQuery } from "@tanstack/react-query";
+import { useAuth } from "@/hooks/use-auth";
 import { StreamStatus as StreamStatusType } from "@shared/schema";
 
 export default function Dashboard() {
   const [currentTime, setCurrentTime] = useState(new Date());
+  const { can } = useAuth();
 
   const { data: streamStatus } = useQuery<StreamStatusType>({
     queryKey: ["/api/stream-status"],
-    refetchInterval: 5000,
   });
 
   useEffect(() => {
@@ -84,28 +92,43 @@ export default function Dashboard() {
                 <Clock className="h-4 w-4" />
                 <span>{formatTime(currentTime)}</span>
               </div>
+              <Link href="/history">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                  title="Broadcast history"
+                >
+                  <History className="h-5 w-5" />
+                </Button>
+              </Link>
               <SettingsPanel />
+              <AccountMenu />
             </div>
           </div>
         </div>
       </header>
 
-      {/* Main Content */}
+      {/* Main Content - viewers get the same panels with every control disabled */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <fieldset disabled={!can('operator')} className="grid grid-cols-1 lg:grid-cols-3 gap-8 min-w-0">
           {/* Left Column - Video Upload and Playlist */}
           <div className="lg:col-span-2 space-y-6">
-            <VideoUpload />
+            {can('operator') && <VideoUpload />}
             <PlaylistManager />
+            <ScheduleCalendar />
           </div>
 
           {/* Right Column - Stream Controls */}
           <div className="space-y-6">
             <StreamStatus />
-            <StreamConfig />
+            {can('operator') && <StreamConfig />}
             <CurrentlyPlaying />
+            <StreamEventLog />
+            {can('operator') && <JobsPanel />}
+            {can('admin') && <StoragePanel />}
           </div>
-        </div>
+        </fieldset>
       </div>
     </div>
   );
@@ -0,0 +1,232 @@
+import { useState } from "react";
+import { Link } from "wouter";
+import { ArrowLeft, Download, History as HistoryIcon } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useQuery } from "@tanstack/react-query";
+import type { StreamSession, SessionSummary } from "@shared/schema";
+
+// yyyy-mm-dd in local time, as date inputs expect
+const toDateInput = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysAgo = (days: number) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+const formatDuration = (totalSeconds: number) => {
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m`;
+};
+
+const formatDateTime = (value: Date | string | null) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+};
+
+export default function History() {
+  const [from, setFrom] = useState(toDateInput(daysAgo(7)));
+  const [to, setTo] = useState(toDateInput(new Date()));
+  const [endReason, setEndReason] = useState('all');
+
+  // Whole days in the operator's timezone
+  const params = new URLSearchParams();
+  if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+  if (endReason !== 'all') params.set('endReason', endReason);
+  const sessionsUrl = `/api/sessions?${params.toString()}`;
+
+  const { data, isLoading } = useQuery<{ sessions: StreamSession[]; summary: SessionSummary }>({
+    queryKey: [sessionsUrl],
+    staleTime: 30000,
+  });
+
+  const sessions = data?.sessions || [];
+  const summary = data?.summary;
+
+  const setPreset = (days: number) => {
+    setFrom(toDateInput(daysAgo(days)));
+    setTo(toDateInput(new Date()));
+  };
+
+  const getReasonBadge = (session: StreamSession) => {
+    if (!session.endedAt) {
+      return <Badge className="bg-success text-white">Live</Badge>;
+    }
+    switch (session.endReason) {
+      case 'error':
+        return <Badge variant="outline" className="bg-red-50 text-red-700">Error</Badge>;
+      case 'interrupted':
+        return <Badge variant="outline" className="bg-yellow-50 text-yellow-700">Interrupted</Badge>;
+      default:
+        return <Badge variant="outline" className="capitalize">{session.endReason || 'Ended'}</Badge>;
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center h-16 space-x-4">
+            <Link href="/">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4 mr-1" />
+                Dashboard
+              </Button>
+            </Link>
+            <div className="flex items-center space-x-2">
+              <HistoryIcon className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-semibold text-gray-900">Broadcast History</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <Card>
+          <CardContent className="pt-6">
+            <div className="flex flex-wrap items-end gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="history-from">From</Label>
+                <Input id="history-from" type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="history-to">To</Label>
+                <Input id="history-to" type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="history-reason">End Reason</Label>
+                <Select value={endReason} onValueChange={setEndReason}>
+                  <SelectTrigger id="history-reason" className="w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All</SelectItem>
+                    <SelectItem value="stopped">Stopped</SelectItem>
+                    <SelectItem value="completed">Completed</SelectItem>
+                    <SelectItem value="scheduled">Schedule ended</SelectItem>
+                    <SelectItem value="error">Error</SelectItem>
+                    <SelectItem value="restarted">Restarted</SelectItem>
+                    <SelectItem value="interrupted">Interrupted</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setPreset(1)}>24h</Button>
+                <Button variant="outline" size="sm" onClick={() => setPreset(7)}>7 days</Button>
+                <Button variant="outline" size="sm" onClick={() => setPreset(30)}>30 days</Button>
+              </div>
+              <a href={`${sessionsUrl}&format=csv`} className="ml-auto">
+                <Button variant="outline">
+                  <Download className="h-4 w-4 mr-2" />
+                  Export CSV
+                </Button>
+              </a>
+            </div>
+          </CardContent>
+        </Card>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-gray-600">Availability</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary ? `${(summary.availability * 100).toFixed(2)}%` : '—'}
+              </p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-gray-600">Total Uptime</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary ? formatDuration(summary.uptimeSeconds) : '—'}
+              </p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-gray-600">Sessions / Restarts</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary ? `${summary.sessions} / ${summary.restarts}` : '—'}
+              </p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-gray-600">Peak Viewers</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary ? summary.peakViewers.toLocaleString() : '—'}
+              </p>
+            </CardContent>
+          </Card>
+        </div>
+
+        <Card>
+          <CardContent className="pt-6">
+            {isLoading ? (
+              <p className="text-sm text-gray-500 text-center py-8">Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-8">No broadcasts in this range.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Started</TableHead>
+                    <TableHead>Ended</TableHead>
+                    <TableHead>Uptime</TableHead>
+                    <TableHead>Destinations</TableHead>
+                    <TableHead>Videos</TableHead>
+                    <TableHead className="text-right">Peak</TableHead>
+                    <TableHead className="text-right">Restarts</TableHead>
+                    <TableHead>Result</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {sessions.map((session) => (
+                    <TableRow key={session.id}>
+                      <TableCell className="whitespace-nowrap">{formatDateTime(session.startedAt)}</TableCell>
+                      <TableCell className="whitespace-nowrap">{formatDateTime(session.endedAt)}</TableCell>
+                      <TableCell className="whitespace-nowrap">{formatDuration(session.uptimeSeconds)}</TableCell>
+                      <TableCell>{session.destinations.join(', ') || '—'}</TableCell>
+                      <TableCell title={session.videosPlayed.map(video => `${video.title} (x${video.plays})`).join('\n')}>
+                        {session.videosPlayed.length} video{session.videosPlayed.length === 1 ? '' : 's'},{' '}
+                        {session.videosPlayed.reduce((total, video) => total + video.plays, 0)} plays
+                      </TableCell>
+                      <TableCell className="text-right">{session.peakViewers}</TableCell>
+                      <TableCell className="text-right">{session.restarts}</TableCell>
+                      <TableCell>{getReasonBadge(session)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { Video, LogIn, UserPlus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useAuth } from "@/hooks/use-auth";
+
+// Sign-in form; on a fresh install it creates the first admin account instead
+export default function Login() {
+  const { setupRequired, loginMutation, setupMutation } = useAuth();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const mutation = setupRequired ? setupMutation : loginMutation;
+  const passwordsMismatch = setupRequired && confirmPassword !== "" && password !== confirmPassword;
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (passwordsMismatch) return;
+    mutation.mutate({ username: username.trim(), password });
+  };
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center bg-gray-50">
+      <Card className="w-full max-w-sm mx-4">
+        <CardHeader>
+          <div className="flex items-center gap-2 mb-2">
+            <Video className="h-8 w-8 text-primary" />
+            <span className="text-lg font-semibold text-gray-900">Sa Plays Roblox Streamer</span>
+          </div>
+          <CardTitle>{setupRequired ? 'Create the admin account' : 'Sign in'}</CardTitle>
+          <CardDescription>
+            {setupRequired
+              ? 'No users exist yet. This account can add operators and viewers later.'
+              : 'Sign in to manage the stream.'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Label htmlFor="login-username">Username</Label>
+              <Input
+                id="login-username"
+                autoComplete="username"
+                autoFocus
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="login-password">Password</Label>
+              <Input
+                id="login-password"
+                type="password"
+                autoComplete={setupRequired ? 'new-password' : 'current-password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              {setupRequired && <p className="text-xs text-gray-500 mt-1">At least 8 characters.</p>}
+            </div>
+            {setupRequired && (
+              <div>
+                <Label htmlFor="login-confirm">Confirm password</Label>
+                <Input
+                  id="login-confirm"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                />
+                {passwordsMismatch && <p className="text-xs text-red-600 mt-1">Passwords do not match.</p>}
+              </div>
+            )}
+            <Button
+              type="submit"
+              className="w-full"
+              disabled={!username.trim() || !password || passwordsMismatch || (setupRequired && !confirmPassword) || mutation.isPending}
+            >
+              {setupRequired ? <UserPlus className="h-4 w-4 mr-2" /> : <LogIn className="h-4 w-4 mr-2" />}
+              {setupRequired ? 'Create Admin' : 'Sign In'}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ const express = require('express');
 const { createServer } = require('http');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const pg = require('pg');
 const multer = require('multer');
 
@@ -44,6 +45,15 @@ const app = express();
 const server = createServer(app);
 const port = process.env.PORT || 5000;
 
+// Which proxies may set the client address, as in the main server: TRUST_PROXY
+// in Express's format, else the first hop with COOKIE_SECURE, else only the
+// bundled nginx on this machine
+const trustProxy = (process.env.TRUST_PROXY || '').trim();
+app.set('trust proxy', !trustProxy
+  ? (process.env.COOKIE_SECURE === 'true' ? 1 : 'loopback')
+  : trustProxy === 'true' || trustProxy === 'false' ? trustProxy === 'true'
+  : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+
 // Basic middleware
 app.use(express.json({ limit: '500mb' }));
 app.use(express.urlencoded({ extended: true, limit: '500mb' }));
@@ -140,6 +150,43 @@ async function getVideoDuration(filePath) {
   });
 }
 
+// Uploads are stored once per content under uploads/media/<first two hex digits>/<sha256><ext>
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function storeFile(tempPath, hash, originalName) {
+  const ext = path.extname(originalName).toLowerCase() || '.mp4';
+  const filename = `media/${hash.slice(0, 2)}/${hash}${ext}`;
+  const target = path.join(__dirname, 'uploads', filename);
+  if (fs.existsSync(target)) {
+    fs.unlinkSync(tempPath);
+  } else {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(tempPath, target);
+  }
+  return filename;
+}
+
+function toVideoResponse(video) {
+  return {
+    id: video.id,
+    title: video.title,
+    filename: video.filename,
+    fileSize: video.file_size,
+    duration: video.duration,
+    playlistOrder: video.playlist_order,
+    contentHash: video.content_hash,
+    uploadedAt: video.uploaded_at
+  };
+}
+
 const upload = multer({ 
   storage,
   limits: { fileSize: 500 * 1024 * 1024 }, // 500MB
@@ -153,9 +200,580 @@ const upload = multer({
   }
 });
 
+// Secrets: stream keys and the external database password are stored as
+// "enc:v1:<iv>:<tag>:<ciphertext>" (AES-256-GCM) under SECRETS_KEY or a key
+// generated into secrets.key, in the same format as the main server, and
+// leave the server masked
+const SECRET_PREFIX = 'enc:v1:';
+const SECRET_MASK = '••••••••';
+const SECRETS_KEY_FILE = path.join(__dirname, 'secrets.key');
+let masterKey = null;
+
+function getMasterKey() {
+  if (masterKey) return masterKey;
+  let material = process.env.SECRETS_KEY;
+  if (!material) {
+    if (fs.existsSync(SECRETS_KEY_FILE)) {
+      material = fs.readFileSync(SECRETS_KEY_FILE, 'utf8').trim();
+    } else {
+      material = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(SECRETS_KEY_FILE, material + '\n', { mode: 0o600 });
+      console.log(`SECRETS_KEY is not set; generated a master key in ${SECRETS_KEY_FILE}. Back it up: backups hold secrets encrypted with it`);
+    }
+  }
+  masterKey = crypto.createHash('sha256').update(material).digest();
+  return masterKey;
+}
+
+function isEncrypted(value) {
+  return !!value && value.startsWith(SECRET_PREFIX);
+}
+
+function isMaskedSecret(value) {
+  return !!value && value.startsWith(SECRET_MASK);
+}
+
+function encryptSecret(value) {
+  if (!value || isEncrypted(value)) return value;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return SECRET_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+// Plaintext from before encryption passes through; a value the key cannot open comes back empty
+function decryptSecret(value) {
+  if (!value || !isEncrypted(value)) return value || '';
+  try {
+    const [iv, tag, ciphertext] = value.slice(SECRET_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('A stored secret cannot be decrypted with the current master key; was SECRETS_KEY changed?');
+    return '';
+  }
+}
+
+function maskSecret(value) {
+  if (!value) return '';
+  return value.length > 8 ? SECRET_MASK + value.slice(-4) : SECRET_MASK;
+}
+
+function maskSystemConfig(config) {
+  return { ...config, db_password: maskSecret(decryptSecret(config.db_password)) };
+}
+
+// Seals secrets stored in plaintext by older versions or restored backups
+async function encryptStoredSecrets() {
+  let sealed = 0;
+  for (const row of (await db.query('SELECT id, stream_key FROM stream_configs')).rows) {
+    if (row.stream_key && !isEncrypted(row.stream_key)) {
+      await db.query('UPDATE stream_configs SET stream_key = $1 WHERE id = $2', [encryptSecret(row.stream_key), row.id]);
+      sealed++;
+    }
+  }
+  for (const row of (await db.query('SELECT id, db_password FROM system_configs')).rows) {
+    if (row.db_password && !isEncrypted(row.db_password)) {
+      await db.query('UPDATE system_configs SET db_password = $1 WHERE id = $2', [encryptSecret(row.db_password), row.id]);
+      sealed++;
+    }
+  }
+  return sealed;
+}
+
+// Authentication: users with scrypt password hashes, sessions in the
+// user_sessions table behind an httpOnly cookie, and three roles. Same table
+// layout and hash format as the main server, so accounts carry over.
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'sa_plays.sid';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Reached without a login: the login flow and the nginx-rtmp callbacks
+const PUBLIC_API_PATHS = ['/auth/', '/rtmp/', '/hls/segment'];
+const failedLogins = new Map();
+
+// Personal API tokens, sent as `Authorization: Bearer sap_...`: same table
+// and scopes as the main server. Operator routes under STREAM_CONTROL_PATHS
+// need stream-control, the others media-write.
+const API_TOKEN_SCOPES = ['read-only', 'stream-control', 'media-write', 'admin'];
+const API_TOKEN_SCOPE_ROLES = { 'read-only': 'viewer', 'stream-control': 'operator', 'media-write': 'operator', admin: 'admin' };
+const STREAM_CONTROL_PATHS = ['/api/stream', '/api/destinations', '/api/schedule'];
+const TOKEN_PREFIX = 'sap_';
+// How stale last-used tracking may get, so a busy bot is not a write per request
+const TOKEN_USE_RESOLUTION_MS = 60 * 1000;
+
+function hasRole(role, required) {
+  return USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(required);
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (error, hash) => {
+      if (error) return reject(error);
+      resolve(`${hash.toString('hex')}.${salt}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [hash, salt] = (stored || '').split('.');
+    if (!hash || !salt) return resolve(false);
+    crypto.scrypt(password, salt, 64, (error, actual) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === actual.length && crypto.timingSafeEqual(expected, actual));
+    });
+  });
+}
+
+function toUserResponse(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: user.disabled,
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at
+  };
+}
+
+function toTokenResponse(token) {
+  return {
+    id: token.id,
+    userId: token.user_id,
+    name: token.name,
+    tokenPrefix: token.token_prefix,
+    scopes: token.scopes,
+    expiresAt: token.expires_at,
+    lastUsedAt: token.last_used_at,
+    lastUsedIp: token.last_used_ip,
+    createdAt: token.created_at
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The scope a token needs for a route guarded with `role`
+function requiredScope(role, routePath) {
+  if (role === 'viewer') return 'read-only';
+  if (role === 'admin') return 'admin';
+  return STREAM_CONTROL_PATHS.some(prefix => routePath.startsWith(prefix)) ? 'stream-control' : 'media-write';
+}
+
+function tokenAllows(token, scope) {
+  return scope === 'read-only' || token.scopes.includes('admin') || token.scopes.includes(scope);
+}
+
+function bearerToken(header) {
+  const match = (header || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// The token and its owner, or null when the token is unknown, expired or
+// belongs to a disabled user
+async function authenticateToken(raw, ip) {
+  if (!raw.startsWith(TOKEN_PREFIX)) return null;
+  const tokens = await db.query('SELECT * FROM api_tokens WHERE token_hash = $1 AND (expires_at IS NULL OR expires_at > NOW())', [hashToken(raw)]);
+  const token = tokens.rows[0];
+  if (!token) return null;
+  const users = await db.query('SELECT * FROM users WHERE id = $1 AND disabled = false', [token.user_id]);
+  if (users.rows.length === 0) return null;
+  if (!token.last_used_at || Date.now() - new Date(token.last_used_at).getTime() > TOKEN_USE_RESOLUTION_MS || token.last_used_ip !== ip) {
+    await db.query('UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = $1 WHERE id = $2', [ip, token.id]);
+  }
+  return { token, user: users.rows[0] };
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{3,32}$/.test(username.trim())) {
+    return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+function getSessionId(req) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function setSessionCookie(res, sid) {
+  const secure = process.env.COOKIE_SECURE === 'true' ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secure}`);
+}
+
+async function createSession(res, userId) {
+  const sid = crypto.randomBytes(32).toString('hex');
+  const expire = new Date(Date.now() + SESSION_TTL_MS);
+  const sess = { cookie: { originalMaxAge: SESSION_TTL_MS, expires: expire, httpOnly: true, path: '/' }, passport: { user: userId } };
+  await db.query('INSERT INTO user_sessions (sid, sess, expire) VALUES ($1, $2, $3)', [sid, JSON.stringify(sess), expire]);
+  setSessionCookie(res, sid);
+}
+
+async function deleteUserSessions(userId, exceptSid) {
+  await db.query(
+    "DELETE FROM user_sessions WHERE (sess->'passport'->>'user')::integer = $1 AND sid <> $2",
+    [userId, exceptSid || '']
+  );
+}
+
+// Loads req.user from a bearer token or the session cookie; disabled or
+// deleted users count as logged out. A bad token is refused outright rather
+// than treated as logged out.
+app.use(async (req, res, next) => {
+  const bearer = bearerToken(req.headers.authorization);
+  if (bearer) {
+    try {
+      if (!db) throw new Error('Database not available');
+      const auth = await authenticateToken(bearer, req.ip || null);
+      if (!auth) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+      req.user = auth.user;
+      req.apiToken = auth.token;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const sid = getSessionId(req);
+  if (!sid || !db) return next();
+  try {
+    const result = await db.query(
+      `SELECT u.* FROM user_sessions s JOIN users u ON u.id = (s.sess->'passport'->>'user')::integer
+       WHERE s.sid = $1 AND s.expire > NOW() AND u.disabled = false`,
+      [sid]
+    );
+    if (result.rows.length > 0) {
+      req.user = result.rows[0];
+      req.sessionId = sid;
+      // Rolling expiry, like the main server
+      const expire = new Date(Date.now() + SESSION_TTL_MS);
+      await db.query('UPDATE user_sessions SET expire = $1 WHERE sid = $2', [expire, sid]);
+      setSessionCookie(res, sid);
+    }
+  } catch (error) {
+    console.error('Error loading session:', error);
+  }
+  next();
+});
+
+// Answers 401 without a login and 403 when the user's role is below `role`.
+// Bearer tokens also need the matching scope; the owner's role still applies.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    if (req.apiToken) {
+      const scope = requiredScope(role, req.baseUrl + req.path);
+      if (!tokenAllows(req.apiToken, scope)) {
+        return res.status(403).json({ error: `This token needs the ${scope} scope` });
+      }
+    }
+    next();
+  };
+}
+
+// For routes a token must never reach, like changing a password or minting tokens
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This needs a dashboard login, not an API token' });
+  }
+  next();
+}
+
+async function countUsers(role) {
+  const result = role
+    ? await db.query('SELECT COUNT(*) FROM users WHERE role = $1 AND disabled = false', [role])
+    : await db.query('SELECT COUNT(*) FROM users');
+  return parseInt(result.rows[0].count);
+}
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not available');
+    res.json({
+      user: req.user ? toUserResponse(req.user) : null,
+      setupRequired: await countUsers() === 0
+    });
+  } catch (error) {
+    console.error('Error loading session:', error);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not available');
+    const { username, password } = req.body;
+    // Counted per username and address, so nobody can lock others out
+    const lockoutKey = `${req.ip || 'unknown'}|${typeof username === 'string' ? username.trim().toLowerCase().slice(0, 64) : ''}`;
+    const attempts = failedLogins.get(lockoutKey);
+    if (attempts && Date.now() - attempts.firstAt > FAILED_LOGIN_WINDOW_MS) {
+      failedLogins.delete(lockoutKey);
+    } else if (attempts && attempts.count >= MAX_FAILED_LOGINS) {
+      return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+
+    const result = typeof username === 'string'
+      ? await db.query('SELECT * FROM users WHERE LOWER(username) = LOWER($1)', [username.trim()])
+      : { rows: [] };
+    const user = result.rows[0];
+    if (!user || user.disabled || typeof password !== 'string' || !(await verifyPassword(password, user.password_hash))) {
+      const entry = failedLogins.get(lockoutKey);
+      if (entry) entry.count++;
+      else failedLogins.set(lockoutKey, { count: 1, firstAt: Date.now() });
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    failedLogins.delete(lockoutKey);
+    await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    await createSession(res, user.id);
+    res.json(toUserResponse(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const sid = getSessionId(req);
+    if (sid && db) {
+      await db.query('DELETE FROM user_sessions WHERE sid = $1', [sid]);
+    }
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Creates the first admin; closed as soon as any user exists
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not available');
+    if (await countUsers() > 0) {
+      return res.status(409).json({ error: 'Setup is already done' });
+    }
+    const { username, password } = req.body;
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      "INSERT INTO users (username, password_hash, role) VALUES ($1, $2, 'admin') RETURNING *",
+      [username.trim(), await hashPassword(password)]
+    );
+    console.log(`Created admin user ${result.rows[0].username} through first-run setup`);
+    await createSession(res, result.rows[0].id);
+    res.status(201).json(toUserResponse(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({ error: 'Failed to create admin user' });
+  }
+});
+
+app.put('/api/auth/password', requireSession, requireRole('viewer'), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, req.user.password_hash))) {
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    await db.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(newPassword), req.user.id]);
+    await deleteUserSessions(req.user.id, req.sessionId);
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Every other /api route needs a login; routes that need more add requireRole
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+  return requireRole('viewer')(req, res, next);
+});
+
+// Personal API tokens: each user manages their own, from a dashboard login
+app.get('/api/tokens', requireSession, requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC', [req.user.id]);
+    res.json(result.rows.map(toTokenResponse));
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+app.post('/api/tokens', requireSession, requireRole('viewer'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ error: 'Name must be 1-100 characters' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: `Pick at least one scope of ${API_TOKEN_SCOPES.join(', ')}` });
+    }
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && !(expires.getTime() > Date.now())) {
+      return res.status(400).json({ error: 'Expiry must be in the future' });
+    }
+    const beyondRole = scopes.filter(scope => !hasRole(req.user.role, API_TOKEN_SCOPE_ROLES[scope]));
+    if (beyondRole.length > 0) {
+      return res.status(403).json({ error: `Your role cannot grant ${beyondRole.join(', ')}` });
+    }
+
+    const raw = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const result = await db.query(
+      'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [req.user.id, name.trim(), hashToken(raw), raw.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(Array.from(new Set(scopes))), expires]
+    );
+    // The only time the token itself is sent
+    res.status(201).json({ ...toTokenResponse(result.rows[0]), token: raw });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/tokens/:id', requireSession, requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM api_tokens WHERE id = $1 AND user_id = $2', [parseInt(req.params.id), req.user.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM users ORDER BY username ASC');
+    res.json(result.rows.map(toUserResponse));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body;
+    const invalid = validateCredentials(username, password);
+    if (invalid || !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: invalid || 'Invalid role' });
+    }
+    const existing = await db.query('SELECT id FROM users WHERE LOWER(username) = LOWER($1)', [username.trim()]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'That username is taken' });
+    }
+
+    const result = await db.query(
+      'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING *',
+      [username.trim(), await hashPassword(password), role]
+    );
+    res.status(201).json(toUserResponse(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// The last enabled admin cannot be demoted, disabled or deleted, and nobody
+// can do that to themselves
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role, password, disabled } = req.body;
+    if ((role !== undefined && !USER_ROLES.includes(role)) ||
+        (password !== undefined && (typeof password !== 'string' || password.length < 8)) ||
+        (disabled !== undefined && typeof disabled !== 'boolean')) {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+    const existing = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+    const user = existing.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const losesAdmin = user.role === 'admin' && !user.disabled && ((role && role !== 'admin') || disabled === true);
+    if (losesAdmin && id === req.user.id) {
+      return res.status(409).json({ error: 'You cannot demote or disable yourself' });
+    }
+    if (losesAdmin && await countUsers('admin') <= 1) {
+      return res.status(409).json({ error: 'This is the last admin' });
+    }
+
+    const result = await db.query(
+      'UPDATE users SET role = $1, disabled = $2, password_hash = $3 WHERE id = $4 RETURNING *',
+      [role ?? user.role, disabled ?? user.disabled, password ? await hashPassword(password) : user.password_hash, id]
+    );
+    if (password || disabled === true) {
+      await deleteUserSessions(id);
+    }
+    res.json(toUserResponse(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (id === req.user.id) {
+      return res.status(409).json({ error: 'You cannot delete yourself' });
+    }
+    const existing = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+    const user = existing.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role === 'admin' && !user.disabled && await countUsers('admin') <= 1) {
+      return res.status(409).json({ error: 'This is the last admin' });
+    }
+
+    await deleteUserSessions(id);
+    await db.query('DELETE FROM api_tokens WHERE user_id = $1', [id]);
+    await db.query('DELETE FROM users WHERE id = $1', [id]);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', requireRole('viewer'), express.static(path.join(__dirname, 'uploads')));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -190,16 +808,39 @@ app.get('/api/videos', async (req, res) => {
   }
 });
 
-app.post('/api/videos', upload.single('video'), async (req, res) => {
+app.post('/api/videos', requireRole('operator'), upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
     }
 
     const { title } = req.body;
-    const filename = req.file.filename;
     const fileSize = req.file.size;
-    
+
+    // 'ask' (default) answers 409 when the content is already in the library,
+    // 'existing' returns the video already there, 'new' adds another entry
+    const mode = req.body.duplicate || 'ask';
+    if (!['ask', 'existing', 'new'].includes(mode)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'duplicate must be one of: ask, existing, new' });
+    }
+
+    const contentHash = await hashFile(req.file.path);
+    const duplicates = await db.query('SELECT * FROM videos WHERE content_hash = $1 ORDER BY id', [contentHash]);
+    if (duplicates.rows.length > 0 && mode !== 'new') {
+      fs.unlinkSync(req.file.path);
+      if (mode === 'ask') {
+        return res.status(409).json({
+          error: 'This file is already in the library',
+          contentHash,
+          duplicates: duplicates.rows.map(toVideoResponse)
+        });
+      }
+      return res.json(toVideoResponse(duplicates.rows[0]));
+    }
+
+    const filename = storeFile(req.file.path, contentHash, req.file.originalname);
+
     // Get next playlist order
     const orderResult = await db.query('SELECT COALESCE(MAX(playlist_order), 0) + 1 as next_order FROM videos');
     const playlistOrder = orderResult.rows[0].next_order;
@@ -210,28 +851,19 @@ app.post('/api/videos', upload.single('video'), async (req, res) => {
 
     // Insert video record
     const result = await db.query(
-      'INSERT INTO videos (title, filename, file_size, duration, playlist_order, uploaded_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING *',
-      [title || 'Untitled Video', filename, fileSize, duration, playlistOrder]
+      'INSERT INTO videos (title, filename, file_size, duration, playlist_order, content_hash, uploaded_at) VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *',
+      [title || 'Untitled Video', filename, fileSize, duration, playlistOrder, contentHash]
     );
 
     // Convert snake_case to camelCase for frontend compatibility
-    const video = result.rows[0];
-    res.json({
-      id: video.id,
-      title: video.title,
-      filename: video.filename,
-      fileSize: video.file_size,
-      duration: video.duration,
-      playlistOrder: video.playlist_order,
-      uploadedAt: video.uploaded_at
-    });
+    res.json(toVideoResponse(result.rows[0]));
   } catch (error) {
     console.error('Error uploading video:', error);
     res.status(500).json({ error: 'Failed to upload video' });
   }
 });
 
-app.put('/api/videos/:id', async (req, res) => {
+app.put('/api/videos/:id', requireRole('operator'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title } = req.body;
@@ -266,7 +898,7 @@ app.put('/api/videos/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/videos/:id', async (req, res) => {
+app.delete('/api/videos/:id', requireRole('operator'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -277,15 +909,16 @@ app.delete('/api/videos/:id', async (req, res) => {
     }
 
     const video = videoResult.rows[0];
-    
-    // Delete file
-    const filePath = path.join(__dirname, 'uploads', video.filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
 
     // Delete from database
     await db.query('DELETE FROM videos WHERE id = $1', [id]);
+
+    // Delete the file once no other video shares it
+    const shared = await db.query('SELECT COUNT(*)::integer AS count FROM videos WHERE filename = $1', [video.filename]);
+    const filePath = path.join(__dirname, 'uploads', video.filename);
+    if (shared.rows[0].count === 0 && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
     
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
@@ -313,6 +946,7 @@ app.get('/api/stream-status', async (req, res) => {
         id: status.id,
         status: status.status,
         viewerCount: status.viewer_count,
+        peakViewerCount: status.peak_viewer_count,
         uptime: status.uptime,
         currentVideoId: status.current_video_id,
         startedAt: status.started_at,
@@ -325,7 +959,7 @@ app.get('/api/stream-status', async (req, res) => {
   }
 });
 
-app.get('/api/stream-config', async (req, res) => {
+app.get('/api/stream-config', requireRole('operator'), async (req, res) => {
   try {
     if (!db) throw new Error('Database not available');
     const result = await db.query('SELECT * FROM stream_configs WHERE is_active = true ORDER BY id DESC LIMIT 1');
@@ -345,7 +979,7 @@ app.get('/api/stream-config', async (req, res) => {
       res.json({
         id: config.id,
         platform: config.platform,
-        streamKey: config.stream_key,
+        streamKey: maskSecret(decryptSecret(config.stream_key)),
         rtmpUrl: config.rtmp_url,
         resolution: config.resolution,
         framerate: config.framerate,
@@ -360,9 +994,16 @@ app.get('/api/stream-config', async (req, res) => {
   }
 });
 
-app.post('/api/stream-config', async (req, res) => {
+app.post('/api/stream-config', requireRole('operator'), async (req, res) => {
   try {
     const { platform, streamKey, rtmpUrl, resolution, framerate, bitrate, audioQuality } = req.body;
+
+    // The form sends the masked key back when it was left alone
+    let storedKey = encryptSecret(streamKey);
+    if (isMaskedSecret(streamKey)) {
+      const current = await db.query('SELECT stream_key FROM stream_configs WHERE is_active = true ORDER BY id DESC LIMIT 1');
+      storedKey = current.rows[0]?.stream_key || '';
+    }
     
     // Deactivate existing configs
     await db.query('UPDATE stream_configs SET is_active = false');
@@ -370,17 +1011,17 @@ app.post('/api/stream-config', async (req, res) => {
     // Insert new config
     const result = await db.query(
       'INSERT INTO stream_configs (platform, stream_key, rtmp_url, resolution, framerate, bitrate, audio_quality, is_active) VALUES ($1, $2, $3, $4, $5, $6, $7, true) RETURNING *',
-      [platform, streamKey, rtmpUrl, resolution, framerate, bitrate, audioQuality]
+      [platform, storedKey, rtmpUrl, resolution, framerate, bitrate, audioQuality]
     );
     
-    res.json(result.rows[0]);
+    res.json({ ...result.rows[0], stream_key: maskSecret(decryptSecret(storedKey)) });
   } catch (error) {
     console.error('Error saving stream config:', error);
     res.status(500).json({ error: 'Failed to save stream config' });
   }
 });
 
-app.get('/api/system-config', async (req, res) => {
+app.get('/api/system-config', requireRole('admin'), async (req, res) => {
   try {
     if (!db) throw new Error('Database not available');
     const result = await db.query('SELECT * FROM system_configs ORDER BY id DESC LIMIT 1');
@@ -391,9 +1032,9 @@ app.get('/api/system-config', async (req, res) => {
         'INSERT INTO system_configs (rtmp_port, web_port, db_host, db_port, db_name, use_external_db) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
         [1935, 5000, 'localhost', 5432, 'streaming_db', false]
       );
-      res.json(defaultConfig.rows[0]);
+      res.json(maskSystemConfig(defaultConfig.rows[0]));
     } else {
-      res.json(result.rows[0]);
+      res.json(maskSystemConfig(result.rows[0]));
     }
   } catch (error) {
     console.error('Error fetching system config:', error);
@@ -402,7 +1043,7 @@ app.get('/api/system-config', async (req, res) => {
 });
 
 // Enhanced streaming endpoints with RTMP manager integration
-app.post('/api/stream/start', async (req, res) => {
+app.post('/api/stream/start', requireRole('operator'), async (req, res) => {
   try {
     // Get current stream status to check for selected video
     const statusResult = await db.query('SELECT * FROM stream_status ORDER BY id DESC LIMIT 1');
@@ -429,7 +1070,7 @@ app.post('/api/stream/start', async (req, res) => {
     // Build streaming configuration
     const rtmpConfig = {
       platform: streamConfig.platform,
-      streamKey: streamConfig.stream_key,
+      streamKey: decryptSecret(streamConfig.stream_key),
       rtmpUrl: streamConfig.rtmp_url,
       resolution: streamConfig.resolution,
       framerate: streamConfig.framerate,
@@ -457,7 +1098,7 @@ app.post('/api/stream/start', async (req, res) => {
   }
 });
 
-app.post('/api/stream/stop', async (req, res) => {
+app.post('/api/stream/stop', requireRole('operator'), async (req, res) => {
   try {
     // Stop all RTMP streams
     await rtmpManager.stopAllStreams();
@@ -476,7 +1117,7 @@ app.post('/api/stream/stop', async (req, res) => {
   }
 });
 
-app.post('/api/stream/set-current', async (req, res) => {
+app.post('/api/stream/set-current', requireRole('operator'), async (req, res) => {
   try {
     const { videoId } = req.body;
     
@@ -508,7 +1149,7 @@ app.post('/api/stream/set-current', async (req, res) => {
   }
 });
 
-app.post('/api/stream/restart', async (req, res) => {
+app.post('/api/stream/restart', requireRole('operator'), async (req, res) => {
   try {
     // Get current stream status to check for selected video
     const statusResult = await db.query('SELECT * FROM stream_status ORDER BY id DESC LIMIT 1');
@@ -534,7 +1175,7 @@ app.post('/api/stream/restart', async (req, res) => {
         if (streamConfig) {
           const rtmpConfig = {
             platform: streamConfig.platform,
-            streamKey: streamConfig.stream_key,
+            streamKey: decryptSecret(streamConfig.stream_key),
             rtmpUrl: streamConfig.rtmp_url,
             resolution: streamConfig.resolution,
             framerate: streamConfig.framerate,
@@ -562,7 +1203,7 @@ app.post('/api/stream/restart', async (req, res) => {
   }
 });
 
-app.post('/api/stream/loop/enable', async (req, res) => {
+app.post('/api/stream/loop/enable', requireRole('operator'), async (req, res) => {
   try {
     await db.query('UPDATE stream_status SET loop_playlist = true');
     rtmpManager.setLoopEnabled(true);
@@ -573,7 +1214,7 @@ app.post('/api/stream/loop/enable', async (req, res) => {
   }
 });
 
-app.post('/api/stream/loop/disable', async (req, res) => {
+app.post('/api/stream/loop/disable', requireRole('operator'), async (req, res) => {
   try {
     await db.query('UPDATE stream_status SET loop_playlist = false');
     rtmpManager.setLoopEnabled(false);
@@ -599,7 +1240,7 @@ app.get('/api/stream/loop/status', async (req, res) => {
   }
 });
 
-app.post('/api/stream/loop/enable', async (req, res) => {
+app.post('/api/stream/loop/enable', requireRole('operator'), async (req, res) => {
   try {
     // Update database
     await db.query('UPDATE stream_status SET loop_playlist = true WHERE id = (SELECT MAX(id) FROM stream_status)');
@@ -613,6 +1254,7 @@ app.post('/api/stream/loop/enable', async (req, res) => {
       id: status.id,
       status: status.status,
       viewerCount: status.viewer_count,
+      peakViewerCount: status.peak_viewer_count,
       uptime: status.uptime,
       currentVideoId: status.current_video_id,
       startedAt: status.started_at,
@@ -624,7 +1266,7 @@ app.post('/api/stream/loop/enable', async (req, res) => {
   }
 });
 
-app.post('/api/stream/loop/disable', async (req, res) => {
+app.post('/api/stream/loop/disable', requireRole('operator'), async (req, res) => {
   try {
     // Update database
     await db.query('UPDATE stream_status SET loop_playlist = false WHERE id = (SELECT MAX(id) FROM stream_status)');
@@ -638,6 +1280,7 @@ app.post('/api/stream/loop/disable', async (req, res) => {
       id: status.id,
       status: status.status,
       viewerCount: status.viewer_count,
+      peakViewerCount: status.peak_viewer_count,
       uptime: status.uptime,
       currentVideoId: status.current_video_id,
       startedAt: status.started_at,
@@ -650,7 +1293,7 @@ app.post('/api/stream/loop/disable', async (req, res) => {
 });
 
 // FFmpeg test endpoint  
-app.post('/api/stream/test', async (req, res) => {
+app.post('/api/stream/test', requireRole('operator'), async (req, res) => {
   try {
     // Test FFmpeg availability
     let spawn;
@@ -725,7 +1368,27 @@ app.post('/api/stream/test', async (req, res) => {
   }
 });
 
-// RTMP webhook endpoints for nginx-rtmp module integration
+// RTMP webhook endpoints for nginx-rtmp module integration. They and the HLS
+// mirror trust what nginx says about the client, so only nginx may call them:
+// with NGINX_CALLBACK_SECRET, callers send it as X-Callback-Secret or ?secret=;
+// otherwise only direct loopback connections without X-Forwarded-For count.
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+app.use(['/api/rtmp', '/api/hls'], (req, res, next) => {
+  const secret = process.env.NGINX_CALLBACK_SECRET;
+  let allowed;
+  if (secret) {
+    const sent = req.get('X-Callback-Secret') || (typeof req.query.secret === 'string' ? req.query.secret : '');
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    allowed = crypto.timingSafeEqual(digest(sent), digest(secret));
+  } else {
+    allowed = LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress || '') && req.get('X-Forwarded-For') === undefined;
+  }
+  if (!allowed) {
+    return res.status(403).json({ error: 'Not an nginx callback' });
+  }
+  next();
+});
+
 app.post('/api/rtmp/publish', async (req, res) => {
   try {
     console.log('RTMP Publish started:', req.body);
@@ -736,9 +1399,14 @@ app.post('/api/rtmp/publish', async (req, res) => {
   }
 });
 
+// nginx-rtmp sends addr, clientid and name as form fields; any non-2xx reply would refuse the player
 app.post('/api/rtmp/play', async (req, res) => {
   try {
     console.log('RTMP Play started:', req.body);
+    const { clientid, addr, name } = req.body || {};
+    if (clientid !== undefined) {
+      await viewerTracker.rtmpPlay(String(clientid), addr || req.ip || 'unknown', name || null);
+    }
     res.status(200).send('OK');
   } catch (error) {
     console.error('RTMP play webhook error:', error);
@@ -759,6 +1427,9 @@ app.post('/api/rtmp/publish_done', async (req, res) => {
 app.post('/api/rtmp/play_done', async (req, res) => {
   try {
     console.log('RTMP Play ended:', req.body);
+    if (req.body && req.body.clientid !== undefined) {
+      await viewerTracker.rtmpPlayDone(String(req.body.clientid));
+    }
     res.status(200).send('OK');
   } catch (error) {
     console.error('RTMP play_done webhook error:', error);
@@ -766,6 +1437,47 @@ app.post('/api/rtmp/play_done', async (req, res) => {
   }
 });
 
+// nginx mirrors every /hls request here (see nginx-standalone.conf); only segments count as watching
+app.get('/api/hls/segment', async (req, res) => {
+  try {
+    const uri = (req.get('X-Original-URI') || '').split('?')[0];
+    const segment = uri.match(/\/([^/]+?)(?:-\d+)?\.ts$/);
+    if (segment) {
+      const clientIp = req.get('X-Real-IP') || req.ip || 'unknown';
+      await viewerTracker.hlsSegment(clientIp, segment[1], req.get('User-Agent') || null);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('HLS viewer tracking error:', error);
+    res.status(500).json({ error: 'Failed to record HLS request' });
+  }
+});
+
+app.get('/api/viewers', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not available');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const result = await db.query('SELECT * FROM viewer_sessions ORDER BY started_at DESC LIMIT $1', [limit]);
+    res.json({
+      ...viewerTracker.getCounts(),
+      sessions: result.rows.map(session => ({
+        id: session.id,
+        protocol: session.protocol,
+        clientId: session.client_id,
+        clientIp: session.client_ip,
+        streamName: session.stream_name,
+        userAgent: session.user_agent,
+        startedAt: session.started_at,
+        endedAt: session.ended_at,
+        durationSeconds: session.duration_seconds
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching viewers:', error);
+    res.status(500).json({ error: 'Failed to fetch viewers' });
+  }
+});
+
 app.post('/api/rtmp/record_done', async (req, res) => {
   try {
     console.log('RTMP Recording finished:', req.body);
@@ -776,7 +1488,7 @@ app.post('/api/rtmp/record_done', async (req, res) => {
   }
 });
 
-app.post('/api/videos/reorder', async (req, res) => {
+app.post('/api/videos/reorder', requireRole('operator'), async (req, res) => {
   try {
     const { videoIds, updates } = req.body;
     
@@ -806,9 +1518,16 @@ app.post('/api/videos/reorder', async (req, res) => {
   }
 });
 
-app.post('/api/system-config', async (req, res) => {
+app.post('/api/system-config', requireRole('admin'), async (req, res) => {
   try {
     const { rtmpPort, webPort, dbHost, dbPort, dbName, dbUser, dbPassword, useExternalDb } = req.body;
+
+    // A masked password means the stored one stays
+    let storedPassword = encryptSecret(dbPassword);
+    if (isMaskedSecret(dbPassword)) {
+      const current = await db.query('SELECT db_password FROM system_configs ORDER BY id DESC LIMIT 1');
+      storedPassword = current.rows[0]?.db_password || '';
+    }
     
     // Update existing config or create new one
     const result = await db.query(`
@@ -825,17 +1544,42 @@ app.post('/api/system-config', async (req, res) => {
         use_external_db = EXCLUDED.use_external_db,
         updated_at = NOW()
       RETURNING *
-    `, [rtmpPort, webPort, dbHost, dbPort, dbName, dbUser, dbPassword, useExternalDb]);
+    `, [rtmpPort, webPort, dbHost, dbPort, dbName, dbUser, storedPassword, useExternalDb]);
     
-    res.json(result.rows[0]);
+    res.json(maskSystemConfig(result.rows[0]));
   } catch (error) {
     console.error('Error updating system config:', error);
     res.status(500).json({ error: 'Failed to update system config' });
   }
 });
 
+// The one way to read a secret back in full
+app.post('/api/secrets/reveal', requireRole('admin'), async (req, res) => {
+  try {
+    const { kind } = req.body;
+    let result;
+    if (kind === 'stream-config') {
+      result = await db.query('SELECT stream_key AS value FROM stream_configs WHERE is_active = true ORDER BY id DESC LIMIT 1');
+    } else if (kind === 'system-config') {
+      result = await db.query('SELECT db_password AS value FROM system_configs ORDER BY id DESC LIMIT 1');
+    } else {
+      return res.status(400).json({ error: 'kind must be one of stream-config, system-config' });
+    }
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+
+    console.log(`${req.user.username} revealed the ${kind} secret`);
+    res.set('Cache-Control', 'no-store');
+    res.json({ value: decryptSecret(result.rows[0].value) });
+  } catch (error) {
+    console.error('Error revealing secret:', error);
+    res.status(500).json({ error: 'Failed to reveal secret' });
+  }
+});
+
 // Database management endpoints
-app.post('/api/database/install', async (req, res) => {
+app.post('/api/database/install', requireRole('admin'), async (req, res) => {
   try {
     // Reinitialize database schema
     await initializeDatabase();
@@ -858,7 +1602,7 @@ app.post('/api/database/install', async (req, res) => {
   }
 });
 
-app.post('/api/database/backup', async (req, res) => {
+app.post('/api/database/backup', requireRole('admin'), async (req, res) => {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `backup-${timestamp}.sql`;
@@ -871,8 +1615,9 @@ app.post('/api/database/backup', async (req, res) => {
     
     const backupPath = path.join(backupDir, filename);
     
-    // Simple backup by exporting data as INSERT statements
-    const tables = ['videos', 'streamConfigs', 'streamStatus', 'systemConfigs'];
+    // Simple backup by exporting data as INSERT statements. Secrets go in
+    // encrypted, as they are stored.
+    const tables = ['videos', 'stream_configs', 'stream_status', 'system_configs', 'users', 'api_tokens'];
     let backupSQL = '-- Sa Plays Roblox Streamer Database Backup\n';
     backupSQL += `-- Generated on ${new Date().toISOString()}\n\n`;
     
@@ -887,6 +1632,7 @@ app.post('/api/database/backup', async (req, res) => {
               if (v === null) return 'NULL';
               if (typeof v === 'string') return `'${v.replace(/'/g, "''")}'`;
               if (v instanceof Date) return `'${v.toISOString()}'`;
+              if (typeof v === 'object') return `'${JSON.stringify(v).replace(/'/g, "''")}'`;
               return `'${String(v)}'`;
             }).join(', ');
             backupSQL += `INSERT INTO "${table}" (${columns}) VALUES (${values});\n`;
@@ -919,7 +1665,7 @@ app.post('/api/database/backup', async (req, res) => {
   }
 });
 
-app.get('/api/database/backups', async (req, res) => {
+app.get('/api/database/backups', requireRole('admin'), async (req, res) => {
   try {
     const backupDir = path.join(__dirname, 'backups');
     
@@ -951,7 +1697,7 @@ app.get('/api/database/backups', async (req, res) => {
   }
 });
 
-app.post('/api/database/restore', upload.single('backupFile'), async (req, res) => {
+app.post('/api/database/restore', requireRole('admin'), upload.single('backupFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No backup file provided' });
@@ -985,6 +1731,9 @@ app.post('/api/database/restore', upload.single('backupFile'), async (req, res)
     
     // Clean up uploaded file
     fs.unlinkSync(backupPath);
+
+    // Backups from before encryption carry plaintext secrets
+    await encryptStoredSecrets();
     
     res.json({ 
       message: 'Database restored successfully',
@@ -1006,7 +1755,7 @@ app.post('/api/database/restore', upload.single('backupFile'), async (req, res)
   }
 });
 
-app.delete('/api/database/backups/:filename', async (req, res) => {
+app.delete('/api/database/backups/:filename', requireRole('admin'), async (req, res) => {
   try {
     const filename = req.params.filename;
     const backupPath = path.join(__dirname, 'backups', filename);
@@ -1092,7 +1841,9 @@ class RTMPStreamManager {
       // Build FFmpeg command for streaming
       const ffmpegArgs = this.buildFFmpegArgs(videoPath, fullRtmpUrl, config);
       
-      console.log(`FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
+      // The command line carries the stream key
+      const loggedArgs = ffmpegArgs.map(arg => config.streamKey ? arg.split(config.streamKey).join(maskSecret(config.streamKey)) : arg);
+      console.log(`FFmpeg command: ffmpeg ${loggedArgs.join(' ')}`);
 
       // Try to load child_process
       let spawn;
@@ -1283,7 +2034,7 @@ class RTMPStreamManager {
           // Start streaming the next video
           await this.startStream(nextVideo.id, {
             platform: streamConfig.platform,
-            streamKey: streamConfig.stream_key,
+            streamKey: decryptSecret(streamConfig.stream_key),
             rtmpUrl: streamConfig.rtmp_url,
             resolution: streamConfig.resolution,
             framerate: streamConfig.framerate,
@@ -1455,33 +2206,26 @@ class RTMPStreamManager {
     // Clear any existing interval
     this.stopUptimeTracking();
     
-    // Update uptime every 5 seconds with enhanced status tracking
+    // The peak is per broadcast
+    viewerTracker.resetPeak();
+    
+    // Update uptime and real viewer counts every 5 seconds
     this.uptimeInterval = setInterval(async () => {
       if (this.streamStartTime && this.activeStreams.size > 0) {
         const uptimeMs = Date.now() - this.streamStartTime.getTime();
         const uptimeString = this.formatUptime(uptimeMs);
+        const viewers = viewerTracker.getCounts();
         
         try {
-          // Get current stream status
-          const currentStatus = await db.query('SELECT * FROM stream_status ORDER BY id DESC LIMIT 1');
-          const status = currentStatus.rows[0];
-          
-          if (status && status.status === 'live') {
-            // Enhanced viewer count simulation for demonstration (can be set to 0 for real streams)
-            const baseViewers = 50;
-            const randomVariation = Math.floor(Math.random() * 100) - 50; // +/- 50 viewers
-            const viewerCount = Math.max(0, baseViewers + randomVariation);
-            
-            await db.query(
-              'UPDATE stream_status SET uptime = $1, viewer_count = $2 WHERE id = (SELECT MAX(id) FROM stream_status)',
-              [uptimeString, viewerCount]
-            );
-          }
+          await db.query(
+            "UPDATE stream_status SET uptime = $1, viewer_count = $2, peak_viewer_count = $3 WHERE id = (SELECT MAX(id) FROM stream_status) AND status = 'live'",
+            [uptimeString, viewers.current, viewers.peak]
+          );
         } catch (error) {
-          console.error('Error updating enhanced uptime and viewer count:', error);
+          console.error('Error updating uptime and viewer count:', error);
         }
       }
-    }, 5000); // Update every 5 seconds like main Replit version
+    }, 5000);
   }
 
   stopUptimeTracking() {
@@ -1533,6 +2277,120 @@ class RTMPStreamManager {
   }
 }
 
+// HLS has no disconnect callback; a viewer is gone once segment requests stop
+const HLS_IDLE_TIMEOUT_MS = 30000;
+
+// Tracks real viewers: RTMP players via the nginx-rtmp on_play/on_play_done
+// callbacks, HLS players via their segment requests
+class ViewerTracker {
+  constructor() {
+    this.viewers = new Map();
+    this.peak = 0;
+    this.sweepInterval = null;
+  }
+
+  async start() {
+    try {
+      // Sessions left open by a previous run can no longer be tracked
+      await db.query(
+        'UPDATE viewer_sessions SET ended_at = NOW(), duration_seconds = GREATEST(0, EXTRACT(EPOCH FROM (NOW() - started_at))::integer) WHERE ended_at IS NULL'
+      );
+    } catch (error) {
+      console.error('Failed to close stale viewer sessions:', error);
+    }
+
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => this.sweepIdleHls(), 10000);
+    }
+  }
+
+  getCounts() {
+    return { current: this.viewers.size, peak: this.peak };
+  }
+
+  resetPeak() {
+    this.peak = this.viewers.size;
+  }
+
+  async rtmpPlay(clientId, clientIp, streamName) {
+    await this.open(`rtmp:${clientId}`, 'rtmp', clientId, clientIp, streamName, null);
+  }
+
+  async rtmpPlayDone(clientId) {
+    await this.close(`rtmp:${clientId}`, new Date());
+  }
+
+  async hlsSegment(clientIp, streamName, userAgent) {
+    const clientId = `${clientIp}|${userAgent || ''}`;
+    const viewer = this.viewers.get(`hls:${clientId}`);
+    if (viewer) {
+      viewer.lastSeen = new Date();
+      return;
+    }
+    await this.open(`hls:${clientId}`, 'hls', clientId, clientIp, streamName, userAgent);
+  }
+
+  async open(key, protocol, clientId, clientIp, streamName, userAgent) {
+    if (this.viewers.has(key)) return;
+
+    const now = new Date();
+    const viewer = { sessionId: null, protocol, startedAt: now, lastSeen: now, ended: false };
+    this.viewers.set(key, viewer);
+    this.peak = Math.max(this.peak, this.viewers.size);
+
+    try {
+      const result = await db.query(
+        'INSERT INTO viewer_sessions (protocol, client_id, client_ip, stream_name, user_agent, started_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        [protocol, clientId, clientIp, streamName, userAgent, now]
+      );
+      viewer.sessionId = result.rows[0].id;
+
+      // The viewer may have left while the row was being written
+      if (viewer.ended) {
+        await this.persistEnd(viewer);
+      }
+    } catch (error) {
+      console.error(`Failed to record ${protocol} viewer session:`, error);
+    }
+  }
+
+  async close(key, endedAt) {
+    const viewer = this.viewers.get(key);
+    if (!viewer) return;
+
+    this.viewers.delete(key);
+    viewer.ended = true;
+    viewer.lastSeen = endedAt;
+
+    if (viewer.sessionId !== null) {
+      await this.persistEnd(viewer);
+    }
+  }
+
+  async persistEnd(viewer) {
+    const durationSeconds = Math.max(0, Math.round((viewer.lastSeen.getTime() - viewer.startedAt.getTime()) / 1000));
+    try {
+      await db.query(
+        'UPDATE viewer_sessions SET ended_at = $1, duration_seconds = $2 WHERE id = $3',
+        [viewer.lastSeen, durationSeconds, viewer.sessionId]
+      );
+    } catch (error) {
+      console.error(`Failed to close viewer session ${viewer.sessionId}:`, error);
+    }
+  }
+
+  sweepIdleHls() {
+    const cutoff = Date.now() - HLS_IDLE_TIMEOUT_MS;
+    for (const [key, viewer] of this.viewers) {
+      if (viewer.protocol === 'hls' && viewer.lastSeen.getTime() < cutoff) {
+        // The session ended with the last segment it fetched
+        this.close(key, viewer.lastSeen);
+      }
+    }
+  }
+}
+
+const viewerTracker = new ViewerTracker();
 const rtmpManager = new RTMPStreamManager();
 
 // Initialize database tables
@@ -1580,6 +2438,23 @@ async function initializeDatabase() {
       )
     `);
 
+    await db.query('ALTER TABLE stream_status ADD COLUMN IF NOT EXISTS peak_viewer_count INTEGER DEFAULT 0');
+    await db.query('ALTER TABLE videos ADD COLUMN IF NOT EXISTS content_hash TEXT');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS viewer_sessions (
+        id SERIAL PRIMARY KEY,
+        protocol TEXT NOT NULL,
+        client_id TEXT NOT NULL,
+        client_ip TEXT NOT NULL,
+        stream_name TEXT,
+        user_agent TEXT,
+        started_at TIMESTAMP DEFAULT NOW(),
+        ended_at TIMESTAMP,
+        duration_seconds INTEGER
+      )
+    `);
+
     await db.query(`
       CREATE TABLE IF NOT EXISTS system_configs (
         id SERIAL PRIMARY KEY,
@@ -1595,6 +2470,43 @@ async function initializeDatabase() {
       )
     `);
 
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        disabled BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_login_at TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        sid VARCHAR PRIMARY KEY,
+        sess JSON NOT NULL,
+        expire TIMESTAMP(6) NOT NULL
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS "IDX_user_sessions_expire" ON user_sessions (expire)');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scopes JSONB NOT NULL DEFAULT '[]',
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await db.query('DELETE FROM user_sessions WHERE expire < NOW()');
+
     console.log('Database tables initialized');
     
     // Initialize default data if tables are empty
@@ -1609,6 +2521,20 @@ async function initializeDatabase() {
       await db.query('INSERT INTO system_configs (rtmp_port, web_port) VALUES ($1, $2)', [1935, 5000]);
       console.log('Default system configuration initialized');
     }
+
+    // First admin from ADMIN_USERNAME and ADMIN_PASSWORD; without them the
+    // first visit to the dashboard creates it
+    if (await countUsers() === 0) {
+      const username = process.env.ADMIN_USERNAME;
+      const password = process.env.ADMIN_PASSWORD;
+      const invalid = username && password ? validateCredentials(username, password) : 'not set';
+      if (!invalid) {
+        await db.query("INSERT INTO users (username, password_hash, role) VALUES ($1, $2, 'admin')", [username.trim(), await hashPassword(password)]);
+        console.log(`Created admin user ${username.trim()}`);
+      } else {
+        console.log(`No users yet (ADMIN_USERNAME/ADMIN_PASSWORD ${invalid}): the first visit to the dashboard creates the admin account`);
+      }
+    }
     
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -1624,6 +2550,17 @@ async function startServer() {
     
     // Initialize database on startup
     await initializeDatabase();
+    if (db) {
+      try {
+        const sealed = await encryptStoredSecrets();
+        if (sealed > 0) {
+          console.log(`Encrypted ${sealed} secret(s) that were stored in plaintext`);
+        }
+      } catch (error) {
+        console.error('Failed to encrypt stored secrets:', error);
+      }
+      await viewerTracker.start();
+    }
     
     console.log('Server startup complete - ready for streaming!');
   });
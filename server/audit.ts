@@ -0,0 +1,207 @@
+import type { Request, Response, NextFunction } from 'express';
+import { storage } from './storage';
+import { toPublicUser } from './auth';
+import { toCsv } from './reports';
+import { SECRET_MASK, type AuditLogEntry, type AuditTargetType } from '@shared/schema';
+
+type Snapshot = Record<string, unknown>;
+
+interface AuditTarget {
+  pattern: RegExp; // matched against the request path; the first group is the target id
+  type: AuditTargetType;
+  // Loads the target's current state, so the entry can show what changed
+  load?: (id: string | undefined) => Promise<object | undefined>;
+  // Record the (masked) request body instead of the response, for routes whose
+  // response is the secret itself or says nothing useful
+  recordRequest?: boolean;
+}
+
+// First match wins, so specific paths come before their prefixes
+const AUDIT_TARGETS: AuditTarget[] = [
+  { pattern: /^\/api\/stream-config$/, type: 'stream-config', load: () => storage.getStreamConfig() },
+  { pattern: /^\/api\/stream\//, type: 'stream', load: () => storage.getStreamStatus() },
+  { pattern: /^\/api\/destinations\/(\d+)/, type: 'destination', load: id => storage.getStreamDestination(Number(id)) },
+  { pattern: /^\/api\/destinations/, type: 'destination' },
+  { pattern: /^\/api\/system-config$/, type: 'system-config', load: () => storage.getSystemConfig() },
+  { pattern: /^\/api\/videos\/(\d+)/, type: 'video', load: id => storage.getVideo(Number(id)) },
+  { pattern: /^\/api\/videos/, type: 'video' },
+  { pattern: /^\/api\/uploads\/([\w-]+)/, type: 'upload' },
+  { pattern: /^\/api\/uploads/, type: 'upload' },
+  { pattern: /^\/api\/jobs\/(\d+)/, type: 'job', load: id => storage.getMediaJob(Number(id)) },
+  { pattern: /^\/api\/jobs/, type: 'job' },
+  { pattern: /^\/api\/playlists\/(\d+)/, type: 'playlist', load: loadPlaylist },
+  { pattern: /^\/api\/playlists/, type: 'playlist' },
+  { pattern: /^\/api\/schedule\/(\d+)/, type: 'schedule', load: id => storage.getScheduleEntry(Number(id)) },
+  { pattern: /^\/api\/schedule/, type: 'schedule' },
+  { pattern: /^\/api\/storage\//, type: 'storage' },
+  { pattern: /^\/api\/database\/backups\/([^/]+)/, type: 'database' },
+  { pattern: /^\/api\/database\//, type: 'database' },
+  { pattern: /^\/api\/users\/(\d+)/, type: 'user', load: async id => {
+    const user = await storage.getUser(Number(id));
+    return user && toPublicUser(user);
+  } },
+  { pattern: /^\/api\/users/, type: 'user' },
+  { pattern: /^\/api\/tokens\/(\d+)/, type: 'api-token' },
+  { pattern: /^\/api\/tokens/, type: 'api-token' },
+  { pattern: /^\/api\/webhooks\/(\d+)/, type: 'webhook', load: id => storage.getWebhook(Number(id)) },
+  { pattern: /^\/api\/webhooks/, type: 'webhook' },
+  { pattern: /^\/api\/secrets\//, type: 'secret', recordRequest: true },
+  { pattern: /^\/api\/auth\//, type: 'session', recordRequest: true },
+];
+
+// Machine traffic that is not anybody's action: nginx-rtmp callbacks and the
+// chunks of a resumable upload (its start and completion are recorded)
+const UNAUDITED_PATHS = [/^\/api\/rtmp\//, /^\/api\/hls\//, /^\/api\/uploads\/[^/]+\/chunk$/];
+// The only requests recorded without a login: logging in and first-run setup
+const ANONYMOUS_AUDIT_PATH = /^\/api\/auth\//;
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const SECRET_FIELD = /password|streamkey|secret|tokenhash|^token$/i;
+// Responses larger than this are summarized rather than stored
+const MAX_RECORDED_BYTES = 8 * 1024;
+
+async function loadPlaylist(id: string | undefined): Promise<object | undefined> {
+  const playlist = await storage.getPlaylist(Number(id));
+  if (!playlist) {
+    return undefined;
+  }
+  // Item order is what reorder and item edits change
+  const videos = await storage.getPlaylistVideos(playlist.id);
+  return { ...playlist, videoIds: videos.map(video => video.id) };
+}
+
+function maskSecrets(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(maskSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+      [key, SECRET_FIELD.test(key) && field ? SECRET_MASK : maskSecrets(field)]
+    ));
+  }
+  return value;
+}
+
+// Plain JSON, masked and bounded, or null
+function toSnapshot(value: unknown): Snapshot | null {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  if (json === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return { count: value.length };
+  }
+  if (json.length > MAX_RECORDED_BYTES) {
+    return { truncated: true, bytes: json.length };
+  }
+  const parsed = JSON.parse(json);
+  return typeof parsed === 'object' ? maskSecrets(parsed) as Snapshot : { value: parsed };
+}
+
+// Only the fields that changed, on both sides; a side that does not exist
+// (before a create, after a delete) is kept whole
+function diffSnapshots(before: Snapshot | null, after: Snapshot | null): { before: Snapshot | null; after: Snapshot | null } {
+  if (!before || !after) {
+    return { before, after };
+  }
+  const changed = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  if (changed.length === 0) {
+    return { before: null, after: null };
+  }
+  const pick = (snapshot: Snapshot) => Object.fromEntries(changed.filter(key => key in snapshot).map(key => [key, snapshot[key]]));
+  return { before: pick(before), after: pick(after) };
+}
+
+// Records every mutating /api request once it has been answered, successful
+// or not. Mounted before the routes; writing the entry never delays or fails
+// the response. Anonymous requests outside /api/auth/ are turned away by the
+// login guard and are neither loaded nor recorded, so they cannot fill the log.
+export async function auditTrail(req: Request, res: Response, next: NextFunction) {
+  const path = req.baseUrl + req.path;
+  if (!MUTATING_METHODS.includes(req.method) || UNAUDITED_PATHS.some(pattern => pattern.test(path))) {
+    return next();
+  }
+  if (!req.user && !ANONYMOUS_AUDIT_PATH.test(path)) {
+    return next();
+  }
+
+  const target = AUDIT_TARGETS.find(candidate => candidate.pattern.test(path));
+  const targetId = target ? path.match(target.pattern)?.[1] : undefined;
+  // Logout clears req.user before the response, so the actor is taken now
+  const actorAtStart = req.user;
+  const apiToken = req.apiToken;
+
+  let before: Snapshot | null = null;
+  if (target?.load) {
+    try {
+      before = toSnapshot(await target.load(targetId));
+    } catch (error) {
+      console.error(`Audit: could not load ${target.type} ${targetId ?? ''} before ${req.method} ${path}:`, error);
+    }
+  }
+
+  let responseBody: unknown;
+  const originalJson = res.json;
+  res.json = function (body, ...args) {
+    responseBody = body;
+    return originalJson.apply(res, [body, ...args]);
+  };
+
+  res.on('finish', async () => {
+    try {
+      const actor = actorAtStart ?? req.user;
+      const succeeded = res.statusCode < 400;
+
+      let after: Snapshot | null;
+      if (target?.recordRequest) {
+        after = toSnapshot(req.body && Object.keys(req.body).length > 0 ? req.body : null);
+      } else if (target?.load && succeeded) {
+        after = toSnapshot(await target.load(targetId));
+      } else {
+        after = toSnapshot(responseBody);
+      }
+      const changes = target?.load && succeeded && !target.recordRequest ? diffSnapshots(before, after) : { before, after };
+
+      const createdId = responseBody && typeof responseBody === 'object' && 'id' in responseBody ? String((responseBody as { id: unknown }).id) : undefined;
+      await storage.createAuditLogEntry({
+        actorId: actor?.id ?? null,
+        actorName: actor?.username ?? null,
+        apiTokenId: apiToken?.id ?? null,
+        action: `${req.method} ${req.route?.path ?? path}`,
+        targetType: target?.type ?? 'other',
+        targetId: targetId ?? (req.method === 'POST' && succeeded ? createdId : undefined) ?? (path === '/api/auth/login' ? req.body?.username : undefined) ?? null,
+        before: changes.before,
+        after: changes.after,
+        statusCode: res.statusCode,
+        ip: req.ip ?? null,
+      });
+    } catch (error) {
+      console.error(`Audit: failed to record ${req.method} ${path}:`, error);
+    }
+  });
+
+  next();
+}
+
+export function auditLogToCsv(entries: AuditLogEntry[]): string {
+  return toCsv(
+    ['id', 'created_at', 'actor', 'api_token_id', 'action', 'target_type', 'target_id', 'status', 'ip', 'before', 'after'],
+    entries.map(entry => [
+      entry.id,
+      entry.createdAt,
+      entry.actorName,
+      entry.apiTokenId,
+      entry.action,
+      entry.targetType,
+      entry.targetId,
+      entry.statusCode,
+      entry.ip,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null,
+    ]),
+  );
+}
@@ -0,0 +1,593 @@
+import type { Express, Request, Response, NextFunction, RequestHandler } from 'express';
+import type { IncomingMessage } from 'http';
+import type { Pool } from 'pg';
+import session from 'express-session';
+import connectPg from 'connect-pg-simple';
+import passport from 'passport';
+import { Strategy as LocalStrategy } from 'passport-local';
+import { scrypt, randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+import { storage } from './storage';
+import { pool, dbInitPromise } from './db';
+import { log } from './vite';
+import {
+  hasRole,
+  insertUserSchema,
+  updateUserSchema,
+  loginSchema,
+  insertApiTokenSchema,
+  API_TOKEN_SCOPE_ROLES,
+  type ApiToken,
+  type ApiTokenScope,
+  type PublicApiToken,
+  type User as SelectUser,
+  type PublicUser,
+  type UserRole,
+} from '@shared/schema';
+
+declare global {
+  namespace Express {
+    interface User extends SelectUser {}
+    interface Request {
+      apiToken?: ApiToken; // set when the request authenticated with a bearer token instead of a session
+    }
+  }
+}
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Failed logins for one username from one address before that pair has to
+// wait out the window. Keyed on both, so a stranger guessing passwords cannot
+// lock other people, or other addresses, out of an account.
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Above this many tracked pairs, expired ones are swept on the next failure
+const FAILED_LOGIN_SWEEP_SIZE = 1000;
+
+// Reached without a login: the login flow itself, and the callbacks nginx-rtmp
+// makes for publish/play events and HLS segment requests (those are limited
+// to nginx by requireNginxCallback)
+const PUBLIC_API_PATHS = ['/auth/', '/rtmp/', '/hls/segment'];
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Operator routes under these prefixes need the stream-control scope; the
+// rest (videos, uploads, jobs, playlists) need media-write
+const STREAM_CONTROL_PATHS = ['/api/stream', '/api/destinations', '/api/schedule'];
+const TOKEN_PREFIX = 'sap_';
+// How stale last-used tracking may get, so a busy bot is not a write per request
+const TOKEN_USE_RESOLUTION_MS = 60 * 1000;
+
+let sessionParser: RequestHandler | null = null;
+const failedLogins = new Map<string, { count: number; firstAt: number }>();
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString('hex');
+  const hash = (await scryptAsync(password, salt, 64)) as Buffer;
+  return `${hash.toString('hex')}.${salt}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [hash, salt] = stored.split('.');
+  if (!hash || !salt) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = (await scryptAsync(password, salt, 64)) as Buffer;
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export function toPublicUser({ passwordHash, ...user }: SelectUser): PublicUser {
+  return user;
+}
+
+export function toPublicApiToken({ tokenHash, ...token }: ApiToken): PublicApiToken {
+  return token;
+}
+
+function hashToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// The scope a token needs for a route guarded with `role`
+function requiredScope(role: UserRole, path: string): ApiTokenScope {
+  if (role === 'viewer') {
+    return 'read-only';
+  }
+  if (role === 'admin') {
+    return 'admin';
+  }
+  return STREAM_CONTROL_PATHS.some(prefix => path.startsWith(prefix)) ? 'stream-control' : 'media-write';
+}
+
+function tokenAllows(token: ApiToken, scope: ApiTokenScope): boolean {
+  return scope === 'read-only' || token.scopes.includes('admin') || token.scopes.includes(scope);
+}
+
+// Answers 401 without a login and 403 when the user's role is below `role`.
+// Bearer tokens also need the matching scope; the owner's role still applies.
+export function requireRole(role: UserRole): RequestHandler {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: "Not logged in" });
+    }
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ message: `This needs the ${role} role` });
+    }
+    if (req.apiToken) {
+      const scope = requiredScope(role, req.baseUrl + req.path);
+      if (!tokenAllows(req.apiToken, scope)) {
+        return res.status(403).json({ message: `This token needs the ${scope} scope` });
+      }
+    }
+    next();
+  };
+}
+
+// For the nginx-rtmp callbacks and the HLS mirror, which nginx makes from this
+// machine. With NGINX_CALLBACK_SECRET set, the caller must send it as the
+// X-Callback-Secret header or the `secret` query parameter. Without it, only
+// direct loopback connections count: nginx's public /api proxy also connects
+// from loopback, but adds X-Forwarded-For. Anything else could add fake viewers.
+export function requireNginxCallback(req: Request, res: Response, next: NextFunction) {
+  const secret = process.env.NGINX_CALLBACK_SECRET;
+  if (secret) {
+    const sent = req.get('X-Callback-Secret') ?? (typeof req.query.secret === 'string' ? req.query.secret : '');
+    // Compared as digests so the lengths match and the timing says nothing
+    if (timingSafeEqual(createHash('sha256').update(sent).digest(), createHash('sha256').update(secret).digest())) {
+      return next();
+    }
+    return res.status(403).json({ message: "Not an nginx callback" });
+  }
+  if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress ?? '') || req.get('X-Forwarded-For') !== undefined) {
+    return res.status(403).json({ message: "Not an nginx callback" });
+  }
+  next();
+}
+
+// For routes a token must never reach, like changing a password or minting tokens
+function requireSession(req: Request, res: Response, next: NextFunction) {
+  if (req.apiToken) {
+    return res.status(403).json({ message: "This needs a dashboard login, not an API token" });
+  }
+  next();
+}
+
+// The token and its owner for a bearer token, or null when it is unknown,
+// expired or belongs to a disabled user
+async function authenticateToken(raw: string, ip: string | null): Promise<{ token: ApiToken; user: SelectUser } | null> {
+  if (!raw.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const token = await storage.getApiTokenByHash(hashToken(raw));
+  if (!token || (token.expiresAt && token.expiresAt.getTime() <= Date.now())) {
+    return null;
+  }
+  const user = await storage.getUser(token.userId);
+  if (!user || user.disabled) {
+    return null;
+  }
+  if (!token.lastUsedAt || Date.now() - token.lastUsedAt.getTime() > TOKEN_USE_RESOLUTION_MS || token.lastUsedIp !== ip) {
+    await storage.recordApiTokenUse(token.id, ip);
+  }
+  return { token, user };
+}
+
+function bearerToken(header: string | undefined): string | null {
+  const match = header?.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// The user behind a WebSocket upgrade, read from the same session cookie
+export async function authenticateUpgrade(req: IncomingMessage): Promise<SelectUser | null> {
+  const bearer = bearerToken(req.headers.authorization);
+  if (bearer) {
+    const auth = await authenticateToken(bearer, req.socket.remoteAddress ?? null);
+    return auth && hasRole(auth.user.role, 'viewer') ? auth.user : null;
+  }
+  if (!sessionParser) {
+    return null;
+  }
+  const request = req as Request;
+  await new Promise<void>((resolve) => sessionParser!(request, {} as Response, () => resolve()));
+  const userId = (request.session as { passport?: { user?: number } } | undefined)?.passport?.user;
+  if (userId === undefined) {
+    return null;
+  }
+  const user = await storage.getUser(userId);
+  return user && !user.disabled ? user : null;
+}
+
+function failedLoginKey(ip: string, username: string): string {
+  return `${ip}|${username.toLowerCase()}`;
+}
+
+function isLockedOut(key: string): boolean {
+  const entry = failedLogins.get(key);
+  if (!entry) {
+    return false;
+  }
+  if (Date.now() - entry.firstAt > FAILED_LOGIN_WINDOW_MS) {
+    failedLogins.delete(key);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(key: string): void {
+  const now = Date.now();
+  if (failedLogins.size >= FAILED_LOGIN_SWEEP_SIZE) {
+    failedLogins.forEach((entry, tracked) => {
+      if (now - entry.firstAt > FAILED_LOGIN_WINDOW_MS) {
+        failedLogins.delete(tracked);
+      }
+    });
+  }
+  const entry = failedLogins.get(key);
+  if (!entry || now - entry.firstAt > FAILED_LOGIN_WINDOW_MS) {
+    failedLogins.set(key, { count: 1, firstAt: now });
+  } else {
+    entry.count++;
+  }
+}
+
+// req.ip is the client's address only when Express trusts the proxy in front
+// of it. TRUST_PROXY takes Express's values: a hop count, `true`/`false`, or
+// addresses and subnets. By default only a proxy on this machine is trusted,
+// like the bundled nginx; COOKIE_SECURE=true alone trusts the first hop, as it
+// always has, for an HTTPS proxy elsewhere.
+function trustProxySetting(secureCookie: boolean): boolean | number | string {
+  const setting = process.env.TRUST_PROXY?.trim();
+  if (!setting) {
+    return secureCookie ? 1 : 'loopback';
+  }
+  if (setting === 'true' || setting === 'false') {
+    return setting === 'true';
+  }
+  return /^\d+$/.test(setting) ? parseInt(setting) : setting;
+}
+
+// Creates the first admin from ADMIN_USERNAME and ADMIN_PASSWORD when there
+// are no users yet. Without them the dashboard asks for one on first visit.
+async function seedAdmin(): Promise<void> {
+  if (await storage.countUsers() > 0) {
+    return;
+  }
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    log('No users yet: the first visit to the dashboard creates the admin account. Set ADMIN_USERNAME and ADMIN_PASSWORD to create it at startup instead.', 'auth');
+    return;
+  }
+  const result = insertUserSchema.safeParse({ username, password, role: 'admin' });
+  if (!result.success) {
+    log(`ADMIN_USERNAME or ADMIN_PASSWORD is not valid: ${result.error.errors.map(error => error.message).join(', ')}`, 'auth');
+    return;
+  }
+  await storage.createUser({ username: result.data.username, passwordHash: await hashPassword(password), role: 'admin' });
+  log(`Created admin user ${result.data.username}`, 'auth');
+}
+
+// Sessions live in the user_sessions table behind an httpOnly cookie. After
+// this, req.user is set for logged-in requests; registerAuthRoutes adds the
+// login routes and the guard.
+export async function setupAuth(app: Express): Promise<void> {
+  await dbInitPromise;
+
+  let secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    secret = randomBytes(32).toString('hex');
+    log('SESSION_SECRET is not set; using a random one, so logins end when the server restarts', 'auth');
+  }
+
+  // Only mark the cookie Secure behind a TLS-terminating proxy; plain HTTP on a LAN is common
+  const secureCookie = process.env.COOKIE_SECURE === 'true';
+  app.set('trust proxy', trustProxySetting(secureCookie));
+
+  const PgStore = connectPg(session);
+  sessionParser = session({
+    store: new PgStore({ pool: pool as Pool, tableName: 'user_sessions', createTableIfMissing: false }),
+    secret,
+    name: 'sa_plays.sid',
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    cookie: { httpOnly: true, sameSite: 'lax', secure: secureCookie, maxAge: SESSION_TTL_MS },
+  });
+
+  passport.use(new LocalStrategy(async (username, password, done) => {
+    try {
+      const user = await storage.getUserByUsername(username);
+      if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+        return done(null, false);
+      }
+      return done(null, user);
+    } catch (error) {
+      return done(error);
+    }
+  }));
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser(async (id: number, done) => {
+    try {
+      // A deleted or disabled user is logged out on their next request
+      const user = await storage.getUser(id);
+      done(null, user && !user.disabled ? user : false);
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  app.use(sessionParser);
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  // `Authorization: Bearer sap_...` stands in for a session; a bad token is
+  // refused outright rather than treated as logged out
+  app.use(async (req, res, next) => {
+    const bearer = bearerToken(req.headers.authorization);
+    if (!bearer) {
+      return next();
+    }
+    try {
+      const auth = await authenticateToken(bearer, req.ip ?? null);
+      if (!auth) {
+        return res.status(401).json({ message: "Invalid or expired API token" });
+      }
+      req.user = auth.user;
+      req.apiToken = auth.token;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  await seedAdmin();
+}
+
+// Every /api route registered after this needs a login unless listed in
+// PUBLIC_API_PATHS; routes that need more than the viewer role add
+// requireRole themselves.
+export function registerAuthRoutes(app: Express): void {
+  app.get("/api/auth/me", async (req, res) => {
+    try {
+      res.json({
+        user: req.isAuthenticated() ? toPublicUser(req.user) : null,
+        setupRequired: await storage.countUsers() === 0,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to load session" });
+    }
+  });
+
+  app.post("/api/auth/login", (req, res, next) => {
+    const result = loginSchema.safeParse(req.body);
+    if (!result.success) {
+      return res.status(400).json({ message: "Invalid login", errors: result.error.errors });
+    }
+    const lockoutKey = failedLoginKey(req.ip || 'unknown', result.data.username);
+    if (isLockedOut(lockoutKey)) {
+      return res.status(429).json({ message: "Too many failed logins, try again later" });
+    }
+
+    passport.authenticate('local', (error: unknown, user: SelectUser | false) => {
+      if (error) {
+        return next(error);
+      }
+      if (!user) {
+        recordFailedLogin(lockoutKey);
+        return res.status(401).json({ message: "Wrong username or password" });
+      }
+      req.login(user, async (loginError) => {
+        if (loginError) {
+          return next(loginError);
+        }
+        failedLogins.delete(lockoutKey);
+        await storage.updateUser(user.id, { lastLoginAt: new Date() }).catch(() => undefined);
+        res.json(toPublicUser(user));
+      });
+    })(req, res, next);
+  });
+
+  app.post("/api/auth/logout", (req, res, next) => {
+    req.logout((error) => {
+      if (error) {
+        return next(error);
+      }
+      req.session.destroy(() => {
+        res.clearCookie('sa_plays.sid');
+        res.json({ message: "Logged out" });
+      });
+    });
+  });
+
+  // Creates the first admin; closed as soon as any user exists
+  app.post("/api/auth/setup", async (req, res, next) => {
+    try {
+      if (await storage.countUsers() > 0) {
+        return res.status(409).json({ message: "Setup is already done" });
+      }
+      const result = insertUserSchema.safeParse({ ...req.body, role: 'admin' });
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid user", errors: result.error.errors });
+      }
+
+      const user = await storage.createUser({
+        username: result.data.username,
+        passwordHash: await hashPassword(result.data.password),
+        role: 'admin',
+      });
+      log(`Created admin user ${user.username} through first-run setup`, 'auth');
+      req.login(user, (error) => {
+        if (error) {
+          return next(error);
+        }
+        res.status(201).json(toPublicUser(user));
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create admin user" });
+    }
+  });
+
+  // Any user can change their own password; their other logins end
+  app.put("/api/auth/password", requireSession, requireRole('viewer'), async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, req.user!.passwordHash))) {
+        return res.status(400).json({ message: "Current password is wrong" });
+      }
+      const result = updateUserSchema.pick({ password: true }).required().safeParse({ password: newPassword });
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid password", errors: result.error.errors });
+      }
+
+      await storage.updateUser(req.user!.id, { passwordHash: await hashPassword(result.data.password) });
+      await storage.deleteUserSessions(req.user!.id, req.sessionID);
+      res.json({ message: "Password changed" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to change password" });
+    }
+  });
+
+  app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+    return requireRole('viewer')(req, res, next);
+  });
+
+  app.get("/api/users", requireRole('admin'), async (req, res) => {
+    try {
+      const users = await storage.getUsers();
+      res.json(users.map(toPublicUser));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch users" });
+    }
+  });
+
+  app.post("/api/users", requireRole('admin'), async (req, res) => {
+    try {
+      const result = insertUserSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid user", errors: result.error.errors });
+      }
+      if (await storage.getUserByUsername(result.data.username)) {
+        return res.status(409).json({ message: "That username is taken" });
+      }
+
+      const { password, ...user } = result.data;
+      const created = await storage.createUser({ ...user, passwordHash: await hashPassword(password) });
+      res.status(201).json(toPublicUser(created));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create user" });
+    }
+  });
+
+  // The last enabled admin cannot be demoted, disabled or deleted, and nobody
+  // can do that to themselves, so the dashboard always keeps an admin
+  app.put("/api/users/:id", requireRole('admin'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = updateUserSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid user", errors: result.error.errors });
+      }
+      const user = await storage.getUser(id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const { password, ...changes } = result.data;
+      const losesAdmin = user.role === 'admin' && !user.disabled
+        && ((changes.role !== undefined && changes.role !== 'admin') || changes.disabled === true);
+      if (losesAdmin && id === req.user!.id) {
+        return res.status(400).json({ message: "You cannot remove your own admin access" });
+      }
+      if (losesAdmin && await storage.countUsers('admin') <= 1) {
+        return res.status(400).json({ message: "This is the last admin" });
+      }
+
+      const updated = await storage.updateUser(id, {
+        ...changes,
+        ...(password ? { passwordHash: await hashPassword(password) } : {}),
+      });
+      if (password || changes.disabled) {
+        await storage.deleteUserSessions(id, id === req.user!.id ? req.sessionID : undefined);
+      }
+      res.json(toPublicUser(updated!));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update user" });
+    }
+  });
+
+  app.delete("/api/users/:id", requireRole('admin'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (id === req.user!.id) {
+        return res.status(400).json({ message: "You cannot delete yourself" });
+      }
+      const user = await storage.getUser(id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (user.role === 'admin' && !user.disabled && await storage.countUsers('admin') <= 1) {
+        return res.status(400).json({ message: "This is the last admin" });
+      }
+
+      await storage.deleteUser(id);
+      await storage.deleteUserSessions(id);
+      res.json({ message: "User deleted" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to delete user" });
+    }
+  });
+
+  // Personal API tokens: each user manages their own, from a dashboard login
+  app.get("/api/tokens", requireSession, requireRole('viewer'), async (req, res) => {
+    try {
+      const tokens = await storage.getApiTokens(req.user!.id);
+      res.json(tokens.map(toPublicApiToken));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch API tokens" });
+    }
+  });
+
+  app.post("/api/tokens", requireSession, requireRole('viewer'), async (req, res) => {
+    try {
+      const result = insertApiTokenSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid API token", errors: result.error.errors });
+      }
+      const beyondRole = result.data.scopes.filter(scope => !hasRole(req.user!.role, API_TOKEN_SCOPE_ROLES[scope]));
+      if (beyondRole.length > 0) {
+        return res.status(403).json({ message: `Your role cannot grant ${beyondRole.join(', ')}` });
+      }
+
+      const raw = TOKEN_PREFIX + randomBytes(24).toString('base64url');
+      const token = await storage.createApiToken({
+        userId: req.user!.id,
+        name: result.data.name,
+        scopes: Array.from(new Set(result.data.scopes)),
+        expiresAt: result.data.expiresAt ?? null,
+        tokenHash: hashToken(raw),
+        tokenPrefix: raw.slice(0, TOKEN_PREFIX.length + 6),
+      });
+      // The only time the token itself is sent; it is last so request logs cut it off
+      res.status(201).json({ ...toPublicApiToken(token), token: raw });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create API token" });
+    }
+  });
+
+  app.delete("/api/tokens/:id", requireSession, requireRole('viewer'), async (req, res) => {
+    try {
+      const token = await storage.getApiToken(parseInt(req.params.id));
+      if (!token || token.userId !== req.user!.id) {
+        return res.status(404).json({ message: "API token not found" });
+      }
+      await storage.deleteApiToken(token.id);
+      res.json({ message: "API token revoked" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to revoke API token" });
+    }
+  });
+}
@@ -0,0 +1,112 @@
+import { storage } from './storage';
+import { rtmpManager, getPlatformRTMPUrl, type RTMPTarget } from './rtmp';
+import { viewerTracker } from './viewers';
+import { streamProfileFor } from './profile';
+import { isPlayable } from './probe';
+import type { StreamConfig, StreamStatus } from '@shared/schema';
+
+// A start request that cannot be satisfied; `status` is the HTTP status to answer with
+export class BroadcastError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'BroadcastError';
+  }
+}
+
+// Enabled destinations take precedence; the single stream config is used when none exist
+export async function buildStreamTargets(streamConfig?: StreamConfig): Promise<RTMPTarget[]> {
+  const destinations = (await storage.getStreamDestinations()).filter(d => d.enabled);
+  if (destinations.length > 0) {
+    return destinations.map(d => ({
+      id: String(d.id),
+      name: d.name,
+      outputUrl: getPlatformRTMPUrl(d.platform, d.rtmpUrl),
+      streamKey: d.streamKey,
+    }));
+  }
+
+  if (!streamConfig) {
+    return [];
+  }
+
+  // For demo purposes, use local RTMP if no real stream key provided
+  if (streamConfig.streamKey === 'test-key-123' || !streamConfig.streamKey) {
+    return [{ id: 'primary', name: 'Local RTMP', outputUrl: 'rtmp://localhost:1935/live', streamKey: 'demo' }];
+  }
+
+  return [{
+    id: 'primary',
+    name: streamConfig.platform,
+    outputUrl: getPlatformRTMPUrl(streamConfig.platform, streamConfig.rtmpUrl),
+    streamKey: streamConfig.streamKey,
+  }];
+}
+
+// Push destination edits to a running stream
+export async function refreshLiveDestinations(): Promise<void> {
+  if (rtmpManager.getActiveStreams().length === 0) {
+    return;
+  }
+  const streamConfig = await storage.getStreamConfig();
+  await rtmpManager.applyDestinations(await buildStreamTargets(streamConfig));
+}
+
+// Goes live with the given video using the saved stream config and destinations.
+// Shared by the Start button and the scheduler.
+export async function startBroadcast(videoId: number, loopPlaylist: boolean): Promise<StreamStatus> {
+  const video = await storage.getVideo(videoId);
+  if (!video) {
+    throw new BroadcastError("Selected video not found");
+  }
+  if (!isPlayable(video)) {
+    const reason = video.validationIssues.find(issue => issue.severity === 'error')?.message;
+    throw new BroadcastError(`"${video.title}" cannot be played${reason ? `: ${reason}` : ''}`, 422);
+  }
+
+  // Get stream configuration and destinations
+  const streamConfig = await storage.getStreamConfig();
+  const targets = await buildStreamTargets(streamConfig);
+  if (targets.length === 0) {
+    throw new BroadcastError("Stream configuration not found");
+  }
+
+  const rtmpConfig = {
+    inputPath: video.filename,
+    targets,
+    ...streamProfileFor(streamConfig),
+  };
+
+  const streamStarted = await rtmpManager.startStream(videoId, rtmpConfig);
+  if (!streamStarted) {
+    throw new BroadcastError("Failed to start RTMP stream", 500);
+  }
+
+  rtmpManager.setLoopEnabled(loopPlaylist);
+
+  return await rtmpManager.updateStatus({
+    status: 'live',
+    viewerCount: 0,
+    uptime: '00:00:00',
+    currentVideoId: videoId,
+    startedAt: new Date(),
+    loopPlaylist,
+  });
+}
+
+export async function stopBroadcast(endReason: string = 'stopped'): Promise<StreamStatus> {
+  // Stop all RTMP streams
+  rtmpManager.stopAllStreams(endReason);
+
+  // Disable loop when stopping stream
+  rtmpManager.setLoopEnabled(false);
+
+  return await rtmpManager.updateStatus({
+    status: 'offline',
+    viewerCount: 0,
+    peakViewerCount: viewerTracker.getCounts().peak,
+    uptime: '00:00:00',
+    currentVideoId: null,
+    startedAt: null,
+    loopPlaylist: false,
+  });
+}
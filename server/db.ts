@@ -4,6 +4,7 @@ import { drizzle as pgDrizzle } from 'drizzle-orm/node-postgres';
 import { Client, Pool as PgPool } from 'pg';
 import ws from "ws";
 import * as schema from "@shared/schema";
+import { decryptSecret } from "./secrets";
 
 neonConfig.webSocketConstructor = ws;
 
@@ -28,7 +29,7 @@ async function initializeDatabase() {
       
       if (systemConfig?.useExternalDb && systemConfig.dbHost && systemConfig.dbUser) {
         // Use external database configuration
-        const connectionString = `postgresql://${systemConfig.dbUser}:${systemConfig.dbPassword}@${systemConfig.dbHost}:${systemConfig.dbPort}/${systemConfig.dbName}`;
+        const connectionString = `postgresql://${systemConfig.dbUser}:${decryptSecret(systemConfig.dbPassword)}@${systemConfig.dbHost}:${systemConfig.dbPort}/${systemConfig.dbName}`;
         
         console.log(`Connecting to external database: ${systemConfig.dbHost}:${systemConfig.dbPort}/${systemConfig.dbName}`);
         
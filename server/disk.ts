@@ -0,0 +1,211 @@
+import { storage } from './storage';
+import { thumbnailDir } from './media';
+import { isImported } from './media-store';
+import type { StorageOrphan, StorageReport, VideoStorageUsage } from '@shared/schema';
+import path from 'path';
+import fs from 'fs';
+
+const uploadDir = path.join(process.cwd(), 'uploads');
+const GB = 1024 ** 3;
+const DEFAULT_RESERVE_GB = 2;
+
+// Files younger than this may belong to an upload or job that has not written
+// its database row yet, so they are never reported as orphans
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// An upload that would break the quota or eat into the reserved free space;
+// answered with `status` (507 Insufficient Storage)
+export class StorageError extends Error {
+  constructor(message: string, public status: number = 507) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+interface FileEntry {
+  path: string; // relative to the scanned directory, with forward slashes
+  bytes: number;
+  modifiedAt: Date;
+}
+
+async function walk(root: string, prefix: string = ''): Promise<FileEntry[]> {
+  let entries: fs.Dirent[];
+  try {
+    entries = await fs.promises.readdir(path.join(root, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files: FileEntry[] = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await walk(root, relative));
+    } else if (entry.isFile()) {
+      const stat = await fs.promises.stat(path.join(root, relative)).catch(() => null);
+      if (stat) {
+        files.push({ path: relative, bytes: stat.size, modifiedAt: stat.mtime });
+      }
+    }
+  }
+  return files;
+}
+
+function sum(files: FileEntry[]): number {
+  return files.reduce((total, file) => total + file.bytes, 0);
+}
+
+async function diskSpace(): Promise<{ free: number; total: number } | null> {
+  try {
+    const stats = await fs.promises.statfs(fs.existsSync(uploadDir) ? uploadDir : process.cwd());
+    return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+  } catch {
+    return null;
+  }
+}
+
+async function storageLimits(): Promise<{ quotaBytes: number | null; reserveBytes: number }> {
+  const config = await storage.getSystemConfig();
+  return {
+    quotaBytes: config?.storageQuotaGb ? config.storageQuotaGb * GB : null,
+    reserveBytes: (config?.storageReserveGb ?? DEFAULT_RESERVE_GB) * GB,
+  };
+}
+
+function formatGb(bytes: number): string {
+  return `${(bytes / GB).toFixed(1)} GB`;
+}
+
+// Walks uploads/ and thumbnails/ and matches what is there against the database
+export async function getStorageReport(): Promise<StorageReport> {
+  const [uploadFiles, thumbnailFiles, videos, sessions, limits, disk] = await Promise.all([
+    walk(uploadDir),
+    walk(thumbnailDir),
+    storage.getVideos(),
+    storage.getUploadSessions(),
+    storageLimits(),
+    diskSpace(),
+  ]);
+
+  const filesByPath = new Map(uploadFiles.map(file => [file.path, file]));
+  const referenced = new Set<string>();
+  const usersByFilename = new Map<string, number>();
+  for (const video of videos) {
+    referenced.add(video.filename);
+    if (video.normalizedFilename) {
+      referenced.add(video.normalizedFilename);
+    }
+    usersByFilename.set(video.filename, (usersByFilename.get(video.filename) ?? 0) + 1);
+  }
+  const sessionIds = new Set(sessions.map(session => session.id));
+
+  // Thumbnails are grouped by their video directory, thumbnails/<videoId>/
+  const thumbnailsByVideo = new Map<string, FileEntry[]>();
+  for (const file of thumbnailFiles) {
+    const [dir] = file.path.split('/');
+    thumbnailsByVideo.set(dir, [...(thumbnailsByVideo.get(dir) ?? []), file]);
+  }
+
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  const orphans: StorageOrphan[] = [];
+  for (const file of uploadFiles) {
+    if (file.modifiedAt.getTime() > cutoff) {
+      continue;
+    }
+    const partialId = file.path.startsWith('.partial/') ? path.basename(file.path, '.part') : null;
+    const known = partialId !== null ? sessionIds.has(partialId) : referenced.has(file.path);
+    if (!known) {
+      orphans.push({ path: `uploads/${file.path}`, bytes: file.bytes, modifiedAt: file.modifiedAt.toISOString() });
+    }
+  }
+
+  const videoIds = new Set(videos.map(video => String(video.id)));
+  thumbnailsByVideo.forEach((files, dir) => {
+    const newest = Math.max(...files.map(file => file.modifiedAt.getTime()));
+    if (!videoIds.has(dir) && newest <= cutoff) {
+      orphans.push({ path: `thumbnails/${dir}`, bytes: sum(files), modifiedAt: new Date(newest).toISOString() });
+    }
+  });
+
+  // Media imported in place lives outside uploads/ and does not count as used
+  for (const video of videos.filter(video => isImported(video.filename))) {
+    const stat = await fs.promises.stat(video.filename).catch(() => null);
+    if (stat) {
+      filesByPath.set(video.filename, { path: video.filename, bytes: stat.size, modifiedAt: stat.mtime });
+    }
+  }
+
+  const usage: VideoStorageUsage[] = videos.map(video => {
+    const file = filesByPath.get(video.filename);
+    const normalized = video.normalizedFilename ? filesByPath.get(video.normalizedFilename) : undefined;
+    return {
+      videoId: video.id,
+      title: video.title,
+      fileBytes: file?.bytes ?? 0,
+      derivedBytes: (normalized?.bytes ?? 0) + sum(thumbnailsByVideo.get(String(video.id)) ?? []),
+      sharedWith: (usersByFilename.get(video.filename) ?? 1) - 1,
+      imported: isImported(video.filename),
+      missing: !file,
+    };
+  });
+
+  const partialBytes = sum(uploadFiles.filter(file => file.path.startsWith('.partial/')));
+  const normalizedBytes = sum(uploadFiles.filter(file => file.path.startsWith('normalized/')));
+  const uploadBytes = sum(uploadFiles);
+  const thumbnailBytes = sum(thumbnailFiles);
+
+  return {
+    usedBytes: uploadBytes + thumbnailBytes,
+    mediaBytes: uploadBytes - partialBytes - normalizedBytes,
+    normalizedBytes,
+    thumbnailBytes,
+    partialBytes,
+    orphanBytes: orphans.reduce((total, orphan) => total + orphan.bytes, 0),
+    quotaBytes: limits.quotaBytes,
+    reserveBytes: limits.reserveBytes,
+    diskFreeBytes: disk?.free ?? null,
+    diskTotalBytes: disk?.total ?? null,
+    videos: usage.sort((a, b) => (b.fileBytes + b.derivedBytes) - (a.fileBytes + a.derivedBytes)),
+    orphans: orphans.sort((a, b) => b.bytes - a.bytes),
+    missingVideos: videos
+      .filter(video => !filesByPath.has(video.filename))
+      .map(video => ({ videoId: video.id, title: video.title, filename: video.filename })),
+  };
+}
+
+// Throws unless `incomingBytes` fits under the quota and leaves the reserve free
+export async function ensureStorageAvailable(incomingBytes: number): Promise<void> {
+  const { quotaBytes } = await storageLimits();
+  await ensureDiskReserve(incomingBytes);
+  if (quotaBytes === null) {
+    return;
+  }
+
+  const used = sum(await walk(uploadDir)) + sum(await walk(thumbnailDir));
+  if (used + incomingBytes > quotaBytes) {
+    throw new StorageError(`Storage quota exceeded: ${formatGb(used)} of ${formatGb(quotaBytes)} used, this upload needs ${formatGb(incomingBytes)}`);
+  }
+}
+
+// The free-space half of ensureStorageAvailable, cheap enough to run per chunk
+export async function ensureDiskReserve(incomingBytes: number): Promise<void> {
+  const { reserveBytes } = await storageLimits();
+  const disk = await diskSpace();
+  if (disk && disk.free - incomingBytes < reserveBytes) {
+    throw new StorageError(`Not enough disk space: ${formatGb(disk.free)} free and ${formatGb(reserveBytes)} is kept in reserve for the stream`);
+  }
+}
+
+// Deletes the given orphans, or all of them. Paths are checked against a fresh
+// scan, so only files that are still orphaned can be removed.
+export async function deleteOrphans(paths?: string[]): Promise<{ deleted: number; freedBytes: number }> {
+  const { orphans } = await getStorageReport();
+  const selected = paths ? orphans.filter(orphan => paths.includes(orphan.path)) : orphans;
+
+  let freedBytes = 0;
+  for (const orphan of selected) {
+    await fs.promises.rm(path.join(process.cwd(), orphan.path), { recursive: true, force: true });
+    freedBytes += orphan.bytes;
+  }
+  return { deleted: selected.length, freedBytes };
+}
@@ -0,0 +1,24 @@
+import { EventEmitter } from 'events';
+import type { StreamEventMap, StreamEventMessage, StreamEventType } from '@shared/events';
+
+// In-process bus for stream events; the WebSocket channel and other
+// subscribers listen here instead of polling the database.
+class StreamEventBus extends EventEmitter {
+  publish<K extends StreamEventType>(type: K, data: StreamEventMap[K]): void {
+    const message: StreamEventMessage<K> = {
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+    this.emit('event', message);
+  }
+
+  subscribe(listener: (message: StreamEventMessage) => void): () => void {
+    this.on('event', listener);
+    return () => {
+      this.off('event', listener);
+    };
+  }
+}
+
+export const streamEvents = new StreamEventBus();
@@ -2,8 +2,13 @@ import express, { type Request, Response, NextFunction } from "express";
 import { registerRoutes } from "./routes";
 import { setupVite, serveStatic, log } from "./vite";
 import { storage } from "./storage";
+import { redact } from "./secrets";
 
 const app = express();
+// Playlist exports run past the default 100 kB, whether posted as a JSON export
+// or as the dashboard's { content } wrapper. Parsed here first, the global
+// parser below leaves the body alone.
+app.use('/api/playlists/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
@@ -23,7 +28,7 @@ app.use((req, res, next) => {
     if (path.startsWith("/api")) {
       let logLine = `${req.method} ${path} ${res.statusCode} in ${duration}ms`;
       if (capturedJsonResponse) {
-        logLine += ` :: ${JSON.stringify(capturedJsonResponse)}`;
+        logLine += ` :: ${redact(JSON.stringify(capturedJsonResponse))}`;
       }
 
       if (logLine.length > 80) {
@@ -40,6 +45,10 @@ app.use((req, res, next) => {
 (async () => {
   // Initialize storage defaults after database is ready
   await storage.initializeDefaultData();
+  const sealed = await storage.encryptStoredSecrets();
+  if (sealed > 0) {
+    log(`Encrypted ${sealed} secret(s) that were stored in plaintext`, 'secrets');
+  }
   
   const server = await registerRoutes(app);
 
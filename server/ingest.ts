@@ -0,0 +1,191 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { enqueueIngestJobs } from './media';
+import { hashFile, storeFile, releaseFile, importRoots, isInside } from './media-store';
+import { insertVideoSchema, type Video } from '@shared/schema';
+import path from 'path';
+import fs from 'fs';
+
+// File types picked up from the server's disk; the same formats uploads accept
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi'];
+const MAX_IMPORT_FILES = 500;
+
+const uploadDir = path.join(process.cwd(), 'uploads');
+
+// A server-side import that cannot be done; `status` is the HTTP status to answer with
+export class IngestError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'IngestError';
+  }
+}
+
+// What to do when a file matches one already in the library: 'ask' reports
+// the matches, 'existing' reuses the first of them and 'new' adds another
+// library entry sharing the stored file
+export const DUPLICATE_MODES = ['ask', 'existing', 'new'] as const;
+export type DuplicateMode = typeof DUPLICATE_MODES[number];
+
+export function parseDuplicateMode(value: unknown): DuplicateMode | null {
+  if (value === undefined || value === '') {
+    return 'ask';
+  }
+  return DUPLICATE_MODES.includes(value as DuplicateMode) ? value as DuplicateMode : null;
+}
+
+export type IngestResult =
+  | { status: 'created'; video: Video }
+  | { status: 'reused'; video: Video }
+  | { status: 'duplicate'; contentHash: string; duplicates: Video[] }
+  | { status: 'invalid'; errors: unknown };
+
+// Adds a file to the library and the rotation that is on air. `filename` is
+// relative to uploads/, or absolute for media imported in place. Probing and
+// the rest of the media work happen later on the job queue.
+export async function registerVideo(filename: string, title: string, fileSize: number, contentHash: string | null): Promise<Video | { errors: unknown }> {
+  const videos = await storage.getVideos();
+
+  const result = insertVideoSchema.safeParse({
+    title,
+    filename,
+    fileSize,
+    contentHash,
+    duration: '00:00',
+    thumbnailUrl: null,
+    playlistOrder: videos.length,
+  });
+  if (!result.success) {
+    return { errors: result.error.errors };
+  }
+
+  const video = await storage.createVideo(result.data);
+  const activePlaylist = await storage.getActivePlaylist();
+  if (activePlaylist) {
+    await storage.addPlaylistItem(activePlaylist.id, video.id);
+  }
+
+  streamEvents.publish('playlist.changed', { reason: 'uploaded' });
+  await enqueueIngestJobs(video.id);
+  return video;
+}
+
+// Puts an existing video on the active playlist in place of a duplicate
+export async function reuseExistingVideo(video: Video): Promise<Video> {
+  const activePlaylist = await storage.getActivePlaylist();
+  if (activePlaylist && await storage.addPlaylistItem(activePlaylist.id, video.id)) {
+    streamEvents.publish('playlist.changed', { reason: 'uploaded' });
+  }
+  return video;
+}
+
+// Hashes a finished file, checks it against the library and moves it into the
+// media store. The source is consumed unless the duplicate is only reported.
+export async function ingestFile(
+  sourcePath: string,
+  options: { originalName: string; title: string; duplicate: DuplicateMode },
+): Promise<IngestResult> {
+  const { size } = await fs.promises.stat(sourcePath);
+  const contentHash = await hashFile(sourcePath);
+
+  const duplicates = await storage.getVideosByContentHash(contentHash);
+  if (duplicates.length > 0 && options.duplicate !== 'new') {
+    if (options.duplicate === 'ask') {
+      return { status: 'duplicate', contentHash, duplicates };
+    }
+    await fs.promises.rm(sourcePath, { force: true });
+    return { status: 'reused', video: await reuseExistingVideo(duplicates[0]) };
+  }
+
+  const filename = await storeFile(sourcePath, contentHash, options.originalName);
+  const video = await registerVideo(filename, options.title, size, contentHash);
+  if ('errors' in video) {
+    // Nothing refers to the stored copy now, unless it was already in the store
+    await releaseFile(filename);
+    return { status: 'invalid', errors: video.errors };
+  }
+  return { status: 'created', video };
+}
+
+export function isVideoFile(name: string): boolean {
+  return !name.startsWith('.') && VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+async function listVideoFiles(dir: string, recursive: boolean, found: string[] = []): Promise<string[]> {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive && !entry.name.startsWith('.')) {
+      await listVideoFiles(entryPath, recursive, found);
+    } else if (entry.isFile() && isVideoFile(entry.name)) {
+      found.push(entryPath);
+    }
+    if (found.length > MAX_IMPORT_FILES) {
+      throw new IngestError(`More than ${MAX_IMPORT_FILES} videos found; import a smaller directory`);
+    }
+  }
+  return found;
+}
+
+// The real path of a file or directory the server may read media from: one
+// inside MEDIA_IMPORT_ROOTS and outside uploads/. Used by imports in place
+// and the watch folder.
+export async function resolveImportPath(target: string): Promise<string> {
+  const roots = importRoots();
+  if (roots.length === 0) {
+    throw new IngestError('Importing from the server is disabled; set MEDIA_IMPORT_ROOTS', 403);
+  }
+  if (!path.isAbsolute(target)) {
+    throw new IngestError('path must be absolute');
+  }
+
+  // Symlinks are resolved first so they cannot lead outside the allowed roots
+  const resolved = await fs.promises.realpath(target).catch(() => null);
+  if (!resolved) {
+    throw new IngestError(`${target} does not exist`, 404);
+  }
+  const realRoots = await Promise.all(roots.map(root => fs.promises.realpath(root).catch(() => root)));
+  if (!realRoots.some(root => isInside(root, resolved))) {
+    throw new IngestError(`${target} is outside MEDIA_IMPORT_ROOTS`, 403);
+  }
+  if (isInside(uploadDir, resolved)) {
+    throw new IngestError('Files under uploads/ are already managed by the library');
+  }
+  return resolved;
+}
+
+// Registers a file, or every video in a directory, where it already is on the
+// server. Nothing is copied or hashed up front; the probe job hashes the file
+// and the library never deletes it.
+export async function importInPlace(
+  target: string,
+  options: { title?: string; recursive?: boolean } = {},
+): Promise<{ imported: Video[]; skipped: Array<{ path: string; reason: string }> }> {
+  const resolved = await resolveImportPath(target);
+  const stat = await fs.promises.stat(resolved);
+  let files: string[];
+  if (stat.isDirectory()) {
+    files = await listVideoFiles(resolved, options.recursive ?? false);
+  } else if (isVideoFile(path.basename(resolved))) {
+    files = [resolved];
+  } else {
+    throw new IngestError(`Only ${VIDEO_EXTENSIONS.join(', ')} files can be imported`);
+  }
+
+  const imported: Video[] = [];
+  const skipped: Array<{ path: string; reason: string }> = [];
+  for (const file of files) {
+    if (await storage.countVideosByFilename(file) > 0) {
+      skipped.push({ path: file, reason: 'Already in the library' });
+      continue;
+    }
+    const { size } = await fs.promises.stat(file);
+    const title = files.length === 1 && options.title ? options.title : path.basename(file, path.extname(file));
+    const video = await registerVideo(file, title, size, null);
+    if ('errors' in video) {
+      skipped.push({ path: file, reason: 'Invalid video data' });
+    } else {
+      imported.push(video);
+    }
+  }
+  return { imported, skipped };
+}
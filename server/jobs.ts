@@ -0,0 +1,259 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { log } from './vite';
+import type { MediaJob, MediaJobSummary } from '@shared/schema';
+
+const POLL_INTERVAL_MS = 2000;
+const PROGRESS_FLUSH_MS = 1000;
+const RETRY_BASE_DELAY_MS = 30000;
+const MAX_LOG_LENGTH = 16000;
+
+export const JOB_CONCURRENCY = Math.max(1, Number(process.env.MEDIA_JOB_CONCURRENCY) || 1);
+
+// A job request that cannot be satisfied; `status` is the HTTP status to answer with
+export class JobError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+export interface JobContext {
+  job: MediaJob;
+  signal: AbortSignal; // aborted when the job is cancelled
+  progress(percent: number): void;
+  log(line: string): void;
+}
+
+export type JobHandler = (context: JobContext) => Promise<void>;
+
+interface RunningJob {
+  job: MediaJob;
+  controller: AbortController;
+  log: string;
+  progress: number;
+  flushedAt: number;
+  flushing: Promise<unknown> | null;
+}
+
+export function summarizeJob({ log: _log, ...job }: MediaJob): MediaJobSummary {
+  return job;
+}
+
+// Runs media_jobs rows through registered handlers, a few at a time, so FFmpeg
+// work never runs inside a request or competes with the live encoder for long
+export class JobQueue {
+  private handlers: Map<string, JobHandler> = new Map();
+  private running: Map<number, RunningJob> = new Map();
+  private pollInterval: NodeJS.Timeout | null = null;
+  private polling: boolean = false;
+
+  register(type: string, handler: JobHandler): void {
+    this.handlers.set(type, handler);
+  }
+
+  getTypes(): string[] {
+    return Array.from(this.handlers.keys());
+  }
+
+  async start(): Promise<void> {
+    if (this.pollInterval) {
+      return;
+    }
+    try {
+      const requeued = await storage.requeueRunningMediaJobs();
+      if (requeued > 0) {
+        log(`Requeued ${requeued} media job(s) interrupted by a restart`);
+      }
+    } catch (error) {
+      log(`Failed to requeue interrupted media jobs: ${error}`);
+    }
+    this.pollInterval = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.poll();
+  }
+
+  // A job of the same type already waiting or running for the video is returned instead
+  async enqueue(type: string, videoId: number | null, maxAttempts?: number): Promise<MediaJob> {
+    if (!this.handlers.has(type)) {
+      throw new JobError(`Unknown job type "${type}"`);
+    }
+    if (videoId !== null) {
+      const existing = await storage.findActiveMediaJob(type, videoId);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const job = await storage.createMediaJob({ type, videoId, maxAttempts });
+    this.publish(job);
+    this.poll();
+    return job;
+  }
+
+  async cancel(id: number): Promise<MediaJob> {
+    const job = await storage.getMediaJob(id);
+    if (!job) {
+      throw new JobError('Job not found', 404);
+    }
+
+    const running = this.running.get(id);
+    if (running) {
+      // run() records the cancellation once the handler has stopped
+      running.controller.abort();
+      return running.job;
+    }
+    if (job.status !== 'queued') {
+      throw new JobError(`A ${job.status} job cannot be cancelled`, 409);
+    }
+    return this.finish(id, { status: 'cancelled', finishedAt: new Date() });
+  }
+
+  async retry(id: number): Promise<MediaJob> {
+    const job = await storage.getMediaJob(id);
+    if (!job) {
+      throw new JobError('Job not found', 404);
+    }
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      throw new JobError(`A ${job.status} job cannot be retried`, 409);
+    }
+
+    const updated = await this.finish(id, {
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      error: null,
+      log: '',
+      runAfter: new Date(),
+      startedAt: null,
+      finishedAt: null,
+    });
+    this.poll();
+    return updated;
+  }
+
+  // Cancels whatever is queued or running for a video that is being deleted
+  async cancelForVideo(videoId: number): Promise<void> {
+    const jobs = await storage.getMediaJobs({ videoId });
+    for (const job of jobs) {
+      if (job.status === 'queued' || this.running.has(job.id)) {
+        await this.cancel(job.id).catch(() => undefined);
+      }
+    }
+  }
+
+  private async poll(): Promise<void> {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.running.size < JOB_CONCURRENCY) {
+        const job = await storage.claimNextMediaJob();
+        if (!job) {
+          break;
+        }
+        this.run(job);
+      }
+    } catch (error) {
+      log(`Failed to claim media job: ${error}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async run(job: MediaJob): Promise<void> {
+    const entry: RunningJob = {
+      job,
+      controller: new AbortController(),
+      log: '',
+      progress: 0,
+      flushedAt: 0,
+      flushing: null,
+    };
+    this.running.set(job.id, entry);
+    this.publish(job);
+
+    const handler = this.handlers.get(job.type);
+    const context: JobContext = {
+      job,
+      signal: entry.controller.signal,
+      progress: (percent) => {
+        entry.progress = Math.min(99, Math.max(entry.progress, Math.round(percent)));
+        this.flush(entry);
+      },
+      log: (line) => {
+        entry.log = (entry.log + line.trimEnd() + '\n').slice(-MAX_LOG_LENGTH);
+      },
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type "${job.type}"`);
+      }
+      await handler(context);
+      await entry.flushing;
+      await this.settle(job.id, { status: 'completed', progress: 100, log: entry.log, error: null, finishedAt: new Date() });
+    } catch (error) {
+      await entry.flushing;
+      const message = error instanceof Error ? error.message : String(error);
+      if (entry.controller.signal.aborted) {
+        await this.settle(job.id, { status: 'cancelled', log: entry.log, finishedAt: new Date() });
+      } else if (handler && job.attempts < job.maxAttempts) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+        context.log(`Attempt ${job.attempts} failed: ${message}; retrying in ${Math.round(delay / 1000)}s`);
+        await this.settle(job.id, { status: 'queued', log: entry.log, error: message, runAfter: new Date(Date.now() + delay) });
+      } else {
+        log(`Media job ${job.id} (${job.type}) failed: ${message}`);
+        await this.settle(job.id, { status: 'failed', log: entry.log, error: message, finishedAt: new Date() });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.poll();
+    }
+  }
+
+  // Progress and log are written at most once a second to spare the database
+  private flush(entry: RunningJob): void {
+    const now = Date.now();
+    if (entry.flushing || now - entry.flushedAt < PROGRESS_FLUSH_MS) {
+      return;
+    }
+    entry.flushedAt = now;
+    entry.flushing = storage.updateMediaJob(entry.job.id, { progress: entry.progress, log: entry.log })
+      .then((updated) => {
+        if (updated && this.running.has(updated.id)) {
+          entry.job = updated;
+          this.publish(updated);
+        }
+      })
+      .catch((error) => log(`Failed to record progress for media job ${entry.job.id}: ${error}`))
+      .finally(() => {
+        entry.flushing = null;
+      });
+  }
+
+  private async finish(id: number, changes: Parameters<typeof storage.updateMediaJob>[1]): Promise<MediaJob> {
+    const updated = await storage.updateMediaJob(id, changes);
+    if (!updated) {
+      throw new JobError('Job not found', 404);
+    }
+    this.publish(updated);
+    return updated;
+  }
+
+  // finish() for the worker, which has no request to report a failure to
+  private async settle(id: number, changes: Parameters<typeof storage.updateMediaJob>[1]): Promise<void> {
+    try {
+      await this.finish(id, changes);
+    } catch (error) {
+      log(`Failed to record the outcome of media job ${id}: ${error}`);
+    }
+  }
+
+  private publish(job: MediaJob): void {
+    streamEvents.publish('job.updated', summarizeJob(job));
+  }
+}
+
+export const jobQueue = new JobQueue();
@@ -0,0 +1,106 @@
+import { storage } from './storage';
+import { createHash } from 'crypto';
+import path from 'path';
+import fs from 'fs';
+
+const uploadDir = path.join(process.cwd(), 'uploads');
+const STORE_SUBDIR = 'media';
+
+// Where a file with this content lives, relative to uploads/. The first two
+// hex digits fan files out over subdirectories.
+export function contentFilename(hash: string, originalName: string): string {
+  const ext = path.extname(originalName).toLowerCase() || '.mp4';
+  return `${STORE_SUBDIR}/${hash.slice(0, 2)}/${hash}${ext}`;
+}
+
+// Absolute path of a video's file. Stored files are relative to uploads/;
+// media imported in place keeps its absolute path and is never deleted by us.
+export function mediaPath(filename: string): string {
+  return path.resolve(uploadDir, filename);
+}
+
+export function isImported(filename: string): boolean {
+  return path.isAbsolute(filename);
+}
+
+// Directories imports may read from, from MEDIA_IMPORT_ROOTS (separated like PATH)
+export function importRoots(): string[] {
+  return (process.env.MEDIA_IMPORT_ROOTS || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map(root => path.resolve(root));
+}
+
+export function isInside(parent: string, child: string): boolean {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Absolute path of a stored name, or null when it leads outside uploads/ and
+// MEDIA_IMPORT_ROOTS. Files are only served or deleted through this, so a bad
+// row cannot reach anything else on the server.
+export async function safeMediaPath(filename: string): Promise<string | null> {
+  const filePath = mediaPath(filename);
+  if (isInside(uploadDir, filePath)) {
+    return filePath;
+  }
+  if (!isImported(filename)) {
+    return null;
+  }
+  // Imports store real paths, so the roots are compared the same way
+  const realRoots = await Promise.all(importRoots().map(root => fs.promises.realpath(root).catch(() => root)));
+  return realRoots.some(root => isInside(root, filePath)) ? filePath : null;
+}
+
+export async function hashFile(filePath: string, onProgress?: (percent: number) => void, signal?: AbortSignal): Promise<string> {
+  const { size } = await fs.promises.stat(filePath);
+  const hash = createHash('sha256');
+  let read = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    if (signal?.aborted) {
+      throw new Error('Cancelled');
+    }
+    hash.update(chunk as Buffer);
+    read += (chunk as Buffer).length;
+    onProgress?.(size > 0 ? (read / size) * 100 : 100);
+  }
+  return hash.digest('hex');
+}
+
+// Moves a finished upload into the content-addressed store and returns its
+// filename. When the same content is already stored the upload is dropped.
+export async function storeFile(tempPath: string, hash: string, originalName: string): Promise<string> {
+  const filename = contentFilename(hash, originalName);
+  const target = path.join(uploadDir, filename);
+  if (fs.existsSync(target)) {
+    await fs.promises.rm(tempPath, { force: true });
+    return filename;
+  }
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.promises.rename(tempPath, target);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'EXDEV') {
+      throw error;
+    }
+    // A watch folder on another filesystem cannot be renamed across
+    const partial = `${target}.part`;
+    await fs.promises.copyFile(tempPath, partial);
+    await fs.promises.rename(partial, target);
+    await fs.promises.rm(tempPath, { force: true });
+  }
+  return filename;
+}
+
+// Deletes a media file once no video row refers to it. Returns whether it was removed.
+export async function releaseFile(filename: string): Promise<boolean> {
+  if (isImported(filename) || await storage.countVideosByFilename(filename) > 0) {
+    return false;
+  }
+  const filePath = await safeMediaPath(filename);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return false;
+  }
+  await fs.promises.unlink(filePath);
+  return true;
+}
@@ -0,0 +1,373 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { jobQueue, type JobContext } from './jobs';
+import { streamProfileFor, profileKey, encodeArgs } from './profile';
+import { probeMedia, validateMedia, validationStatusFor, formatDuration, type MediaMetadata } from './probe';
+import { hashFile, mediaPath, isInside } from './media-store';
+import { log } from './vite';
+import type { Video } from '@shared/schema';
+import { spawn } from 'child_process';
+import ffmpeg from 'fluent-ffmpeg';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+
+export const thumbnailDir = path.join(process.cwd(), 'thumbnails');
+const uploadDir = path.join(process.cwd(), 'uploads');
+const NORMALIZED_SUBDIR = 'normalized';
+
+// Jobs queued for every new upload, in the order they run; normalize follows when enabled
+export const INGEST_JOB_TYPES = ['probe', 'thumbnails', 'loudness'];
+
+const POSTER_WIDTH = 320;
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const MAX_SPRITE_TILES = 100;
+const BACKGROUND_NICENESS = 10;
+
+interface FfmpegRunOptions {
+  duration?: number; // seconds of input, used to turn -progress output into a percentage
+  onProgress?: (percent: number) => void;
+  onLog?: (line: string) => void;
+  signal?: AbortSignal;
+}
+
+function videoPath(video: Video): string {
+  const source = mediaPath(video.filename);
+  if (!fs.existsSync(source)) {
+    throw new Error(`${video.filename} is missing`);
+  }
+  return source;
+}
+
+async function loadVideo(context: JobContext): Promise<Video> {
+  const video = context.job.videoId !== null ? await storage.getVideo(context.job.videoId) : undefined;
+  if (!video) {
+    throw new Error(`Video ${context.job.videoId} no longer exists`);
+  }
+  return video;
+}
+
+function probeSeconds(filePath: string): Promise<number> {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      resolve(err ? 0 : Number(metadata.format.duration) || 0);
+    });
+  });
+}
+
+// Runs FFmpeg at a lower priority than the live encoder. Resolves with its
+// stderr, which carries filter reports such as loudnorm's JSON.
+function runFfmpeg(args: string[], options: FfmpegRunOptions = {}): Promise<string> {
+  const { duration, onProgress, onLog, signal } = options;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Cancelled'));
+      return;
+    }
+
+    const child = spawn('ffmpeg', ['-hide_banner', '-nostats', '-y', '-progress', 'pipe:1', ...args]);
+    try {
+      if (child.pid) {
+        os.setPriority(child.pid, BACKGROUND_NICENESS);
+      }
+    } catch {
+      // Not permitted everywhere; the job just runs at normal priority
+    }
+
+    const onAbort = () => child.kill('SIGKILL');
+    signal?.addEventListener('abort', onAbort);
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderr = (stderr + text).slice(-64000);
+      text.split('\n').filter((line: string) => line.trim()).forEach((line: string) => onLog?.(line));
+    });
+    child.stdout.on('data', (data) => {
+      // -progress reports out_time_ms in microseconds despite the name
+      const match = data.toString().match(/out_time_ms=(\d+)/g);
+      if (match && duration && onProgress) {
+        const micros = Number(match[match.length - 1].split('=')[1]);
+        onProgress(Math.min(100, (micros / 1e6 / duration) * 100));
+      }
+    });
+
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) {
+        reject(new Error('Cancelled'));
+      } else if (code === 0) {
+        resolve(stderr);
+      } else {
+        const lastLines = stderr.trim().split('\n').slice(-3).join(' ');
+        reject(new Error(lastLines || `ffmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+function vttTimestamp(seconds: number): string {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n: number, width = 2) => n.toString().padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+// One cue per sprite tile, pointing at its region with a media fragment
+function buildSpriteVtt(spriteName: string, tiles: number, interval: number, duration: number): string {
+  const cues = ['WEBVTT', ''];
+  for (let i = 0; i < tiles; i++) {
+    const x = (i % SPRITE_COLUMNS) * TILE_WIDTH;
+    const y = Math.floor(i / SPRITE_COLUMNS) * TILE_HEIGHT;
+    cues.push(`${vttTimestamp(i * interval)} --> ${vttTimestamp(Math.min((i + 1) * interval, duration))}`);
+    cues.push(`${spriteName}#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`, '');
+  }
+  return cues.join('\n');
+}
+
+// The video may have been deleted while FFmpeg was running
+async function saveVideo(videoId: number, update: Partial<Video>): Promise<void> {
+  if (!await storage.updateVideo(videoId, update)) {
+    throw new Error(`Video ${videoId} was deleted while processing`);
+  }
+  streamEvents.publish('playlist.changed', { reason: 'updated' });
+}
+
+// Reads stream metadata, validates it and hashes the file. A file ffprobe
+// cannot open is recorded as invalid rather than failing the job.
+async function probe(context: JobContext): Promise<void> {
+  const video = await loadVideo(context);
+  const source = videoPath(video);
+
+  let metadata: MediaMetadata;
+  try {
+    metadata = await probeMedia(source);
+  } catch (error) {
+    const message = error instanceof Error ? error.message.split('\n')[0] : String(error);
+    context.log(`ffprobe could not read the file: ${message}`);
+    await saveVideo(video.id, {
+      validationStatus: 'invalid',
+      validationIssues: [{ code: 'no_video', severity: 'error', message: 'The file could not be read; it may be corrupt or not a video' }],
+    });
+    return;
+  }
+
+  const issues = validateMedia(metadata);
+  const { variableFrameRate, ...columns } = metadata;
+  context.log(JSON.stringify(metadata));
+  issues.forEach(issue => context.log(`${issue.severity}: ${issue.message}`));
+  context.progress(5);
+
+  // Uploads are hashed on arrival; files from before the media store still need it
+  const contentHash = video.contentHash
+    ?? await hashFile(source, (percent) => context.progress(5 + percent * 0.95), context.signal);
+  await saveVideo(video.id, {
+    ...columns,
+    duration: formatDuration(metadata.durationSeconds ?? 0),
+    contentHash,
+    validationStatus: validationStatusFor(issues),
+    validationIssues: issues,
+  });
+}
+
+// Poster frame plus a scrubbing sprite sheet with a WebVTT index
+async function thumbnails(context: JobContext): Promise<void> {
+  const video = await loadVideo(context);
+  const source = videoPath(video);
+  const outputDir = path.join(thumbnailDir, String(video.id));
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const duration = await probeSeconds(source);
+
+  // Skip the first seconds, which are often black or a fade-in
+  const posterAt = Math.min(duration * 0.1, 5);
+  await runFfmpeg([
+    '-ss', posterAt.toFixed(2), '-i', source,
+    '-frames:v', '1', '-vf', `scale=${POSTER_WIDTH}:-2`, '-q:v', '3',
+    path.join(outputDir, 'poster.jpg'),
+  ], { onLog: context.log, signal: context.signal });
+  context.progress(10);
+
+  const update: Partial<Video> = { thumbnailUrl: `/thumbnails/${video.id}/poster.jpg` };
+
+  if (duration > 0) {
+    const interval = Math.max(1, Math.ceil(duration / MAX_SPRITE_TILES));
+    const tiles = Math.max(1, Math.ceil(duration / interval));
+    const rows = Math.ceil(tiles / SPRITE_COLUMNS);
+    await runFfmpeg([
+      '-i', source,
+      '-vf', [
+        `fps=1/${interval}`,
+        `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+        `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${SPRITE_COLUMNS}x${rows}`,
+      ].join(','),
+      '-frames:v', '1', '-q:v', '5',
+      path.join(outputDir, 'sprite.jpg'),
+    ], {
+      duration,
+      onProgress: (percent) => context.progress(10 + percent * 0.85),
+      onLog: context.log,
+      signal: context.signal,
+    });
+    await fs.promises.writeFile(path.join(outputDir, 'sprite.vtt'), buildSpriteVtt('sprite.jpg', tiles, interval, duration));
+    update.previewUrl = `/thumbnails/${video.id}/sprite.vtt`;
+  }
+
+  try {
+    await saveVideo(video.id, update);
+  } catch (error) {
+    await removeThumbnails(video.id);
+    throw error;
+  }
+}
+
+// EBU R128 integrated loudness and true peak, measured by a loudnorm analysis pass
+async function loudness(context: JobContext): Promise<void> {
+  const video = await loadVideo(context);
+  const source = videoPath(video);
+  const duration = await probeSeconds(source);
+
+  const stderr = await runFfmpeg([
+    '-i', source, '-vn', '-af', 'loudnorm=print_format=json', '-f', 'null', '-',
+  ], {
+    duration,
+    onProgress: context.progress,
+    signal: context.signal,
+  });
+
+  const report = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!report) {
+    throw new Error('FFmpeg did not report loudness; the file may have no audio');
+  }
+  const { input_i, input_tp } = JSON.parse(report[0]);
+  context.log(report[0]);
+
+  const loudnessLufs = Number(input_i);
+  const truePeakDb = Number(input_tp);
+  await saveVideo(video.id, {
+    loudnessLufs: Number.isFinite(loudnessLufs) ? loudnessLufs : null,
+    truePeakDb: Number.isFinite(truePeakDb) ? truePeakDb : null,
+  });
+}
+
+// Transcodes once to the current stream profile so playout can use -c copy.
+// Keyframes are forced every two seconds, which stream copy relies on.
+async function normalize(context: JobContext): Promise<void> {
+  const video = await loadVideo(context);
+  const source = videoPath(video);
+  const profile = streamProfileFor(await storage.getStreamConfig());
+  const key = profileKey(profile);
+
+  if (video.normalizedProfile === key && video.normalizedFilename && fs.existsSync(path.join(uploadDir, video.normalizedFilename))) {
+    context.log(`Already normalized to ${key}`);
+    return;
+  }
+
+  const filename = `${NORMALIZED_SUBDIR}/${video.id}-${key}.mp4`;
+  const output = path.join(uploadDir, filename);
+  const partial = `${output}.part`;
+  await fs.promises.mkdir(path.dirname(output), { recursive: true });
+  context.log(`Normalizing to ${key}`);
+
+  try {
+    await runFfmpeg([
+      '-i', source,
+      '-map', '0:v:0', '-map', '0:a:0?',
+      ...encodeArgs(profile, 'medium'),
+      '-keyint_min', `${profile.fps * 2}`, '-sc_threshold', '0',
+      '-movflags', '+faststart',
+      '-f', 'mp4', partial,
+    ], {
+      duration: await probeSeconds(source),
+      onProgress: context.progress,
+      onLog: context.log,
+      signal: context.signal,
+    });
+    await fs.promises.rename(partial, output);
+    await saveVideo(video.id, { normalizedFilename: filename, normalizedProfile: key });
+  } catch (error) {
+    await fs.promises.rm(partial, { force: true });
+    await fs.promises.rm(output, { force: true });
+    throw error;
+  }
+
+  // The copy made for an earlier profile is of no further use
+  if (video.normalizedFilename && video.normalizedFilename !== filename) {
+    await removeNormalizedCopy(video.normalizedFilename);
+  }
+}
+
+export async function removeThumbnails(videoId: number): Promise<void> {
+  await fs.promises.rm(path.join(thumbnailDir, String(videoId)), { recursive: true, force: true });
+}
+
+// Thumbnails and the normalized copy of a deleted video
+// Normalized copies always live under uploads/; a name leading elsewhere is not ours to delete
+async function removeNormalizedCopy(filename: string): Promise<void> {
+  const filePath = path.resolve(uploadDir, filename);
+  if (isInside(uploadDir, filePath)) {
+    await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+export async function removeDerivedFiles(video: Video): Promise<void> {
+  await removeThumbnails(video.id);
+  if (video.normalizedFilename) {
+    await removeNormalizedCopy(video.normalizedFilename);
+  }
+}
+
+export async function enqueueIngestJobs(videoId: number): Promise<void> {
+  for (const type of INGEST_JOB_TYPES) {
+    await jobQueue.enqueue(type, videoId);
+  }
+  const systemConfig = await storage.getSystemConfig();
+  if (systemConfig?.normalizeOnIngest) {
+    await jobQueue.enqueue('normalize', videoId);
+  }
+}
+
+// Queues normalization for every video without a copy for the current profile.
+// Returns how many jobs were queued.
+export async function enqueueLibraryNormalization(): Promise<number> {
+  const key = profileKey(streamProfileFor(await storage.getStreamConfig()));
+  const videos = await storage.getVideos();
+  let queued = 0;
+  for (const video of videos) {
+    if (video.normalizedProfile !== key) {
+      await jobQueue.enqueue('normalize', video.id);
+      queued++;
+    }
+  }
+  return queued;
+}
+
+// Queues work for videos that predate the job queue
+export async function backfillMediaJobs(): Promise<void> {
+  try {
+    const videos = await storage.getVideos();
+    for (const video of videos) {
+      if (video.validationStatus === 'pending') {
+        await jobQueue.enqueue('probe', video.id);
+      }
+      if (!video.thumbnailUrl) {
+        await jobQueue.enqueue('thumbnails', video.id);
+      }
+    }
+  } catch (error) {
+    log(`Failed to queue media backfill: ${error}`);
+  }
+}
+
+jobQueue.register('probe', probe);
+jobQueue.register('thumbnails', thumbnails);
+jobQueue.register('loudness', loudness);
+jobQueue.register('normalize', normalize);
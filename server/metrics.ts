@@ -0,0 +1,75 @@
+import type { EncoderMetricsSample } from '@shared/events';
+
+// Samples kept for the rolling history; FFmpeg reports once per second
+const HISTORY_SIZE = 300;
+
+function parseNumber(value: string | undefined): number {
+  const parsed = parseFloat(value || '');
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Turns the key=value blocks written by `-progress pipe:1` into samples.
+// Each block ends with a `progress=continue` or `progress=end` line.
+export class ProgressParser {
+  private buffer = '';
+  private fields: Record<string, string> = {};
+
+  feed(chunk: string): Omit<EncoderMetricsSample, 'videoId'>[] {
+    const samples: Omit<EncoderMetricsSample, 'videoId'>[] = [];
+    this.buffer += chunk;
+
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      this.fields[key] = value;
+
+      if (key === 'progress') {
+        samples.push(this.toSample(this.fields));
+        this.fields = {};
+      }
+    }
+
+    return samples;
+  }
+
+  private toSample(fields: Record<string, string>): Omit<EncoderMetricsSample, 'videoId'> {
+    return {
+      timestamp: new Date().toISOString(),
+      fps: parseNumber(fields.fps),
+      bitrateKbps: parseNumber(fields.bitrate), // "2496.3kbits/s"
+      speed: parseNumber(fields.speed), // "1.01x"
+      droppedFrames: parseNumber(fields.drop_frames),
+      duplicatedFrames: parseNumber(fields.dup_frames),
+      position: parseNumber(fields.out_time_us) / 1_000_000,
+    };
+  }
+}
+
+export class EncoderMetrics {
+  private history: EncoderMetricsSample[] = [];
+
+  record(sample: EncoderMetricsSample): void {
+    this.history.push(sample);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+  }
+
+  current(): EncoderMetricsSample | null {
+    return this.history[this.history.length - 1] || null;
+  }
+
+  getHistory(limit = HISTORY_SIZE): EncoderMetricsSample[] {
+    return this.history.slice(-limit);
+  }
+
+  clear(): void {
+    this.history = [];
+  }
+}
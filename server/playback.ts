@@ -0,0 +1,251 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { isPlayable } from './probe';
+import { log } from './vite';
+import type { PlaylistVideo, Video } from '@shared/schema';
+import type { PlaybackMode, PlaybackSettings } from '@shared/events';
+
+export const PLAYBACK_MODES: PlaybackMode[] = ['sequential', 'shuffle', 'random', 'weighted'];
+export const MAX_NO_REPEAT_WINDOW = 50;
+const HISTORY_SIZE = MAX_NO_REPEAT_WINDOW;
+
+function minuteOfDay(time: string): number {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Why a playlist item is out of rotation at `now`, or null when it may play.
+// activeFrom/activeUntil are wall-clock times in the server's timezone (TZ),
+// as schedule entries are; the item editor labels them server time.
+export function itemRuleBlock(item: PlaylistVideo, now: Date = new Date()): string | null {
+  if (item.expiresAt && item.expiresAt.getTime() <= now.getTime()) {
+    return 'expired';
+  }
+  if (item.playLimit !== null && item.playCount >= item.playLimit) {
+    return `played ${item.playCount} of ${item.playLimit} times`;
+  }
+  if (item.activeFrom && item.activeUntil) {
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const from = minuteOfDay(item.activeFrom);
+    const until = minuteOfDay(item.activeUntil);
+    const inside = from <= until ? minute >= from && minute < until : minute >= from || minute < until;
+    if (!inside) {
+      return `only plays ${item.activeFrom}-${item.activeUntil}`;
+    }
+  }
+  return null;
+}
+
+// Decides what plays after the current video. The play-next queue always
+// wins; otherwise the mode picks from the active playlist. Mode, window and
+// queue are kept on the stream status row so they survive restarts.
+export class PlaybackPlanner {
+  private mode: PlaybackMode = 'sequential';
+  private noRepeatWindow: number = 3;
+  private queue: number[] = [];
+  private recent: number[] = []; // played video ids, newest last
+  private shuffleBag: number[] = []; // what is left of the current shuffle cycle
+  private cursorVideoId: number | null = null; // last playlist video, so queued videos do not lose the place
+
+  async load(): Promise<void> {
+    try {
+      const status = await storage.getStreamStatus();
+      if (status) {
+        this.mode = PLAYBACK_MODES.includes(status.playbackMode as PlaybackMode)
+          ? status.playbackMode as PlaybackMode
+          : 'sequential';
+        this.noRepeatWindow = status.noRepeatWindow;
+        this.queue = [...status.playNextQueue];
+      }
+    } catch (error) {
+      log(`Failed to load playback settings: ${error}`);
+    }
+  }
+
+  getSettings(): PlaybackSettings {
+    return { mode: this.mode, noRepeatWindow: this.noRepeatWindow, queue: [...this.queue] };
+  }
+
+  hasQueued(): boolean {
+    return this.queue.length > 0;
+  }
+
+  async setMode(mode: PlaybackMode, noRepeatWindow: number = this.noRepeatWindow): Promise<PlaybackSettings> {
+    this.mode = mode;
+    this.noRepeatWindow = noRepeatWindow;
+    this.shuffleBag = [];
+    await storage.updatePlaybackSettings({ playbackMode: mode, noRepeatWindow });
+    return this.publish();
+  }
+
+  async enqueue(videoId: number): Promise<PlaybackSettings> {
+    this.queue.push(videoId);
+    return this.saveQueue();
+  }
+
+  // Returns false when there is nothing at that position
+  async dequeue(position: number): Promise<boolean> {
+    if (position < 0 || position >= this.queue.length) {
+      return false;
+    }
+    this.queue.splice(position, 1);
+    await this.saveQueue();
+    return true;
+  }
+
+  async clearQueue(): Promise<PlaybackSettings> {
+    this.queue = [];
+    return this.saveQueue();
+  }
+
+  // A broadcast started on this video, by hand or by the scheduler
+  noteStarted(videoId: number, playlist: Video[]): void {
+    this.remember(videoId);
+    if (playlist.some(video => video.id === videoId)) {
+      this.cursorVideoId = videoId;
+    }
+  }
+
+  // Items held back by their rules are passed over. When that leaves nothing
+  // the rules are ignored, as weighted mode does with all-zero weights, so the
+  // broadcast does not drop.
+  async next(playlist: PlaylistVideo[], currentVideoId: number): Promise<Video | null> {
+    const queued = await this.takeQueued(playlist);
+    if (queued) {
+      this.remember(queued.id);
+      return queued;
+    }
+
+    if (playlist.length === 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const allowed = playlist.filter(item => itemRuleBlock(item, now) === null);
+    if (allowed.length === 0) {
+      log('Every playlist item is held back by its rules, ignoring them');
+    }
+    const candidates = allowed.length > 0 ? allowed : playlist;
+
+    let picked: Video;
+    switch (this.mode) {
+      case 'shuffle':
+        picked = this.pickShuffled(candidates);
+        break;
+      case 'random':
+        picked = this.pickRandom(this.withoutRecent(candidates), () => 1);
+        break;
+      case 'weighted': {
+        const eligible = candidates.filter(video => video.weight > 0);
+        picked = this.pickRandom(this.withoutRecent(eligible.length > 0 ? eligible : candidates), video => video.weight);
+        break;
+      }
+      default:
+        picked = this.pickSequential(playlist, candidates, currentVideoId);
+    }
+
+    this.remember(picked.id);
+    this.cursorVideoId = picked.id;
+    return picked;
+  }
+
+  // A queued video that is also in the playlist plays as that item, trim included
+  private async takeQueued(playlist: PlaylistVideo[]): Promise<Video | null> {
+    while (this.queue.length > 0) {
+      const videoId = this.queue.shift()!;
+      const video = playlist.find(item => item.id === videoId) ?? await storage.getVideo(videoId);
+      await this.saveQueue();
+      if (video && isPlayable(video)) {
+        return video;
+      }
+      log(`Queued video ${videoId} no longer exists or cannot be played, skipping it`);
+    }
+    return null;
+  }
+
+  // The first candidate after the current position in the full playlist
+  private pickSequential<T extends Video>(playlist: T[], candidates: T[], currentVideoId: number): T {
+    let index = playlist.findIndex(video => video.id === currentVideoId);
+    if (index === -1 && this.cursorVideoId !== null) {
+      index = playlist.findIndex(video => video.id === this.cursorVideoId);
+    }
+    for (let step = 1; step <= playlist.length; step++) {
+      const video = playlist[(index + step) % playlist.length];
+      if (candidates.includes(video)) {
+        return video;
+      }
+    }
+    return candidates[0];
+  }
+
+  // Every video plays once per cycle in a fresh random order
+  private pickShuffled(playlist: Video[]): Video {
+    const ids = new Set(playlist.map(video => video.id));
+    this.shuffleBag = this.shuffleBag.filter(id => ids.has(id));
+
+    if (this.shuffleBag.length === 0) {
+      this.shuffleBag = playlist.map(video => video.id);
+      for (let i = this.shuffleBag.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [this.shuffleBag[i], this.shuffleBag[j]] = [this.shuffleBag[j], this.shuffleBag[i]];
+      }
+      // Do not open a cycle with the video that closed the last one
+      const last = this.recent[this.recent.length - 1];
+      if (this.shuffleBag.length > 1 && this.shuffleBag[0] === last) {
+        [this.shuffleBag[0], this.shuffleBag[1]] = [this.shuffleBag[1], this.shuffleBag[0]];
+      }
+    }
+
+    const nextId = this.shuffleBag.shift()!;
+    return playlist.find(video => video.id === nextId)!;
+  }
+
+  // Drops the last N played videos, always leaving at least one candidate
+  private withoutRecent(playlist: Video[]): Video[] {
+    const window = Math.min(this.noRepeatWindow, playlist.length - 1);
+    if (window <= 0) {
+      return playlist;
+    }
+    const excluded = new Set(this.recent.slice(-window));
+    const candidates = playlist.filter(video => !excluded.has(video.id));
+    return candidates.length > 0 ? candidates : playlist;
+  }
+
+  private pickRandom(candidates: Video[], weightOf: (video: Video) => number): Video {
+    const weights = candidates.map(video => Math.max(0, weightOf(video)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      // Everything left is weighted 0; fall back to an even pick
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) {
+        return candidates[i];
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  private remember(videoId: number): void {
+    this.recent.push(videoId);
+    if (this.recent.length > HISTORY_SIZE) {
+      this.recent.shift();
+    }
+  }
+
+  private async saveQueue(): Promise<PlaybackSettings> {
+    await storage.updatePlaybackSettings({ playNextQueue: this.queue });
+    return this.publish();
+  }
+
+  private publish(): PlaybackSettings {
+    const settings = this.getSettings();
+    streamEvents.publish('playback', settings);
+    return settings;
+  }
+}
+
+export const playbackPlanner = new PlaybackPlanner();
@@ -0,0 +1,287 @@
+import { storage } from './storage';
+import type { Playlist, PlaylistImportResult, PlaylistVideo, Video } from '@shared/schema';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Moves playlists between instances. Media is not included: items are matched
+// against the receiving library by SHA-256, then by filename.
+//
+// JSON format (format "sa-plays-playlist", version 1):
+//   { format, version, name, exportedAt,
+//     items: [{ title, filename, contentHash, durationSeconds, weight, startSeconds, endSeconds,
+//               playLimit, activeFrom, activeUntil, expiresAt }] }
+// Items are in playout order. Everything but `filename` is optional on import.
+// Play counts stay behind: an imported item starts from zero.
+//
+// Extended M3U carries the same data except the rules: #EXTINF for duration
+// and title, VLC's #EXTVLCOPT start-time/stop-time for trim points and an
+// #EXTSAPLAYS line for the hash and weight. Players that do not know the tags
+// ignore them.
+export const PLAYLIST_FORMAT = 'sa-plays-playlist';
+const PLAYLIST_FORMAT_VERSION = 1;
+
+const playlistItemSchema = z.object({
+  title: z.string().optional(),
+  filename: z.string().min(1),
+  contentHash: z.string().regex(/^[0-9a-f]{64}$/i).nullable().optional(),
+  durationSeconds: z.number().nonnegative().nullable().optional(),
+  weight: z.number().int().min(0).max(100).nullable().optional(),
+  startSeconds: z.number().nonnegative().nullable().optional(),
+  endSeconds: z.number().positive().nullable().optional(),
+  playLimit: z.number().int().min(1).nullable().optional(),
+  activeFrom: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).nullable().optional(),
+  activeUntil: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).nullable().optional(),
+  expiresAt: z.string().datetime().nullable().optional(),
+}).refine(
+  item => item.startSeconds == null || item.endSeconds == null || item.startSeconds < item.endSeconds,
+  'startSeconds must be before endSeconds',
+);
+
+const playlistDocumentSchema = z.object({
+  format: z.literal(PLAYLIST_FORMAT).optional(),
+  version: z.number().int().max(PLAYLIST_FORMAT_VERSION).optional(),
+  name: z.string().optional(),
+  exportedAt: z.string().optional(),
+  items: z.array(playlistItemSchema).max(5000),
+});
+
+export type PlaylistDocumentItem = z.infer<typeof playlistItemSchema>;
+export type PlaylistDocument = z.infer<typeof playlistDocumentSchema>;
+
+// A file that cannot be read as a playlist; answered with 400
+export class PlaylistFormatError extends Error {
+  constructor(message: string, public errors?: unknown) {
+    super(message);
+    this.name = 'PlaylistFormatError';
+  }
+}
+
+export function toPlaylistDocument(playlist: Playlist, videos: PlaylistVideo[]): PlaylistDocument {
+  return {
+    format: PLAYLIST_FORMAT,
+    version: PLAYLIST_FORMAT_VERSION,
+    name: playlist.name,
+    exportedAt: new Date().toISOString(),
+    items: videos.map(video => ({
+      title: video.title,
+      filename: video.filename,
+      contentHash: video.contentHash,
+      durationSeconds: video.durationSeconds,
+      weight: video.weight,
+      startSeconds: video.startSeconds,
+      endSeconds: video.endSeconds,
+      playLimit: video.playLimit,
+      activeFrom: video.activeFrom,
+      activeUntil: video.activeUntil,
+      expiresAt: video.expiresAt?.toISOString() ?? null,
+    })),
+  };
+}
+
+// Every M3U entry is one line, so line breaks in titles become spaces
+function m3uText(value: string): string {
+  return value.replace(/[\r\n]+/g, ' ');
+}
+
+export function toM3u(document: PlaylistDocument): string {
+  const lines = ['#EXTM3U'];
+  if (document.name) {
+    lines.push(`#PLAYLIST:${m3uText(document.name)}`);
+  }
+  for (const item of document.items) {
+    lines.push(`#EXTINF:${Math.round(item.durationSeconds ?? -1)},${m3uText(item.title ?? path.basename(item.filename))}`);
+    if (item.startSeconds != null) {
+      lines.push(`#EXTVLCOPT:start-time=${item.startSeconds}`);
+    }
+    if (item.endSeconds != null) {
+      lines.push(`#EXTVLCOPT:stop-time=${item.endSeconds}`);
+    }
+    const extra = [
+      item.contentHash ? `sha256=${item.contentHash}` : null,
+      item.weight != null ? `weight=${item.weight}` : null,
+    ].filter(Boolean);
+    if (extra.length > 0) {
+      lines.push(`#EXTSAPLAYS:${extra.join(',')}`);
+    }
+    lines.push(m3uText(item.filename));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseNumber(value: string | undefined): number | undefined {
+  const number = value !== undefined ? Number(value) : NaN;
+  return Number.isFinite(number) ? number : undefined;
+}
+
+export function parseM3u(content: string): PlaylistDocument {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new PlaylistFormatError('Not an extended M3U file: the first line must be #EXTM3U');
+  }
+
+  const document: PlaylistDocument = { items: [] };
+  let pending: Partial<PlaylistDocumentItem> = {};
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#PLAYLIST:')) {
+      document.name = line.slice('#PLAYLIST:'.length).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<duration> [attributes],<title>
+      const body = line.slice('#EXTINF:'.length);
+      const comma = body.indexOf(',');
+      const duration = parseNumber((comma >= 0 ? body.slice(0, comma) : body).trim().split(/\s+/)[0]);
+      pending.durationSeconds = duration !== undefined && duration >= 0 ? duration : null;
+      pending.title = comma >= 0 ? body.slice(comma + 1).trim() || undefined : undefined;
+    } else if (line.startsWith('#EXTVLCOPT:')) {
+      const [key, value] = line.slice('#EXTVLCOPT:'.length).split('=');
+      if (key === 'start-time') {
+        pending.startSeconds = parseNumber(value) ?? null;
+      } else if (key === 'stop-time') {
+        pending.endSeconds = parseNumber(value) ?? null;
+      }
+    } else if (line.startsWith('#EXTSAPLAYS:')) {
+      for (const pair of line.slice('#EXTSAPLAYS:'.length).split(',')) {
+        const [key, value] = pair.split('=');
+        if (key === 'sha256') {
+          pending.contentHash = value;
+        } else if (key === 'weight') {
+          pending.weight = parseNumber(value) ?? null;
+        }
+      }
+    } else if (!line.startsWith('#')) {
+      document.items.push({ ...pending, filename: line });
+      pending = {};
+    }
+  }
+  return document;
+}
+
+// Accepts an M3U file, a JSON export as text, or an already parsed JSON export
+export function parsePlaylistFile(input: unknown): PlaylistDocument {
+  let raw = input;
+  if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim();
+    if (text.startsWith('#EXTM3U')) {
+      raw = parseM3u(text);
+    } else {
+      try {
+        raw = JSON.parse(text);
+      } catch {
+        throw new PlaylistFormatError('File is neither extended M3U nor JSON');
+      }
+    }
+  }
+
+  const result = playlistDocumentSchema.safeParse(raw);
+  if (!result.success) {
+    throw new PlaylistFormatError('Invalid playlist file', result.error.errors);
+  }
+  return result.data;
+}
+
+// The path part of an M3U entry, which may be a bare path, a file:// URL or an
+// http(s) URL into another instance's /uploads
+function entryPath(filename: string): string {
+  try {
+    const url = new URL(filename);
+    return url.protocol === 'file:' ? fileURLToPath(url) : decodeURIComponent(url.pathname);
+  } catch {
+    return filename;
+  }
+}
+
+export interface PlaylistImportMatch {
+  position: number;
+  item: PlaylistDocumentItem;
+  video: Video | null;
+  matchedBy: 'contentHash' | 'filename' | null;
+}
+
+// Content-addressed filenames are the hash, so a filename match across
+// instances usually means the same content too
+export async function matchPlaylistItems(document: PlaylistDocument): Promise<PlaylistImportMatch[]> {
+  const videos = await storage.getVideos();
+  const byHash = new Map<string, Video>();
+  const byFilename = new Map<string, Video>();
+  const byBasename = new Map<string, Video>();
+  for (const video of videos) {
+    if (video.contentHash && !byHash.has(video.contentHash)) {
+      byHash.set(video.contentHash, video);
+    }
+    if (!byFilename.has(video.filename)) {
+      byFilename.set(video.filename, video);
+    }
+    const base = path.basename(video.filename);
+    if (!byBasename.has(base)) {
+      byBasename.set(base, video);
+    }
+  }
+
+  return document.items.map((item, position) => {
+    const hashMatch = item.contentHash ? byHash.get(item.contentHash.toLowerCase()) : undefined;
+    if (hashMatch) {
+      return { position, item, video: hashMatch, matchedBy: 'contentHash' };
+    }
+    const filename = entryPath(item.filename);
+    const filenameMatch = byFilename.get(filename)
+      ?? byFilename.get(filename.replace(/^\/?uploads\//, ''))
+      ?? byBasename.get(path.basename(filename));
+    return { position, item, video: filenameMatch ?? null, matchedBy: filenameMatch ? 'filename' : null };
+  });
+}
+
+// Creates a playlist from the matched items. Weights belong to the video, so
+// applying them changes the video in every playlist.
+export async function importPlaylist(
+  document: PlaylistDocument,
+  options: { name?: string; dryRun?: boolean; applyWeights?: boolean } = {},
+): Promise<PlaylistImportResult> {
+  const matches = await matchPlaylistItems(document);
+  const missing = matches
+    .filter(match => !match.video)
+    .map(({ position, item }) => ({
+      position,
+      title: item.title ?? null,
+      filename: item.filename,
+      contentHash: item.contentHash ?? null,
+    }));
+
+  const seen = new Set<number>();
+  const found = matches.filter(match => {
+    if (!match.video || seen.has(match.video.id)) {
+      return false;
+    }
+    seen.add(match.video.id);
+    return true;
+  });
+  const duplicates = matches.length - missing.length - found.length;
+
+  if (options.dryRun) {
+    return { playlist: null, matched: found.length, missing, duplicates, weightsUpdated: 0 };
+  }
+
+  const name = options.name?.trim() || document.name?.trim() || `Imported ${new Date().toISOString().slice(0, 10)}`;
+  const playlist = await storage.createPlaylist({ name });
+  let weightsUpdated = 0;
+  for (const { video, item } of found) {
+    const added = await storage.addPlaylistItem(playlist.id, video!.id);
+    if (added) {
+      // A half-set time window cannot be enforced, so it is dropped
+      const window = item.activeFrom && item.activeUntil && item.activeFrom !== item.activeUntil;
+      await storage.updatePlaylistItem(playlist.id, added.id, {
+        startSeconds: item.startSeconds ?? null,
+        endSeconds: item.endSeconds ?? null,
+        playLimit: item.playLimit ?? null,
+        activeFrom: window ? item.activeFrom : null,
+        activeUntil: window ? item.activeUntil : null,
+        expiresAt: item.expiresAt ? new Date(item.expiresAt) : null,
+      });
+    }
+    if ((options.applyWeights ?? true) && item.weight != null && item.weight !== video!.weight) {
+      await storage.updateVideo(video!.id, { weight: item.weight });
+      weightsUpdated++;
+    }
+  }
+
+  return { playlist, matched: found.length, missing, duplicates, weightsUpdated };
+}
@@ -0,0 +1,115 @@
+import ffmpeg from 'fluent-ffmpeg';
+import type { Video, MediaIssue } from '@shared/schema';
+
+// Relative gap between the nominal and average frame rate that marks a file as VFR
+const VFR_TOLERANCE = 0.01;
+
+export interface MediaMetadata {
+  durationSeconds: number | null;
+  videoCodec: string | null;
+  audioCodec: string | null;
+  width: number | null;
+  height: number | null;
+  fps: number | null;
+  audioChannels: number | null;
+  bitrateKbps: number | null;
+  rotation: number;
+  variableFrameRate: boolean;
+}
+
+// ffprobe reports rates as fractions such as "30000/1001"; "0/0" means unknown
+function parseRate(rate: string | undefined): number | null {
+  if (!rate) {
+    return null;
+  }
+  const [num, den] = rate.split('/').map(Number);
+  const value = den ? num / den : num;
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function positive(value: unknown): number | null {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Rotation comes from the legacy rotate tag or the display matrix side data
+function parseRotation(stream: ffmpeg.FfprobeStream): number {
+  const tag = Number(stream.tags?.rotate);
+  if (Number.isFinite(tag) && tag !== 0) {
+    return ((tag % 360) + 360) % 360;
+  }
+  const sideData = (stream as { side_data_list?: Array<{ rotation?: number }> }).side_data_list;
+  const matrix = sideData?.find(data => typeof data.rotation === 'number');
+  return matrix ? ((-matrix.rotation! % 360) + 360) % 360 : 0;
+}
+
+export function probeMedia(filePath: string): Promise<MediaMetadata> {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const video = metadata.streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+      const audio = metadata.streams.find(stream => stream.codec_type === 'audio');
+      const nominalFps = parseRate(video?.r_frame_rate);
+      const averageFps = parseRate(video?.avg_frame_rate);
+      const bitrate = positive(metadata.format.bit_rate);
+
+      resolve({
+        durationSeconds: positive(metadata.format.duration),
+        videoCodec: video?.codec_name ?? null,
+        audioCodec: audio?.codec_name ?? null,
+        width: positive(video?.width),
+        height: positive(video?.height),
+        fps: averageFps ?? nominalFps,
+        audioChannels: positive(audio?.channels),
+        bitrateKbps: bitrate ? Math.round(bitrate / 1000) : null,
+        rotation: video ? parseRotation(video) : 0,
+        variableFrameRate: !!nominalFps && !!averageFps && Math.abs(nominalFps - averageFps) / nominalFps > VFR_TOLERANCE,
+      });
+    });
+  });
+}
+
+// Errors make a file unplayable; warnings play but may stutter or go silent
+export function validateMedia(metadata: MediaMetadata): MediaIssue[] {
+  const issues: MediaIssue[] = [];
+  if (!metadata.videoCodec) {
+    issues.push({ code: 'no_video', severity: 'error', message: 'No video stream found' });
+  }
+  if (!metadata.durationSeconds) {
+    issues.push({ code: 'no_duration', severity: 'error', message: 'Duration could not be read; the file may be truncated' });
+  }
+  if (metadata.videoCodec && (!metadata.width || !metadata.height)) {
+    issues.push({ code: 'no_dimensions', severity: 'error', message: 'Video stream has no resolution' });
+  }
+  if (metadata.variableFrameRate) {
+    issues.push({ code: 'vfr', severity: 'warning', message: 'Variable frame rate; playout may drift or stutter' });
+  }
+  if (!metadata.audioCodec) {
+    issues.push({ code: 'no_audio', severity: 'warning', message: 'No audio stream; viewers will hear silence' });
+  }
+  return issues;
+}
+
+export function validationStatusFor(issues: MediaIssue[]): string {
+  if (issues.some(issue => issue.severity === 'error')) {
+    return 'invalid';
+  }
+  return issues.length > 0 ? 'warning' : 'ok';
+}
+
+// Videos the probe marked invalid are left out of playout
+export function isPlayable(video: Video): boolean {
+  return video.validationStatus !== 'invalid';
+}
+
+export function formatDuration(seconds: number): string {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = Math.floor(seconds % 60);
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(rest)}` : `${pad(minutes)}:${pad(rest)}`;
+}
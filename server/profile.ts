@@ -0,0 +1,62 @@
+import type { StreamConfig } from '@shared/schema';
+
+// The output format every feeder encodes to. Normalized files are transcoded
+// to exactly this, so playout can copy them instead of encoding live.
+export interface StreamProfile {
+  quality: string; // '1080p', '720p', ...
+  bitrate: string; // video bitrate, e.g. '3000k'
+  fps: number;
+}
+
+// Convert resolution format for FFmpeg
+function convertResolution(resolution: string): string {
+  switch (resolution) {
+    case '1920x1080': return '1080p';
+    case '1280x720': return '720p';
+    case '854x480': return '480p';
+    default: return '720p';
+  }
+}
+
+export function getResolutionHeight(quality: string): number {
+  switch (quality) {
+    case '1080p': return 1080;
+    case '720p': return 720;
+    case '480p': return 480;
+    case '360p': return 360;
+    default: return 720;
+  }
+}
+
+export function streamProfileFor(streamConfig?: StreamConfig): StreamProfile {
+  return {
+    quality: convertResolution(streamConfig?.resolution || '1280x720'),
+    bitrate: `${streamConfig?.bitrate || 3000}k`,
+    fps: streamConfig?.framerate || 30,
+  };
+}
+
+// Identifies a profile in normalized filenames and on the video row
+export function profileKey(profile: StreamProfile): string {
+  return `${profile.quality}-${profile.fps}fps-${profile.bitrate}`;
+}
+
+// Video and audio encoder settings shared by live playout and normalization
+export function encodeArgs(profile: StreamProfile, preset: string = 'veryfast'): string[] {
+  return [
+    '-c:v', 'libx264', // Video codec
+    '-preset', preset, // Encoding preset; live playout needs speed
+    '-tune', 'zerolatency', // Optimize for low latency
+    '-pix_fmt', 'yuv420p', // Pixel format compatible with most platforms
+    '-b:v', profile.bitrate, // Target bitrate
+    '-maxrate', profile.bitrate, // Maximum bitrate
+    '-bufsize', `${parseInt(profile.bitrate) * 2}k`, // Buffer size
+    '-vf', `scale=-2:${getResolutionHeight(profile.quality)}`, // Scale video
+    '-g', `${profile.fps * 2}`, // GOP size (keyframe interval)
+    '-r', profile.fps.toString(), // Frame rate
+    '-c:a', 'aac', // Audio codec
+    '-b:a', '128k', // Audio bitrate
+    '-ar', '44100', // Audio sample rate
+    '-ac', '2', // Audio channels (stereo)
+  ];
+}
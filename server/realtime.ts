@@ -0,0 +1,87 @@
+import type { Server } from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+import { streamEvents } from './events';
+import { rtmpManager } from './rtmp';
+import { storage } from './storage';
+import { viewerTracker } from './viewers';
+import { streamScheduler } from './scheduler';
+import { playbackPlanner } from './playback';
+import { authenticateUpgrade } from './auth';
+import { log } from './vite';
+import type { StreamEventMessage } from '@shared/events';
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+function send(socket: WebSocket, message: StreamEventMessage): void {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Attaches the /ws event channel to the HTTP server. Upgrades are routed by
+// path so the Vite HMR socket on the same server keeps working in development.
+export function setupRealtime(server: Server): WebSocketServer {
+  const wss = new WebSocketServer({ noServer: true });
+  const alive = new WeakMap<WebSocket, boolean>();
+
+  server.on('upgrade', async (req, socket, head) => {
+    const pathname = (req.url || '').split('?')[0];
+    if (pathname !== '/ws') {
+      return;
+    }
+    // The channel needs the same login as the dashboard
+    const user = await authenticateUpgrade(req).catch(() => null);
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', async (socket) => {
+    alive.set(socket, true);
+    socket.on('pong', () => alive.set(socket, true));
+
+    // Send a snapshot so a fresh client does not wait for the next change
+    try {
+      const status = await storage.getStreamStatus();
+      const timestamp = new Date().toISOString();
+      if (status) {
+        send(socket, { type: 'status', data: rtmpManager.decorateStatus(status), timestamp });
+      }
+      send(socket, { type: 'encoder.health', data: rtmpManager.getEncoderHealth(), timestamp });
+      send(socket, { type: 'destinations', data: rtmpManager.getDestinationHealth(), timestamp });
+      send(socket, { type: 'viewers', data: viewerTracker.getCounts(), timestamp });
+      send(socket, { type: 'schedule.changed', data: streamScheduler.getState(), timestamp });
+      send(socket, { type: 'playback', data: playbackPlanner.getSettings(), timestamp });
+    } catch (error) {
+      log(`Failed to send realtime snapshot: ${error}`, 'ws');
+    }
+  });
+
+  const unsubscribe = streamEvents.subscribe((message) => {
+    wss.clients.forEach((socket) => send(socket, message));
+  });
+
+  // Drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!alive.get(socket)) {
+        socket.terminate();
+        return;
+      }
+      alive.set(socket, false);
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  return wss;
+}
@@ -0,0 +1,186 @@
+import type { ScheduleEntry } from '@shared/schema';
+
+export interface Occurrence {
+  key: string; // stable per entry and start time
+  entryId: number;
+  title: string;
+  videoId: number | null;
+  start: Date;
+  end: Date;
+}
+
+interface CronField {
+  values: Set<number>;
+  wildcard: boolean;
+}
+
+interface CronSchedule {
+  minute: CronField;
+  hour: CronField;
+  dayOfMonth: CronField;
+  month: CronField;
+  dayOfWeek: CronField;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Upper bound on minutes scanned for one cron expansion (about two months)
+const MAX_CRON_SCAN_MINUTES = 62 * 24 * 60;
+
+function parseCronField(field: string, min: number, max: number, name: string): CronField {
+  const values = new Set<number>();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${field}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let start = min;
+    let end = max;
+    if (match[2] !== undefined) {
+      start = parseInt(match[2]);
+      // "5/15" means from 5 to the end in steps of 15
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start);
+    }
+
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} field "${field}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: field === '*' };
+}
+
+// Standard five-field cron: minute hour day-of-month month day-of-week
+export function parseCron(expression: string): CronSchedule {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const dayOfWeek = parseCronField(fields[4], 0, 7, 'day-of-week');
+  // Both 0 and 7 are Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return {
+    minute: parseCronField(fields[0], 0, 59, 'minute'),
+    hour: parseCronField(fields[1], 0, 23, 'hour'),
+    dayOfMonth: parseCronField(fields[2], 1, 31, 'day-of-month'),
+    month: parseCronField(fields[3], 1, 12, 'month'),
+    dayOfWeek,
+  };
+}
+
+function cronMatches(schedule: CronSchedule, date: Date): boolean {
+  if (!schedule.minute.values.has(date.getMinutes()) ||
+      !schedule.hour.values.has(date.getHours()) ||
+      !schedule.month.values.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // As in cron, a restricted day-of-month and day-of-week match either way
+  const domMatch = schedule.dayOfMonth.values.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.values.has(date.getDay());
+  if (!schedule.dayOfMonth.wildcard && !schedule.dayOfWeek.wildcard) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+// Checks what the insert schema cannot: the window and the recurrence rule
+export function validateScheduleEntry(entry: Pick<ScheduleEntry, 'startsAt' | 'endsAt' | 'recurrence' | 'cronExpression' | 'recurrenceUntil'>): string | null {
+  if (entry.endsAt <= entry.startsAt) {
+    return 'End time must be after the start time';
+  }
+  if (entry.recurrenceUntil && entry.recurrenceUntil < entry.startsAt) {
+    return 'Repeat-until date must be after the start time';
+  }
+  if (entry.recurrence === 'cron') {
+    if (!entry.cronExpression) {
+      return 'A cron expression is required for cron recurrence';
+    }
+    try {
+      parseCron(entry.cronExpression);
+    } catch (error) {
+      return (error as Error).message;
+    }
+  }
+  return null;
+}
+
+function toOccurrence(entry: ScheduleEntry, start: Date, durationMs: number): Occurrence {
+  return {
+    key: `${entry.id}@${start.getTime()}`,
+    entryId: entry.id,
+    title: entry.title,
+    videoId: entry.videoId,
+    start,
+    end: new Date(start.getTime() + durationMs),
+  };
+}
+
+// Occurrences of an entry that overlap [from, to). Daily and weekly repeats
+// keep their wall-clock time across DST changes; everything is server-local.
+export function expandOccurrences(entry: ScheduleEntry, from: Date, to: Date): Occurrence[] {
+  const durationMs = entry.endsAt.getTime() - entry.startsAt.getTime();
+  const until = entry.recurrenceUntil?.getTime() ?? Infinity;
+  const occurrences: Occurrence[] = [];
+  const overlaps = (start: Date) => start.getTime() < to.getTime() && start.getTime() + durationMs > from.getTime();
+
+  switch (entry.recurrence) {
+    case 'daily':
+    case 'weekly': {
+      const stepDays = entry.recurrence === 'daily' ? 1 : 7;
+      // Jump close to the window, one step early to absorb DST shifts
+      const firstIndex = Math.max(0, Math.floor((from.getTime() - durationMs - entry.startsAt.getTime()) / (stepDays * DAY_MS)) - 1);
+      for (let index = firstIndex; ; index++) {
+        const start = new Date(entry.startsAt);
+        start.setDate(start.getDate() + index * stepDays);
+        if (start.getTime() >= to.getTime() || start.getTime() > until) {
+          break;
+        }
+        if (overlaps(start)) {
+          occurrences.push(toOccurrence(entry, start, durationMs));
+        }
+      }
+      break;
+    }
+    case 'cron': {
+      if (!entry.cronExpression) {
+        break;
+      }
+      const schedule = parseCron(entry.cronExpression);
+      const scanStart = Math.max(entry.startsAt.getTime(), from.getTime() - durationMs);
+      const cursor = new Date(Math.ceil(scanStart / MINUTE_MS) * MINUTE_MS);
+      for (let scanned = 0; cursor.getTime() < to.getTime() && scanned < MAX_CRON_SCAN_MINUTES; scanned++) {
+        if (cursor.getTime() > until) {
+          break;
+        }
+        if (cronMatches(schedule, cursor) && overlaps(cursor)) {
+          occurrences.push(toOccurrence(entry, new Date(cursor), durationMs));
+        }
+        cursor.setTime(cursor.getTime() + MINUTE_MS);
+      }
+      break;
+    }
+    default:
+      if (overlaps(entry.startsAt)) {
+        occurrences.push(toOccurrence(entry, new Date(entry.startsAt), durationMs));
+      }
+  }
+
+  return occurrences;
+}
+
+// The occurrence of an entry running at `at`, preferring the one that began last
+export function activeOccurrence(entry: ScheduleEntry, at: Date): Occurrence | null {
+  const running = expandOccurrences(entry, at, new Date(at.getTime() + 1));
+  return running.length > 0 ? running[running.length - 1] : null;
+}
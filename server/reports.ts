@@ -0,0 +1,84 @@
+import type { StreamSession, SessionSummary } from '@shared/schema';
+
+type CsvValue = string | number | boolean | Date | null | undefined;
+
+function csvCell(value: CsvValue): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header: string[], rows: CsvValue[][]): string {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export function formatDuration(totalSeconds: number): string {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Open sessions count up to now
+function sessionEnd(session: StreamSession, now: Date = new Date()): Date {
+  return session.endedAt ?? now;
+}
+
+// Uptime is measured on the union of session intervals clipped to the range,
+// so overlapping rows never count the same second twice
+export function summarizeSessions(sessions: StreamSession[], from: Date | undefined, to: Date | undefined): SessionSummary {
+  const now = new Date();
+  const rangeEnd = to && to < now ? to : now;
+  const rangeStart = from ?? (sessions.length > 0
+    ? new Date(Math.min(...sessions.map(session => session.startedAt.getTime())))
+    : rangeEnd);
+
+  const intervals = sessions
+    .map(session => [
+      Math.max(session.startedAt.getTime(), rangeStart.getTime()),
+      Math.min(sessionEnd(session, now).getTime(), rangeEnd.getTime()),
+    ])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let coveredMs = 0;
+  let cursor = -Infinity;
+  for (const [start, end] of intervals) {
+    const effectiveStart = Math.max(start, cursor);
+    if (end > effectiveStart) {
+      coveredMs += end - effectiveStart;
+    }
+    cursor = Math.max(cursor, end);
+  }
+
+  const rangeMs = rangeEnd.getTime() - rangeStart.getTime();
+  return {
+    from: rangeStart.toISOString(),
+    to: rangeEnd.toISOString(),
+    sessions: sessions.length,
+    uptimeSeconds: Math.round(coveredMs / 1000),
+    availability: rangeMs > 0 ? Math.min(1, coveredMs / rangeMs) : 0,
+    peakViewers: sessions.reduce((peak, session) => Math.max(peak, session.peakViewers), 0),
+    restarts: sessions.reduce((total, session) => total + session.restarts, 0),
+  };
+}
+
+export function sessionsToCsv(sessions: StreamSession[]): string {
+  return toCsv(
+    ['id', 'started_at', 'ended_at', 'end_reason', 'uptime_seconds', 'uptime', 'destinations', 'videos_played', 'peak_viewers', 'restarts'],
+    sessions.map(session => [
+      session.id,
+      session.startedAt,
+      session.endedAt,
+      session.endReason ?? (session.endedAt ? '' : 'live'),
+      session.uptimeSeconds,
+      formatDuration(session.uptimeSeconds),
+      session.destinations.join('; '),
+      session.videosPlayed.map(video => `${video.title} (x${video.plays})`).join('; '),
+      session.peakViewers,
+      session.restarts,
+    ]),
+  );
+}
@@ -3,13 +3,36 @@ import express from "express";
 import { createServer, type Server } from "http";
 import { storage } from "./storage";
 import { rtmpManager } from "./rtmp";
-import { insertVideoSchema, insertStreamConfigSchema, insertStreamStatusSchema, insertSystemConfigSchema } from "@shared/schema";
+import { startBroadcast, stopBroadcast, refreshLiveDestinations, BroadcastError } from "./broadcast";
+import { streamEvents } from "./events";
+import { setupRealtime } from "./realtime";
+import { viewerTracker } from "./viewers";
+import { streamSupervisor } from "./supervisor";
+import { summarizeSessions, sessionsToCsv } from "./reports";
+import { streamScheduler } from "./scheduler";
+import { playbackPlanner, PLAYBACK_MODES, MAX_NO_REPEAT_WINDOW } from "./playback";
+import { validateScheduleEntry } from "./recurrence";
+import { thumbnailDir, enqueueLibraryNormalization, backfillMediaJobs, removeDerivedFiles } from "./media";
+import { jobQueue, JobError, summarizeJob } from "./jobs";
+import { uploadManager, UploadError, ALLOWED_VIDEO_TYPES, MAX_CHUNK_SIZE } from "./uploads";
+import { releaseFile, safeMediaPath, isImported } from "./media-store";
+import { registerVideo, reuseExistingVideo, ingestFile, importInPlace, resolveImportPath, parseDuplicateMode, DUPLICATE_MODES, IngestError } from "./ingest";
+import { watchFolder } from "./watch-folder";
+import { setupAuth, registerAuthRoutes, requireRole, requireNginxCallback } from "./auth";
+import { auditTrail, auditLogToCsv } from "./audit";
+import { webhookDispatcher, generateWebhookSecret } from "./webhooks";
+import { maskSecret, encryptSecret } from "./secrets";
+import { toPlaylistDocument, toM3u, parsePlaylistFile, importPlaylist, PlaylistFormatError } from "./playlist-transfer";
+import { getStorageReport, ensureStorageAvailable, ensureDiskReserve, deleteOrphans, StorageError } from "./disk";
+import { updateVideoSchema, insertStreamConfigSchema, insertStreamDestinationSchema, insertStreamStatusSchema, insertSystemConfigSchema, insertScheduleEntrySchema, insertPlaylistSchema, insertUploadSessionSchema, updatePlaylistItemSchema, reorderPlaylistSchema, insertWebhookSchema, isMaskedSecret, AUDIT_TARGET_TYPES, type AuditTargetType, type Webhook, type Video, type StreamConfig, type StreamDestination, type SystemConfig } from "@shared/schema";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
 import { execSync, spawn } from "child_process";
-import ffmpeg from "fluent-ffmpeg";
 import { db } from "./db";
+import * as schema from "@shared/schema";
+import { is, getTableColumns } from "drizzle-orm";
+import { PgTable, getTableConfig, type PgColumn } from "drizzle-orm/pg-core";
 
 const upload = multer({
   storage: multer.diskStorage({
@@ -26,8 +49,7 @@ const upload = multer({
     }
   }),
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['video/mp4', 'video/avi', 'video/mov', 'video/quicktime'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only MP4, AVI, and MOV files are allowed.'));
@@ -38,33 +60,143 @@ const upload = multer({
   }
 });
 
-// Helper function to get video duration using FFmpeg
-async function getVideoDuration(filePath: string): Promise<string> {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) {
-        console.error('Error getting video duration:', err);
-        resolve('00:00');
-        return;
-      }
-      
-      const duration = metadata.format.duration;
-      if (!duration) {
-        resolve('00:00');
-        return;
-      }
-      
-      const minutes = Math.floor(duration / 60);
-      const seconds = Math.floor(duration % 60);
-      resolve(`${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`);
-    });
+// Secrets leave the server masked; an admin reads one through /api/secrets/reveal
+const maskStreamConfig = (config: StreamConfig) => ({ ...config, streamKey: maskSecret(config.streamKey) });
+const maskDestination = (destination: StreamDestination) => ({ ...destination, streamKey: maskSecret(destination.streamKey) });
+const maskSystemConfig = (config: SystemConfig) => ({ ...config, dbPassword: maskSecret(config.dbPassword) });
+const maskWebhook = (webhook: Webhook) => ({ ...webhook, secret: maskSecret(webhook.secret) });
+
+const SECRET_KINDS = ['stream-config', 'destination', 'system-config', 'webhook'] as const;
+
+// Bounds the calendar query, since cron entries are expanded minute by minute
+const MAX_OCCURRENCE_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Columns the backup fallback writes encrypted, whatever state the row is in
+const SECRET_COLUMNS: Record<string, string[]> = {
+  stream_configs: ['stream_key'],
+  stream_destinations: ['stream_key'],
+  system_configs: ['db_password'],
+  webhooks: ['secret'],
+};
+
+// One SQL literal per value. Text uses E'' escapes so every INSERT stays on
+// one line, which the restore fallback relies on.
+function toSqlLiteral(value: unknown, column: PgColumn): string {
+  const quote = (text: string) => `E'${text.replace(/\\/g, '\\\\').replace(/'/g, "''").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (value instanceof Date) {
+    return quote(value.toISOString());
+  }
+  if (Array.isArray(value) && column.columnType === 'PgArray') {
+    return quote(`{${value.join(',')}}`);
+  }
+  if (typeof value === 'object') {
+    return quote(JSON.stringify(value));
+  }
+  if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint') {
+    return String(value);
+  }
+  return quote(String(value));
+}
+
+// The pg_dump fallback: every table in the schema as INSERT statements, and
+// serial counters moved past the restored ids. Throws rather than leave a
+// table out, so a backup is never silently partial.
+async function dumpDatabaseAsSql(): Promise<string> {
+  let sqlContent = '-- Database backup created by Sa Plays Roblox Streamer\n';
+  sqlContent += '-- Generated on ' + new Date().toISOString() + '\n';
+  sqlContent += '-- Stream keys, webhook secrets and the database password are encrypted; restoring them needs this server\'s SECRETS_KEY\n\n';
+
+  for (const table of Object.values(schema as Record<string, unknown>).filter((value): value is PgTable => is(value, PgTable))) {
+    const { name, columns } = getTableConfig(table);
+    let rows: Record<string, unknown>[];
+    try {
+      rows = await db.select().from(table);
+    } catch (error) {
+      throw new Error(`Could not back up table ${name}: ${error instanceof Error ? error.message : error}`);
+    }
+    if (rows.length === 0) {
+      continue;
+    }
+
+    const keys = Object.entries(getTableColumns(table));
+    const secrets = SECRET_COLUMNS[name] ?? [];
+    sqlContent += `-- Table: ${name}\n`;
+    for (const row of rows) {
+      const values = keys.map(([key, column]) => {
+        const value = secrets.includes(column.name) && typeof row[key] === 'string' ? encryptSecret(row[key] as string) : row[key];
+        return toSqlLiteral(value, column);
+      });
+      sqlContent += `INSERT INTO "${name}" (${keys.map(([, column]) => `"${column.name}"`).join(', ')}) VALUES (${values.join(', ')});\n`;
+    }
+    if (columns.some(column => column.name === 'id' && column.columnType === 'PgSerial')) {
+      sqlContent += `SELECT setval(pg_get_serial_sequence('"${name}"', 'id'), (SELECT MAX(id) FROM "${name}"));\n`;
+    }
+    sqlContent += '\n';
+  }
+  return sqlContent;
+}
+
+// Deletes the row, then the files nothing else needs. File and job cleanup
+// failures are logged rather than failing the request.
+async function removeVideo(video: Video): Promise<boolean> {
+  if (!await storage.deleteVideo(video.id)) {
+    return false;
+  }
+
+  // Delete the file once no other library entry shares it
+  try {
+    if (await releaseFile(video.filename)) {
+      console.log(`Deleted file: ${video.filename}`);
+    }
+  } catch (fileError) {
+    console.error(`Failed to delete file ${video.filename}:`, fileError);
+  }
+  await jobQueue.cancelForVideo(video.id).catch((error) => {
+    console.error(`Failed to cancel media jobs for video ${video.id}:`, error);
   });
+  await removeDerivedFiles(video).catch((error) => {
+    console.error(`Failed to delete thumbnails or normalized copy for video ${video.id}:`, error);
+  });
+  return true;
+}
+
+// Rejects an upload before multer writes it when the declared size does not fit
+async function checkUploadStorage(req: express.Request, res: express.Response, next: express.NextFunction) {
+  try {
+    await ensureStorageAvailable(Number(req.header('Content-Length')) || 0);
+    next();
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+}
+
+function sendUploadError(res: express.Response, error: unknown, fallback: string) {
+  if (error instanceof UploadError) {
+    return res.status(error.status).json({ message: error.message, offset: error.offset });
+  }
+  if (error instanceof StorageError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ message: fallback });
 }
 
 export async function registerRoutes(app: Express): Promise<Server> {
-  
+  // Sessions and the login guard come before every other route, and the
+  // audit trail wraps every route after them, login and logout included
+  await setupAuth(app);
+  app.use('/api', auditTrail);
+  registerAuthRoutes(app);
+
   // Serve uploaded videos
-  app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+  app.use('/uploads', requireRole('viewer'), express.static(path.join(process.cwd(), 'uploads')));
+  app.use('/thumbnails', requireRole('viewer'), express.static(thumbnailDir));
   
   // Video routes
   app.get("/api/videos", async (req, res) => {
@@ -76,248 +208,991 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/videos", upload.single('video'), async (req, res) => {
+  app.post("/api/videos", requireRole('operator'), checkUploadStorage, upload.single('video'), async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({ message: "No video file uploaded" });
       }
 
       const { title } = req.body;
-      const videos = await storage.getVideos();
-      
-      // Get video duration using FFmpeg
-      const filePath = path.join(process.cwd(), 'uploads', req.file.filename);
-      const duration = await getVideoDuration(filePath);
-      
-      const videoData = {
+      const mode = parseDuplicateMode(req.body.duplicate);
+      if (!mode) {
+        await fs.promises.rm(req.file.path, { force: true });
+        return res.status(400).json({ message: "duplicate must be one of: " + DUPLICATE_MODES.join(', ') });
+      }
+
+      const result = await ingestFile(req.file.path, {
+        originalName: req.file.originalname,
         title: title || req.file.originalname,
-        filename: req.file.filename,
-        fileSize: req.file.size,
-        duration: duration,
-        thumbnailUrl: null,
-        playlistOrder: videos.length,
-      };
-
-      const result = insertVideoSchema.safeParse(videoData);
+        duplicate: mode,
+      });
+      switch (result.status) {
+        case 'duplicate':
+          await fs.promises.rm(req.file.path, { force: true });
+          return res.status(409).json({ message: "This file is already in the library", contentHash: result.contentHash, duplicates: result.duplicates });
+        case 'invalid':
+          return res.status(400).json({ message: "Invalid video data", errors: result.errors });
+        case 'reused':
+          return res.json(result.video);
+        default:
+          webhookDispatcher.emit('upload.completed', { videoId: result.video.id, title: result.video.title, fileSize: result.video.fileSize });
+          return res.status(201).json(result.video);
+      }
+    } catch (error) {
+      console.error('Error uploading video:', error);
+      res.status(500).json({ message: "Failed to upload video" });
+    }
+  });
+
+  // Resumable uploads: create a session, PUT chunks in order, then complete
+  app.post("/api/uploads", requireRole('operator'), async (req, res) => {
+    try {
+      const result = insertUploadSessionSchema.safeParse({
+        ...req.body,
+        title: req.body.title || req.body.filename,
+      });
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid upload data", errors: result.error.errors });
+      }
+
+      await ensureStorageAvailable(result.data.totalSize);
+      const session = await uploadManager.create(result.data);
+      res.status(201).json(session);
+    } catch (error) {
+      sendUploadError(res, error, "Failed to start upload");
+    }
+  });
+
+  app.get("/api/uploads/:id", requireRole('operator'), async (req, res) => {
+    try {
+      res.json(await uploadManager.get(req.params.id));
+    } catch (error) {
+      sendUploadError(res, error, "Failed to fetch upload");
+    }
+  });
+
+  app.put("/api/uploads/:id/chunk", requireRole('operator'), express.raw({ type: 'application/octet-stream', limit: MAX_CHUNK_SIZE }), async (req, res) => {
+    try {
+      const offset = Number(req.header('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ message: "Upload-Offset header is required" });
+      }
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ message: "Chunk must be sent as application/octet-stream" });
+      }
+
+      await ensureDiskReserve(req.body.length);
+      const session = await uploadManager.appendChunk(req.params.id, offset, req.body, req.header('Chunk-Checksum') || undefined);
+      res.json(session);
+    } catch (error) {
+      sendUploadError(res, error, "Failed to store chunk");
+    }
+  });
+
+  app.post("/api/uploads/:id/complete", requireRole('operator'), async (req, res) => {
+    try {
+      const mode = parseDuplicateMode(req.body?.duplicate);
+      if (!mode) {
+        return res.status(400).json({ message: "duplicate must be one of: " + DUPLICATE_MODES.join(', ') });
+      }
+
+      const verified = await uploadManager.verify(req.params.id);
+      if (verified.status === 'complete') {
+        // Already completed by an earlier request whose response was lost
+        const video = verified.videoId !== null ? await storage.getVideo(verified.videoId) : undefined;
+        return video ? res.json(video) : res.status(409).json({ message: "Upload is already complete" });
+      }
+
+      const duplicates = await storage.getVideosByContentHash(verified.contentHash!);
+      if (duplicates.length > 0 && mode !== 'new') {
+        if (mode === 'ask') {
+          // The verified upload is kept so the client can answer without resending it
+          return res.status(409).json({ message: "This file is already in the library", contentHash: verified.contentHash, duplicates });
+        }
+        await uploadManager.discard(verified.id);
+        return res.json(await reuseExistingVideo(duplicates[0]));
+      }
+
+      const { session, filename } = await uploadManager.commit(req.params.id);
+      const video = await registerVideo(filename, session.title, session.totalSize, session.contentHash!);
+      if ('errors' in video) {
+        return res.status(400).json({ message: "Invalid video data", errors: video.errors });
+      }
+
+      await storage.updateUploadSession(session.id, { videoId: video.id });
+      webhookDispatcher.emit('upload.completed', { videoId: video.id, title: video.title, fileSize: video.fileSize });
+      res.status(201).json(video);
+    } catch (error) {
+      sendUploadError(res, error, "Failed to complete upload");
+    }
+  });
+
+  app.delete("/api/uploads/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const deleted = await uploadManager.abort(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ message: "Upload not found" });
+      }
+      res.json({ message: "Upload cancelled" });
+    } catch (error) {
+      sendUploadError(res, error, "Failed to cancel upload");
+    }
+  });
+
+  // Registers files already on the server without copying them
+  app.post("/api/videos/import", requireRole('admin'), async (req, res) => {
+    try {
+      const { path: target, title, recursive } = req.body;
+      if (typeof target !== 'string' || !target.trim()) {
+        return res.status(400).json({ message: "path is required" });
+      }
+
+      const result = await importInPlace(target.trim(), {
+        title: typeof title === 'string' ? title.trim() : undefined,
+        recursive: recursive === true,
+      });
+      res.status(result.imported.length > 0 ? 201 : 200).json({
+        message: `Imported ${result.imported.length} video(s)`,
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof IngestError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error importing from server path:', error);
+      res.status(500).json({ message: "Failed to import videos" });
+    }
+  });
+
+  // Serves media imported in place, which /uploads cannot reach
+  app.get("/api/videos/:id/file", async (req, res) => {
+    try {
+      const video = await storage.getVideo(parseInt(req.params.id));
+      if (!video) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+      if (!isImported(video.filename)) {
+        return res.redirect(`/uploads/${video.filename}`);
+      }
+      const filePath = await safeMediaPath(video.filename);
+      if (!filePath) {
+        return res.status(403).json({ message: "Video file is outside the media directories" });
+      }
+      res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ message: "Video file is missing" });
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch video file" });
+    }
+  });
+
+  app.get("/api/watch-folder", requireRole('admin'), async (req, res) => {
+    try {
+      res.json(watchFolder.getStatus());
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch watch folder status" });
+    }
+  });
+
+  // Transcodes every video that has no copy for the current stream profile
+  app.post("/api/videos/normalize", requireRole('operator'), async (req, res) => {
+    try {
+      const queued = await enqueueLibraryNormalization();
+      res.json({ message: `Queued ${queued} video(s) for normalization`, queued });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to queue normalization" });
+    }
+  });
+
+  // Media job routes
+  app.get("/api/jobs", async (req, res) => {
+    try {
+      const videoId = req.query.videoId ? parseInt(req.query.videoId as string) : undefined;
+      const limit = req.query.limit ? parseInt(req.query.limit as string) : undefined;
+      const jobs = await storage.getMediaJobs({
+        status: req.query.status ? String(req.query.status) : undefined,
+        videoId: Number.isNaN(videoId) ? undefined : videoId,
+        limit: limit && limit > 0 ? Math.min(limit, 500) : undefined,
+      });
+      res.json(jobs.map(summarizeJob));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch jobs" });
+    }
+  });
+
+  app.get("/api/jobs/:id", async (req, res) => {
+    try {
+      const job = await storage.getMediaJob(parseInt(req.params.id));
+      if (!job) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+      res.json(job);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch job" });
+    }
+  });
+
+  app.post("/api/jobs", requireRole('operator'), async (req, res) => {
+    try {
+      const { type, videoId } = req.body;
+      if (typeof type !== 'string' || !jobQueue.getTypes().includes(type)) {
+        return res.status(400).json({ message: `type must be one of: ${jobQueue.getTypes().join(', ')}` });
+      }
+      if (!Number.isInteger(videoId) || !await storage.getVideo(videoId)) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+
+      const job = await jobQueue.enqueue(type, videoId);
+      res.status(201).json(summarizeJob(job));
+    } catch (error) {
+      if (error instanceof JobError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Failed to queue job" });
+    }
+  });
+
+  app.post("/api/jobs/:id/cancel", requireRole('operator'), async (req, res) => {
+    try {
+      const job = await jobQueue.cancel(parseInt(req.params.id));
+      res.json(summarizeJob(job));
+    } catch (error) {
+      if (error instanceof JobError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Failed to cancel job" });
+    }
+  });
+
+  app.post("/api/jobs/:id/retry", requireRole('operator'), async (req, res) => {
+    try {
+      const job = await jobQueue.retry(parseInt(req.params.id));
+      res.json(summarizeJob(job));
+    } catch (error) {
+      if (error instanceof JobError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Failed to retry job" });
+    }
+  });
+
+  // Clears completed, failed and cancelled jobs from the list
+  app.delete("/api/jobs", requireRole('operator'), async (req, res) => {
+    try {
+      const deleted = await storage.deleteFinishedMediaJobs();
+      res.json({ message: `Cleared ${deleted} finished job(s)`, deleted });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to clear jobs" });
+    }
+  });
+
+  app.put("/api/videos/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = updateVideoSchema.safeParse(req.body);
+      
       if (!result.success) {
         return res.status(400).json({ message: "Invalid video data", errors: result.error.errors });
       }
 
-      const video = await storage.createVideo(result.data);
-      res.status(201).json(video);
+      const video = await storage.updateVideo(id, result.data);
+      if (!video) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'updated' });
+      res.json(video);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update video" });
+    }
+  });
+
+  app.delete("/api/videos/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      
+      // Get video info before deletion to find the file
+      const video = await storage.getVideo(id);
+      if (!video) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+
+      if (!await removeVideo(video)) {
+        return res.status(404).json({ message: "Failed to delete video from database" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'deleted' });
+      res.json({ message: "Video and file deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to delete video" });
+    }
+  });
+
+  app.post("/api/videos/reorder", requireRole('operator'), async (req, res) => {
+    try {
+      const result = reorderPlaylistSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist order", errors: result.error.errors });
+      }
+
+      // Kept for older clients; reorders the active playlist
+      const activePlaylist = await storage.getActivePlaylist();
+      if (!activePlaylist) {
+        return res.status(404).json({ message: "No active playlist" });
+      }
+
+      await storage.reorderPlaylistItems(activePlaylist.id, result.data.videoIds);
+      streamEvents.publish('playlist.changed', { reason: 'reordered' });
+      res.json({ message: "Playlist reordered successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to reorder playlist" });
+    }
+  });
+
+  // Playlist routes
+  app.get("/api/playlists", async (req, res) => {
+    try {
+      const playlists = await storage.getPlaylists();
+      res.json(playlists);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch playlists" });
+    }
+  });
+
+  app.get("/api/playlists/active", async (req, res) => {
+    try {
+      const playlist = await storage.getActivePlaylist();
+      if (!playlist) {
+        return res.status(404).json({ message: "No active playlist" });
+      }
+      res.json({ playlist, videos: await storage.getPlaylistVideos(playlist.id) });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch active playlist" });
+    }
+  });
+
+  // Downloads a playlist (the active one unless `id` is given) as JSON or extended M3U
+  app.get("/api/playlists/export", async (req, res) => {
+    try {
+      const format = req.query.format ? String(req.query.format) : 'json';
+      if (format !== 'json' && format !== 'm3u') {
+        return res.status(400).json({ message: "format must be json or m3u" });
+      }
+
+      const playlist = req.query.id
+        ? await storage.getPlaylist(parseInt(req.query.id as string))
+        : await storage.getActivePlaylist();
+      if (!playlist) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+
+      const document = toPlaylistDocument(playlist, await storage.getPlaylistVideos(playlist.id));
+      const basename = playlist.name.replace(/[^\w.-]+/g, '_') || 'playlist';
+      if (format === 'm3u') {
+        res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${basename}.m3u8"`);
+        return res.send(toM3u(document));
+      }
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.json"`);
+      res.json(document);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to export playlist" });
+    }
+  });
+
+  // Creates a playlist from an export. The file is sent as the raw body (M3U or
+  // JSON text) or as a JSON export; `name`, `dryRun` and `applyWeights` come
+  // from the query string. Entries whose media is not in the library are reported.
+  app.post(
+    "/api/playlists/import",
+    requireRole('operator'),
+    express.text({ type: ['text/*', 'audio/x-mpegurl', 'audio/mpegurl', 'application/x-mpegurl', 'application/vnd.apple.mpegurl'], limit: '5mb' }),
+    async (req, res) => {
+      try {
+        // The dashboard sends the file text wrapped as { content } through the JSON parser
+        const document = parsePlaylistFile(typeof req.body?.content === 'string' ? req.body.content : req.body);
+        const result = await importPlaylist(document, {
+          name: req.query.name ? String(req.query.name) : undefined,
+          dryRun: req.query.dryRun === 'true',
+          applyWeights: req.query.applyWeights !== 'false',
+        });
+
+        if (result.playlist) {
+          streamEvents.publish('playlist.changed', { reason: 'created' });
+        }
+        res.status(result.playlist ? 201 : 200).json(result);
+      } catch (error) {
+        if (error instanceof PlaylistFormatError) {
+          return res.status(400).json({ message: error.message, errors: error.errors });
+        }
+        console.error('Error importing playlist:', error);
+        res.status(500).json({ message: "Failed to import playlist" });
+      }
+    },
+  );
+
+  app.get("/api/playlists/:id", async (req, res) => {
+    try {
+      const playlist = await storage.getPlaylist(parseInt(req.params.id));
+      if (!playlist) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+      res.json({ playlist, videos: await storage.getPlaylistVideos(playlist.id) });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch playlist" });
+    }
+  });
+
+  app.post("/api/playlists", requireRole('operator'), async (req, res) => {
+    try {
+      const result = insertPlaylistSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist", errors: result.error.errors });
+      }
+
+      const playlist = await storage.createPlaylist(result.data);
+      streamEvents.publish('playlist.changed', { reason: 'created' });
+      res.status(201).json(playlist);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create playlist" });
+    }
+  });
+
+  app.put("/api/playlists/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = insertPlaylistSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist", errors: result.error.errors });
+      }
+
+      const playlist = await storage.updatePlaylist(id, result.data);
+      if (!playlist) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'renamed' });
+      res.json(playlist);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to rename playlist" });
+    }
+  });
+
+  app.post("/api/playlists/:id/duplicate", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const source = await storage.getPlaylist(id);
+      if (!source) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+
+      const result = insertPlaylistSchema.partial().safeParse(req.body || {});
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist", errors: result.error.errors });
+      }
+
+      const playlist = await storage.duplicatePlaylist(id, result.data.name || `${source.name} (copy)`);
+      streamEvents.publish('playlist.changed', { reason: 'created' });
+      res.status(201).json(playlist);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to duplicate playlist" });
+    }
+  });
+
+  // Playout switches over when the current video finishes
+  app.post("/api/playlists/:id/activate", requireRole('operator'), async (req, res) => {
+    try {
+      const playlist = await storage.setActivePlaylist(parseInt(req.params.id));
+      if (!playlist) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'activated' });
+      res.json(playlist);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to activate playlist" });
+    }
+  });
+
+  app.delete("/api/playlists/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const playlist = await storage.getPlaylist(parseInt(req.params.id));
+      if (!playlist) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+      if (playlist.isActive) {
+        return res.status(400).json({ message: "The active playlist cannot be deleted; activate another one first" });
+      }
+
+      await storage.deletePlaylist(playlist.id);
+      streamEvents.publish('playlist.changed', { reason: 'deleted' });
+      res.json({ message: "Playlist deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to delete playlist" });
+    }
+  });
+
+  app.post("/api/playlists/:id/items", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { videoId } = req.body;
+      if (!Number.isInteger(videoId)) {
+        return res.status(400).json({ message: "videoId must be an integer" });
+      }
+
+      if (!(await storage.getPlaylist(id))) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+      if (!(await storage.getVideo(videoId))) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+
+      const item = await storage.addPlaylistItem(id, videoId);
+      if (!item) {
+        return res.status(409).json({ message: "Video is already in this playlist" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'updated' });
+      res.status(201).json(item);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to add video to playlist" });
+    }
+  });
+
+  // Sets an item's trim points and rules; omitted fields keep their value
+  app.put("/api/playlists/:id/items/:itemId", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const itemId = parseInt(req.params.itemId);
+      const result = updatePlaylistItemSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist item", errors: result.error.errors });
+      }
+
+      const current = (await storage.getPlaylistVideos(id)).find(video => video.itemId === itemId);
+      if (!current) {
+        return res.status(404).json({ message: "Playlist item not found" });
+      }
+
+      const item = { ...current, ...result.data };
+      if (item.startSeconds !== null && item.endSeconds !== null && item.startSeconds >= item.endSeconds) {
+        return res.status(400).json({ message: "The in point must be before the out point" });
+      }
+      if (current.durationSeconds !== null && item.startSeconds !== null && item.startSeconds >= current.durationSeconds) {
+        return res.status(400).json({ message: "The in point is past the end of the video" });
+      }
+      if ((item.activeFrom === null) !== (item.activeUntil === null)) {
+        return res.status(400).json({ message: "Set both ends of the time window, or neither" });
+      }
+      if (item.activeFrom !== null && item.activeFrom === item.activeUntil) {
+        return res.status(400).json({ message: "The time window is empty" });
+      }
+
+      const updated = await storage.updatePlaylistItem(id, itemId, result.data);
+      streamEvents.publish('playlist.changed', { reason: 'updated' });
+      res.json(updated);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update playlist item" });
+    }
+  });
+
+  app.delete("/api/playlists/:id/items/:itemId", requireRole('operator'), async (req, res) => {
+    try {
+      const success = await storage.removePlaylistItem(parseInt(req.params.id), parseInt(req.params.itemId));
+      if (!success) {
+        return res.status(404).json({ message: "Playlist item not found" });
+      }
+
+      streamEvents.publish('playlist.changed', { reason: 'updated' });
+      res.json({ message: "Video removed from playlist" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to remove video from playlist" });
+    }
+  });
+
+  app.post("/api/playlists/:id/reorder", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = reorderPlaylistSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid playlist order", errors: result.error.errors });
+      }
+
+      if (!(await storage.getPlaylist(id))) {
+        return res.status(404).json({ message: "Playlist not found" });
+      }
+
+      await storage.reorderPlaylistItems(id, result.data.videoIds);
+      streamEvents.publish('playlist.changed', { reason: 'reordered' });
+      res.json({ message: "Playlist reordered successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to reorder playlist" });
+    }
+  });
+
+  // Stream configuration routes
+  app.get("/api/stream-config", requireRole('operator'), async (req, res) => {
+    try {
+      const config = await storage.getStreamConfig();
+      res.json(config ? maskStreamConfig(config) : config);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch stream configuration" });
+    }
+  });
+
+  app.post("/api/stream-config", requireRole('operator'), async (req, res) => {
+    try {
+      const result = insertStreamConfigSchema.safeParse(req.body);
+      
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid stream configuration", errors: result.error.errors });
+      }
+
+      // A masked key is the one the form was loaded with, so keep the stored key
+      let { streamKey } = result.data;
+      if (isMaskedSecret(streamKey)) {
+        streamKey = (await storage.getStreamConfig())?.streamKey ?? '';
+        if (!streamKey) {
+          return res.status(400).json({ message: "Enter the stream key" });
+        }
+      }
+
+      const config = await storage.createOrUpdateStreamConfig({ ...result.data, streamKey });
+
+      // Normalized copies only match the profile they were made for
+      const systemConfig = await storage.getSystemConfig();
+      if (systemConfig?.normalizeOnIngest) {
+        await enqueueLibraryNormalization();
+      }
+      res.json(maskStreamConfig(config));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to save stream configuration" });
+    }
+  });
+
+  // Stream destination routes
+  app.get("/api/destinations", requireRole('operator'), async (req, res) => {
+    try {
+      const destinations = await storage.getStreamDestinations();
+      const health = rtmpManager.getDestinationHealth();
+      res.json(destinations.map(destination => ({
+        ...maskDestination(destination),
+        health: health.find(h => h.id === String(destination.id)) || null,
+      })));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch stream destinations" });
+    }
+  });
+
+  app.get("/api/destinations/health", async (req, res) => {
+    try {
+      res.json(rtmpManager.getDestinationHealth());
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch destination health" });
+    }
+  });
+
+  app.post("/api/destinations", requireRole('operator'), async (req, res) => {
+    try {
+      const result = insertStreamDestinationSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid stream destination", errors: result.error.errors });
+      }
+      if (result.data.platform === 'custom' && !/^rtmps?:\/\//.test(result.data.rtmpUrl || '')) {
+        return res.status(400).json({ message: "Valid RTMP URL is required for custom platform" });
+      }
+      if (isMaskedSecret(result.data.streamKey)) {
+        return res.status(400).json({ message: "Enter the stream key" });
+      }
+
+      const destination = await storage.createStreamDestination(result.data);
+      await refreshLiveDestinations();
+      res.status(201).json(maskDestination(destination));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create stream destination" });
+    }
+  });
+
+  app.put("/api/destinations/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = insertStreamDestinationSchema.partial().safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid stream destination", errors: result.error.errors });
+      }
+
+      const { streamKey, ...changes } = result.data;
+      const destination = await storage.updateStreamDestination(id, isMaskedSecret(streamKey) ? changes : result.data);
+      if (!destination) {
+        return res.status(404).json({ message: "Stream destination not found" });
+      }
+
+      await refreshLiveDestinations();
+      res.json(maskDestination(destination));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update stream destination" });
+    }
+  });
+
+  app.delete("/api/destinations/:id", requireRole('operator'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const success = await storage.deleteStreamDestination(id);
+      if (!success) {
+        return res.status(404).json({ message: "Stream destination not found" });
+      }
+
+      await refreshLiveDestinations();
+      res.json({ message: "Stream destination deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to delete stream destination" });
+    }
+  });
+
+  app.post("/api/destinations/:id/reconnect", requireRole('operator'), async (req, res) => {
+    try {
+      if (!rtmpManager.reconnectDestination(req.params.id)) {
+        return res.status(404).json({ message: "Destination is not part of the active stream" });
+      }
+      res.json({ message: "Destination reconnect started" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to reconnect destination" });
+    }
+  });
+
+  app.get("/api/schedule", async (req, res) => {
+    try {
+      const entries = await storage.getScheduleEntries();
+      res.json({ entries, state: streamScheduler.getState() });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch schedule" });
+    }
+  });
+
+  app.get("/api/schedule/occurrences", async (req, res) => {
+    try {
+      const from = new Date(req.query.from as string);
+      const to = new Date(req.query.to as string);
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+      if (to.getTime() - from.getTime() > MAX_OCCURRENCE_RANGE_MS) {
+        return res.status(400).json({ message: "Date range is limited to 31 days" });
+      }
+
+      res.json(await streamScheduler.getOccurrences(from, to));
     } catch (error) {
-      console.error('Error uploading video:', error);
-      res.status(500).json({ message: "Failed to upload video" });
+      res.status(500).json({ message: "Failed to fetch schedule occurrences" });
     }
   });
 
-  app.put("/api/videos/:id", async (req, res) => {
+  app.post("/api/schedule", requireRole('operator'), async (req, res) => {
     try {
-      const id = parseInt(req.params.id);
-      const result = insertVideoSchema.partial().safeParse(req.body);
-      
+      const result = insertScheduleEntrySchema.safeParse(req.body);
       if (!result.success) {
-        return res.status(400).json({ message: "Invalid video data", errors: result.error.errors });
+        return res.status(400).json({ message: "Invalid schedule entry", errors: result.error.errors });
       }
-
-      const video = await storage.updateVideo(id, result.data);
-      if (!video) {
-        return res.status(404).json({ message: "Video not found" });
+      const invalid = validateScheduleEntry({
+        ...result.data,
+        cronExpression: result.data.cronExpression ?? null,
+        recurrenceUntil: result.data.recurrenceUntil ?? null,
+      });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
       }
 
-      res.json(video);
+      const entry = await storage.createScheduleEntry(result.data);
+      await streamScheduler.tick();
+      res.status(201).json(entry);
     } catch (error) {
-      res.status(500).json({ message: "Failed to update video" });
+      res.status(500).json({ message: "Failed to create schedule entry" });
     }
   });
 
-  app.delete("/api/videos/:id", async (req, res) => {
+  app.put("/api/schedule/:id", requireRole('operator'), async (req, res) => {
     try {
       const id = parseInt(req.params.id);
-      
-      // Get video info before deletion to find the file
-      const video = await storage.getVideo(id);
-      if (!video) {
-        return res.status(404).json({ message: "Video not found" });
+      const result = insertScheduleEntrySchema.partial().safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid schedule entry", errors: result.error.errors });
       }
 
-      // Delete from database first
-      const success = await storage.deleteVideo(id);
-      if (!success) {
-        return res.status(404).json({ message: "Failed to delete video from database" });
+      const existing = await storage.getScheduleEntry(id);
+      if (!existing) {
+        return res.status(404).json({ message: "Schedule entry not found" });
       }
-
-      // Delete file from uploads folder
-      const filePath = path.join(process.cwd(), 'uploads', video.filename);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted file: ${filePath}`);
-        }
-      } catch (fileError) {
-        console.error(`Failed to delete file ${filePath}:`, fileError);
-        // Don't fail the whole operation if file deletion fails
+      const invalid = validateScheduleEntry({ ...existing, ...result.data });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
       }
 
-      res.json({ message: "Video and file deleted successfully" });
+      const entry = await storage.updateScheduleEntry(id, result.data);
+      await streamScheduler.tick();
+      res.json(entry);
     } catch (error) {
-      res.status(500).json({ message: "Failed to delete video" });
+      res.status(500).json({ message: "Failed to update schedule entry" });
     }
   });
 
-  app.post("/api/videos/reorder", async (req, res) => {
+  app.delete("/api/schedule/:id", requireRole('operator'), async (req, res) => {
     try {
-      const { videoIds } = req.body;
-      
-      if (!Array.isArray(videoIds)) {
-        return res.status(400).json({ message: "videoIds must be an array" });
+      const id = parseInt(req.params.id);
+      const success = await storage.deleteScheduleEntry(id);
+      if (!success) {
+        return res.status(404).json({ message: "Schedule entry not found" });
       }
 
-      await storage.reorderPlaylist(videoIds);
-      res.json({ message: "Playlist reordered successfully" });
+      await streamScheduler.tick();
+      res.json({ message: "Schedule entry deleted successfully" });
     } catch (error) {
-      res.status(500).json({ message: "Failed to reorder playlist" });
+      res.status(500).json({ message: "Failed to delete schedule entry" });
     }
   });
 
-  // Stream configuration routes
-  app.get("/api/stream-config", async (req, res) => {
+  // Stream status routes
+  app.get("/api/stream-status", async (req, res) => {
     try {
-      const config = await storage.getStreamConfig();
-      res.json(config);
+      const status = await storage.getStreamStatus();
+      res.json(status ? rtmpManager.decorateStatus(status) : status);
     } catch (error) {
-      res.status(500).json({ message: "Failed to fetch stream configuration" });
+      res.status(500).json({ message: "Failed to fetch stream status" });
     }
   });
 
-  app.post("/api/stream-config", async (req, res) => {
+  app.get("/api/stream/encoder", async (req, res) => {
     try {
-      const result = insertStreamConfigSchema.safeParse(req.body);
-      
-      if (!result.success) {
-        return res.status(400).json({ message: "Invalid stream configuration", errors: result.error.errors });
-      }
-
-      const config = await storage.createOrUpdateStreamConfig(result.data);
-      res.json(config);
+      res.json(rtmpManager.getEncoderHealth());
     } catch (error) {
-      res.status(500).json({ message: "Failed to save stream configuration" });
+      res.status(500).json({ message: "Failed to fetch encoder health" });
     }
   });
 
-  // Stream status routes
-  app.get("/api/stream-status", async (req, res) => {
+  // Broadcast history: ?from=&to= (ISO dates) select overlapping sessions,
+  // ?endReason= and ?destination= narrow them down, ?format=csv downloads them
+  app.get("/api/sessions", async (req, res) => {
     try {
-      const status = await storage.getStreamStatus();
-      res.json(status);
+      const from = req.query.from ? new Date(req.query.from as string) : undefined;
+      const to = req.query.to ? new Date(req.query.to as string) : undefined;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from > to)) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+
+      const now = new Date();
+      const sessions = (await storage.getStreamSessions({
+        from,
+        to,
+        endReason: req.query.endReason as string | undefined,
+        destination: req.query.destination as string | undefined,
+      })).map(session => session.endedAt ? session : {
+        // The stored uptime of a live session is only saved once a minute
+        ...session,
+        uptimeSeconds: Math.round((now.getTime() - session.startedAt.getTime()) / 1000),
+      });
+
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="stream-sessions-${now.toISOString().slice(0, 10)}.csv"`);
+        return res.send(sessionsToCsv(sessions));
+      }
+
+      res.json({ sessions, summary: summarizeSessions(sessions, from, to) });
     } catch (error) {
-      res.status(500).json({ message: "Failed to fetch stream status" });
+      res.status(500).json({ message: "Failed to fetch stream sessions" });
     }
   });
 
-  app.post("/api/stream/start", async (req, res) => {
+  // Audit log, newest first: ?from=&to= (ISO dates), ?actor= (username),
+  // ?targetType=, ?action= (substring) and ?limit= narrow it down;
+  // ?format=csv or ?format=json downloads it
+  app.get("/api/audit", requireRole('admin'), async (req, res) => {
     try {
-      const streamStatus = await storage.getStreamStatus();
-      const currentVideoId = streamStatus?.currentVideoId;
-      
-      if (!currentVideoId) {
-        return res.status(400).json({ message: "No video selected for streaming" });
+      const from = req.query.from ? new Date(req.query.from as string) : undefined;
+      const to = req.query.to ? new Date(req.query.to as string) : undefined;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from > to)) {
+        return res.status(400).json({ message: "Invalid date range" });
       }
-
-      const video = await storage.getVideo(currentVideoId);
-      if (!video) {
-        return res.status(400).json({ message: "Selected video not found" });
+      const limit = req.query.limit ? parseInt(req.query.limit as string) : undefined;
+      if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+        return res.status(400).json({ message: "Invalid limit" });
       }
+      const targetType = req.query.targetType as AuditTargetType | undefined;
+      if (targetType !== undefined && !AUDIT_TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({ message: "Invalid target type" });
+      }
+
+      const format = req.query.format as string | undefined;
+      const entries = await storage.getAuditLog({
+        from,
+        to,
+        actor: req.query.actor as string | undefined,
+        targetType,
+        action: req.query.action as string | undefined,
+        // The viewer pages through a bounded list; exports take everything that matches
+        limit: limit ?? (format ? undefined : 200),
+      });
 
-      // Get stream configuration
-      const streamConfig = await storage.getStreamConfig();
-      if (!streamConfig) {
-        return res.status(400).json({ message: "Stream configuration not found" });
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(auditLogToCsv(entries));
+      }
+      if (format === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
       }
 
-      // Convert resolution format for FFmpeg
-      const convertResolution = (resolution: string): string => {
-        switch (resolution) {
-          case '1920x1080': return '1080p';
-          case '1280x720': return '720p';
-          case '854x480': return '480p';
-          default: return '720p';
-        }
-      };
-
-      // Get platform-specific RTMP URL
-      const getPlatformRTMPUrl = (platform: string, customUrl?: string): string => {
-        switch (platform.toLowerCase()) {
-          case 'youtube':
-            return 'rtmp://a.rtmp.youtube.com/live2';
-          case 'twitch':
-            return 'rtmp://live.twitch.tv/app';
-          case 'facebook':
-            return 'rtmps://live-api-s.facebook.com:443/rtmp';
-          case 'custom':
-            return customUrl || 'rtmp://localhost:1935/live';
-          default:
-            return customUrl || 'rtmp://a.rtmp.youtube.com/live2';
-        }
-      };
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch audit log" });
+    }
+  });
 
-      // Start RTMP stream
-      const rtmpConfig = {
-        inputPath: video.filename,
-        outputUrl: getPlatformRTMPUrl(streamConfig.platform, streamConfig.rtmpUrl),
-        streamKey: streamConfig.streamKey || 'default',
-        quality: convertResolution(streamConfig.resolution || '1280x720'),
-        bitrate: `${streamConfig.bitrate}k` || '3000k',
-        fps: streamConfig.framerate || 30
-      };
+  app.get("/api/stream/events", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+      const events = await storage.getStreamEventLog(limit);
+      res.json(events);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch stream events" });
+    }
+  });
 
-      // For demo purposes, use local RTMP if no real stream key provided
-      if (streamConfig.streamKey === 'test-key-123' || !streamConfig.streamKey) {
-        rtmpConfig.outputUrl = 'rtmp://localhost:1935/live';
-        rtmpConfig.streamKey = 'demo';
+  app.get("/api/stream/metrics", async (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit as string) : undefined;
+      if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+        return res.status(400).json({ message: "Invalid limit" });
       }
+      res.json(rtmpManager.getMetrics(limit));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch encoder metrics" });
+    }
+  });
 
-      const streamStarted = await rtmpManager.startStream(currentVideoId, rtmpConfig);
+  app.post("/api/stream/start", requireRole('operator'), async (req, res) => {
+    try {
+      const streamStatus = await storage.getStreamStatus();
+      const currentVideoId = streamStatus?.currentVideoId;
       
-      if (!streamStarted) {
-        return res.status(500).json({ message: "Failed to start RTMP stream" });
+      if (!currentVideoId) {
+        return res.status(400).json({ message: "No video selected for streaming" });
       }
 
-      // Set loop enabled based on current status
-      rtmpManager.setLoopEnabled(streamStatus?.loopPlaylist || false);
-
-      const status = await storage.createOrUpdateStreamStatus({
-        status: 'live',
-        viewerCount: 0,
-        uptime: '00:00:00',
-        currentVideoId: currentVideoId,
-        startedAt: new Date(),
-        loopPlaylist: streamStatus?.loopPlaylist || false,
-      });
-
+      const status = await startBroadcast(currentVideoId, streamStatus?.loopPlaylist || false);
       res.json(status);
     } catch (error) {
+      if (error instanceof BroadcastError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({ message: "Failed to start stream" });
     }
   });
 
-  app.post("/api/stream/stop", async (req, res) => {
+  app.post("/api/stream/stop", requireRole('operator'), async (req, res) => {
     try {
-      // Stop all RTMP streams
-      rtmpManager.stopAllStreams();
-
-      // Disable loop when stopping stream
-      rtmpManager.setLoopEnabled(false);
-
-      const status = await storage.createOrUpdateStreamStatus({
-        status: 'offline',
-        viewerCount: 0,
-        uptime: '00:00:00',
-        currentVideoId: null,
-        startedAt: null,
-        loopPlaylist: false,
-      });
-
+      const status = await stopBroadcast();
       res.json(status);
     } catch (error) {
       res.status(500).json({ message: "Failed to stop stream" });
@@ -326,16 +1201,16 @@ export async function registerRoutes(app: Express): Promise<Server> {
 
 
 
-  app.post("/api/stream/restart", async (req, res) => {
+  app.post("/api/stream/restart", requireRole('operator'), async (req, res) => {
     try {
-      const videos = await storage.getVideos();
+      const videos = await storage.getActivePlaylistVideos();
       if (videos.length === 0) {
         return res.status(400).json({ message: "No videos in playlist" });
       }
 
-      const status = await storage.createOrUpdateStreamStatus({
+      const status = await rtmpManager.updateStatus({
         status: 'live',
-        viewerCount: Math.floor(Math.random() * 2000) + 100,
+        viewerCount: viewerTracker.getCounts().current,
         uptime: '00:00:00',
         currentVideoId: videos[0].id,
         startedAt: new Date(),
@@ -348,7 +1223,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/stream/set-current", async (req, res) => {
+  app.post("/api/stream/set-current", requireRole('operator'), async (req, res) => {
     try {
       const { videoId } = req.body;
       
@@ -362,7 +1237,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
       }
 
       const currentStatus = await storage.getStreamStatus();
-      const status = await storage.createOrUpdateStreamStatus({
+      const status = await rtmpManager.updateStatus({
         status: currentStatus?.status || 'offline',
         viewerCount: currentStatus?.viewerCount || 0,
         uptime: currentStatus?.uptime || '00:00:00',
@@ -378,10 +1253,10 @@ export async function registerRoutes(app: Express): Promise<Server> {
   });
 
   // Loop control endpoints
-  app.post("/api/stream/loop/enable", async (req, res) => {
+  app.post("/api/stream/loop/enable", requireRole('operator'), async (req, res) => {
     try {
       const currentStatus = await storage.getStreamStatus();
-      const status = await storage.createOrUpdateStreamStatus({
+      const status = await rtmpManager.updateStatus({
         status: currentStatus?.status || 'offline',
         viewerCount: currentStatus?.viewerCount || 0,
         uptime: currentStatus?.uptime || '00:00:00',
@@ -401,10 +1276,10 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/stream/loop/disable", async (req, res) => {
+  app.post("/api/stream/loop/disable", requireRole('operator'), async (req, res) => {
     try {
       const currentStatus = await storage.getStreamStatus();
-      const status = await storage.createOrUpdateStreamStatus({
+      const status = await rtmpManager.updateStatus({
         status: currentStatus?.status || 'offline',
         viewerCount: currentStatus?.viewerCount || 0,
         uptime: currentStatus?.uptime || '00:00:00',
@@ -434,7 +1309,68 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/stream/test", (req, res) => {
+  // Playback mode and play-next queue; changes apply from the next video on
+  app.get("/api/stream/playback", async (req, res) => {
+    try {
+      res.json(playbackPlanner.getSettings());
+    } catch (error) {
+      res.status(500).json({ message: "Failed to get playback settings" });
+    }
+  });
+
+  app.post("/api/stream/playback/mode", requireRole('operator'), async (req, res) => {
+    try {
+      const { mode, noRepeatWindow } = req.body;
+      if (!PLAYBACK_MODES.includes(mode)) {
+        return res.status(400).json({ message: `mode must be one of ${PLAYBACK_MODES.join(', ')}` });
+      }
+      if (noRepeatWindow !== undefined &&
+          (!Number.isInteger(noRepeatWindow) || noRepeatWindow < 0 || noRepeatWindow > MAX_NO_REPEAT_WINDOW)) {
+        return res.status(400).json({ message: `noRepeatWindow must be an integer from 0 to ${MAX_NO_REPEAT_WINDOW}` });
+      }
+
+      res.json(await playbackPlanner.setMode(mode, noRepeatWindow));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to set playback mode" });
+    }
+  });
+
+  app.post("/api/stream/playback/queue", requireRole('operator'), async (req, res) => {
+    try {
+      const { videoId } = req.body;
+      if (!Number.isInteger(videoId)) {
+        return res.status(400).json({ message: "videoId must be an integer" });
+      }
+      if (!(await storage.getVideo(videoId))) {
+        return res.status(404).json({ message: "Video not found" });
+      }
+
+      res.json(await playbackPlanner.enqueue(videoId));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to queue video" });
+    }
+  });
+
+  app.delete("/api/stream/playback/queue/:position", requireRole('operator'), async (req, res) => {
+    try {
+      if (!(await playbackPlanner.dequeue(parseInt(req.params.position)))) {
+        return res.status(404).json({ message: "Nothing queued at that position" });
+      }
+      res.json(playbackPlanner.getSettings());
+    } catch (error) {
+      res.status(500).json({ message: "Failed to remove queued video" });
+    }
+  });
+
+  app.delete("/api/stream/playback/queue", requireRole('operator'), async (req, res) => {
+    try {
+      res.json(await playbackPlanner.clearQueue());
+    } catch (error) {
+      res.status(500).json({ message: "Failed to clear queue" });
+    }
+  });
+
+  app.post("/api/stream/test", requireRole('operator'), (req, res) => {
     console.log("Stream test endpoint called");
     
     try {
@@ -493,7 +1429,10 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  // RTMP webhook endpoints
+  // RTMP webhook endpoints; these and the HLS mirror trust what nginx sends
+  // about the client, so nobody else may call them
+  app.use(['/api/rtmp', '/api/hls'], requireNginxCallback);
+
   app.post("/api/rtmp/publish", async (req, res) => {
     try {
       console.log("RTMP Publish started:", req.body);
@@ -503,9 +1442,14 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
+  // nginx-rtmp sends addr, clientid and name as form fields; any non-2xx reply would refuse the player
   app.post("/api/rtmp/play", async (req, res) => {
     try {
       console.log("RTMP Play started:", req.body);
+      const { clientid, addr, name } = req.body || {};
+      if (clientid !== undefined) {
+        await viewerTracker.rtmpPlay(String(clientid), addr || req.ip || 'unknown', name || null);
+      }
       res.status(200).send("OK");
     } catch (error) {
       res.status(500).json({ message: "Failed to handle RTMP play" });
@@ -524,12 +1468,40 @@ export async function registerRoutes(app: Express): Promise<Server> {
   app.post("/api/rtmp/play_done", async (req, res) => {
     try {
       console.log("RTMP Play ended:", req.body);
+      if (req.body?.clientid !== undefined) {
+        await viewerTracker.rtmpPlayDone(String(req.body.clientid));
+      }
       res.status(200).send("OK");
     } catch (error) {
       res.status(500).json({ message: "Failed to handle RTMP play done" });
     }
   });
 
+  // nginx mirrors every /hls request here (see nginx.conf); only segments count as watching
+  app.get("/api/hls/segment", async (req, res) => {
+    try {
+      const uri = (req.get('X-Original-URI') || '').split('?')[0];
+      const segment = uri.match(/\/([^/]+?)(?:-\d+)?\.ts$/);
+      if (segment) {
+        const clientIp = req.get('X-Real-IP') || req.ip || 'unknown';
+        await viewerTracker.hlsSegment(clientIp, segment[1], req.get('User-Agent') || null);
+      }
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ message: "Failed to record HLS request" });
+    }
+  });
+
+  app.get("/api/viewers", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+      const sessions = await storage.getViewerSessions(limit);
+      res.json({ ...viewerTracker.getCounts(), sessions });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch viewers" });
+    }
+  });
+
   app.post("/api/rtmp/record_done", async (req, res) => {
     try {
       console.log("RTMP Recording finished:", req.body);
@@ -539,17 +1511,65 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
+  // Disk usage, orphaned files and videos whose file is gone
+  app.get("/api/storage", requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await getStorageReport());
+    } catch (error) {
+      console.error('Error scanning storage:', error);
+      res.status(500).json({ message: "Failed to fetch storage usage" });
+    }
+  });
+
+  // Deletes the orphans listed in `paths`, or every orphan when it is omitted
+  app.delete("/api/storage/orphans", requireRole('admin'), async (req, res) => {
+    try {
+      const paths = req.body?.paths;
+      if (paths !== undefined && (!Array.isArray(paths) || !paths.every(p => typeof p === 'string'))) {
+        return res.status(400).json({ message: "paths must be an array of strings" });
+      }
+
+      const result = await deleteOrphans(paths);
+      res.json({ message: `Deleted ${result.deleted} orphaned file(s)`, ...result });
+    } catch (error) {
+      console.error('Error deleting orphaned files:', error);
+      res.status(500).json({ message: "Failed to delete orphaned files" });
+    }
+  });
+
+  // Drops library entries whose file no longer exists, e.g. after restoring a backup
+  app.delete("/api/storage/missing", requireRole('admin'), async (req, res) => {
+    try {
+      const { missingVideos } = await getStorageReport();
+      let removed = 0;
+      for (const { videoId } of missingVideos) {
+        const video = await storage.getVideo(videoId);
+        if (video && await removeVideo(video)) {
+          removed++;
+        }
+      }
+
+      if (removed > 0) {
+        streamEvents.publish('playlist.changed', { reason: 'deleted' });
+      }
+      res.json({ message: `Removed ${removed} video(s) with missing files`, removed });
+    } catch (error) {
+      console.error('Error removing videos with missing files:', error);
+      res.status(500).json({ message: "Failed to remove videos with missing files" });
+    }
+  });
+
   // System configuration routes
-  app.get("/api/system-config", async (req, res) => {
+  app.get("/api/system-config", requireRole('admin'), async (req, res) => {
     try {
       const config = await storage.getSystemConfig();
-      res.json(config);
+      res.json(config ? maskSystemConfig(config) : config);
     } catch (error) {
       res.status(500).json({ message: "Failed to fetch system configuration" });
     }
   });
 
-  app.post("/api/system-config", async (req, res) => {
+  app.post("/api/system-config", requireRole('admin'), async (req, res) => {
     try {
       const result = insertSystemConfigSchema.safeParse(req.body);
       if (!result.success) {
@@ -559,15 +1579,159 @@ export async function registerRoutes(app: Express): Promise<Server> {
         });
       }
 
-      const config = await storage.createOrUpdateSystemConfig(result.data);
-      res.json(config);
+      const { watchFolder: folder } = result.data;
+      if (folder) {
+        const stat = await fs.promises.stat(folder).catch(() => null);
+        if (!stat?.isDirectory()) {
+          return res.status(400).json({ message: `Watch folder ${folder} is not a directory` });
+        }
+        try {
+          await resolveImportPath(folder);
+        } catch (error) {
+          if (error instanceof IngestError) {
+            return res.status(400).json({ message: `Watch folder: ${error.message}` });
+          }
+          throw error;
+        }
+      }
+
+      // A masked password is the one the form was loaded with; leave it as stored
+      const { dbPassword, ...changes } = result.data;
+      const config = await storage.createOrUpdateSystemConfig(isMaskedSecret(dbPassword) ? changes : result.data);
+      // Restart settings apply to the running stream straight away
+      await streamSupervisor.refreshPolicy();
+      await watchFolder.refresh();
+      res.json(maskSystemConfig(config));
     } catch (error) {
       res.status(500).json({ message: "Failed to update system configuration" });
     }
   });
 
+  // The one way to read a secret back in full
+  app.post("/api/secrets/reveal", requireRole('admin'), async (req, res) => {
+    try {
+      const { kind, id } = req.body;
+      if (!SECRET_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind must be one of ${SECRET_KINDS.join(', ')}` });
+      }
+
+      let value: string | undefined;
+      if (kind === 'stream-config') {
+        value = (await storage.getStreamConfig())?.streamKey;
+      } else if (kind === 'destination') {
+        value = (await storage.getStreamDestination(parseInt(id)))?.streamKey;
+      } else if (kind === 'webhook') {
+        value = (await storage.getWebhook(parseInt(id)))?.secret;
+      } else {
+        value = (await storage.getSystemConfig())?.dbPassword ?? undefined;
+      }
+      if (value === undefined) {
+        return res.status(404).json({ message: "Secret not found" });
+      }
+
+      console.log(`${req.user!.username} revealed the ${kind}${kind === 'destination' || kind === 'webhook' ? ` ${id}` : ''} secret`);
+      res.set('Cache-Control', 'no-store');
+      res.json({ value });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to reveal secret" });
+    }
+  });
+
+  // Outbound webhooks. The signing secret is in full only in the create and
+  // rotate responses; otherwise it is masked like stream keys.
+  app.get("/api/webhooks", requireRole('admin'), async (req, res) => {
+    try {
+      const webhooks = await storage.getWebhooks();
+      res.json(webhooks.map(maskWebhook));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch webhooks" });
+    }
+  });
+
+  app.post("/api/webhooks", requireRole('admin'), async (req, res) => {
+    try {
+      const result = insertWebhookSchema.safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid webhook", errors: result.error.errors });
+      }
+
+      const webhook = await storage.createWebhook({ ...result.data, secret: generateWebhookSecret() });
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json(webhook);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to create webhook" });
+    }
+  });
+
+  app.put("/api/webhooks/:id", requireRole('admin'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = insertWebhookSchema.partial().safeParse(req.body);
+      if (!result.success) {
+        return res.status(400).json({ message: "Invalid webhook", errors: result.error.errors });
+      }
+
+      const webhook = await storage.updateWebhook(id, result.data);
+      if (!webhook) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+      res.json(maskWebhook(webhook));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update webhook" });
+    }
+  });
+
+  app.delete("/api/webhooks/:id", requireRole('admin'), async (req, res) => {
+    try {
+      const success = await storage.deleteWebhook(parseInt(req.params.id));
+      if (!success) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+      res.json({ message: "Webhook deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to delete webhook" });
+    }
+  });
+
+  // Replaces the signing secret; deliveries from now on are signed with the new one
+  app.post("/api/webhooks/:id/secret", requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await storage.updateWebhook(parseInt(req.params.id), { secret: generateWebhookSecret() });
+      if (!webhook) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+      res.set('Cache-Control', 'no-store');
+      res.json(webhook);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to rotate webhook secret" });
+    }
+  });
+
+  app.post("/api/webhooks/:id/test", requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await storage.getWebhook(parseInt(req.params.id));
+      if (!webhook) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+      res.status(202).json(await webhookDispatcher.sendTest(webhook));
+    } catch (error) {
+      res.status(500).json({ message: "Failed to send test delivery" });
+    }
+  });
+
+  // Delivery log, newest first
+  app.get("/api/webhooks/:id/deliveries", requireRole('admin'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+      const deliveries = await storage.getWebhookDeliveries(parseInt(req.params.id), limit);
+      res.json(deliveries);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch webhook deliveries" });
+    }
+  });
+
   // Database management routes
-  app.post("/api/database/install", async (req, res) => {
+  app.post("/api/database/install", requireRole('admin'), async (req, res) => {
     try {
       // Run database migration to create all tables
       console.log("Installing default database schema...");
@@ -583,7 +1747,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/database/backup", async (req, res) => {
+  app.post("/api/database/backup", requireRole('admin'), async (req, res) => {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const backupFile = `backup_${timestamp}.sql`;
@@ -614,67 +1778,17 @@ export async function registerRoutes(app: Express): Promise<Server> {
         
         const command = `${pgDumpLocation} "${dbUrl}"`;
         const backupData = execSync(command, { encoding: 'utf8' });
-        fs.writeFileSync(backupPath, backupData);
+        fs.writeFileSync(backupPath, backupData, { mode: 0o600 });
       } catch (cmdError) {
-        // Fallback: try using drizzle to export data as SQL
+        // Fallback: export every table through Drizzle
         console.log('pg_dump not available, using alternative backup method...');
-        const { db } = await import('./db');
-        
-        // Export all table data as INSERT statements
-        const { videos, streamConfigs, streamStatus, systemConfigs } = await import('../shared/schema');
-        let sqlContent = '-- Database backup created by Sa Plays Roblox Streamer\n';
-        sqlContent += '-- Generated on ' + new Date().toISOString() + '\n\n';
-        
-        try {
-          // Backup videos table
-          const videoRows = await db.select().from(videos);
-          if (videoRows.length > 0) {
-            sqlContent += '-- Table: videos\n';
-            for (const row of videoRows) {
-              sqlContent += `INSERT INTO videos (id, title, filename, file_size, duration, thumbnail_url, playlist_order, uploaded_at) VALUES (${row.id}, '${row.title.replace(/'/g, "''")}', '${row.filename.replace(/'/g, "''")}', ${row.fileSize}, '${row.duration}', ${row.thumbnailUrl ? `'${row.thumbnailUrl.replace(/'/g, "''")}'` : 'NULL'}, ${row.playlistOrder}, '${row.uploadedAt}');\n`;
-            }
-            sqlContent += '\n';
-          }
-
-          // Backup stream_configs table
-          const configRows = await db.select().from(streamConfigs);
-          if (configRows.length > 0) {
-            sqlContent += '-- Table: stream_configs\n';
-            for (const row of configRows) {
-              sqlContent += `INSERT INTO stream_configs (id, platform, stream_key, rtmp_url, resolution, framerate, bitrate, audio_quality, is_active) VALUES (${row.id}, '${row.platform}', '${row.streamKey.replace(/'/g, "''")}', ${row.rtmpUrl ? `'${row.rtmpUrl.replace(/'/g, "''")}'` : 'NULL'}, '${row.resolution}', ${row.framerate}, ${row.bitrate}, ${row.audioQuality}, ${row.isActive});\n`;
-            }
-            sqlContent += '\n';
-          }
-
-          // Backup stream_status table
-          const statusRows = await db.select().from(streamStatus);
-          if (statusRows.length > 0) {
-            sqlContent += '-- Table: stream_status\n';
-            for (const row of statusRows) {
-              sqlContent += `INSERT INTO stream_status (id, status, viewer_count, uptime, current_video_id, started_at, loop_playlist) VALUES (${row.id}, '${row.status}', ${row.viewerCount}, '${row.uptime}', ${row.currentVideoId}, ${row.startedAt ? `'${row.startedAt.toISOString()}'` : 'NULL'}, ${row.loopPlaylist});\n`;
-            }
-            sqlContent += '\n';
-          }
-
-          // Backup system_configs table
-          const systemRows = await db.select().from(systemConfigs);
-          if (systemRows.length > 0) {
-            sqlContent += '-- Table: system_configs\n';
-            for (const row of systemRows) {
-              sqlContent += `INSERT INTO system_configs (id, rtmp_port, web_port, db_host, db_port, db_name, db_user, db_password, use_external_db, updated_at) VALUES (${row.id}, ${row.rtmpPort}, ${row.webPort}, '${row.dbHost}', ${row.dbPort}, '${row.dbName}', '${row.dbUser.replace(/'/g, "''")}', '${row.dbPassword.replace(/'/g, "''")}', ${row.useExternalDb}, '${row.updatedAt.toISOString()}');\n`;
-            }
-            sqlContent += '\n';
-          }
-        } catch (backupError) {
-          console.error('Error during alternative backup:', backupError);
-          sqlContent += '-- Error occurred during backup process\n';
-        }
-        
-        fs.writeFileSync(backupPath, sqlContent);
+        const sqlContent = await dumpDatabaseAsSql();
+        fs.writeFileSync(backupPath, sqlContent, { mode: 0o600 });
       }
       
       // Get backup file stats
       const stats = fs.statSync(backupPath);
+      webhookDispatcher.emit('backup.created', { filename: backupFile, size: stats.size });
       
       res.json({ 
         message: "Database backup created successfully",
@@ -689,7 +1803,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.post("/api/database/restore", upload.single('backupFile'), async (req, res) => {
+  app.post("/api/database/restore", requireRole('admin'), upload.single('backupFile'), async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({ message: "No backup file provided" });
@@ -727,22 +1841,31 @@ export async function registerRoutes(app: Express): Promise<Server> {
         const { db } = await import('./db');
         const sqlContent = fs.readFileSync(backupPath, 'utf8');
         
-        // Split by semicolons and execute each statement
-        const statements = sqlContent.split(';')
+        // Statements end with a semicolon at the end of a line, as the backup
+        // fallback writes them; comment lines are dropped first so they do not
+        // take the statement after them along
+        const statements = sqlContent.split('\n')
+          .filter(line => !line.trim().startsWith('--'))
+          .join('\n')
+          .split(/;\s*$/m)
           .map(stmt => stmt.trim())
-          .filter(stmt => stmt && !stmt.startsWith('--'));
+          .filter(Boolean);
         
         for (const statement of statements) {
           try {
             await db.execute(statement);
           } catch (stmtError) {
-            console.warn(`Warning: Could not execute statement: ${statement}`, stmtError.message);
+            // Only the start of the statement: the values may hold secrets
+            console.warn(`Warning: Could not execute statement: ${statement.slice(0, 60)}…`, stmtError.message);
           }
         }
       }
       
       // Clean up uploaded file
       fs.unlinkSync(backupPath);
+
+      // Backups from before encryption carry plaintext secrets
+      await storage.encryptStoredSecrets();
       
       res.json({ 
         message: "Database restored successfully",
@@ -761,7 +1884,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.get("/api/database/backups", async (req, res) => {
+  app.get("/api/database/backups", requireRole('admin'), async (req, res) => {
     try {
       const backupDir = path.join(process.cwd(), 'backups');
       
@@ -790,7 +1913,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
 
-  app.delete("/api/database/backups/:filename", async (req, res) => {
+  app.delete("/api/database/backups/:filename", requireRole('admin'), async (req, res) => {
     try {
       const filename = req.params.filename;
       const backupPath = path.join(process.cwd(), 'backups', filename);
@@ -813,5 +1936,20 @@ export async function registerRoutes(app: Express): Promise<Server> {
   });
 
   const httpServer = createServer(app);
+  setupRealtime(httpServer);
+  viewerTracker.start();
+  playbackPlanner.load();
+  uploadManager.start();
+  webhookDispatcher.start();
+  jobQueue.start().then(() => backfillMediaJobs()).catch((error) => {
+    console.error("Failed to start the media job queue:", error);
+  });
+  watchFolder.start().catch((error) => {
+    console.error("Failed to start the watch folder:", error);
+  });
+  // Stale sessions are closed first so a resumed scheduled broadcast keeps its own row
+  storage.closeOpenStreamSessions().catch((error) => {
+    console.error("Failed to close interrupted stream sessions:", error);
+  }).finally(() => streamScheduler.start());
   return httpServer;
 }
@@ -1,22 +1,93 @@
 import { spawn, ChildProcess } from 'child_process';
+import ffmpeg from 'fluent-ffmpeg';
+import path from 'path';
+import fs from 'fs';
 import { storage } from './storage';
+import { streamEvents } from './events';
+import { EncoderMetrics, ProgressParser } from './metrics';
+import { viewerTracker } from './viewers';
+import { classifyFailure, streamSupervisor } from './supervisor';
+import { playbackPlanner } from './playback';
+import { encodeArgs, profileKey, type StreamProfile } from './profile';
+import { isPlayable } from './probe';
+import { mediaPath } from './media-store';
+import { redact } from './secrets';
+import { webhookDispatcher } from './webhooks';
 import { log } from './vite';
+import type { Video, PlaylistVideo, StreamStatus, InsertStreamStatus, StreamSession } from '@shared/schema';
+import type { DestinationHealth, EncoderHealth, EncoderMetricsSample } from '@shared/events';
 
-export interface RTMPConfig {
-  inputPath: string;
+export interface RTMPTarget {
+  id: string; // destination id, or 'primary' for the single stream config
+  name: string;
   outputUrl: string;
   streamKey: string;
-  quality: string;
-  bitrate: string;
-  fps: number;
+}
+
+export interface RTMPConfig extends StreamProfile {
+  inputPath: string;
+  targets: RTMPTarget[];
+}
+
+interface DestinationLeg extends DestinationHealth {
+  target: RTMPTarget;
+  url: string;
+  port: number;
+  process: ChildProcess | null;
+  retryTimer: NodeJS.Timeout | null;
+}
+
+// Each destination is fed by its own relay process reading the encoder's
+// output from a loopback UDP port, so one leg can drop and reconnect
+// without touching the encode or the other legs.
+const RELAY_BASE_PORT = parseInt(process.env.RELAY_BASE_PORT || '41000');
+
+// A restarted encoder counts as recovered once it has played this long
+const STABLE_RUN_SECONDS = 30;
+// FFmpeg output kept for classifying why a process died
+const STDERR_TAIL_SIZE = 4000;
+
+// Below this speed for a few samples in a row the encoder cannot keep up
+const SLOW_ENCODER_SPEED = 0.98;
+const SLOW_ENCODER_SAMPLES = 5;
+
+// How often the open session row is brought up to date while live
+const SESSION_SAVE_INTERVAL_MS = 60000;
+
+// Consecutive playlist items that may end without output before giving up
+const MAX_EMPTY_ITEMS = 5;
+
+export function getPlatformRTMPUrl(platform: string, customUrl?: string | null): string {
+  switch (platform.toLowerCase()) {
+    case 'youtube':
+      return 'rtmp://a.rtmp.youtube.com/live2';
+    case 'twitch':
+      return 'rtmp://live.twitch.tv/app';
+    case 'facebook':
+      return 'rtmps://live-api-s.facebook.com:443/rtmp';
+    case 'custom':
+      return customUrl || 'rtmp://localhost:1935/live';
+    default:
+      return customUrl || 'rtmp://a.rtmp.youtube.com/live2';
+  }
 }
 
 export class RTMPStreamManager {
   private activeStreams: Map<string, ChildProcess> = new Map();
   private streamConfigs: Map<string, RTMPConfig> = new Map();
+  private destinations: Map<string, DestinationLeg> = new Map();
   private loopEnabled: boolean = false;
   private uptimeInterval: NodeJS.Timeout | null = null;
   private streamStartTime: Date | null = null;
+  private timelineOffset: number = 0; // seconds already published this session
+  private emptyItemCount: number = 0;
+  private encoderHealth: EncoderHealth = { state: 'idle', videoId: null, pid: null, exitCode: null, message: null };
+  private metrics = new EncoderMetrics();
+  private slowSamples: number = 0;
+  private encoderRestarts: number = 0;
+  private restartTimer: NodeJS.Timeout | null = null;
+  private session: StreamSession | null = null;
+  private lastSessionSave: number = 0;
 
   async getRtmpPort(): Promise<number> {
     try {
@@ -30,102 +101,77 @@ export class RTMPStreamManager {
     }
   }
 
+  // Persists a status change and pushes it to realtime subscribers
+  async updateStatus(status: InsertStreamStatus): Promise<StreamStatus> {
+    const updated = await storage.createOrUpdateStreamStatus(status);
+    streamEvents.publish('status', this.decorateStatus(updated));
+    return updated;
+  }
+
+  // Fills in the live fields that are no longer written to the database on every tick
+  decorateStatus(status: StreamStatus): StreamStatus {
+    if (status.status !== 'live' || !this.streamStartTime) {
+      return status;
+    }
+    const viewers = viewerTracker.getCounts();
+    return {
+      ...status,
+      uptime: this.formatUptime(Date.now() - this.streamStartTime.getTime()),
+      viewerCount: viewers.current,
+      peakViewerCount: viewers.peak,
+    };
+  }
+
+  getEncoderHealth(): EncoderHealth {
+    return { ...this.encoderHealth };
+  }
+
+  getMetrics(limit?: number): { current: EncoderMetricsSample | null; history: EncoderMetricsSample[] } {
+    return {
+      current: this.metrics.current(),
+      history: this.metrics.getHistory(limit),
+    };
+  }
+
   async startStream(videoId: number, config: RTMPConfig): Promise<boolean> {
     try {
-      const video = await storage.getVideo(videoId);
+      // Started from the active playlist, the video plays as that item with its trim
+      const playlist = await storage.getActivePlaylistVideos();
+      const video = playlist.find(item => item.id === videoId) ?? await storage.getVideo(videoId);
       if (!video) {
         throw new Error('Video not found');
       }
 
-      const streamKey = `video_${videoId}`;
-      
-      // Stop existing stream if running
-      if (this.activeStreams.has(streamKey)) {
-        this.stopStream(streamKey);
-      }
+      // Stop existing playout if running
+      this.getActiveStreams().forEach(streamKey => this.stopStream(streamKey));
+      this.cancelEncoderRestart();
+      this.encoderRestarts = 0;
+      await streamSupervisor.refreshPolicy();
 
-      // Build FFmpeg command for streaming
-      const ffmpegArgs = await this.buildFFmpegArgs(video.filename, config);
-      
-      log(`Starting RTMP stream for video ${videoId}`);
-      log(`Stream config: ${JSON.stringify(config)}`);
-      log(`FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
-      
-      const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
-      
-      // Handle process events
-      ffmpegProcess.stdout?.on('data', (data) => {
-        log(`FFmpeg stdout: ${data}`);
-      });
-      
-      ffmpegProcess.stderr?.on('data', (data) => {
-        const output = data.toString();
-        log(`FFmpeg stderr: ${output}`);
-        
-        // Check for connection success indicators
-        if (output.includes('Stream mapping:') || output.includes('Press [q] to stop')) {
-          log('FFmpeg stream successfully connected to RTMP server');
-        }
-        
-        // Check for common streaming errors
-        if (output.includes('Connection refused') || output.includes('No route to host')) {
-          log('FFmpeg connection error - check stream key and network');
-        }
-        
-        // Check for authentication errors (invalid stream key)
-        if (output.includes('401 Unauthorized') || output.includes('403 Forbidden') || output.includes('Invalid stream name')) {
-          log('FFmpeg authentication error - check YouTube stream key');
-        }
-        
-        // Check for network connectivity issues
-        if (output.includes('Network is unreachable') || output.includes('Connection timed out')) {
-          log('FFmpeg network error - check internet connection');
-        }
-      });
-      
-      ffmpegProcess.on('close', (code) => {
-        log(`FFmpeg process exited with code ${code}`);
-        this.activeStreams.delete(streamKey);
-        
-        // If loop is enabled, automatically play next video
-        if (this.loopEnabled) {
-          this.playNextVideo(videoId, config);
-        } else {
-          // Stop uptime tracking and update stream status to offline
-          this.stopUptimeTracking();
-          storage.createOrUpdateStreamStatus({
-            status: 'offline',
-            viewerCount: 0,
-            uptime: '00:00:00',
-            currentVideoId: null,
-            startedAt: null,
-            loopPlaylist: false,
-          });
-        }
-      });
-      
-      ffmpegProcess.on('error', (error) => {
-        log(`FFmpeg error: ${error.message}`);
-        this.activeStreams.delete(streamKey);
-        
-        // Stop uptime tracking and update stream status to error
-        this.stopUptimeTracking();
-        storage.createOrUpdateStreamStatus({
-          status: 'error',
-          viewerCount: 0,
-          uptime: '00:00:00',
-          currentVideoId: null,
-          startedAt: null,
-          loopPlaylist: false,
-        });
-      });
-      
-      // Store the process and config
-      this.activeStreams.set(streamKey, ffmpegProcess);
-      this.streamConfigs.set(streamKey, config);
+      // Bring the per-destination relays in line with the requested targets
+      await this.applyDestinations(config.targets);
+
+      log(`Starting RTMP stream for video ${videoId} to ${config.targets.length} destination(s)`);
+      playbackPlanner.noteStarted(videoId, playlist);
+
+      await this.openSession(config.targets);
+
+      // A new session starts its timeline at zero; later items continue from there
+      this.timelineOffset = 0;
+      this.emptyItemCount = 0;
+      this.metrics.clear();
+      this.slowSamples = 0;
+      await this.playVideo(video, config);
       
       // Start uptime tracking with real-time updates
       this.startUptimeTracking();
+
+      webhookDispatcher.emit('stream.started', {
+        sessionId: this.session?.id ?? null,
+        videoId: video.id,
+        title: video.title,
+        destinations: config.targets.map(target => target.name),
+      });
       
       return true;
     } catch (error) {
@@ -134,6 +180,302 @@ export class RTMPStreamManager {
     }
   }
 
+  // Spawns the feeder for one playlist item. Feeders write into the same relay
+  // ports with their timestamps shifted to where the previous item ended, so the
+  // relays keep their RTMP publish open and see one continuous timeline.
+  // A video taken from a playlist carries the item's trim points; restarts
+  // after a crash do not count as another play of the item.
+  private async playVideo(video: Video | PlaylistVideo, config: RTMPConfig, restart: boolean = false): Promise<void> {
+    const streamKey = `video_${video.id}`;
+    const trim = 'itemId' in video ? { start: video.startSeconds, end: video.endSeconds } : { start: null, end: null };
+    const fileDuration = video.durationSeconds ?? await this.probeDuration(video.filename);
+    const itemDuration = Math.max(0, (trim.end ?? fileDuration) - (trim.start ?? 0));
+    const normalized = this.normalizedInput(video, config);
+    const ffmpegArgs = this.buildFFmpegArgs(normalized ?? video.filename, config, this.timelineOffset, normalized !== null, trim);
+
+    if ('itemId' in video && !restart) {
+      await storage.recordPlaylistItemPlay(video.itemId);
+    }
+
+    const trimmed = trim.start !== null || trim.end !== null ? `, trimmed to ${trim.start ?? 0}s-${trim.end ?? 'end'}` : '';
+    log(`Playing video ${video.id} (${video.title}) at timeline offset ${this.timelineOffset.toFixed(3)}s${normalized ? ', copying the normalized file' : ''}${trimmed}`);
+    // The output URLs end in stream keys
+    log(redact(`FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`));
+
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+    const progress = new ProgressParser();
+    let playedSeconds = 0;
+    let stderrTail = '';
+
+    this.setEncoderHealth({ state: 'running', videoId: video.id, pid: ffmpegProcess.pid ?? null, exitCode: null, message: null });
+    streamEvents.publish('video.changed', { videoId: video.id, title: video.title });
+    if (!restart) {
+      webhookDispatcher.emit('video.changed', { videoId: video.id, title: video.title });
+    }
+    this.recordSessionVideo(video);
+
+    // Handle process events; stdout carries the -progress report
+    ffmpegProcess.stdout?.on('data', (data) => {
+      for (const sample of progress.feed(data.toString())) {
+        playedSeconds = Math.max(playedSeconds, sample.position);
+        this.recordMetrics({ ...sample, videoId: video.id });
+      }
+
+      if (this.encoderRestarts > 0 && playedSeconds >= STABLE_RUN_SECONDS) {
+        streamSupervisor.record({
+          event: 'recovered',
+          source: 'encoder',
+          sourceName: video.title,
+          attempt: this.encoderRestarts,
+          message: `Encoder stable for ${STABLE_RUN_SECONDS}s after restart`,
+          videoId: video.id,
+        });
+        this.encoderRestarts = 0;
+      }
+    });
+
+    ffmpegProcess.stderr?.on('data', (data) => {
+      log(redact(`FFmpeg stderr: ${data}`));
+      stderrTail = (stderrTail + data.toString()).slice(-STDERR_TAIL_SIZE);
+    });
+
+    ffmpegProcess.on('close', (code) => {
+      log(`FFmpeg process exited with code ${code}`);
+
+      // Ignore processes that were stopped or replaced on purpose
+      if (this.activeStreams.get(streamKey) !== ffmpegProcess) {
+        return;
+      }
+      this.activeStreams.delete(streamKey);
+      this.streamConfigs.delete(streamKey);
+
+      if (code !== 0) {
+        this.handleEncoderFailure(video, config, code, stderrTail, playedSeconds);
+        return;
+      }
+
+      if (playedSeconds === 0) {
+        this.emptyItemCount++;
+        log(`Video ${video.id} produced no output (${this.emptyItemCount} in a row)`);
+        if (this.emptyItemCount >= MAX_EMPTY_ITEMS) {
+          this.endPlayout('error');
+          return;
+        }
+      } else {
+        this.emptyItemCount = 0;
+      }
+
+      // Continue the timeline one frame past the end of this item. The probed
+      // duration wins when it is longer: a forward jump is harmless, overlap is not.
+      this.timelineOffset += Math.max(itemDuration, playedSeconds) + 1 / config.fps;
+      this.advancePlayout(video, config);
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      log(`FFmpeg error: ${error.message}`);
+      if (this.activeStreams.get(streamKey) !== ffmpegProcess) {
+        return;
+      }
+      this.activeStreams.delete(streamKey);
+      this.streamConfigs.delete(streamKey);
+      this.handleEncoderFailure(video, config, null, error.message, playedSeconds);
+    });
+
+    // Store the process and config
+    this.activeStreams.set(streamKey, ffmpegProcess);
+    this.streamConfigs.set(streamKey, config);
+  }
+
+  // Restarts a crashed feeder on the same timeline, or ends the broadcast when
+  // the supervisor says the failure is not worth retrying
+  private async handleEncoderFailure(
+    video: Video,
+    config: RTMPConfig,
+    exitCode: number | null,
+    output: string,
+    playedSeconds: number,
+  ): Promise<void> {
+    const category = classifyFailure(output);
+    const message = exitCode === null ? redact(output) : `FFmpeg exited with code ${exitCode}`;
+    const attempt = this.encoderRestarts + 1;
+    const decision = streamSupervisor.decide(category, attempt);
+    const session = this.streamStartTime;
+
+    await streamSupervisor.record({
+      event: 'crash',
+      source: 'encoder',
+      sourceName: video.title,
+      category,
+      attempt,
+      message: this.lastErrorLine(output) || message,
+      exitCode,
+      videoId: video.id,
+    });
+
+    // The broadcast was stopped or replaced while the entry was being written
+    if (!session || this.streamStartTime !== session) {
+      return;
+    }
+
+    webhookDispatcher.emit('stream.error', {
+      source: 'encoder',
+      sourceName: video.title,
+      category,
+      attempt,
+      message: this.lastErrorLine(output) || message,
+      willRetry: decision.retry,
+    });
+
+    if (!decision.retry) {
+      this.setEncoderHealth({ state: 'error', videoId: video.id, pid: null, exitCode, message: decision.reason });
+      await streamSupervisor.record({
+        event: 'gave_up',
+        source: 'encoder',
+        sourceName: video.title,
+        category,
+        attempt: this.encoderRestarts,
+        message: decision.reason,
+        exitCode,
+        videoId: video.id,
+      });
+      await this.endPlayout('error');
+      return;
+    }
+
+    this.encoderRestarts = attempt;
+    if (this.session) {
+      this.session.restarts++;
+    }
+    // Whatever did go out stays on the timeline; the restart continues after it
+    this.timelineOffset += playedSeconds;
+    this.setEncoderHealth({
+      state: 'error',
+      videoId: video.id,
+      pid: null,
+      exitCode,
+      message: `Restarting in ${Math.round(decision.delayMs / 1000)}s (attempt ${attempt})`,
+    });
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      // The broadcast was stopped while waiting
+      if (this.streamStartTime !== session) {
+        return;
+      }
+      try {
+        const current = await this.reload(video);
+        if (!current) {
+          await this.advancePlayout(video, config);
+          return;
+        }
+        await this.playVideo(current, config, true);
+        await streamSupervisor.record({
+          event: 'restarted',
+          source: 'encoder',
+          sourceName: current.title,
+          attempt,
+          videoId: current.id,
+        });
+      } catch (error) {
+        log(`Error restarting encoder: ${error}`);
+        await this.endPlayout('error');
+      }
+    }, decision.delayMs);
+
+    streamSupervisor.record({
+      event: 'restart_scheduled',
+      source: 'encoder',
+      sourceName: video.title,
+      category,
+      attempt,
+      message: `Restarting in ${decision.delayMs}ms`,
+      exitCode,
+      videoId: video.id,
+    });
+  }
+
+  private cancelEncoderRestart(): void {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+  }
+
+  // Shown in destination health and the event log, so FFmpeg's echo of the
+  // output URL must not carry the stream key there
+  private lastErrorLine(output: string): string | null {
+    const line = output
+      .split('\n')
+      .map(line => line.trim())
+      .reverse()
+      .find(line => /error|failed|refused|unauthorized|forbidden|timed out|unreachable|invalid/i.test(line));
+    return line ? redact(line) : null;
+  }
+
+  // The latest copy of a video, as the same playlist item when it still is one
+  private async reload(video: Video | PlaylistVideo): Promise<Video | PlaylistVideo | null> {
+    if ('itemId' in video) {
+      const item = (await storage.getActivePlaylistVideos()).find(current => current.itemId === video.itemId);
+      if (item) {
+        return item;
+      }
+    }
+    return await storage.getVideo(video.id) ?? null;
+  }
+
+  // Without the playlist loop the current video repeats, as -stream_loop used to,
+  // unless something was queued to play next
+  private async advancePlayout(current: Video, config: RTMPConfig): Promise<void> {
+    if (this.loopEnabled || playbackPlanner.hasQueued()) {
+      await this.playNextVideo(current.id, config);
+      return;
+    }
+
+    try {
+      const video = await this.reload(current);
+      if (!video) {
+        log(`Video ${current.id} no longer exists, ending stream`);
+        await this.endPlayout('offline');
+        return;
+      }
+      await this.playVideo(video, config);
+    } catch (error) {
+      log(`Error repeating video: ${error}`);
+      await this.endPlayout('offline');
+    }
+  }
+
+  private async endPlayout(status: 'offline' | 'error'): Promise<void> {
+    this.cancelEncoderRestart();
+    await this.closeSession(status === 'error' ? 'error' : 'completed');
+    if (status === 'offline') {
+      this.setEncoderHealth({ state: 'idle', videoId: null, pid: null, exitCode: null, message: null });
+    }
+    this.stopUptimeTracking();
+    this.stopDestinations();
+    await this.updateStatus({
+      status,
+      viewerCount: 0,
+      peakViewerCount: viewerTracker.getCounts().peak, // Kept for the finished broadcast
+      uptime: '00:00:00',
+      currentVideoId: null,
+      startedAt: null,
+      loopPlaylist: false,
+    });
+  }
+
+  private probeDuration(filename: string): Promise<number> {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(mediaPath(filename), (err, metadata) => {
+        if (err) {
+          log(`Could not probe ${filename}: ${err.message}`);
+          resolve(0);
+          return;
+        }
+        resolve(metadata.format.duration || 0);
+      });
+    });
+  }
+
   stopStream(streamKey: string): boolean {
     try {
       const process = this.activeStreams.get(streamKey);
@@ -157,11 +499,15 @@ export class RTMPStreamManager {
     }
   }
 
-  stopAllStreams(): void {
+  stopAllStreams(endReason: string = 'stopped'): void {
     for (const [streamKey] of this.activeStreams) {
       this.stopStream(streamKey);
     }
+    this.cancelEncoderRestart();
+    this.closeSession(endReason);
     this.stopUptimeTracking();
+    this.stopDestinations();
+    this.setEncoderHealth({ state: 'idle', videoId: null, pid: null, exitCode: null, message: null });
   }
 
   isStreamActive(streamKey: string): boolean {
@@ -182,83 +528,60 @@ export class RTMPStreamManager {
 
   private async playNextVideo(currentVideoId: number, config: RTMPConfig): Promise<void> {
     try {
-      // Get all videos ordered by playlist order
-      const videos = await storage.getVideos();
-      if (videos.length === 0) {
+      // Follow the active playlist; after a switch the current video may not be
+      // in it, in which case playout continues from its first item
+      const videos = (await storage.getActivePlaylistVideos()).filter(isPlayable);
+      const nextVideo = await playbackPlanner.next(videos, currentVideoId);
+      if (!nextVideo) {
         log('No videos available for loop playback');
+        await this.endPlayout('offline');
         return;
       }
 
-      // Find current video index
-      const currentIndex = videos.findIndex(v => v.id === currentVideoId);
-      
-      // Get next video (loop to first if at end)
-      const nextIndex = (currentIndex + 1) % videos.length;
-      const nextVideo = videos[nextIndex];
-
-      log(`Loop playback: Moving from video ${currentVideoId} to video ${nextVideo.id} (${nextVideo.title})`);
+      log(`Loop playback (${playbackPlanner.getSettings().mode}): Moving from video ${currentVideoId} to video ${nextVideo.id} (${nextVideo.title})`);
 
-      // Update stream status with next video
-      await storage.createOrUpdateStreamStatus({
+      // Update the current video; the session keeps its start time and uptime
+      const currentStatus = await storage.getStreamStatus();
+      await this.updateStatus({
         status: 'live',
-        viewerCount: 0,
-        uptime: '00:00:00',
+        viewerCount: currentStatus?.viewerCount || 0,
+        uptime: currentStatus?.uptime || '00:00:00',
         currentVideoId: nextVideo.id,
-        startedAt: new Date(),
-        loopPlaylist: true,
+        startedAt: this.streamStartTime,
+        loopPlaylist: this.loopEnabled,
       });
 
-      // Start streaming next video with a slight delay
-      setTimeout(() => {
-        this.startStream(nextVideo.id, config);
-      }, 1000);
+      // Switch straight to the next video; the relays stay connected
+      await this.playVideo(nextVideo, config);
 
     } catch (error) {
       log(`Error in loop playback: ${error}`);
       // Fall back to offline status
-      await storage.createOrUpdateStreamStatus({
-        status: 'offline',
-        viewerCount: 0,
-        uptime: '00:00:00',
-        currentVideoId: null,
-        startedAt: null,
-        loopPlaylist: false,
-      });
+      await this.endPlayout('offline');
     }
   }
 
   private startUptimeTracking(): void {
     this.streamStartTime = new Date();
+    viewerTracker.resetPeak();
     
     // Clear existing interval if any
     if (this.uptimeInterval) {
       clearInterval(this.uptimeInterval);
     }
     
-    // Update uptime every 5 seconds
+    // Push live figures every 5 seconds; uptime is derived from the start time
     this.uptimeInterval = setInterval(async () => {
       if (this.streamStartTime && this.activeStreams.size > 0) {
-        const uptimeMs = Date.now() - this.streamStartTime.getTime();
-        const uptimeString = this.formatUptime(uptimeMs);
-        
         // Get current stream status
         const currentStatus = await storage.getStreamStatus();
         if (currentStatus && currentStatus.status === 'live') {
-          // Simulate realistic viewer count with some fluctuation
-          const baseViewers = 150;
-          const fluctuation = Math.floor(Math.random() * 100) - 50;
-          const viewerCount = Math.max(0, baseViewers + fluctuation);
-          
-          await storage.createOrUpdateStreamStatus({
-            status: 'live',
-            viewerCount: viewerCount,
-            uptime: uptimeString,
-            currentVideoId: currentStatus.currentVideoId,
-            startedAt: this.streamStartTime,
-            loopPlaylist: currentStatus.loopPlaylist,
-          });
+          streamEvents.publish('status', this.decorateStatus(currentStatus));
         }
       }
+      if (this.session && Date.now() - this.lastSessionSave >= SESSION_SAVE_INTERVAL_MS) {
+        await this.saveSession(this.session);
+      }
     }, 5000);
   }
 
@@ -279,117 +602,381 @@ export class RTMPStreamManager {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   }
 
-  private async buildFFmpegArgs(videoPath: string, config: RTMPConfig): Promise<string[]> {
+  // A file already normalized to the profile is copied; anything else is encoded
+  // live. Trim points seek the input, so a copied file starts on the keyframe
+  // at or before the in point.
+  private buildFFmpegArgs(
+    videoPath: string,
+    config: RTMPConfig,
+    timelineOffset: number,
+    copy: boolean = false,
+    trim: { start: number | null; end: number | null } = { start: null, end: null },
+  ): string[] {
     const args = [
-      '-stream_loop', '-1', // Loop the input indefinitely
       '-re', // Read input at native frame rate
-      '-i', `uploads/${videoPath}`, // Input file
-      '-c:v', 'libx264', // Video codec
-      '-preset', 'veryfast', // Encoding preset for speed
-      '-tune', 'zerolatency', // Optimize for low latency
-      '-pix_fmt', 'yuv420p', // Pixel format compatible with most platforms
-      '-maxrate', config.bitrate, // Maximum bitrate
-      '-bufsize', `${parseInt(config.bitrate) * 2}k`, // Buffer size
-      '-vf', `scale=-2:${this.getResolutionHeight(config.quality)}`, // Scale video
-      '-g', `${config.fps * 2}`, // GOP size (keyframe interval)
-      '-r', config.fps.toString(), // Frame rate
-      '-c:a', 'aac', // Audio codec
-      '-b:a', '128k', // Audio bitrate
-      '-ar', '44100', // Audio sample rate
-      '-ac', '2', // Audio channels (stereo)
-      '-f', 'flv', // Output format for RTMP
-      '-reconnect', '1', // Enable reconnection
-      '-reconnect_streamed', '1', // Reconnect for streamed inputs
-      '-reconnect_delay_max', '5', // Maximum delay between reconnection attempts
+      ...(trim.start !== null ? ['-ss', trim.start.toFixed(3)] : []), // In point
+      ...(trim.end !== null ? ['-to', trim.end.toFixed(3)] : []), // Out point, in input time
+      '-i', mediaPath(videoPath), // Input file
+      '-map', '0:v:0', // First video stream
+      '-map', '0:a:0?', // First audio stream, if any
+      ...(copy ? ['-c', 'copy'] : encodeArgs(config)),
+      '-output_ts_offset', timelineOffset.toFixed(6), // Continue the session timeline
+      '-progress', 'pipe:1', // Machine-readable stats on stdout
+      '-stats_period', '1',
     ];
 
-    // Add output URL with proper formatting using configured RTMP port
-    if (config.outputUrl.includes('rtmp://') || config.outputUrl.includes('rtmps://')) {
-      args.push(`${config.outputUrl}/${config.streamKey}`);
-    } else {
-      // Use configured RTMP port from system config
-      const rtmpPort = await this.getRtmpPort();
-      args.push(`rtmp://localhost:${rtmpPort}/live/${config.streamKey}`);
-    }
+    // One encode, fanned out to every destination relay with the tee muxer.
+    // onfail=ignore keeps the remaining slaves running if one of them fails.
+    const slaves = Array.from(this.destinations.values())
+      .map(leg => `[f=mpegts:onfail=ignore]udp://127.0.0.1:${leg.port}?pkt_size=1316`);
+
+    args.push('-f', 'tee', slaves.join('|'));
 
     return args;
   }
 
-  private getResolutionHeight(quality: string): number {
-    switch (quality) {
-      case '1080p': return 1080;
-      case '720p': return 720;
-      case '480p': return 480;
-      case '360p': return 360;
-      default: return 720;
+  // The normalized copy of a video, if it was made for the profile being streamed
+  private normalizedInput(video: Video, config: RTMPConfig): string | null {
+    if (!video.normalizedFilename || video.normalizedProfile !== profileKey(config)) {
+      return null;
     }
+    return fs.existsSync(path.join('uploads', video.normalizedFilename)) ? video.normalizedFilename : null;
   }
 
-  // Stream to multiple platforms
-  async streamToMultiplePlatforms(videoId: number, platforms: Array<{platform: string, url: string, key: string}>): Promise<boolean> {
-    try {
-      const video = await storage.getVideo(videoId);
-      if (!video) {
-        throw new Error('Video not found');
-      }
+  private async resolveTargetUrl(target: RTMPTarget): Promise<string> {
+    if (target.outputUrl.includes('rtmp://') || target.outputUrl.includes('rtmps://')) {
+      return `${target.outputUrl}/${target.streamKey}`;
+    }
+    // Use configured RTMP port from system config
+    const rtmpPort = await this.getRtmpPort();
+    return `rtmp://localhost:${rtmpPort}/live/${target.streamKey}`;
+  }
 
-      const streamKey = `multistream_${videoId}`;
-      
-      // Stop existing stream if running
-      if (this.activeStreams.has(streamKey)) {
-        this.stopStream(streamKey);
-      }
+  getCurrentSession(): StreamSession | null {
+    return this.session ? { ...this.session } : null;
+  }
 
-      // Build FFmpeg command for multi-platform streaming
-      const args = [
-        '-re',
-        '-i', `uploads/${video.filename}`,
-        '-c:v', 'libx264',
-        '-c:a', 'aac',
-        '-preset', 'veryfast',
-        '-maxrate', '3000k',
-        '-bufsize', '6000k',
-        '-vf', 'scale=-2:720',
-        '-g', '60',
-        '-r', '30',
-        '-f', 'flv',
-      ];
-
-      // Add multiple outputs
-      platforms.forEach(platform => {
-        args.push('-f', 'flv', `${platform.url}/${platform.key}`);
+  // Opens the history row for a new broadcast, closing one that is still open
+  private async openSession(targets: RTMPTarget[]): Promise<void> {
+    await this.closeSession('restarted');
+    try {
+      this.session = await storage.createStreamSession({
+        startedAt: new Date(),
+        destinations: targets.map(target => target.name),
       });
+      this.lastSessionSave = Date.now();
+    } catch (error) {
+      log(`Failed to record stream session: ${error}`);
+      this.session = null;
+    }
+  }
 
-      log(`Starting multi-platform stream for video ${videoId}`);
-      
-      const ffmpegProcess = spawn('ffmpeg', args);
-      
-      // Handle process events (same as single stream)
-      ffmpegProcess.stdout?.on('data', (data) => {
-        log(`Multi-stream FFmpeg stdout: ${data}`);
-      });
-      
-      ffmpegProcess.stderr?.on('data', (data) => {
-        log(`Multi-stream FFmpeg stderr: ${data}`);
-      });
-      
-      ffmpegProcess.on('close', (code) => {
-        log(`Multi-stream FFmpeg process exited with code ${code}`);
-        this.activeStreams.delete(streamKey);
-      });
-      
-      ffmpegProcess.on('error', (error) => {
-        log(`Multi-stream FFmpeg error: ${error.message}`);
-        this.activeStreams.delete(streamKey);
+  private recordSessionVideo(video: Video): void {
+    if (!this.session) {
+      return;
+    }
+    const now = new Date().toISOString();
+    const played = this.session.videosPlayed.find(entry => entry.videoId === video.id);
+    if (played) {
+      played.plays++;
+      played.lastPlayedAt = now;
+    } else {
+      this.session.videosPlayed.push({ videoId: video.id, title: video.title, plays: 1, firstPlayedAt: now, lastPlayedAt: now });
+    }
+    this.saveSession(this.session);
+  }
+
+  private async saveSession(session: StreamSession, ending: { endedAt: Date; endReason: string } | null = null): Promise<void> {
+    const endedAt = ending?.endedAt ?? new Date();
+    session.uptimeSeconds = Math.max(0, Math.round((endedAt.getTime() - session.startedAt.getTime()) / 1000));
+    session.peakViewers = Math.max(session.peakViewers, viewerTracker.getCounts().peak);
+    this.lastSessionSave = Date.now();
+    try {
+      await storage.updateStreamSession(session.id, {
+        destinations: session.destinations,
+        videosPlayed: session.videosPlayed,
+        uptimeSeconds: session.uptimeSeconds,
+        peakViewers: session.peakViewers,
+        restarts: session.restarts,
+        ...(ending || {}),
       });
-      
-      this.activeStreams.set(streamKey, ffmpegProcess);
-      
-      return true;
     } catch (error) {
-      log(`Error starting multi-platform stream: ${error}`);
+      log(`Failed to update stream session ${session.id}: ${error}`);
+    }
+  }
+
+  private async closeSession(endReason: string): Promise<void> {
+    const session = this.session;
+    if (!session) {
+      return;
+    }
+    this.session = null;
+    log(`Stream session ${session.id} ended: ${endReason}`);
+    await this.saveSession(session, { endedAt: new Date(), endReason });
+    webhookDispatcher.emit('stream.stopped', { sessionId: session.id, reason: endReason, uptimeSeconds: session.uptimeSeconds });
+  }
+
+  // Start relays for new targets, restart changed ones and stop the rest.
+  // Targets added while a video is playing join the tee when the next item starts.
+  async applyDestinations(targets: RTMPTarget[]): Promise<void> {
+    const wanted = new Set(targets.map(target => target.id));
+
+    // The session lists every destination that was live at some point
+    if (this.session) {
+      const names = targets.map(target => target.name).filter(name => !this.session!.destinations.includes(name));
+      if (names.length > 0) {
+        this.session.destinations.push(...names);
+        this.saveSession(this.session);
+      }
+    }
+
+    Array.from(this.destinations.values()).forEach(leg => {
+      if (!wanted.has(leg.id)) {
+        this.stopDestination(leg);
+        this.destinations.delete(leg.id);
+      }
+    });
+
+    for (const target of targets) {
+      const url = await this.resolveTargetUrl(target);
+      const existing = this.destinations.get(target.id);
+
+      if (existing && existing.url === url) {
+        existing.name = target.name;
+        existing.target = target;
+        continue;
+      }
+
+      if (existing) {
+        this.stopDestination(existing);
+      }
+
+      const leg: DestinationLeg = {
+        id: target.id,
+        name: target.name,
+        state: 'connecting',
+        reconnectAttempts: 0,
+        lastError: null,
+        connectedAt: null,
+        target,
+        url,
+        port: existing?.port ?? this.allocateRelayPort(),
+        process: null,
+        retryTimer: null,
+      };
+      this.destinations.set(target.id, leg);
+      this.spawnRelay(leg);
+    }
+
+    this.publishDestinations();
+  }
+
+  reconnectDestination(id: string): boolean {
+    const leg = this.destinations.get(id);
+    if (!leg) {
       return false;
     }
+
+    log(`Manual reconnect requested for destination ${leg.name}`);
+    this.stopDestination(leg);
+    leg.reconnectAttempts = 0;
+    leg.lastError = null;
+    this.spawnRelay(leg);
+    return true;
+  }
+
+  getDestinationHealth(): DestinationHealth[] {
+    return Array.from(this.destinations.values()).map(leg => ({
+      id: leg.id,
+      name: leg.name,
+      state: leg.state,
+      reconnectAttempts: leg.reconnectAttempts,
+      lastError: leg.lastError,
+      connectedAt: leg.connectedAt,
+    }));
+  }
+
+  private recordMetrics(sample: EncoderMetricsSample): void {
+    this.metrics.record(sample);
+    streamEvents.publish('encoder.metrics', sample);
+
+    // Skip the first samples of an item while the encoder warms up
+    if (sample.position < 2) {
+      return;
+    }
+    this.slowSamples = sample.speed < SLOW_ENCODER_SPEED ? this.slowSamples + 1 : 0;
+    if (this.slowSamples === SLOW_ENCODER_SAMPLES) {
+      log(`Encoder is running below realtime (${sample.speed.toFixed(2)}x) - viewers will see buffering`);
+    }
+  }
+
+  private setEncoderHealth(health: EncoderHealth): void {
+    this.encoderHealth = health;
+    streamEvents.publish('encoder.health', this.getEncoderHealth());
+  }
+
+  private publishDestinations(): void {
+    streamEvents.publish('destinations', this.getDestinationHealth());
+  }
+
+  private allocateRelayPort(): number {
+    const used = new Set(Array.from(this.destinations.values()).map(leg => leg.port));
+    let port = RELAY_BASE_PORT;
+    while (used.has(port)) {
+      port++;
+    }
+    return port;
+  }
+
+  private spawnRelay(leg: DestinationLeg): void {
+    const args = [
+      '-f', 'mpegts',
+      '-i', `udp://127.0.0.1:${leg.port}?fifo_size=1000000&overrun_nonfatal=1`,
+      '-c', 'copy', // The encode already happened upstream
+      '-bsf:a', 'aac_adtstoasc',
+      '-f', 'flv',
+      leg.url,
+    ];
+
+    log(`Starting relay for destination ${leg.name} on udp port ${leg.port}`);
+
+    const relay = spawn('ffmpeg', args);
+    let stderrTail = '';
+    leg.process = relay;
+    leg.state = leg.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+    this.publishDestinations();
+
+    relay.stderr?.on('data', (data) => {
+      const output: string = data.toString();
+      stderrTail = (stderrTail + output).slice(-STDERR_TAIL_SIZE);
+
+      if (leg.state !== 'live' && (output.includes('Press [q] to stop') || /size=\s*\d+/.test(output))) {
+        if (leg.reconnectAttempts > 0) {
+          streamSupervisor.record({
+            event: 'recovered',
+            source: 'destination',
+            sourceName: leg.name,
+            attempt: leg.reconnectAttempts,
+            message: 'Destination reconnected',
+          });
+        }
+        leg.state = 'live';
+        leg.connectedAt = new Date();
+        leg.reconnectAttempts = 0;
+        log(`Destination ${leg.name} connected`);
+        this.publishDestinations();
+      }
+
+      const errorLine = this.lastErrorLine(output);
+      if (errorLine) {
+        leg.lastError = errorLine;
+      }
+    });
+
+    relay.on('close', (code) => {
+      // A newer relay has taken over, or this one was stopped on purpose
+      if (leg.process !== relay) {
+        return;
+      }
+      leg.process = null;
+      leg.connectedAt = null;
+      log(`Relay for destination ${leg.name} exited with code ${code}`);
+      this.scheduleReconnect(leg, code, stderrTail);
+    });
+
+    relay.on('error', (error) => {
+      leg.lastError = error.message;
+      log(`Relay error for destination ${leg.name}: ${error.message}`);
+    });
+  }
+
+  // Network drops are retried with backoff; a rejected stream key is not
+  private async scheduleReconnect(leg: DestinationLeg, exitCode: number | null, output: string): Promise<void> {
+    const category = classifyFailure(output);
+    const attempt = leg.reconnectAttempts + 1;
+    const decision = streamSupervisor.decide(category, attempt);
+
+    await streamSupervisor.record({
+      event: 'crash',
+      source: 'destination',
+      sourceName: leg.name,
+      category,
+      attempt,
+      message: leg.lastError || `Relay exited with code ${exitCode}`,
+      exitCode,
+    });
+
+    // Stopped or replaced while the entry was being written
+    if (this.destinations.get(leg.id) !== leg || leg.process) {
+      return;
+    }
+
+    webhookDispatcher.emit('stream.error', {
+      source: 'destination',
+      sourceName: leg.name,
+      category,
+      attempt,
+      message: leg.lastError || `Relay exited with code ${exitCode}`,
+      willRetry: decision.retry,
+    });
+
+    if (!decision.retry) {
+      leg.state = 'failed';
+      leg.lastError = decision.reason;
+      this.publishDestinations();
+      await streamSupervisor.record({
+        event: 'gave_up',
+        source: 'destination',
+        sourceName: leg.name,
+        category,
+        attempt: leg.reconnectAttempts,
+        message: decision.reason,
+        exitCode,
+      });
+      return;
+    }
+
+    const delay = decision.delayMs;
+    leg.reconnectAttempts = attempt;
+    leg.state = 'reconnecting';
+    this.publishDestinations();
+
+    log(`Reconnecting destination ${leg.name} in ${delay}ms (attempt ${leg.reconnectAttempts})`);
+
+    leg.retryTimer = setTimeout(() => {
+      leg.retryTimer = null;
+      if (this.destinations.get(leg.id) === leg) {
+        this.spawnRelay(leg);
+      }
+    }, delay);
+
+    streamSupervisor.record({
+      event: 'restart_scheduled',
+      source: 'destination',
+      sourceName: leg.name,
+      category,
+      attempt,
+      message: `Reconnecting in ${delay}ms`,
+      exitCode,
+    });
+  }
+
+  private stopDestination(leg: DestinationLeg): void {
+    if (leg.retryTimer) {
+      clearTimeout(leg.retryTimer);
+      leg.retryTimer = null;
+    }
+    const relay = leg.process;
+    leg.process = null;
+    leg.state = 'stopped';
+    leg.connectedAt = null;
+    relay?.kill('SIGTERM');
+  }
+
+  private stopDestinations(): void {
+    Array.from(this.destinations.values()).forEach(leg => this.stopDestination(leg));
+    this.destinations.clear();
+    this.publishDestinations();
   }
 }
 
@@ -0,0 +1,194 @@
+import { storage } from './storage';
+import { rtmpManager } from './rtmp';
+import { streamEvents } from './events';
+import { streamSupervisor } from './supervisor';
+import { startBroadcast, stopBroadcast } from './broadcast';
+import { isPlayable } from './probe';
+import { itemRuleBlock } from './playback';
+import { expandOccurrences, activeOccurrence, type Occurrence } from './recurrence';
+import { log } from './vite';
+import type { ScheduleEntry } from '@shared/schema';
+import type { ScheduleState, ScheduledOccurrence } from '@shared/events';
+
+const TICK_INTERVAL_MS = 15000;
+const NEXT_LOOKAHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+interface OwnedBroadcast {
+  occurrence: Occurrence;
+  sessionId: number | null;
+}
+
+function toScheduled(occurrence: Occurrence | null): ScheduledOccurrence | null {
+  if (!occurrence) {
+    return null;
+  }
+  const { entryId, title, videoId, start, end } = occurrence;
+  return { entryId, title, videoId, start, end };
+}
+
+// Starts, switches and stops the broadcast according to schedule_entries.
+// Entries live in the database, so after a restart an occurrence that is
+// still running is picked up again on the first tick.
+export class StreamScheduler {
+  private tickInterval: NodeJS.Timeout | null = null;
+  private ticking: boolean = false;
+  private owned: OwnedBroadcast | null = null;
+  // Occurrences already started, keyed to their end time. A manual stop
+  // during an occurrence is respected rather than undone on the next tick.
+  private handled: Map<string, number> = new Map();
+  private state: ScheduleState = { current: null, next: null };
+
+  start(): void {
+    if (this.tickInterval) {
+      return;
+    }
+    this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.tick();
+  }
+
+  getState(): ScheduleState {
+    return { ...this.state };
+  }
+
+  async getOccurrences(from: Date, to: Date): Promise<Occurrence[]> {
+    const entries = await storage.getScheduleEntries();
+    return entries
+      .flatMap(entry => expandOccurrences(entry, from, to))
+      .sort((a, b) => a.start.getTime() - b.start.getTime());
+  }
+
+  // Re-evaluates the schedule now; called on every tick and after edits
+  async tick(): Promise<void> {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const entries = (await storage.getScheduleEntries()).filter(entry => entry.enabled);
+      const active = this.findActive(entries, now);
+
+      // The occurrence we started has ended, been edited or been overtaken
+      if (this.owned && this.owned.occurrence.key !== active?.key) {
+        const ended = this.owned.occurrence;
+        const ownsBroadcast = this.ownsBroadcast();
+        this.owned = null;
+        if (!active && ownsBroadcast) {
+          await stopBroadcast('scheduled');
+          await this.record('schedule_stop', ended, 'Scheduled broadcast ended');
+        }
+      }
+
+      if (active && !this.handled.has(active.key)) {
+        this.handled.set(active.key, active.end.getTime());
+        const entry = entries.find(e => e.id === active.entryId)!;
+        await this.startOccurrence(entry, active);
+      }
+
+      Array.from(this.handled.entries()).forEach(([key, end]) => {
+        if (end <= now.getTime()) {
+          this.handled.delete(key);
+        }
+      });
+
+      this.updateState(active, this.findNext(entries, now));
+    } catch (error) {
+      log(`[scheduler] Failed to evaluate schedule: ${error}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Overlapping occurrences resolve to the one that started last
+  private findActive(entries: ScheduleEntry[], now: Date): Occurrence | null {
+    let active: Occurrence | null = null;
+    for (const entry of entries) {
+      const occurrence = activeOccurrence(entry, now);
+      if (occurrence && (!active || occurrence.start > active.start)) {
+        active = occurrence;
+      }
+    }
+    return active;
+  }
+
+  private findNext(entries: ScheduleEntry[], now: Date): Occurrence | null {
+    const horizon = new Date(now.getTime() + NEXT_LOOKAHEAD_MS);
+    let next: Occurrence | null = null;
+    for (const entry of entries) {
+      const upcoming = expandOccurrences(entry, now, horizon).find(occurrence => occurrence.start > now);
+      if (upcoming && (!next || upcoming.start < next.start)) {
+        next = upcoming;
+      }
+    }
+    return next;
+  }
+
+  // Only stop a broadcast the scheduler started; a stream the operator
+  // started by hand after stopping ours is left alone
+  private ownsBroadcast(): boolean {
+    if (!this.owned || rtmpManager.getActiveStreams().length === 0) {
+      return false;
+    }
+    const session = rtmpManager.getCurrentSession();
+    return !!session && session.id === this.owned.sessionId;
+  }
+
+  private async startOccurrence(entry: ScheduleEntry, occurrence: Occurrence): Promise<void> {
+    try {
+      if (entry.playlistId !== null) {
+        const playlist = await storage.getActivePlaylist();
+        if (playlist?.id !== entry.playlistId && await storage.setActivePlaylist(entry.playlistId)) {
+          streamEvents.publish('playlist.changed', { reason: 'activated' });
+        }
+      }
+
+      const videoId = await this.resolveVideo(entry);
+      if (videoId === null) {
+        await this.record('schedule_failed', occurrence, 'No videos to play');
+        return;
+      }
+
+      // Starting replaces whatever is running, which is how occurrences switch
+      await startBroadcast(videoId, entry.loopPlaylist);
+      this.owned = { occurrence, sessionId: rtmpManager.getCurrentSession()?.id ?? null };
+      await this.record('schedule_start', occurrence, `Scheduled broadcast started until ${occurrence.end.toLocaleString()}`, videoId);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      await this.record('schedule_failed', occurrence, message);
+    }
+  }
+
+  // The assigned video, or the top of the active playlist when none is set,
+  // it was deleted or it failed validation. Items held back by their rules are
+  // passed over unless that leaves nothing.
+  private async resolveVideo(entry: ScheduleEntry): Promise<number | null> {
+    const assigned = entry.videoId !== null ? await storage.getVideo(entry.videoId) : undefined;
+    if (assigned && isPlayable(assigned)) {
+      return assigned.id;
+    }
+    const videos = (await storage.getActivePlaylistVideos()).filter(isPlayable);
+    const first = videos.find(video => itemRuleBlock(video) === null) ?? videos[0];
+    return first ? first.id : null;
+  }
+
+  private async record(event: string, occurrence: Occurrence, message: string, videoId?: number): Promise<void> {
+    await streamSupervisor.record({
+      event,
+      source: 'scheduler',
+      sourceName: occurrence.title,
+      message,
+      videoId: videoId ?? occurrence.videoId,
+    });
+  }
+
+  private updateState(current: Occurrence | null, next: Occurrence | null): void {
+    const state: ScheduleState = { current: toScheduled(current), next: toScheduled(next) };
+    if (JSON.stringify(state) !== JSON.stringify(this.state)) {
+      this.state = state;
+      streamEvents.publish('schedule.changed', this.getState());
+    }
+  }
+}
+
+export const streamScheduler = new StreamScheduler();
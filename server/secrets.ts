@@ -0,0 +1,107 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { SECRET_MASK } from '@shared/schema';
+import { log } from './vite';
+
+// Stream keys and the external database password are stored as
+// "enc:v1:<iv>:<tag>:<ciphertext>" (AES-256-GCM, base64) under a master key
+// from SECRETS_KEY. Without it a key is generated once into KEY_FILE; either
+// way, losing the key means re-entering every secret.
+const PREFIX = 'enc:v1:';
+const KEY_FILE = path.join(process.cwd(), 'secrets.key');
+// Shorter values are left alone by redact(), so it cannot mangle ordinary words
+const MIN_REDACT_LENGTH = 6;
+
+let masterKey: Buffer | null = null;
+let warnedUndecryptable = false;
+// Every secret this process has seen in plaintext, for redact()
+const knownSecrets = new Set<string>();
+
+function getMasterKey(): Buffer {
+  if (masterKey) {
+    return masterKey;
+  }
+  let material = process.env.SECRETS_KEY;
+  if (!material) {
+    if (fs.existsSync(KEY_FILE)) {
+      material = fs.readFileSync(KEY_FILE, 'utf8').trim();
+    } else {
+      material = randomBytes(32).toString('hex');
+      fs.writeFileSync(KEY_FILE, material + '\n', { mode: 0o600 });
+      log(`SECRETS_KEY is not set; generated a master key in ${KEY_FILE}. Back it up: backups hold secrets encrypted with it`, 'secrets');
+    }
+  }
+  // Any passphrase works; hashing it gives the 32 bytes AES-256 needs
+  masterKey = createHash('sha256').update(material).digest();
+  return masterKey;
+}
+
+function remember(secret: string): void {
+  if (secret.length >= MIN_REDACT_LENGTH) {
+    knownSecrets.add(secret);
+  }
+}
+
+export function isEncrypted(value: string | null | undefined): boolean {
+  return !!value && value.startsWith(PREFIX);
+}
+
+// Encrypts a plaintext secret; empty and already encrypted values pass through
+export function encryptSecret(value: string): string {
+  if (!value || isEncrypted(value)) {
+    return value;
+  }
+  remember(value);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+// Plaintext values from before encryption are returned as they are. A value
+// the current key cannot open comes back empty, so the stream refuses to start
+// instead of pushing garbage to the platform.
+export function decryptSecret(value: string | null | undefined): string {
+  if (!value || !isEncrypted(value)) {
+    if (value) {
+      remember(value);
+    }
+    return value ?? '';
+  }
+  try {
+    const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = createDecipheriv('aes-256-gcm', getMasterKey(), iv);
+    decipher.setAuthTag(tag);
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    remember(plaintext);
+    return plaintext;
+  } catch (error) {
+    if (!warnedUndecryptable) {
+      warnedUndecryptable = true;
+      log('A stored secret cannot be decrypted with the current master key; was SECRETS_KEY changed? Re-enter the stream keys and database password', 'secrets');
+    }
+    return '';
+  }
+}
+
+// What API responses show instead of a secret: the mask plus the last four
+// characters, so a key can still be told apart from another
+export function maskSecret(value: string | null | undefined): string {
+  if (!value) {
+    return '';
+  }
+  return value.length > 8 ? SECRET_MASK + value.slice(-4) : SECRET_MASK;
+}
+
+// Replaces every secret seen so far in `text`, for log lines that may carry
+// one, like FFmpeg command lines and their output
+export function redact(text: string): string {
+  let redacted = text;
+  for (const secret of Array.from(knownSecrets)) {
+    if (redacted.includes(secret)) {
+      redacted = redacted.split(secret).join(maskSecret(secret));
+    }
+  }
+  return redacted;
+}
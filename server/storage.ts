@@ -1,6 +1,47 @@
-import { videos, streamConfigs, streamStatus, systemConfigs, type Video, type InsertVideo, type StreamConfig, type InsertStreamConfig, type StreamStatus, type InsertStreamStatus, type SystemConfig, type InsertSystemConfig } from "@shared/schema";
+import { videos, uploadSessions, type UploadSession, mediaJobs, type MediaJob, playlists, playlistItems, type Playlist, type InsertPlaylist, type PlaylistItem, type PlaylistSummary, type PlaylistVideo, streamConfigs, streamDestinations, streamStatus, systemConfigs, type Video, type InsertVideo, type StreamConfig, type InsertStreamConfig, type StreamDestination, type InsertStreamDestination, type StreamStatus, type InsertStreamStatus, viewerSessions, type ViewerSession, type InsertViewerSession, streamEventLog, type StreamEventLogEntry, type InsertStreamEventLogEntry, streamSessions, type StreamSession, type InsertStreamSession, scheduleEntries, type ScheduleEntry, type InsertScheduleEntry, type SystemConfig, type InsertSystemConfig, users, userSessions, type User, apiTokens, type ApiToken, auditLog, type AuditLogEntry, type InsertAuditLogEntry, type AuditTargetType, webhooks, type Webhook, webhookDeliveries, type WebhookDelivery, type InsertWebhookDelivery } from "@shared/schema";
 import { db, dbInitPromise } from "./db";
-import { eq } from "drizzle-orm";
+import { encryptSecret, decryptSecret, isEncrypted } from "./secrets";
+import { eq, desc, isNull, sql, and, or, gte, lte, inArray, type SQL } from "drizzle-orm";
+
+export interface StreamSessionFilter {
+  from?: Date;
+  to?: Date;
+  endReason?: string;
+  destination?: string;
+}
+
+export interface AuditLogFilter {
+  from?: Date;
+  to?: Date;
+  actor?: string; // username, case-insensitive
+  targetType?: AuditTargetType;
+  action?: string; // substring of the action, e.g. 'stream/stop' or 'DELETE'
+  limit?: number;
+}
+
+export interface MediaJobFilter {
+  status?: string;
+  videoId?: number;
+  limit?: number;
+}
+
+// Secrets are encrypted on the way into the database and decrypted on the way
+// out, so the rest of the server only ever handles plaintext
+function openStreamConfig(config: StreamConfig): StreamConfig {
+  return { ...config, streamKey: decryptSecret(config.streamKey) };
+}
+
+function openStreamDestination(destination: StreamDestination): StreamDestination {
+  return { ...destination, streamKey: decryptSecret(destination.streamKey) };
+}
+
+function openSystemConfig(config: SystemConfig): SystemConfig {
+  return { ...config, dbPassword: decryptSecret(config.dbPassword) };
+}
+
+function openWebhook(webhook: Webhook): Webhook {
+  return { ...webhook, secret: decryptSecret(webhook.secret) };
+}
 
 export interface IStorage {
   // Video operations
@@ -9,20 +50,124 @@ export interface IStorage {
   createVideo(video: InsertVideo): Promise<Video>;
   updateVideo(id: number, video: Partial<InsertVideo>): Promise<Video | undefined>;
   deleteVideo(id: number): Promise<boolean>;
-  reorderPlaylist(videoIds: number[]): Promise<void>;
+  getVideosByContentHash(contentHash: string): Promise<Video[]>;
+  countVideosByFilename(filename: string): Promise<number>;
+  
+  // Upload session operations
+  getUploadSessions(): Promise<UploadSession[]>;
+  getUploadSession(id: string): Promise<UploadSession | undefined>;
+  createUploadSession(session: typeof uploadSessions.$inferInsert): Promise<UploadSession>;
+  updateUploadSession(id: string, session: Partial<typeof uploadSessions.$inferInsert>): Promise<UploadSession | undefined>;
+  deleteUploadSession(id: string): Promise<boolean>;
+  getStaleUploadSessions(before: Date): Promise<UploadSession[]>;
+  
+  // Media job operations
+  getMediaJobs(filter?: MediaJobFilter): Promise<MediaJob[]>;
+  getMediaJob(id: number): Promise<MediaJob | undefined>;
+  createMediaJob(job: typeof mediaJobs.$inferInsert): Promise<MediaJob>;
+  updateMediaJob(id: number, job: Partial<typeof mediaJobs.$inferInsert>): Promise<MediaJob | undefined>;
+  claimNextMediaJob(): Promise<MediaJob | undefined>;
+  requeueRunningMediaJobs(): Promise<number>;
+  findActiveMediaJob(type: string, videoId: number): Promise<MediaJob | undefined>;
+  deleteFinishedMediaJobs(): Promise<number>;
+  
+  // Playlist operations
+  getPlaylists(): Promise<PlaylistSummary[]>;
+  getPlaylist(id: number): Promise<Playlist | undefined>;
+  getActivePlaylist(): Promise<Playlist | undefined>;
+  getPlaylistVideos(playlistId: number): Promise<PlaylistVideo[]>;
+  getActivePlaylistVideos(): Promise<PlaylistVideo[]>;
+  createPlaylist(playlist: InsertPlaylist): Promise<Playlist>;
+  updatePlaylist(id: number, playlist: Partial<InsertPlaylist>): Promise<Playlist | undefined>;
+  duplicatePlaylist(id: number, name: string): Promise<Playlist | undefined>;
+  setActivePlaylist(id: number): Promise<Playlist | undefined>;
+  deletePlaylist(id: number): Promise<boolean>;
+  addPlaylistItem(playlistId: number, videoId: number): Promise<PlaylistItem | undefined>;
+  updatePlaylistItem(playlistId: number, itemId: number, item: Partial<typeof playlistItems.$inferInsert>): Promise<PlaylistItem | undefined>;
+  recordPlaylistItemPlay(itemId: number): Promise<void>;
+  removePlaylistItem(playlistId: number, itemId: number): Promise<boolean>;
+  reorderPlaylistItems(playlistId: number, videoIds: number[]): Promise<void>;
+  ensureDefaultPlaylist(): Promise<void>;
   
   // Stream config operations
   getStreamConfig(): Promise<StreamConfig | undefined>;
   createOrUpdateStreamConfig(config: InsertStreamConfig): Promise<StreamConfig>;
   
+  // Stream destination operations
+  getStreamDestinations(): Promise<StreamDestination[]>;
+  getStreamDestination(id: number): Promise<StreamDestination | undefined>;
+  createStreamDestination(destination: InsertStreamDestination): Promise<StreamDestination>;
+  updateStreamDestination(id: number, destination: Partial<InsertStreamDestination>): Promise<StreamDestination | undefined>;
+  deleteStreamDestination(id: number): Promise<boolean>;
+  
   // Stream status operations
   getStreamStatus(): Promise<StreamStatus | undefined>;
   createOrUpdateStreamStatus(status: InsertStreamStatus): Promise<StreamStatus>;
+  updatePlaybackSettings(settings: Partial<Pick<InsertStreamStatus, 'playbackMode' | 'noRepeatWindow' | 'playNextQueue'>>): Promise<StreamStatus | undefined>;
+  
+  // Viewer session operations
+  getViewerSessions(limit: number): Promise<ViewerSession[]>;
+  createViewerSession(session: InsertViewerSession): Promise<ViewerSession>;
+  endViewerSession(id: number, endedAt: Date, durationSeconds: number): Promise<ViewerSession | undefined>;
+  closeOpenViewerSessions(): Promise<number>;
+  
+  // Stream session operations
+  getStreamSessions(filter: StreamSessionFilter): Promise<StreamSession[]>;
+  createStreamSession(session: InsertStreamSession): Promise<StreamSession>;
+  updateStreamSession(id: number, session: Partial<InsertStreamSession>): Promise<StreamSession | undefined>;
+  closeOpenStreamSessions(): Promise<number>;
+  
+  // Schedule operations
+  getScheduleEntries(): Promise<ScheduleEntry[]>;
+  getScheduleEntry(id: number): Promise<ScheduleEntry | undefined>;
+  createScheduleEntry(entry: InsertScheduleEntry): Promise<ScheduleEntry>;
+  updateScheduleEntry(id: number, entry: Partial<InsertScheduleEntry>): Promise<ScheduleEntry | undefined>;
+  deleteScheduleEntry(id: number): Promise<boolean>;
+  
+  // Stream event log operations
+  getStreamEventLog(limit: number): Promise<StreamEventLogEntry[]>;
+  createStreamEventLogEntry(entry: InsertStreamEventLogEntry): Promise<StreamEventLogEntry>;
   
+  // User operations
+  getUsers(): Promise<User[]>;
+  getUser(id: number): Promise<User | undefined>;
+  getUserByUsername(username: string): Promise<User | undefined>;
+  countUsers(role?: string): Promise<number>;
+  createUser(user: typeof users.$inferInsert): Promise<User>;
+  updateUser(id: number, user: Partial<typeof users.$inferInsert>): Promise<User | undefined>;
+  deleteUser(id: number): Promise<boolean>;
+  deleteUserSessions(userId: number, exceptSid?: string): Promise<void>;
+
+  // API token operations
+  getApiTokens(userId?: number): Promise<ApiToken[]>;
+  getApiToken(id: number): Promise<ApiToken | undefined>;
+  getApiTokenByHash(tokenHash: string): Promise<ApiToken | undefined>;
+  createApiToken(token: typeof apiTokens.$inferInsert): Promise<ApiToken>;
+  recordApiTokenUse(id: number, ip: string | null): Promise<void>;
+  deleteApiToken(id: number): Promise<boolean>;
+
+  // Audit log operations
+  getAuditLog(filter: AuditLogFilter): Promise<AuditLogEntry[]>;
+  createAuditLogEntry(entry: InsertAuditLogEntry): Promise<AuditLogEntry>;
+
+  // Webhook operations
+  getWebhooks(): Promise<Webhook[]>;
+  getWebhook(id: number): Promise<Webhook | undefined>;
+  createWebhook(webhook: typeof webhooks.$inferInsert): Promise<Webhook>;
+  updateWebhook(id: number, webhook: Partial<typeof webhooks.$inferInsert>): Promise<Webhook | undefined>;
+  deleteWebhook(id: number): Promise<boolean>;
+  getWebhookDeliveries(webhookId: number, limit: number): Promise<WebhookDelivery[]>;
+  createWebhookDeliveries(deliveries: InsertWebhookDelivery[]): Promise<WebhookDelivery[]>;
+  updateWebhookDelivery(id: number, delivery: Partial<InsertWebhookDelivery>): Promise<WebhookDelivery | undefined>;
+  claimDueWebhookDeliveries(limit: number): Promise<WebhookDelivery[]>;
+  requeueSendingWebhookDeliveries(): Promise<number>;
+  deleteWebhookDeliveriesBefore(before: Date): Promise<number>;
+
   // System config operations
   getSystemConfig(): Promise<SystemConfig | undefined>;
   createOrUpdateSystemConfig(config: InsertSystemConfig): Promise<SystemConfig>;
   initializeDefaultData(): Promise<void>;
+  encryptStoredSecrets(): Promise<number>;
 }
 
 export class DatabaseStorage implements IStorage {
@@ -133,17 +278,355 @@ export class DatabaseStorage implements IStorage {
 
   async deleteVideo(id: number): Promise<boolean> {
     await this.ensureInitialized();
+    await db.delete(playlistItems).where(eq(playlistItems.videoId, id));
     const result = await db.delete(videos).where(eq(videos.id, id));
     return (result.rowCount || 0) > 0;
   }
 
-  async reorderPlaylist(videoIds: number[]): Promise<void> {
+  async getVideosByContentHash(contentHash: string): Promise<Video[]> {
+    await this.ensureInitialized();
+    return await db.select().from(videos).where(eq(videos.contentHash, contentHash)).orderBy(videos.id);
+  }
+
+  // Videos sharing a stored file; it may only be deleted when this reaches zero
+  async countVideosByFilename(filename: string): Promise<number> {
+    await this.ensureInitialized();
+    const [row] = await db
+      .select({ count: sql<number>`count(*)::integer` })
+      .from(videos)
+      .where(eq(videos.filename, filename));
+    return row?.count ?? 0;
+  }
+
+  async getUploadSessions(): Promise<UploadSession[]> {
+    await this.ensureInitialized();
+    return await db.select().from(uploadSessions).orderBy(uploadSessions.createdAt);
+  }
+
+  async getUploadSession(id: string): Promise<UploadSession | undefined> {
+    await this.ensureInitialized();
+    const [session] = await db.select().from(uploadSessions).where(eq(uploadSessions.id, id));
+    return session || undefined;
+  }
+
+  async createUploadSession(session: typeof uploadSessions.$inferInsert): Promise<UploadSession> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(uploadSessions)
+      .values(session)
+      .returning();
+    return created;
+  }
+
+  async updateUploadSession(id: string, session: Partial<typeof uploadSessions.$inferInsert>): Promise<UploadSession | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(uploadSessions)
+      .set({ ...session, updatedAt: new Date() })
+      .where(eq(uploadSessions.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  async deleteUploadSession(id: string): Promise<boolean> {
+    await this.ensureInitialized();
+    const result = await db.delete(uploadSessions).where(eq(uploadSessions.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  // Sessions nobody has touched since `before`, finished or not
+  async getStaleUploadSessions(before: Date): Promise<UploadSession[]> {
+    await this.ensureInitialized();
+    return await db.select().from(uploadSessions).where(lte(uploadSessions.updatedAt, before));
+  }
+
+  async getMediaJobs(filter: MediaJobFilter = {}): Promise<MediaJob[]> {
+    await this.ensureInitialized();
+    const conditions: SQL[] = [];
+    if (filter.status) {
+      conditions.push(eq(mediaJobs.status, filter.status));
+    }
+    if (filter.videoId !== undefined) {
+      conditions.push(eq(mediaJobs.videoId, filter.videoId));
+    }
+    return await db
+      .select()
+      .from(mediaJobs)
+      .where(conditions.length > 0 ? and(...conditions) : undefined)
+      .orderBy(desc(mediaJobs.id))
+      .limit(filter.limit ?? 100);
+  }
+
+  async getMediaJob(id: number): Promise<MediaJob | undefined> {
+    await this.ensureInitialized();
+    const [job] = await db.select().from(mediaJobs).where(eq(mediaJobs.id, id));
+    return job || undefined;
+  }
+
+  async createMediaJob(job: typeof mediaJobs.$inferInsert): Promise<MediaJob> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(mediaJobs)
+      .values(job)
+      .returning();
+    return created;
+  }
+
+  async updateMediaJob(id: number, job: Partial<typeof mediaJobs.$inferInsert>): Promise<MediaJob | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(mediaJobs)
+      .set(job)
+      .where(eq(mediaJobs.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  // Marks the oldest due job as running; SKIP LOCKED keeps two workers off the same row
+  async claimNextMediaJob(): Promise<MediaJob | undefined> {
+    await this.ensureInitialized();
+    const next = db
+      .select({ id: mediaJobs.id })
+      .from(mediaJobs)
+      .where(and(eq(mediaJobs.status, 'queued'), lte(mediaJobs.runAfter, new Date())))
+      .orderBy(mediaJobs.id)
+      .limit(1)
+      .for('update', { skipLocked: true });
+    const [job] = await db
+      .update(mediaJobs)
+      .set({
+        status: 'running',
+        progress: 0,
+        attempts: sql`${mediaJobs.attempts} + 1`,
+        startedAt: new Date(),
+      })
+      .where(inArray(mediaJobs.id, next))
+      .returning();
+    return job || undefined;
+  }
+
+  // Jobs cut off by a restart go back to the queue without using up an attempt
+  async requeueRunningMediaJobs(): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .update(mediaJobs)
+      .set({ status: 'queued', progress: 0, attempts: sql`GREATEST(${mediaJobs.attempts} - 1, 0)` })
+      .where(eq(mediaJobs.status, 'running'));
+    return result.rowCount || 0;
+  }
+
+  async findActiveMediaJob(type: string, videoId: number): Promise<MediaJob | undefined> {
+    await this.ensureInitialized();
+    const [job] = await db
+      .select()
+      .from(mediaJobs)
+      .where(and(
+        eq(mediaJobs.type, type),
+        eq(mediaJobs.videoId, videoId),
+        inArray(mediaJobs.status, ['queued', 'running']),
+      ))
+      .limit(1);
+    return job || undefined;
+  }
+
+  async deleteFinishedMediaJobs(): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .delete(mediaJobs)
+      .where(inArray(mediaJobs.status, ['completed', 'failed', 'cancelled']));
+    return result.rowCount || 0;
+  }
+
+  async getPlaylists(): Promise<PlaylistSummary[]> {
+    await this.ensureInitialized();
+    const rows = await db
+      .select({ playlist: playlists, itemCount: sql<number>`count(${playlistItems.id})::integer` })
+      .from(playlists)
+      .leftJoin(playlistItems, eq(playlistItems.playlistId, playlists.id))
+      .groupBy(playlists.id)
+      .orderBy(playlists.id);
+    return rows.map(row => ({ ...row.playlist, itemCount: row.itemCount }));
+  }
+
+  async getPlaylist(id: number): Promise<Playlist | undefined> {
+    await this.ensureInitialized();
+    const [playlist] = await db.select().from(playlists).where(eq(playlists.id, id));
+    return playlist || undefined;
+  }
+
+  async getActivePlaylist(): Promise<Playlist | undefined> {
+    await this.ensureInitialized();
+    const [playlist] = await db.select().from(playlists).where(eq(playlists.isActive, true)).limit(1);
+    return playlist || undefined;
+  }
+
+  async getPlaylistVideos(playlistId: number): Promise<PlaylistVideo[]> {
+    await this.ensureInitialized();
+    const rows = await db
+      .select({ video: videos, item: playlistItems })
+      .from(playlistItems)
+      .innerJoin(videos, eq(videos.id, playlistItems.videoId))
+      .where(eq(playlistItems.playlistId, playlistId))
+      .orderBy(playlistItems.position, playlistItems.id);
+    return rows.map(({ video, item: { id, playlistId, videoId, ...item } }) => ({
+      ...video,
+      ...item,
+      itemId: id,
+    }));
+  }
+
+  // The rotation playout follows
+  async getActivePlaylistVideos(): Promise<PlaylistVideo[]> {
+    const playlist = await this.getActivePlaylist();
+    return playlist ? await this.getPlaylistVideos(playlist.id) : [];
+  }
+
+  async createPlaylist(playlist: InsertPlaylist): Promise<Playlist> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(playlists)
+      .values(playlist)
+      .returning();
+    return created;
+  }
+
+  async updatePlaylist(id: number, playlist: Partial<InsertPlaylist>): Promise<Playlist | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(playlists)
+      .set(playlist)
+      .where(eq(playlists.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  async duplicatePlaylist(id: number, name: string): Promise<Playlist | undefined> {
+    await this.ensureInitialized();
+    const source = await this.getPlaylist(id);
+    if (!source) {
+      return undefined;
+    }
+
+    const copy = await this.createPlaylist({ name });
+    const items = await db.select().from(playlistItems).where(eq(playlistItems.playlistId, id)).orderBy(playlistItems.position);
+    if (items.length > 0) {
+      await db.insert(playlistItems).values(items.map(item => ({
+        playlistId: copy.id,
+        videoId: item.videoId,
+        position: item.position,
+        startSeconds: item.startSeconds,
+        endSeconds: item.endSeconds,
+        playLimit: item.playLimit,
+        activeFrom: item.activeFrom,
+        activeUntil: item.activeUntil,
+        expiresAt: item.expiresAt,
+      })));
+    }
+    return copy;
+  }
+
+  async setActivePlaylist(id: number): Promise<Playlist | undefined> {
+    await this.ensureInitialized();
+    const playlist = await this.getPlaylist(id);
+    if (!playlist) {
+      return undefined;
+    }
+
+    await db.update(playlists).set({ isActive: false }).where(eq(playlists.isActive, true));
+    const [activated] = await db
+      .update(playlists)
+      .set({ isActive: true })
+      .where(eq(playlists.id, id))
+      .returning();
+    return activated;
+  }
+
+  async deletePlaylist(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    await db.delete(playlistItems).where(eq(playlistItems.playlistId, id));
+    const result = await db.delete(playlists).where(eq(playlists.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  // Appends the video; returns undefined when it is already in the playlist
+  async addPlaylistItem(playlistId: number, videoId: number): Promise<PlaylistItem | undefined> {
+    await this.ensureInitialized();
+    const existing = await db
+      .select()
+      .from(playlistItems)
+      .where(and(eq(playlistItems.playlistId, playlistId), eq(playlistItems.videoId, videoId)));
+    if (existing.length > 0) {
+      return undefined;
+    }
+
+    const [{ nextPosition }] = await db
+      .select({ nextPosition: sql<number>`coalesce(max(${playlistItems.position}) + 1, 0)::integer` })
+      .from(playlistItems)
+      .where(eq(playlistItems.playlistId, playlistId));
+    const [item] = await db
+      .insert(playlistItems)
+      .values({ playlistId, videoId, position: nextPosition })
+      .returning();
+    return item;
+  }
+
+  async updatePlaylistItem(playlistId: number, itemId: number, item: Partial<typeof playlistItems.$inferInsert>): Promise<PlaylistItem | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(playlistItems)
+      .set(item)
+      .where(and(eq(playlistItems.playlistId, playlistId), eq(playlistItems.id, itemId)))
+      .returning();
+    return updated || undefined;
+  }
+
+  async recordPlaylistItemPlay(itemId: number): Promise<void> {
+    await this.ensureInitialized();
+    await db
+      .update(playlistItems)
+      .set({ playCount: sql`${playlistItems.playCount} + 1` })
+      .where(eq(playlistItems.id, itemId));
+  }
+
+  async removePlaylistItem(playlistId: number, itemId: number): Promise<boolean> {
+    await this.ensureInitialized();
+    const result = await db
+      .delete(playlistItems)
+      .where(and(eq(playlistItems.playlistId, playlistId), eq(playlistItems.id, itemId)));
+    return (result.rowCount || 0) > 0;
+  }
+
+  async reorderPlaylistItems(playlistId: number, videoIds: number[]): Promise<void> {
     await this.ensureInitialized();
     for (let i = 0; i < videoIds.length; i++) {
       await db
-        .update(videos)
-        .set({ playlistOrder: i })
-        .where(eq(videos.id, videoIds[i]));
+        .update(playlistItems)
+        .set({ position: i })
+        .where(and(eq(playlistItems.playlistId, playlistId), eq(playlistItems.videoId, videoIds[i])));
+    }
+  }
+
+  // Before named playlists there was one global order in videos.playlist_order;
+  // the first start after upgrading turns it into the active "Main" playlist
+  async ensureDefaultPlaylist(): Promise<void> {
+    await this.ensureInitialized();
+    const [existing] = await db.select().from(playlists).limit(1);
+    if (existing) {
+      if (!(await this.getActivePlaylist())) {
+        await this.setActivePlaylist(existing.id);
+      }
+      return;
+    }
+
+    console.log('Creating default playlist from the existing video order');
+    const [playlist] = await db.insert(playlists).values({ name: 'Main', isActive: true }).returning();
+    const library = await this.getVideos();
+    if (library.length > 0) {
+      await db.insert(playlistItems).values(library.map((video, index) => ({
+        playlistId: playlist.id,
+        videoId: video.id,
+        position: index,
+      })));
     }
   }
 
@@ -153,7 +636,7 @@ export class DatabaseStorage implements IStorage {
       .select()
       .from(streamConfigs)
       .where(eq(streamConfigs.isActive, true));
-    return config || undefined;
+    return config ? openStreamConfig(config) : undefined;
   }
 
   async createOrUpdateStreamConfig(config: InsertStreamConfig): Promise<StreamConfig> {
@@ -165,24 +648,213 @@ export class DatabaseStorage implements IStorage {
         .update(streamConfigs)
         .set({
           ...config,
+          streamKey: encryptSecret(config.streamKey),
           rtmpUrl: config.rtmpUrl || null,
         })
         .where(eq(streamConfigs.id, existingConfig.id))
         .returning();
-      return updatedConfig;
+      return openStreamConfig(updatedConfig);
     } else {
       const [streamConfig] = await db
         .insert(streamConfigs)
         .values({
           ...config,
+          streamKey: encryptSecret(config.streamKey),
           isActive: true,
           rtmpUrl: config.rtmpUrl || null,
         })
         .returning();
-      return streamConfig;
+      return openStreamConfig(streamConfig);
     }
   }
 
+  async getStreamDestinations(): Promise<StreamDestination[]> {
+    await this.ensureInitialized();
+    const destinations = await db.select().from(streamDestinations).orderBy(streamDestinations.id);
+    return destinations.map(openStreamDestination);
+  }
+
+  async getStreamDestination(id: number): Promise<StreamDestination | undefined> {
+    await this.ensureInitialized();
+    const [destination] = await db.select().from(streamDestinations).where(eq(streamDestinations.id, id));
+    return destination ? openStreamDestination(destination) : undefined;
+  }
+
+  async createStreamDestination(destination: InsertStreamDestination): Promise<StreamDestination> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(streamDestinations)
+      .values({
+        ...destination,
+        streamKey: encryptSecret(destination.streamKey),
+        rtmpUrl: destination.rtmpUrl || null,
+      })
+      .returning();
+    return openStreamDestination(created);
+  }
+
+  async updateStreamDestination(id: number, destination: Partial<InsertStreamDestination>): Promise<StreamDestination | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(streamDestinations)
+      .set({
+        ...destination,
+        ...(destination.streamKey !== undefined ? { streamKey: encryptSecret(destination.streamKey) } : {}),
+      })
+      .where(eq(streamDestinations.id, id))
+      .returning();
+    return updated ? openStreamDestination(updated) : undefined;
+  }
+
+  async deleteStreamDestination(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    const result = await db.delete(streamDestinations).where(eq(streamDestinations.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  async getViewerSessions(limit: number): Promise<ViewerSession[]> {
+    await this.ensureInitialized();
+    return await db.select().from(viewerSessions).orderBy(desc(viewerSessions.startedAt)).limit(limit);
+  }
+
+  async createViewerSession(session: InsertViewerSession): Promise<ViewerSession> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(viewerSessions)
+      .values(session)
+      .returning();
+    return created;
+  }
+
+  async endViewerSession(id: number, endedAt: Date, durationSeconds: number): Promise<ViewerSession | undefined> {
+    await this.ensureInitialized();
+    const [ended] = await db
+      .update(viewerSessions)
+      .set({ endedAt, durationSeconds })
+      .where(eq(viewerSessions.id, id))
+      .returning();
+    return ended || undefined;
+  }
+
+  // Sessions left open by a previous process can no longer be tracked
+  async closeOpenViewerSessions(): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .update(viewerSessions)
+      .set({
+        endedAt: sql`now()`,
+        durationSeconds: sql`GREATEST(0, EXTRACT(EPOCH FROM (now() - ${viewerSessions.startedAt}))::integer)`,
+      })
+      .where(isNull(viewerSessions.endedAt));
+    return result.rowCount || 0;
+  }
+
+  // Sessions that overlap the requested range, newest first
+  async getStreamSessions(filter: StreamSessionFilter): Promise<StreamSession[]> {
+    await this.ensureInitialized();
+    const conditions: SQL[] = [];
+    if (filter.from) {
+      conditions.push(or(isNull(streamSessions.endedAt), gte(streamSessions.endedAt, filter.from))!);
+    }
+    if (filter.to) {
+      conditions.push(lte(streamSessions.startedAt, filter.to));
+    }
+    if (filter.endReason) {
+      conditions.push(eq(streamSessions.endReason, filter.endReason));
+    }
+    if (filter.destination) {
+      conditions.push(sql`${streamSessions.destinations} @> ${JSON.stringify([filter.destination])}::jsonb`);
+    }
+    return await db
+      .select()
+      .from(streamSessions)
+      .where(conditions.length > 0 ? and(...conditions) : undefined)
+      .orderBy(desc(streamSessions.startedAt));
+  }
+
+  async createStreamSession(session: InsertStreamSession): Promise<StreamSession> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(streamSessions)
+      .values(session)
+      .returning();
+    return created;
+  }
+
+  async updateStreamSession(id: number, session: Partial<InsertStreamSession>): Promise<StreamSession | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(streamSessions)
+      .set(session)
+      .where(eq(streamSessions.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  // A session still open at startup was cut short by the server going down;
+  // it ended at the last uptime that was saved for it
+  async closeOpenStreamSessions(): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .update(streamSessions)
+      .set({
+        endedAt: sql`${streamSessions.startedAt} + make_interval(secs => ${streamSessions.uptimeSeconds})`,
+        endReason: 'interrupted',
+      })
+      .where(isNull(streamSessions.endedAt));
+    return result.rowCount || 0;
+  }
+
+  async getScheduleEntries(): Promise<ScheduleEntry[]> {
+    await this.ensureInitialized();
+    return await db.select().from(scheduleEntries).orderBy(scheduleEntries.startsAt);
+  }
+
+  async getScheduleEntry(id: number): Promise<ScheduleEntry | undefined> {
+    await this.ensureInitialized();
+    const [entry] = await db.select().from(scheduleEntries).where(eq(scheduleEntries.id, id));
+    return entry || undefined;
+  }
+
+  async createScheduleEntry(entry: InsertScheduleEntry): Promise<ScheduleEntry> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(scheduleEntries)
+      .values(entry)
+      .returning();
+    return created;
+  }
+
+  async updateScheduleEntry(id: number, entry: Partial<InsertScheduleEntry>): Promise<ScheduleEntry | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(scheduleEntries)
+      .set(entry)
+      .where(eq(scheduleEntries.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  async deleteScheduleEntry(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    const result = await db.delete(scheduleEntries).where(eq(scheduleEntries.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  async getStreamEventLog(limit: number): Promise<StreamEventLogEntry[]> {
+    await this.ensureInitialized();
+    return await db.select().from(streamEventLog).orderBy(desc(streamEventLog.id)).limit(limit);
+  }
+
+  async createStreamEventLogEntry(entry: InsertStreamEventLogEntry): Promise<StreamEventLogEntry> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(streamEventLog)
+      .values(entry)
+      .returning();
+    return created;
+  }
+
   async getStreamStatus(): Promise<StreamStatus | undefined> {
     await this.ensureInitialized();
     if (!db) throw new Error('Database not initialized');
@@ -222,11 +894,159 @@ export class DatabaseStorage implements IStorage {
     }
   }
 
+  // Playback settings live on the status row but change independently of it
+  async updatePlaybackSettings(settings: Partial<Pick<InsertStreamStatus, 'playbackMode' | 'noRepeatWindow' | 'playNextQueue'>>): Promise<StreamStatus | undefined> {
+    await this.ensureInitialized();
+    const existingStatus = await this.getStreamStatus();
+    if (!existingStatus) {
+      return undefined;
+    }
+    const [updated] = await db
+      .update(streamStatus)
+      .set(settings)
+      .where(eq(streamStatus.id, existingStatus.id))
+      .returning();
+    return updated;
+  }
+
+  async getUsers(): Promise<User[]> {
+    await this.ensureInitialized();
+    return await db.select().from(users).orderBy(users.username);
+  }
+
+  async getUser(id: number): Promise<User | undefined> {
+    await this.ensureInitialized();
+    const [user] = await db.select().from(users).where(eq(users.id, id));
+    return user || undefined;
+  }
+
+  // Usernames are matched case-insensitively
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    await this.ensureInitialized();
+    const [user] = await db.select().from(users).where(sql`lower(${users.username}) = lower(${username})`);
+    return user || undefined;
+  }
+
+  // Every user, or only the enabled ones with `role`
+  async countUsers(role?: string): Promise<number> {
+    await this.ensureInitialized();
+    const [{ count }] = await db
+      .select({ count: sql<number>`count(*)::integer` })
+      .from(users)
+      .where(role ? and(eq(users.role, role), eq(users.disabled, false)) : undefined);
+    return count;
+  }
+
+  async createUser(user: typeof users.$inferInsert): Promise<User> {
+    await this.ensureInitialized();
+    const [created] = await db.insert(users).values(user).returning();
+    return created;
+  }
+
+  async updateUser(id: number, user: Partial<typeof users.$inferInsert>): Promise<User | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(users)
+      .set(user)
+      .where(eq(users.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  async deleteUser(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    await db.delete(apiTokens).where(eq(apiTokens.userId, id));
+    const result = await db.delete(users).where(eq(users.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  // Ends a user's logins, e.g. after a password change; `exceptSid` keeps the one making the change
+  async deleteUserSessions(userId: number, exceptSid?: string): Promise<void> {
+    await this.ensureInitialized();
+    const conditions: SQL[] = [sql`(${userSessions.sess}->'passport'->>'user')::integer = ${userId}`];
+    if (exceptSid) {
+      conditions.push(sql`${userSessions.sid} <> ${exceptSid}`);
+    }
+    await db.delete(userSessions).where(and(...conditions));
+  }
+
+  // Every user's tokens, or only those of `userId`, newest first
+  async getApiTokens(userId?: number): Promise<ApiToken[]> {
+    await this.ensureInitialized();
+    return await db
+      .select()
+      .from(apiTokens)
+      .where(userId !== undefined ? eq(apiTokens.userId, userId) : undefined)
+      .orderBy(desc(apiTokens.createdAt));
+  }
+
+  async getApiToken(id: number): Promise<ApiToken | undefined> {
+    await this.ensureInitialized();
+    const [token] = await db.select().from(apiTokens).where(eq(apiTokens.id, id));
+    return token || undefined;
+  }
+
+  async getApiTokenByHash(tokenHash: string): Promise<ApiToken | undefined> {
+    await this.ensureInitialized();
+    const [token] = await db.select().from(apiTokens).where(eq(apiTokens.tokenHash, tokenHash));
+    return token || undefined;
+  }
+
+  async createApiToken(token: typeof apiTokens.$inferInsert): Promise<ApiToken> {
+    await this.ensureInitialized();
+    const [created] = await db.insert(apiTokens).values(token).returning();
+    return created;
+  }
+
+  async recordApiTokenUse(id: number, ip: string | null): Promise<void> {
+    await this.ensureInitialized();
+    await db.update(apiTokens).set({ lastUsedAt: new Date(), lastUsedIp: ip }).where(eq(apiTokens.id, id));
+  }
+
+  async deleteApiToken(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    const result = await db.delete(apiTokens).where(eq(apiTokens.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  // Newest first
+  async getAuditLog(filter: AuditLogFilter): Promise<AuditLogEntry[]> {
+    await this.ensureInitialized();
+    const conditions: SQL[] = [];
+    if (filter.from) {
+      conditions.push(gte(auditLog.createdAt, filter.from));
+    }
+    if (filter.to) {
+      conditions.push(lte(auditLog.createdAt, filter.to));
+    }
+    if (filter.actor) {
+      conditions.push(sql`lower(${auditLog.actorName}) = lower(${filter.actor})`);
+    }
+    if (filter.targetType) {
+      conditions.push(eq(auditLog.targetType, filter.targetType));
+    }
+    if (filter.action) {
+      conditions.push(sql`${auditLog.action} ilike ${'%' + filter.action + '%'}`);
+    }
+    const query = db
+      .select()
+      .from(auditLog)
+      .where(conditions.length > 0 ? and(...conditions) : undefined)
+      .orderBy(desc(auditLog.createdAt), desc(auditLog.id));
+    return filter.limit ? await query.limit(filter.limit) : await query;
+  }
+
+  async createAuditLogEntry(entry: InsertAuditLogEntry): Promise<AuditLogEntry> {
+    await this.ensureInitialized();
+    const [created] = await db.insert(auditLog).values(entry).returning();
+    return created;
+  }
+
   async getSystemConfig(): Promise<SystemConfig | undefined> {
     await this.ensureInitialized();
     if (!db) throw new Error('Database not initialized');
     const [config] = await db.select().from(systemConfigs).limit(1);
-    return config || undefined;
+    return config ? openSystemConfig(config) : undefined;
   }
 
   async createOrUpdateSystemConfig(config: InsertSystemConfig): Promise<SystemConfig> {
@@ -238,21 +1058,161 @@ export class DatabaseStorage implements IStorage {
         .update(systemConfigs)
         .set({
           ...config,
+          ...(config.dbPassword != null ? { dbPassword: encryptSecret(config.dbPassword) } : {}),
           updatedAt: new Date(),
         })
         .where(eq(systemConfigs.id, existingConfig.id))
         .returning();
-      return updatedConfig;
+      return openSystemConfig(updatedConfig);
     } else {
       const [systemConfig] = await db
         .insert(systemConfigs)
         .values({
           ...config,
+          ...(config.dbPassword != null ? { dbPassword: encryptSecret(config.dbPassword) } : {}),
           updatedAt: new Date(),
         })
         .returning();
-      return systemConfig;
+      return openSystemConfig(systemConfig);
+    }
+  }
+
+  // Encrypts secrets still stored in plaintext: rows from before encryption
+  // existed, or restored from an old backup. Returns how many were sealed.
+  async getWebhooks(): Promise<Webhook[]> {
+    await this.ensureInitialized();
+    const rows = await db.select().from(webhooks).orderBy(webhooks.id);
+    return rows.map(openWebhook);
+  }
+
+  async getWebhook(id: number): Promise<Webhook | undefined> {
+    await this.ensureInitialized();
+    const [webhook] = await db.select().from(webhooks).where(eq(webhooks.id, id));
+    return webhook ? openWebhook(webhook) : undefined;
+  }
+
+  async createWebhook(webhook: typeof webhooks.$inferInsert): Promise<Webhook> {
+    await this.ensureInitialized();
+    const [created] = await db
+      .insert(webhooks)
+      .values({ ...webhook, secret: encryptSecret(webhook.secret) })
+      .returning();
+    return openWebhook(created);
+  }
+
+  async updateWebhook(id: number, webhook: Partial<typeof webhooks.$inferInsert>): Promise<Webhook | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(webhooks)
+      .set({
+        ...webhook,
+        ...(webhook.secret !== undefined ? { secret: encryptSecret(webhook.secret) } : {}),
+      })
+      .where(eq(webhooks.id, id))
+      .returning();
+    return updated ? openWebhook(updated) : undefined;
+  }
+
+  // The delivery log goes with the webhook
+  async deleteWebhook(id: number): Promise<boolean> {
+    await this.ensureInitialized();
+    await db.delete(webhookDeliveries).where(eq(webhookDeliveries.webhookId, id));
+    const result = await db.delete(webhooks).where(eq(webhooks.id, id));
+    return (result.rowCount || 0) > 0;
+  }
+
+  async getWebhookDeliveries(webhookId: number, limit: number): Promise<WebhookDelivery[]> {
+    await this.ensureInitialized();
+    return await db
+      .select()
+      .from(webhookDeliveries)
+      .where(eq(webhookDeliveries.webhookId, webhookId))
+      .orderBy(desc(webhookDeliveries.createdAt), desc(webhookDeliveries.id))
+      .limit(limit);
+  }
+
+  async createWebhookDeliveries(deliveries: InsertWebhookDelivery[]): Promise<WebhookDelivery[]> {
+    await this.ensureInitialized();
+    if (deliveries.length === 0) {
+      return [];
     }
+    return await db.insert(webhookDeliveries).values(deliveries).returning();
+  }
+
+  async updateWebhookDelivery(id: number, delivery: Partial<InsertWebhookDelivery>): Promise<WebhookDelivery | undefined> {
+    await this.ensureInitialized();
+    const [updated] = await db
+      .update(webhookDeliveries)
+      .set(delivery)
+      .where(eq(webhookDeliveries.id, id))
+      .returning();
+    return updated || undefined;
+  }
+
+  // Marks due deliveries as sending and counts the attempt, so two pollers
+  // never send the same one
+  async claimDueWebhookDeliveries(limit: number): Promise<WebhookDelivery[]> {
+    await this.ensureInitialized();
+    const due = db
+      .select({ id: webhookDeliveries.id })
+      .from(webhookDeliveries)
+      .where(and(eq(webhookDeliveries.status, 'pending'), lte(webhookDeliveries.nextAttemptAt, new Date())))
+      .orderBy(webhookDeliveries.nextAttemptAt, webhookDeliveries.id)
+      .limit(limit)
+      .for('update', { skipLocked: true });
+    return await db
+      .update(webhookDeliveries)
+      .set({ status: 'sending', attempts: sql`${webhookDeliveries.attempts} + 1` })
+      .where(inArray(webhookDeliveries.id, due))
+      .returning();
+  }
+
+  // Deliveries cut off by a restart are sent again without using up an attempt
+  async requeueSendingWebhookDeliveries(): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .update(webhookDeliveries)
+      .set({ status: 'pending', attempts: sql`GREATEST(${webhookDeliveries.attempts} - 1, 0)` })
+      .where(eq(webhookDeliveries.status, 'sending'));
+    return result.rowCount || 0;
+  }
+
+  async deleteWebhookDeliveriesBefore(before: Date): Promise<number> {
+    await this.ensureInitialized();
+    const result = await db
+      .delete(webhookDeliveries)
+      .where(and(inArray(webhookDeliveries.status, ['succeeded', 'failed']), lte(webhookDeliveries.createdAt, before)));
+    return result.rowCount || 0;
+  }
+
+  async encryptStoredSecrets(): Promise<number> {
+    await this.ensureInitialized();
+    let sealed = 0;
+    for (const config of await db.select().from(streamConfigs)) {
+      if (config.streamKey && !isEncrypted(config.streamKey)) {
+        await db.update(streamConfigs).set({ streamKey: encryptSecret(config.streamKey) }).where(eq(streamConfigs.id, config.id));
+        sealed++;
+      }
+    }
+    for (const destination of await db.select().from(streamDestinations)) {
+      if (destination.streamKey && !isEncrypted(destination.streamKey)) {
+        await db.update(streamDestinations).set({ streamKey: encryptSecret(destination.streamKey) }).where(eq(streamDestinations.id, destination.id));
+        sealed++;
+      }
+    }
+    for (const config of await db.select().from(systemConfigs)) {
+      if (config.dbPassword && !isEncrypted(config.dbPassword)) {
+        await db.update(systemConfigs).set({ dbPassword: encryptSecret(config.dbPassword) }).where(eq(systemConfigs.id, config.id));
+        sealed++;
+      }
+    }
+    for (const webhook of await db.select().from(webhooks)) {
+      if (webhook.secret && !isEncrypted(webhook.secret)) {
+        await db.update(webhooks).set({ secret: encryptSecret(webhook.secret) }).where(eq(webhooks.id, webhook.id));
+        sealed++;
+      }
+    }
+    return sealed;
   }
 
   async initializeDefaultData(): Promise<void> {
@@ -270,6 +1230,8 @@ export class DatabaseStorage implements IStorage {
         });
       }
       
+      await this.ensureDefaultPlaylist();
+      
       // Initialize default system config if it doesn't exist
       const existingConfig = await this.getSystemConfig();
       if (!existingConfig) {
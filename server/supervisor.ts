@@ -0,0 +1,96 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { log } from './vite';
+import type { InsertStreamEventLogEntry } from '@shared/schema';
+
+export type FailureCategory = 'auth' | 'network' | 'encoder' | 'unknown';
+
+export interface RestartPolicy {
+  enabled: boolean;
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+export type RestartDecision =
+  | { retry: true; delayMs: number }
+  | { retry: false; reason: string };
+
+const DEFAULT_POLICY: RestartPolicy = {
+  enabled: true,
+  maxRetries: 5,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+};
+
+// Checked in order: a rejected key often also shows up as a closed connection
+const FAILURE_PATTERNS: [FailureCategory, RegExp][] = [
+  ['auth', /\b40[13]\b|unauthori[sz]ed|forbidden|authenticat|access denied|invalid (stream )?key|badname|publish\.rejected/i],
+  ['network', /connection (refused|reset|timed out)|timed out|broken pipe|network is unreachable|no route to host|could not resolve|name or service not known|temporary failure in name resolution|end of file|input\/output error|i\/o error|rtmp_connect|handshake/i],
+  ['encoder', /no such file|invalid data found|moov atom not found|could not find codec|error while decoding|conversion failed|unknown encoder/i],
+];
+
+// Sorts FFmpeg's last words into the failure categories the supervisor acts on
+export function classifyFailure(output: string): FailureCategory {
+  for (const [category, pattern] of FAILURE_PATTERNS) {
+    if (pattern.test(output)) {
+      return category;
+    }
+  }
+  return 'unknown';
+}
+
+// Decides whether a crashed encoder or relay is restarted, and when.
+// The policy comes from the system config so operators can tune it.
+export class StreamSupervisor {
+  private policy: RestartPolicy = { ...DEFAULT_POLICY };
+
+  async refreshPolicy(): Promise<RestartPolicy> {
+    try {
+      const config = await storage.getSystemConfig();
+      if (config) {
+        this.policy = {
+          enabled: config.autoRestart ?? DEFAULT_POLICY.enabled,
+          maxRetries: config.restartMaxRetries ?? DEFAULT_POLICY.maxRetries,
+          baseDelayMs: (config.restartBackoffSeconds ?? DEFAULT_POLICY.baseDelayMs / 1000) * 1000,
+          maxDelayMs: (config.restartBackoffMaxSeconds ?? DEFAULT_POLICY.maxDelayMs / 1000) * 1000,
+        };
+      }
+    } catch (error) {
+      log(`Failed to load restart policy, keeping the current one: ${error}`);
+    }
+    return this.policy;
+  }
+
+  getPolicy(): RestartPolicy {
+    return { ...this.policy };
+  }
+
+  // `attempt` is the 1-based number of the restart being considered
+  decide(category: FailureCategory, attempt: number): RestartDecision {
+    if (category === 'auth') {
+      return { retry: false, reason: 'Authentication was rejected; check the stream key' };
+    }
+    if (!this.policy.enabled) {
+      return { retry: false, reason: 'Auto-restart is disabled' };
+    }
+    if (attempt > this.policy.maxRetries) {
+      return { retry: false, reason: `Gave up after ${this.policy.maxRetries} restart attempts` };
+    }
+    const delayMs = Math.min(this.policy.baseDelayMs * 2 ** (attempt - 1), this.policy.maxDelayMs);
+    return { retry: true, delayMs };
+  }
+
+  // Persists an entry in the stream_events history and pushes it to the dashboard
+  async record(entry: InsertStreamEventLogEntry): Promise<void> {
+    log(`[supervisor] ${entry.source}${entry.sourceName ? ` ${entry.sourceName}` : ''}: ${entry.event}${entry.message ? ` - ${entry.message}` : ''}`);
+    try {
+      const saved = await storage.createStreamEventLogEntry(entry);
+      streamEvents.publish('stream.event', saved);
+    } catch (error) {
+      log(`Failed to record stream event: ${error}`);
+    }
+  }
+}
+
+export const streamSupervisor = new StreamSupervisor();
@@ -0,0 +1,238 @@
+import { storage } from './storage';
+import { log } from './vite';
+import type { InsertUploadSession, UploadSession } from '@shared/schema';
+import { hashFile, storeFile } from './media-store';
+import { createHash, randomBytes, type Hash } from 'crypto';
+import path from 'path';
+import fs from 'fs';
+
+export const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/avi', 'video/mov', 'video/quicktime'];
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // keep in step with client_max_body_size in nginx.conf
+export const MAX_UPLOAD_SIZE = 20 * 1024 * 1024 * 1024;
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const uploadDir = path.join(process.cwd(), 'uploads');
+const partialDir = path.join(uploadDir, '.partial');
+
+// A chunk or session request that cannot be satisfied; `status` is the HTTP
+// status to answer with and `offset` tells the client where to resume from
+export class UploadError extends Error {
+  constructor(message: string, public status: number = 400, public offset?: number) {
+    super(message);
+    this.name = 'UploadError';
+  }
+}
+
+function partialPath(id: string): string {
+  return path.join(partialDir, `${id}.part`);
+}
+
+function sha256(data: Buffer): string {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+// SHA-256 of the bytes appended so far, so completing a large upload does not
+// read the whole file again
+interface RunningHash {
+  hash: Hash;
+  offset: number;
+}
+
+// Resumable uploads for recordings too large for one request. The client
+// sends chunks in order with the offset it believes the server has; the
+// partial file on disk is the source of truth for how much arrived.
+export class UploadManager {
+  private writing: Set<string> = new Set();
+  private hashes: Map<string, RunningHash> = new Map();
+  private cleanupInterval: NodeJS.Timeout | null = null;
+
+  start(): void {
+    if (this.cleanupInterval) {
+      return;
+    }
+    this.cleanupInterval = setInterval(() => this.cleanupStale(), CLEANUP_INTERVAL_MS);
+    this.cleanupStale();
+  }
+
+  async create(data: InsertUploadSession): Promise<UploadSession> {
+    if (!ALLOWED_VIDEO_TYPES.includes(data.mimeType)) {
+      throw new UploadError('Invalid file type. Only MP4, AVI, and MOV files are allowed.');
+    }
+    if (data.totalSize > MAX_UPLOAD_SIZE) {
+      throw new UploadError(`File is larger than the ${Math.round(MAX_UPLOAD_SIZE / 1024 ** 3)} GB limit`, 413);
+    }
+
+    await fs.promises.mkdir(partialDir, { recursive: true });
+    const id = randomBytes(16).toString('hex');
+    await fs.promises.writeFile(partialPath(id), '');
+    return storage.createUploadSession({ ...data, id, checksum: data.checksum?.toLowerCase() ?? null });
+  }
+
+  // The session with its offset reconciled against the partial file, so a
+  // crash between writing a chunk and recording it cannot leave them out of step
+  async get(id: string): Promise<UploadSession> {
+    const session = await storage.getUploadSession(id);
+    if (!session) {
+      throw new UploadError('Upload not found', 404);
+    }
+    if (session.status !== 'uploading') {
+      return session;
+    }
+
+    let onDisk = 0;
+    try {
+      onDisk = (await fs.promises.stat(partialPath(id))).size;
+    } catch {
+      await fs.promises.mkdir(partialDir, { recursive: true });
+      await fs.promises.writeFile(partialPath(id), '');
+    }
+
+    const offset = Math.min(onDisk, session.receivedBytes);
+    if (onDisk > offset) {
+      // Bytes written after the last recorded chunk are discarded and resent
+      await fs.promises.truncate(partialPath(id), offset);
+    }
+    if (offset !== session.receivedBytes) {
+      return (await storage.updateUploadSession(id, { receivedBytes: offset }))!;
+    }
+    return session;
+  }
+
+  async appendChunk(id: string, offset: number, chunk: Buffer, chunkChecksum?: string): Promise<UploadSession> {
+    if (this.writing.has(id)) {
+      throw new UploadError('Another chunk for this upload is still being written', 409);
+    }
+    this.writing.add(id);
+
+    try {
+      const session = await this.get(id);
+      if (session.status !== 'uploading') {
+        throw new UploadError('Upload is already complete', 409, session.receivedBytes);
+      }
+      if (offset !== session.receivedBytes) {
+        throw new UploadError(`Expected offset ${session.receivedBytes}`, 409, session.receivedBytes);
+      }
+      if (chunk.length === 0) {
+        throw new UploadError('Chunk is empty');
+      }
+      if (offset + chunk.length > session.totalSize) {
+        throw new UploadError('Chunk runs past the declared file size', 400, session.receivedBytes);
+      }
+      if (chunkChecksum && sha256(chunk) !== chunkChecksum.toLowerCase()) {
+        throw new UploadError('Chunk checksum mismatch', 422, session.receivedBytes);
+      }
+
+      await fs.promises.appendFile(partialPath(id), chunk);
+      this.updateHash(id, offset, chunk);
+      return (await storage.updateUploadSession(id, { receivedBytes: offset + chunk.length }))!;
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  // Checks the assembled file against the client's checksum and records its
+  // content hash. The file stays in place until commit(), so the caller can
+  // look for duplicates first; calling it again is cheap.
+  async verify(id: string): Promise<UploadSession> {
+    if (this.writing.has(id)) {
+      throw new UploadError('A chunk for this upload is still being written', 409);
+    }
+
+    const session = await this.get(id);
+    if (session.status === 'complete' || session.contentHash) {
+      return session;
+    }
+    if (session.receivedBytes !== session.totalSize) {
+      throw new UploadError(`Upload is incomplete: ${session.receivedBytes} of ${session.totalSize} bytes received`, 409, session.receivedBytes);
+    }
+
+    this.writing.add(id);
+    try {
+      // After a restart the running hash is gone and the file is read once more
+      const running = this.hashes.get(id);
+      const contentHash = running?.offset === session.totalSize
+        ? running.hash.digest('hex')
+        : await hashFile(partialPath(id));
+      this.hashes.delete(id);
+
+      if (session.checksum && contentHash !== session.checksum) {
+        // Nothing to resume from once the whole file is known to be bad
+        await this.discard(id);
+        throw new UploadError('File checksum mismatch, the upload has to start over', 422, 0);
+      }
+      return (await storage.updateUploadSession(id, { contentHash }))!;
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  // Moves a verified upload into the media store and returns its filename
+  async commit(id: string): Promise<{ session: UploadSession; filename: string }> {
+    const session = await this.verify(id);
+    if (session.status === 'complete') {
+      throw new UploadError('Upload is already complete', 409);
+    }
+
+    this.writing.add(id);
+    try {
+      const filename = await storeFile(partialPath(id), session.contentHash!, session.filename);
+      const updated = (await storage.updateUploadSession(id, { status: 'complete' }))!;
+      return { session: updated, filename };
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  async abort(id: string): Promise<boolean> {
+    if (this.writing.has(id)) {
+      throw new UploadError('A chunk for this upload is still being written', 409);
+    }
+    const session = await storage.getUploadSession(id);
+    if (!session) {
+      return false;
+    }
+    await this.discard(id);
+    return true;
+  }
+
+  // Drops sessions idle for a day along with their partial files
+  async cleanupStale(): Promise<void> {
+    try {
+      const stale = await storage.getStaleUploadSessions(new Date(Date.now() - STALE_UPLOAD_MS));
+      for (const session of stale) {
+        if (!this.writing.has(session.id)) {
+          await this.discard(session.id);
+        }
+      }
+      if (stale.length > 0) {
+        log(`Removed ${stale.length} stale upload session(s)`);
+      }
+    } catch (error) {
+      log(`Failed to clean up stale uploads: ${error}`);
+    }
+  }
+
+  private updateHash(id: string, offset: number, chunk: Buffer): void {
+    let running = this.hashes.get(id);
+    if (!running && offset === 0) {
+      running = { hash: createHash('sha256'), offset: 0 };
+      this.hashes.set(id, running);
+    }
+    if (!running || running.offset !== offset) {
+      // Resumed after a restart; verify() falls back to hashing the file
+      this.hashes.delete(id);
+      return;
+    }
+    running.hash.update(chunk);
+    running.offset += chunk.length;
+  }
+
+  async discard(id: string): Promise<void> {
+    this.hashes.delete(id);
+    await fs.promises.rm(partialPath(id), { force: true });
+    await storage.deleteUploadSession(id);
+  }
+}
+
+export const uploadManager = new UploadManager();
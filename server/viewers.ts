@@ -0,0 +1,146 @@
+import { storage } from './storage';
+import { streamEvents } from './events';
+import { log } from './vite';
+import type { ViewerCounts } from '@shared/events';
+
+// HLS has no disconnect callback; a viewer is gone once segment requests stop
+const HLS_IDLE_TIMEOUT_MS = 30000;
+const SWEEP_INTERVAL_MS = 10000;
+
+interface ActiveViewer {
+  sessionId: number | null; // null until the database row exists
+  protocol: 'rtmp' | 'hls';
+  startedAt: Date;
+  lastSeen: Date;
+  ended: boolean;
+}
+
+// Tracks who is actually watching: RTMP players via the nginx-rtmp
+// on_play/on_play_done callbacks, HLS players via their segment requests.
+export class ViewerTracker {
+  private viewers: Map<string, ActiveViewer> = new Map();
+  private peak: number = 0;
+  private sweepInterval: NodeJS.Timeout | null = null;
+
+  async start(): Promise<void> {
+    try {
+      const closed = await storage.closeOpenViewerSessions();
+      if (closed > 0) {
+        log(`Closed ${closed} viewer sessions left open by a previous run`);
+      }
+    } catch (error) {
+      log(`Failed to close stale viewer sessions: ${error}`);
+    }
+
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => this.sweepIdleHls(), SWEEP_INTERVAL_MS);
+    }
+  }
+
+  getCounts(): ViewerCounts {
+    return { current: this.viewers.size, peak: this.peak };
+  }
+
+  // A new broadcast starts counting its peak from the current audience
+  resetPeak(): void {
+    this.peak = this.viewers.size;
+    this.publish();
+  }
+
+  async rtmpPlay(clientId: string, clientIp: string, streamName: string | null): Promise<void> {
+    await this.open(`rtmp:${clientId}`, 'rtmp', clientId, clientIp, streamName, null);
+  }
+
+  async rtmpPlayDone(clientId: string): Promise<void> {
+    await this.close(`rtmp:${clientId}`, new Date());
+  }
+
+  async hlsSegment(clientIp: string, streamName: string | null, userAgent: string | null): Promise<void> {
+    const clientId = `${clientIp}|${userAgent || ''}`;
+    const viewer = this.viewers.get(`hls:${clientId}`);
+    if (viewer) {
+      viewer.lastSeen = new Date();
+      return;
+    }
+    await this.open(`hls:${clientId}`, 'hls', clientId, clientIp, streamName, userAgent);
+  }
+
+  private async open(
+    key: string,
+    protocol: 'rtmp' | 'hls',
+    clientId: string,
+    clientIp: string,
+    streamName: string | null,
+    userAgent: string | null,
+  ): Promise<void> {
+    if (this.viewers.has(key)) {
+      return;
+    }
+
+    const now = new Date();
+    const viewer: ActiveViewer = { sessionId: null, protocol, startedAt: now, lastSeen: now, ended: false };
+    this.viewers.set(key, viewer);
+    this.peak = Math.max(this.peak, this.viewers.size);
+    this.publish();
+
+    try {
+      const session = await storage.createViewerSession({
+        protocol,
+        clientId,
+        clientIp,
+        streamName,
+        userAgent,
+        startedAt: now,
+      });
+      viewer.sessionId = session.id;
+
+      // The viewer may have left while the row was being written
+      if (viewer.ended) {
+        await this.persistEnd(viewer);
+      }
+    } catch (error) {
+      log(`Failed to record ${protocol} viewer session: ${error}`);
+    }
+  }
+
+  private async close(key: string, endedAt: Date): Promise<void> {
+    const viewer = this.viewers.get(key);
+    if (!viewer) {
+      return;
+    }
+
+    this.viewers.delete(key);
+    viewer.ended = true;
+    viewer.lastSeen = endedAt;
+    this.publish();
+
+    if (viewer.sessionId !== null) {
+      await this.persistEnd(viewer);
+    }
+  }
+
+  private async persistEnd(viewer: ActiveViewer): Promise<void> {
+    const durationSeconds = Math.max(0, Math.round((viewer.lastSeen.getTime() - viewer.startedAt.getTime()) / 1000));
+    try {
+      await storage.endViewerSession(viewer.sessionId!, viewer.lastSeen, durationSeconds);
+    } catch (error) {
+      log(`Failed to close viewer session ${viewer.sessionId}: ${error}`);
+    }
+  }
+
+  private sweepIdleHls(): void {
+    const cutoff = Date.now() - HLS_IDLE_TIMEOUT_MS;
+    Array.from(this.viewers.entries()).forEach(([key, viewer]) => {
+      if (viewer.protocol === 'hls' && viewer.lastSeen.getTime() < cutoff) {
+        // The session ended with the last segment it fetched
+        this.close(key, viewer.lastSeen);
+      }
+    });
+  }
+
+  private publish(): void {
+    streamEvents.publish('viewers', this.getCounts());
+  }
+}
+
+export const viewerTracker = new ViewerTracker();
@@ -0,0 +1,162 @@
+import { storage } from './storage';
+import { ingestFile, isVideoFile, resolveImportPath } from './ingest';
+import { ensureStorageAvailable } from './disk';
+import { log } from './vite';
+import path from 'path';
+import fs from 'fs';
+
+const POLL_INTERVAL_MS = 5000;
+// A file whose size and mtime hold still this long is taken to be fully copied
+const SETTLE_MS = 15000;
+const RETRY_MS = 5 * 60 * 1000;
+const MAX_RECENT = 20;
+
+interface Candidate {
+  size: number;
+  mtimeMs: number;
+  stableSince: number;
+  failedAt: number | null;
+}
+
+export interface WatchFolderEvent {
+  file: string;
+  status: 'imported' | 'reused' | 'failed';
+  message: string;
+  at: string;
+}
+
+// Picks up recordings copied onto the server (scp, rsync) from the folder set
+// in the system config, which must be inside MEDIA_IMPORT_ROOTS. Files are ingested like uploads: hashed, checked for
+// duplicates and moved into the media store, so the folder empties as it goes.
+// Dotfiles are skipped, which covers rsync's temporary names.
+export class WatchFolder {
+  private folder: string | null = null;
+  private candidates: Map<string, Candidate> = new Map();
+  private recent: WatchFolderEvent[] = [];
+  private interval: NodeJS.Timeout | null = null;
+  private scanning = false;
+  private folderError: string | null = null;
+
+  async start(): Promise<void> {
+    if (this.interval) {
+      return;
+    }
+    await this.refresh();
+    this.interval = setInterval(() => this.scan(), POLL_INTERVAL_MS);
+  }
+
+  // Re-reads the configured folder; called when the system config changes
+  async refresh(): Promise<void> {
+    const config = await storage.getSystemConfig();
+    const folder = config?.watchFolder?.trim() || null;
+    if (folder === this.folder) {
+      return;
+    }
+    this.folder = folder;
+    this.candidates.clear();
+    this.folderError = null;
+    if (folder) {
+      log(`Watching ${folder} for new media`);
+    }
+  }
+
+  getStatus() {
+    return {
+      folder: this.folder,
+      error: this.folderError,
+      pending: Array.from(this.candidates.keys()).map(file => path.basename(file)),
+      recent: [...this.recent],
+    };
+  }
+
+  private async scan(): Promise<void> {
+    if (!this.folder || this.scanning) {
+      return;
+    }
+    this.scanning = true;
+
+    try {
+      let folder: string;
+      let entries: fs.Dirent[];
+      try {
+        // Checked on every scan, since MEDIA_IMPORT_ROOTS or the folder itself may have changed
+        folder = await resolveImportPath(this.folder);
+        entries = await fs.promises.readdir(folder, { withFileTypes: true });
+        this.folderError = null;
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        if (this.folderError !== message) {
+          log(`Cannot read watch folder ${this.folder}: ${message}`);
+        }
+        this.folderError = message;
+        return;
+      }
+
+      const now = Date.now();
+      const seen = new Set<string>();
+      for (const entry of entries) {
+        if (!entry.isFile() || !isVideoFile(entry.name)) {
+          continue;
+        }
+        const filePath = path.join(folder, entry.name);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (!stat) {
+          continue;
+        }
+        seen.add(filePath);
+
+        const candidate = this.candidates.get(filePath);
+        if (!candidate || candidate.size !== stat.size || candidate.mtimeMs !== stat.mtimeMs) {
+          // New or still growing
+          this.candidates.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, stableSince: now, failedAt: null });
+          continue;
+        }
+        if (now - candidate.stableSince < SETTLE_MS || (candidate.failedAt !== null && now - candidate.failedAt < RETRY_MS)) {
+          continue;
+        }
+        await this.ingest(filePath, candidate);
+      }
+
+      for (const filePath of Array.from(this.candidates.keys())) {
+        if (!seen.has(filePath)) {
+          this.candidates.delete(filePath);
+        }
+      }
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  private async ingest(filePath: string, candidate: Candidate): Promise<void> {
+    const name = path.basename(filePath);
+    try {
+      await ensureStorageAvailable(candidate.size);
+      // Nobody is there to answer a duplicate prompt, so the video already in the library is reused
+      const result = await ingestFile(filePath, {
+        originalName: name,
+        title: path.basename(name, path.extname(name)),
+        duplicate: 'existing',
+      });
+      this.candidates.delete(filePath);
+
+      if (result.status === 'created') {
+        this.record(name, 'imported', `Added as "${result.video.title}"`);
+      } else if (result.status === 'reused') {
+        this.record(name, 'reused', `Same content as "${result.video.title}", which was reused`);
+      } else {
+        this.record(name, 'failed', 'Invalid video data');
+      }
+    } catch (error) {
+      candidate.failedAt = Date.now();
+      this.record(name, 'failed', error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  private record(file: string, status: WatchFolderEvent['status'], message: string): void {
+    log(`Watch folder: ${file} ${status}: ${message}`);
+    this.recent.unshift({ file, status, message, at: new Date().toISOString() });
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT);
+  }
+}
+
+export const watchFolder = new WatchFolder();
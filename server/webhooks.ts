@@ -0,0 +1,229 @@
+import { createHmac, randomBytes } from 'crypto';
+import { storage } from './storage';
+import { log } from './vite';
+import type { Webhook, WebhookDelivery, WebhookEvent } from '@shared/schema';
+import type { WebhookEventMap } from '@shared/events';
+
+const POLL_INTERVAL_MS = 5000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 30000; // 30s, 1m, 2m, 4m and 8m between attempts
+const DELIVERIES_PER_POLL = 10;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// Sent by the Test button; never subscribed to
+export const TEST_EVENT = 'webhook.test';
+
+// What a JSON webhook receives as its body
+interface WebhookEnvelope {
+  event: WebhookEvent | typeof TEST_EVENT;
+  timestamp: string;
+  data: Record<string, unknown>;
+}
+
+export function generateWebhookSecret(): string {
+  return 'whsec_' + randomBytes(24).toString('base64url');
+}
+
+// Receivers recompute this over the X-Webhook-Timestamp header, a dot and the
+// raw body, and should reject old timestamps so a captured request cannot be
+// replayed later
+export function signWebhookBody(secret: string, timestamp: string, body: string): string {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function formatUptime(totalSeconds: number): string {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// One line for chat channels
+function describeEvent({ event, data }: WebhookEnvelope): string {
+  switch (event) {
+    case 'stream.started': {
+      const { title, destinations } = data as WebhookEventMap['stream.started'];
+      return `Stream started with "${title}" on ${destinations.join(', ')}`;
+    }
+    case 'stream.stopped': {
+      const { reason, uptimeSeconds } = data as WebhookEventMap['stream.stopped'];
+      return `Stream ended (${reason}) after ${formatUptime(uptimeSeconds)}`;
+    }
+    case 'stream.error': {
+      const { source, sourceName, message, attempt, willRetry } = data as WebhookEventMap['stream.error'];
+      return `The ${source} ${sourceName} failed: ${message}. ${willRetry ? `Restarting (attempt ${attempt})` : 'Not restarting'}`;
+    }
+    case 'video.changed':
+      return `Now playing "${(data as WebhookEventMap['video.changed']).title}"`;
+    case 'upload.completed':
+      return `"${(data as WebhookEventMap['upload.completed']).title}" was added to the library`;
+    case 'backup.created':
+      return `Database backup ${(data as WebhookEventMap['backup.created']).filename} was created`;
+    default:
+      return `Test delivery for webhook "${data.name}"`;
+  }
+}
+
+function buildBody(webhook: Webhook, envelope: WebhookEnvelope): string {
+  if (webhook.format === 'discord') {
+    return JSON.stringify({ content: describeEvent(envelope), allowed_mentions: { parse: [] } });
+  }
+  return JSON.stringify(envelope);
+}
+
+// Sends stream lifecycle events to the registered webhooks. Each event becomes
+// one webhook_deliveries row per subscribed webhook, which a poller sends and
+// retries with backoff, so deliveries survive a restart and never hold up the
+// stream or the request that caused them.
+export class WebhookDispatcher {
+  private pollInterval: NodeJS.Timeout | null = null;
+  private polling: boolean = false;
+  private prunedAt: number = 0;
+
+  async start(): Promise<void> {
+    if (this.pollInterval) {
+      return;
+    }
+    try {
+      const requeued = await storage.requeueSendingWebhookDeliveries();
+      if (requeued > 0) {
+        log(`Requeued ${requeued} webhook deliveries interrupted by a restart`, 'webhooks');
+      }
+    } catch (error) {
+      log(`Failed to requeue interrupted webhook deliveries: ${error}`, 'webhooks');
+    }
+    this.pollInterval = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.poll();
+  }
+
+  // Queues the event for every enabled webhook subscribed to it. Never throws:
+  // callers are stream and request code that must not fail over a webhook.
+  async emit<K extends WebhookEvent>(event: K, data: WebhookEventMap[K]): Promise<void> {
+    try {
+      const subscribed = (await storage.getWebhooks()).filter(webhook => webhook.enabled && webhook.events.includes(event));
+      if (subscribed.length === 0) {
+        return;
+      }
+      const envelope: WebhookEnvelope = { event, timestamp: new Date().toISOString(), data: { ...data } };
+      await storage.createWebhookDeliveries(subscribed.map(webhook => ({
+        webhookId: webhook.id,
+        event,
+        payload: { ...envelope },
+      })));
+      this.poll();
+    } catch (error) {
+      log(`Failed to queue webhook event ${event}: ${error}`, 'webhooks');
+    }
+  }
+
+  // Queues a test event for one webhook, whatever it subscribes to
+  async sendTest(webhook: Webhook): Promise<WebhookDelivery> {
+    const envelope: WebhookEnvelope = {
+      event: TEST_EVENT,
+      timestamp: new Date().toISOString(),
+      data: { webhookId: webhook.id, name: webhook.name },
+    };
+    const [delivery] = await storage.createWebhookDeliveries([{ webhookId: webhook.id, event: TEST_EVENT, payload: { ...envelope } }]);
+    this.poll();
+    return delivery;
+  }
+
+  private async poll(): Promise<void> {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      await this.prune();
+      for (;;) {
+        const due = await storage.claimDueWebhookDeliveries(DELIVERIES_PER_POLL);
+        if (due.length === 0) {
+          break;
+        }
+        await Promise.all(due.map(delivery => this.deliver(delivery)));
+      }
+    } catch (error) {
+      log(`Failed to claim webhook deliveries: ${error}`, 'webhooks');
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async deliver(delivery: WebhookDelivery): Promise<void> {
+    const webhook = await storage.getWebhook(delivery.webhookId).catch(() => undefined);
+    if (!webhook || !webhook.enabled) {
+      await this.settle(delivery, { status: 'failed', error: webhook ? 'Webhook is disabled' : 'Webhook was deleted', finishedAt: new Date() });
+      return;
+    }
+
+    const envelope = delivery.payload as unknown as WebhookEnvelope;
+    const body = buildBody(webhook, envelope);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let responseStatus: number | null = null;
+    let error: string;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SaPlays-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signWebhookBody(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (response.ok) {
+        await this.settle(delivery, { status: 'succeeded', responseStatus, error: null, finishedAt: new Date() });
+        return;
+      }
+      const text = await response.text().catch(() => '');
+      error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`;
+    } catch (requestError) {
+      error = requestError instanceof Error && requestError.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+        : String(requestError instanceof Error ? requestError.message : requestError);
+    }
+
+    // Other 4xx answers mean the request itself is wrong; sending it again will not help
+    const retryable = responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+    if (retryable && delivery.attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+      await this.settle(delivery, { status: 'pending', responseStatus, error, nextAttemptAt: new Date(Date.now() + delay) });
+      return;
+    }
+    log(`Webhook ${webhook.name} gave up on ${delivery.event} delivery ${delivery.id}: ${error}`, 'webhooks');
+    await this.settle(delivery, { status: 'failed', responseStatus, error, finishedAt: new Date() });
+  }
+
+  // The poller has no request to report a failure to
+  private async settle(delivery: WebhookDelivery, changes: Parameters<typeof storage.updateWebhookDelivery>[1]): Promise<void> {
+    try {
+      await storage.updateWebhookDelivery(delivery.id, changes);
+    } catch (error) {
+      log(`Failed to record the outcome of webhook delivery ${delivery.id}: ${error}`, 'webhooks');
+    }
+  }
+
+  // Finished deliveries are kept for a month
+  private async prune(): Promise<void> {
+    if (Date.now() - this.prunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.prunedAt = Date.now();
+    const removed = await storage.deleteWebhookDeliveriesBefore(new Date(Date.now() - DELIVERY_RETENTION_MS));
+    if (removed > 0) {
+      log(`Removed ${removed} webhook deliveries older than 30 days`, 'webhooks');
+    }
+  }
+}
+
+export const webhookDispatcher = new WebhookDispatcher();
@@ -0,0 +1,99 @@
+import type { StreamStatus, StreamEventLogEntry, MediaJobSummary } from "./schema";
+
+export type DestinationState = 'connecting' | 'live' | 'reconnecting' | 'failed' | 'stopped';
+
+export interface DestinationHealth {
+  id: string;
+  name: string;
+  state: DestinationState;
+  reconnectAttempts: number;
+  lastError: string | null;
+  connectedAt: Date | string | null;
+}
+
+export interface EncoderHealth {
+  state: 'running' | 'idle' | 'error';
+  videoId: number | null;
+  pid: number | null;
+  exitCode: number | null;
+  message: string | null;
+}
+
+// Counters are per feeder process, so they restart with each playlist item
+export interface EncoderMetricsSample {
+  timestamp: string;
+  videoId: number | null;
+  fps: number;
+  bitrateKbps: number;
+  speed: number; // 1.0 is realtime
+  droppedFrames: number;
+  duplicatedFrames: number;
+  position: number; // seconds into the current file
+}
+
+export interface ViewerCounts {
+  current: number;
+  peak: number; // highest concurrent count since the broadcast started
+}
+
+export type PlaybackMode = 'sequential' | 'shuffle' | 'random' | 'weighted';
+
+export interface PlaybackSettings {
+  mode: PlaybackMode;
+  noRepeatWindow: number; // recent videos random and weighted picks avoid
+  queue: number[]; // video ids played next, ahead of the mode
+}
+
+export interface ScheduledOccurrence {
+  entryId: number;
+  title: string;
+  videoId: number | null;
+  start: Date | string;
+  end: Date | string;
+}
+
+// What the scheduler is running now and what it will run next
+export interface ScheduleState {
+  current: ScheduledOccurrence | null;
+  next: ScheduledOccurrence | null;
+}
+
+// Events pushed to dashboard clients over the /ws channel
+export interface StreamEventMap {
+  'status': StreamStatus;
+  'video.changed': { videoId: number; title: string };
+  'encoder.health': EncoderHealth;
+  'encoder.metrics': EncoderMetricsSample;
+  'destinations': DestinationHealth[];
+  'viewers': ViewerCounts;
+  'stream.event': StreamEventLogEntry;
+  'playlist.changed': { reason: 'uploaded' | 'updated' | 'deleted' | 'reordered' | 'created' | 'renamed' | 'activated' };
+  'schedule.changed': ScheduleState;
+  'playback': PlaybackSettings;
+  'job.updated': MediaJobSummary;
+}
+
+export type StreamEventType = keyof StreamEventMap;
+
+export interface StreamEventMessage<K extends StreamEventType = StreamEventType> {
+  type: K;
+  data: StreamEventMap[K];
+  timestamp: string;
+}
+
+// Data sent with each outbound webhook event
+export interface WebhookEventMap {
+  'stream.started': { sessionId: number | null; videoId: number; title: string; destinations: string[] };
+  'stream.stopped': { sessionId: number; reason: string; uptimeSeconds: number };
+  'stream.error': {
+    source: 'encoder' | 'destination';
+    sourceName: string;
+    category: string;
+    attempt: number;
+    message: string;
+    willRetry: boolean;
+  };
+  'video.changed': { videoId: number; title: string };
+  'upload.completed': { videoId: number; title: string; fileSize: number };
+  'backup.created': { filename: string; size: number };
+}
@@ -1,22 +1,95 @@
-import { pgTable, text, serial, integer, boolean, timestamp } from "drizzle-orm/pg-core";
+import { pgTable, text, serial, integer, bigint, real, boolean, timestamp, jsonb, json, varchar, index } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 
+// Found by the probe job; an error makes the video unplayable
+export interface MediaIssue {
+  code: 'no_video' | 'no_duration' | 'no_dimensions' | 'vfr' | 'no_audio';
+  severity: 'error' | 'warning';
+  message: string;
+}
+
 export const videos = pgTable("videos", {
   id: serial("id").primaryKey(),
   title: text("title").notNull(),
   filename: text("filename").notNull(),
-  fileSize: integer("file_size").notNull(),
-  duration: text("duration").notNull(),
-  thumbnailUrl: text("thumbnail_url"),
+  fileSize: bigint("file_size", { mode: "number" }).notNull(), // recordings run past 2 GB
+  duration: text("duration").notNull(), // display form, [h:]mm:ss
+  durationSeconds: real("duration_seconds"),
+  videoCodec: text("video_codec"),
+  audioCodec: text("audio_codec"),
+  width: integer("width"),
+  height: integer("height"),
+  fps: real("fps"),
+  audioChannels: integer("audio_channels"),
+  bitrateKbps: integer("bitrate_kbps"),
+  rotation: integer("rotation").notNull().default(0), // degrees clockwise
+  contentHash: text("content_hash"), // SHA-256 of the file
+  validationStatus: text("validation_status").notNull().default("pending"), // 'pending', 'ok', 'warning', 'invalid'
+  validationIssues: jsonb("validation_issues").$type<MediaIssue[]>().notNull().default([]),
+  thumbnailUrl: text("thumbnail_url"), // poster frame under /thumbnails
+  previewUrl: text("preview_url"), // WebVTT index into the scrubbing sprite sheet
   playlistOrder: integer("playlist_order").notNull(),
+  weight: integer("weight").notNull().default(1), // relative odds in weighted playback; 0 never plays
+  loudnessLufs: real("loudness_lufs"), // integrated loudness from the loudness job
+  truePeakDb: real("true_peak_db"),
+  normalizedFilename: text("normalized_filename"), // copy transcoded to the stream profile, relative to uploads/
+  normalizedProfile: text("normalized_profile"), // profile key it was made for; playout copies it only while this matches
   uploadedAt: timestamp("uploaded_at").defaultNow(),
 });
 
+// Resumable uploads; chunks are appended to uploads/.partial/<id>.part in order
+export const uploadSessions = pgTable("upload_sessions", {
+  id: text("id").primaryKey(),
+  filename: text("filename").notNull(), // original name on the client
+  title: text("title").notNull(),
+  mimeType: text("mime_type").notNull(),
+  totalSize: bigint("total_size", { mode: "number" }).notNull(),
+  receivedBytes: bigint("received_bytes", { mode: "number" }).notNull().default(0),
+  checksum: text("checksum"), // expected SHA-256 of the whole file, when the client sends one
+  contentHash: text("content_hash"), // SHA-256 of what actually arrived, once verified
+  status: text("status").notNull().default("uploading"), // 'uploading', 'complete'
+  videoId: integer("video_id"),
+  createdAt: timestamp("created_at").defaultNow(),
+  updatedAt: timestamp("updated_at").defaultNow(),
+});
+
+// Named rotations; exactly one is active and drives playout
+export const playlists = pgTable("playlists", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  isActive: boolean("is_active").notNull().default(false),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
+// A video appears at most once per playlist but can be in any number of playlists
+export const playlistItems = pgTable("playlist_items", {
+  id: serial("id").primaryKey(),
+  playlistId: integer("playlist_id").notNull(),
+  videoId: integer("video_id").notNull(),
+  position: integer("position").notNull(),
+  startSeconds: real("start_seconds"), // in point within the video; null plays from the beginning
+  endSeconds: real("end_seconds"), // out point; null plays to the end
+  // Rules that keep the item out of rotation; the play-next queue ignores them
+  playLimit: integer("play_limit"), // skipped once played this many times; null is unlimited
+  playCount: integer("play_count").notNull().default(0),
+  activeFrom: text("active_from"), // 'HH:MM' server time; with activeUntil, only picked inside the window
+  activeUntil: text("active_until"), // may be earlier than activeFrom for a window across midnight
+  expiresAt: timestamp("expires_at"), // skipped from then on
+});
+
+// API responses show secrets as this followed by their last four characters.
+// Sending a masked value back keeps the stored secret unchanged.
+export const SECRET_MASK = '••••••••';
+
+export function isMaskedSecret(value: string | null | undefined): boolean {
+  return !!value && value.startsWith(SECRET_MASK);
+}
+
 export const streamConfigs = pgTable("stream_configs", {
   id: serial("id").primaryKey(),
   platform: text("platform").notNull(),
-  streamKey: text("stream_key").notNull(),
+  streamKey: text("stream_key").notNull(), // encrypted at rest, see server/secrets.ts
   rtmpUrl: text("rtmp_url"),
   resolution: text("resolution").notNull(),
   framerate: integer("framerate").notNull(),
@@ -25,14 +98,121 @@ export const streamConfigs = pgTable("stream_configs", {
   isActive: boolean("is_active").default(false),
 });
 
+export const streamDestinations = pgTable("stream_destinations", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  platform: text("platform").notNull(), // 'youtube', 'twitch', 'facebook', 'custom'
+  streamKey: text("stream_key").notNull(), // encrypted at rest
+  rtmpUrl: text("rtmp_url"),
+  enabled: boolean("enabled").default(true),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
 export const streamStatus = pgTable("stream_status", {
   id: serial("id").primaryKey(),
   status: text("status").notNull(), // 'live', 'offline', 'starting', 'error'
   viewerCount: integer("viewer_count").default(0),
+  peakViewerCount: integer("peak_viewer_count").default(0),
   uptime: text("uptime").default("00:00:00"),
   currentVideoId: integer("current_video_id"),
   startedAt: timestamp("started_at"),
   loopPlaylist: boolean("loop_playlist").default(false),
+  playbackMode: text("playback_mode").notNull().default("sequential"), // 'sequential', 'shuffle', 'random', 'weighted'
+  noRepeatWindow: integer("no_repeat_window").notNull().default(3),
+  playNextQueue: integer("play_next_queue").array().notNull().default([]),
+});
+
+export const viewerSessions = pgTable("viewer_sessions", {
+  id: serial("id").primaryKey(),
+  protocol: text("protocol").notNull(), // 'rtmp', 'hls'
+  clientId: text("client_id").notNull(),
+  clientIp: text("client_ip").notNull(),
+  streamName: text("stream_name"),
+  userAgent: text("user_agent"),
+  startedAt: timestamp("started_at").defaultNow(),
+  endedAt: timestamp("ended_at"),
+  durationSeconds: integer("duration_seconds"),
+});
+
+// Distinct videos of a session; a 24/7 loop replays the same few many times
+export interface SessionVideo {
+  videoId: number;
+  title: string;
+  plays: number;
+  firstPlayedAt: string;
+  lastPlayedAt: string;
+}
+
+// Totals over a date range, as returned by /api/sessions
+export interface SessionSummary {
+  from: string;
+  to: string;
+  sessions: number;
+  uptimeSeconds: number; // time covered by sessions inside the range
+  availability: number; // 0..1 share of the range that was live
+  peakViewers: number;
+  restarts: number;
+}
+
+// One row per broadcast, from start until it was stopped or failed
+export const streamSessions = pgTable("stream_sessions", {
+  id: serial("id").primaryKey(),
+  startedAt: timestamp("started_at").notNull().defaultNow(),
+  endedAt: timestamp("ended_at"),
+  endReason: text("end_reason"), // 'stopped', 'completed', 'error', 'restarted', 'interrupted', 'scheduled'
+  destinations: jsonb("destinations").$type<string[]>().notNull().default([]),
+  videosPlayed: jsonb("videos_played").$type<SessionVideo[]>().notNull().default([]),
+  uptimeSeconds: integer("uptime_seconds").notNull().default(0),
+  peakViewers: integer("peak_viewers").notNull().default(0),
+  restarts: integer("restarts").notNull().default(0),
+});
+
+// Crash and restart history written by the stream supervisor
+export const streamEventLog = pgTable("stream_events", {
+  id: serial("id").primaryKey(),
+  event: text("event").notNull(), // 'crash', 'restart_scheduled', 'restarted', 'recovered', 'gave_up', 'schedule_start', 'schedule_stop', 'schedule_failed'
+  source: text("source").notNull(), // 'encoder', 'destination', 'scheduler'
+  sourceName: text("source_name"),
+  category: text("category"), // 'auth', 'network', 'encoder', 'unknown'
+  attempt: integer("attempt"),
+  message: text("message"),
+  exitCode: integer("exit_code"),
+  videoId: integer("video_id"),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
+// Background FFmpeg work. Rows are claimed with SKIP LOCKED, so queued jobs
+// survive restarts and running ones are requeued when the server comes back.
+export const mediaJobs = pgTable("media_jobs", {
+  id: serial("id").primaryKey(),
+  type: text("type").notNull(), // 'probe', 'thumbnails', 'loudness', 'normalize'
+  videoId: integer("video_id"),
+  status: text("status").notNull().default("queued"), // 'queued', 'running', 'completed', 'failed', 'cancelled'
+  progress: integer("progress").notNull().default(0), // percent
+  attempts: integer("attempts").notNull().default(0),
+  maxAttempts: integer("max_attempts").notNull().default(3),
+  log: text("log").notNull().default(""), // tail of the FFmpeg output
+  error: text("error"),
+  runAfter: timestamp("run_after").notNull().defaultNow(), // retry backoff
+  createdAt: timestamp("created_at").defaultNow(),
+  startedAt: timestamp("started_at"),
+  finishedAt: timestamp("finished_at"),
+});
+
+// Broadcast windows; times repeat in server-local time
+export const scheduleEntries = pgTable("schedule_entries", {
+  id: serial("id").primaryKey(),
+  title: text("title").notNull(),
+  startsAt: timestamp("starts_at").notNull(),
+  endsAt: timestamp("ends_at").notNull(),
+  recurrence: text("recurrence").notNull().default("none"), // 'none', 'daily', 'weekly', 'cron'
+  cronExpression: text("cron_expression"),
+  recurrenceUntil: timestamp("recurrence_until"),
+  videoId: integer("video_id"), // null starts from the top of the playlist
+  playlistId: integer("playlist_id"), // activated at start; null keeps the active playlist
+  loopPlaylist: boolean("loop_playlist").notNull().default(true),
+  enabled: boolean("enabled").notNull().default(true),
+  createdAt: timestamp("created_at").defaultNow(),
 });
 
 export const systemConfigs = pgTable("system_configs", {
@@ -43,34 +223,389 @@ export const systemConfigs = pgTable("system_configs", {
   dbPort: integer("db_port").default(5432),
   dbName: text("db_name").default("streaming_db"),
   dbUser: text("db_user").default(""),
-  dbPassword: text("db_password").default(""),
+  dbPassword: text("db_password").default(""), // encrypted at rest
   useExternalDb: boolean("use_external_db").default(false),
+  autoRestart: boolean("auto_restart").default(true),
+  restartMaxRetries: integer("restart_max_retries").default(5),
+  restartBackoffSeconds: integer("restart_backoff_seconds").default(2),
+  restartBackoffMaxSeconds: integer("restart_backoff_max_seconds").default(60),
+  normalizeOnIngest: boolean("normalize_on_ingest").default(false), // transcode uploads to the stream profile once
+  storageQuotaGb: integer("storage_quota_gb"), // cap on uploads/ plus thumbnails/; null means only the free-space reserve applies
+  storageReserveGb: integer("storage_reserve_gb").default(2), // disk space uploads may never eat into, kept for the encoder and the database
+  watchFolder: text("watch_folder"), // absolute path polled for copied-in recordings; null disables it
   updatedAt: timestamp("updated_at").defaultNow(),
 });
 
-export const insertVideoSchema = createInsertSchema(videos).omit({
+// Disk used on behalf of one video, as returned by /api/storage
+export interface VideoStorageUsage {
+  videoId: number;
+  title: string;
+  fileBytes: number; // the uploaded file; shared files count toward every video using them
+  derivedBytes: number; // normalized copy and thumbnails
+  sharedWith: number; // other videos using the same file
+  imported: boolean; // registered in place from a server path, outside uploads/
+  missing: boolean;
+}
+
+// Lowest to highest; each role can do everything the ones before it can
+export const USER_ROLES = ['viewer', 'operator', 'admin'] as const;
+export type UserRole = typeof USER_ROLES[number];
+
+export function hasRole(role: string, required: UserRole): boolean {
+  return USER_ROLES.indexOf(role as UserRole) >= USER_ROLES.indexOf(required);
+}
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  username: text("username").notNull().unique(),
+  passwordHash: text("password_hash").notNull(), // scrypt, "<hash>.<salt>" in hex
+  role: text("role").notNull().default("viewer"), // one of USER_ROLES
+  disabled: boolean("disabled").notNull().default(false),
+  createdAt: timestamp("created_at").defaultNow(),
+  lastLoginAt: timestamp("last_login_at"),
+});
+
+// Login sessions, in the layout connect-pg-simple expects
+export const userSessions = pgTable("user_sessions", {
+  sid: varchar("sid").primaryKey(),
+  sess: json("sess").notNull(),
+  expire: timestamp("expire", { precision: 6 }).notNull(),
+}, (table) => ({
+  expireIdx: index("IDX_user_sessions_expire").on(table.expire),
+}));
+
+// What an API token may do, on top of its owner's role. Every scope can read;
+// stream-control and media-write need an operator, admin an admin.
+export const API_TOKEN_SCOPES = ['read-only', 'stream-control', 'media-write', 'admin'] as const;
+export type ApiTokenScope = typeof API_TOKEN_SCOPES[number];
+
+export const API_TOKEN_SCOPE_ROLES: Record<ApiTokenScope, UserRole> = {
+  'read-only': 'viewer',
+  'stream-control': 'operator',
+  'media-write': 'operator',
+  admin: 'admin',
+};
+
+// Personal bearer tokens for bots and scripts; only a SHA-256 of the token is kept
+export const apiTokens = pgTable("api_tokens", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  name: text("name").notNull(),
+  tokenHash: text("token_hash").notNull().unique(),
+  tokenPrefix: text("token_prefix").notNull(), // first characters, to tell tokens apart in the list
+  scopes: jsonb("scopes").$type<ApiTokenScope[]>().notNull().default([]),
+  expiresAt: timestamp("expires_at"), // null never expires
+  lastUsedAt: timestamp("last_used_at"),
+  lastUsedIp: text("last_used_ip"),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
+// What an audit entry can be about; 'other' covers routes without a target
+export const AUDIT_TARGET_TYPES = [
+  'stream', 'stream-config', 'destination', 'schedule', 'video', 'upload', 'job', 'playlist',
+  'storage', 'database', 'system-config', 'user', 'api-token', 'webhook', 'secret', 'session', 'other',
+] as const;
+export type AuditTargetType = typeof AUDIT_TARGET_TYPES[number];
+
+// One mutating API request: who made it, what it touched and what changed.
+// `before`/`after` hold only the fields that differ, with secrets masked.
+export const auditLog = pgTable("audit_log", {
+  id: serial("id").primaryKey(),
+  actorId: integer("actor_id"), // null when nobody was logged in
+  actorName: text("actor_name"), // username at the time, kept after the user is deleted
+  apiTokenId: integer("api_token_id"), // set when the request used an API token
+  action: text("action").notNull(), // method and route, e.g. 'POST /api/stream/stop'
+  targetType: text("target_type").$type<AuditTargetType>().notNull(),
+  targetId: text("target_id"),
+  before: jsonb("before").$type<Record<string, unknown> | null>(),
+  after: jsonb("after").$type<Record<string, unknown> | null>(),
+  statusCode: integer("status_code").notNull(),
+  ip: text("ip"),
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+}, (table) => ({
+  createdAtIdx: index("IDX_audit_log_created_at").on(table.createdAt),
+}));
+
+// Events outbound webhooks can subscribe to
+export const WEBHOOK_EVENTS = [
+  'stream.started', 'stream.stopped', 'stream.error', 'video.changed', 'upload.completed', 'backup.created',
+] as const;
+export type WebhookEvent = typeof WEBHOOK_EVENTS[number];
+
+// 'json' posts the signed event envelope; 'discord' posts a chat message in the
+// shape Discord channel webhooks accept
+export const WEBHOOK_FORMATS = ['json', 'discord'] as const;
+export type WebhookFormat = typeof WEBHOOK_FORMATS[number];
+
+export const webhooks = pgTable("webhooks", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  url: text("url").notNull(),
+  format: text("format").$type<WebhookFormat>().notNull().default("json"),
+  secret: text("secret").notNull(), // HMAC signing key, encrypted at rest like stream keys
+  events: jsonb("events").$type<WebhookEvent[]>().notNull().default([]),
+  enabled: boolean("enabled").notNull().default(true),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
+// One event sent to one webhook, with its retries
+export const webhookDeliveries = pgTable("webhook_deliveries", {
+  id: serial("id").primaryKey(),
+  webhookId: integer("webhook_id").notNull(),
+  event: text("event").notNull(), // a WebhookEvent, or 'webhook.test'
+  payload: jsonb("payload").$type<Record<string, unknown>>().notNull(),
+  status: text("status").notNull().default("pending"), // 'pending', 'sending', 'succeeded', 'failed'
+  attempts: integer("attempts").notNull().default(0),
+  responseStatus: integer("response_status"),
+  error: text("error"),
+  nextAttemptAt: timestamp("next_attempt_at").notNull().defaultNow(), // retry backoff
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+  finishedAt: timestamp("finished_at"),
+}, (table) => ({
+  webhookIdx: index("IDX_webhook_deliveries_webhook_id").on(table.webhookId),
+}));
+
+// A file or thumbnail directory no database row refers to
+export interface StorageOrphan {
+  path: string; // relative to the app directory, e.g. uploads/media/ab/<hash>.mp4
+  bytes: number;
+  modifiedAt: string;
+}
+
+export interface StorageReport {
+  usedBytes: number; // everything under uploads/ and thumbnails/
+  mediaBytes: number;
+  normalizedBytes: number;
+  thumbnailBytes: number;
+  partialBytes: number; // unfinished resumable uploads
+  orphanBytes: number;
+  quotaBytes: number | null;
+  reserveBytes: number;
+  diskFreeBytes: number | null;
+  diskTotalBytes: number | null;
+  videos: VideoStorageUsage[];
+  orphans: StorageOrphan[];
+  missingVideos: Array<{ videoId: number; title: string; filename: string }>;
+}
+
+export const insertVideoSchema = createInsertSchema(videos, {
+  weight: z.number().int().min(0).max(100).optional(),
+  validationIssues: z.array(z.object({
+    code: z.enum(['no_video', 'no_duration', 'no_dimensions', 'vfr', 'no_audio']),
+    severity: z.enum(['error', 'warning']),
+    message: z.string(),
+  })).optional(),
+}).omit({
   id: true,
   uploadedAt: true,
 });
 
+// The editable part of a video; its files and probed details are the server's
+export const updateVideoSchema = createInsertSchema(videos, {
+  title: z.string().trim().min(1, "Title is required"),
+  weight: z.number().int().min(0).max(100),
+}).pick({
+  title: true,
+  weight: true,
+}).partial();
+
+export const insertUploadSessionSchema = createInsertSchema(uploadSessions, {
+  filename: z.string().trim().min(1),
+  title: z.string().trim().min(1),
+  totalSize: z.number().int().positive(),
+  checksum: z.string().regex(/^[a-f0-9]{64}$/i, "checksum must be a SHA-256 hex digest").nullable().optional(),
+}).omit({
+  id: true,
+  receivedBytes: true,
+  contentHash: true,
+  status: true,
+  videoId: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+export const insertPlaylistSchema = createInsertSchema(playlists, {
+  name: z.string().trim().min(1, "Name is required"),
+}).omit({
+  id: true,
+  isActive: true,
+  createdAt: true,
+});
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:MM");
+
+// The editable part of a playlist item; checks across fields happen once the
+// update is merged with what is stored
+export const updatePlaylistItemSchema = createInsertSchema(playlistItems, {
+  startSeconds: z.number().nonnegative().nullable(),
+  endSeconds: z.number().positive().nullable(),
+  playLimit: z.number().int().min(1).nullable(),
+  playCount: z.number().int().min(0),
+  activeFrom: timeOfDay.nullable(),
+  activeUntil: timeOfDay.nullable(),
+  expiresAt: z.coerce.date().nullable(),
+}).pick({
+  startSeconds: true,
+  endSeconds: true,
+  playLimit: true,
+  playCount: true,
+  activeFrom: true,
+  activeUntil: true,
+  expiresAt: true,
+}).partial();
+
 export const insertStreamConfigSchema = createInsertSchema(streamConfigs).omit({
   id: true,
 });
 
+export const insertStreamDestinationSchema = createInsertSchema(streamDestinations).omit({
+  id: true,
+  createdAt: true,
+});
+
 export const insertStreamStatusSchema = createInsertSchema(streamStatus).omit({
   id: true,
 });
 
-export const insertSystemConfigSchema = createInsertSchema(systemConfigs).omit({
+export const insertViewerSessionSchema = createInsertSchema(viewerSessions).omit({
+  id: true,
+  endedAt: true,
+  durationSeconds: true,
+});
+
+export const insertStreamSessionSchema = createInsertSchema(streamSessions).omit({
+  id: true,
+});
+
+export const insertStreamEventLogSchema = createInsertSchema(streamEventLog).omit({
+  id: true,
+  createdAt: true,
+});
+
+export const insertScheduleEntrySchema = createInsertSchema(scheduleEntries, {
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date(),
+  recurrenceUntil: z.coerce.date().nullable().optional(),
+  recurrence: z.enum(["none", "daily", "weekly", "cron"]),
+}).omit({
+  id: true,
+  createdAt: true,
+});
+
+const username = z.string().trim().min(3).max(64).regex(/^[\w.-]+$/, "Use letters, digits, '.', '-' or '_'");
+const password = z.string().min(8, "Password must be at least 8 characters").max(200);
+
+export const insertUserSchema = createInsertSchema(users, {
+  username,
+  role: z.enum(USER_ROLES),
+}).pick({
+  username: true,
+  role: true,
+  disabled: true,
+}).extend({
+  password,
+});
+
+export const updateUserSchema = z.object({
+  role: z.enum(USER_ROLES),
+  password,
+  disabled: z.boolean(),
+}).partial();
+
+export const loginSchema = z.object({
+  username: z.string().trim().min(1).max(64),
+  password: z.string().min(1),
+});
+
+export const insertApiTokenSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  scopes: z.array(z.enum(API_TOKEN_SCOPES)).min(1, "Pick at least one scope"),
+  expiresAt: z.coerce.date()
+    .refine(date => date.getTime() > Date.now(), "Expiry must be in the future")
+    .nullable()
+    .optional(),
+});
+
+// The signing secret is generated by the server, never sent by the client
+export const insertWebhookSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  url: z.string().trim().url("Enter a valid URL").refine(url => /^https?:\/\//i.test(url), "URL must start with http:// or https://"),
+  format: z.enum(WEBHOOK_FORMATS).default('json'),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, "Pick at least one event"),
+  enabled: z.boolean().default(true),
+});
+
+export const insertSystemConfigSchema = createInsertSchema(systemConfigs, {
+  storageQuotaGb: z.number().int().min(1).nullable().optional(),
+  storageReserveGb: z.number().int().min(0).optional(),
+  watchFolder: z.string().trim()
+    .refine(folder => folder === '' || folder.startsWith('/'), 'Watch folder must be an absolute path')
+    .nullable()
+    .optional(),
+}).omit({
   id: true,
   updatedAt: true,
 });
 
+// A playlist's new order, as the ids of its videos
+export const reorderPlaylistSchema = z.object({
+  videoIds: z.array(z.number().int().positive()),
+});
+
 export type InsertVideo = z.infer<typeof insertVideoSchema>;
 export type Video = typeof videos.$inferSelect;
+export type InsertUploadSession = z.infer<typeof insertUploadSessionSchema>;
+export type UploadSession = typeof uploadSessions.$inferSelect;
+export type InsertPlaylist = z.infer<typeof insertPlaylistSchema>;
+export type Playlist = typeof playlists.$inferSelect;
+export type PlaylistItem = typeof playlistItems.$inferSelect;
+export type PlaylistSummary = Playlist & { itemCount: number };
+// A video as it sits in a playlist
+export type PlaylistVideo = Video & { itemId: number } & Omit<PlaylistItem, 'id' | 'playlistId' | 'videoId'>;
+export type UpdatePlaylistItem = z.infer<typeof updatePlaylistItemSchema>;
+export interface PlaylistWithVideos {
+  playlist: Playlist;
+  videos: PlaylistVideo[];
+}
+// What POST /api/playlists/import reports; `playlist` is null on a dry run
+export interface PlaylistImportResult {
+  playlist: Playlist | null;
+  matched: number;
+  missing: Array<{ position: number; title: string | null; filename: string; contentHash: string | null }>;
+  duplicates: number; // entries naming a video already earlier in the file
+  weightsUpdated: number;
+}
 export type InsertStreamConfig = z.infer<typeof insertStreamConfigSchema>;
 export type StreamConfig = typeof streamConfigs.$inferSelect;
+export type InsertStreamDestination = z.infer<typeof insertStreamDestinationSchema>;
+export type StreamDestination = typeof streamDestinations.$inferSelect;
 export type InsertStreamStatus = z.infer<typeof insertStreamStatusSchema>;
 export type StreamStatus = typeof streamStatus.$inferSelect;
+export type InsertViewerSession = z.infer<typeof insertViewerSessionSchema>;
+export type ViewerSession = typeof viewerSessions.$inferSelect;
+// drizzle-zod widens the jsonb columns, so take the insert type from the table
+export type InsertAuditLogEntry = typeof auditLog.$inferInsert;
+export type AuditLogEntry = typeof auditLog.$inferSelect;
+export type InsertWebhook = z.infer<typeof insertWebhookSchema>;
+export type Webhook = typeof webhooks.$inferSelect;
+export type WebhookDelivery = typeof webhookDeliveries.$inferSelect;
+export type InsertWebhookDelivery = typeof webhookDeliveries.$inferInsert;
+export type InsertStreamSession = typeof streamSessions.$inferInsert;
+export type StreamSession = typeof streamSessions.$inferSelect;
+export type MediaJob = typeof mediaJobs.$inferSelect;
+export type MediaJobSummary = Omit<MediaJob, 'log'>;
+export type InsertStreamEventLogEntry = z.infer<typeof insertStreamEventLogSchema>;
+export type StreamEventLogEntry = typeof streamEventLog.$inferSelect;
+export type InsertScheduleEntry = z.infer<typeof insertScheduleEntrySchema>;
+export type ScheduleEntry = typeof scheduleEntries.$inferSelect;
 export type InsertSystemConfig = z.infer<typeof insertSystemConfigSchema>;
 export type SystemConfig = typeof systemConfigs.$inferSelect;
+export type InsertUser = z.infer<typeof insertUserSchema>;
+export type UpdateUser = z.infer<typeof updateUserSchema>;
+export type User = typeof users.$inferSelect;
+// What the API returns for a user; the password hash never leaves the server
+export type PublicUser = Omit<User, 'passwordHash'>;
+export type InsertApiToken = z.infer<typeof insertApiTokenSchema>;
+export type ApiToken = typeof apiTokens.$inferSelect;
+// A token as listed; the secret itself is only returned once, when created
+export type PublicApiToken = Omit<ApiToken, 'tokenHash'>;
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+// Checks the playback planner (server/playback.ts): item rules, the shuffle
+// bag, the no-repeat window and weights. The planner decides in memory, so
+// this runs without a server:
+//   npx tsx test-playback.mjs
+// Without DATABASE_URL the storage module logs that it cannot connect; the
+// checks below never reach it.
+
+import assert from 'node:assert/strict';
+import { PlaybackPlanner, itemRuleBlock } from './server/playback.ts';
+
+// Item time windows are read in the server's local time
+process.env.TZ = 'America/New_York';
+
+process.on('unhandledRejection', (error) => {
+  if (!String(error?.message).includes('DATABASE_URL')) {
+    throw error;
+  }
+});
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function item(id, fields = {}) {
+  return {
+    id,
+    itemId: id,
+    title: `Video ${id}`,
+    weight: 1,
+    playCount: 0,
+    playLimit: null,
+    activeFrom: null,
+    activeUntil: null,
+    expiresAt: null,
+    ...fields,
+  };
+}
+
+// A planner in the given mode, as load() would leave it after reading the stream status row
+function planner(mode, noRepeatWindow = 3) {
+  return Object.assign(new PlaybackPlanner(), { mode, noRepeatWindow });
+}
+
+async function play(plan, playlist, count) {
+  const played = [];
+  let current = playlist[0].id;
+  for (let i = 0; i < count; i++) {
+    current = (await plan.next(playlist, current)).id;
+    played.push(current);
+  }
+  return played;
+}
+
+const at = (date, time) => new Date(`${date}T${time}:00`);
+
+console.log('🎲 Testing the playback planner...\n');
+
+await check('itemRuleBlock holds back expired, played-out and out-of-window items', () => {
+  const now = at('2026-04-10', '14:30');
+  assert.equal(itemRuleBlock(item(1), now), null);
+  assert.equal(itemRuleBlock(item(1, { expiresAt: at('2026-04-10', '14:30') }), now), 'expired');
+  assert.equal(itemRuleBlock(item(1, { expiresAt: at('2026-04-10', '14:31') }), now), null);
+  assert.equal(itemRuleBlock(item(1, { playLimit: 3, playCount: 3 }), now), 'played 3 of 3 times');
+  assert.equal(itemRuleBlock(item(1, { playLimit: 3, playCount: 2 }), now), null);
+  assert.equal(itemRuleBlock(item(1, { activeFrom: '09:00', activeUntil: '14:30' }), now), 'only plays 09:00-14:30');
+  assert.equal(itemRuleBlock(item(1, { activeFrom: '14:30', activeUntil: '18:00' }), now), null);
+});
+
+await check('itemRuleBlock windows may run past midnight', () => {
+  const overnight = item(1, { activeFrom: '22:00', activeUntil: '02:00' });
+  assert.equal(itemRuleBlock(overnight, at('2026-04-10', '23:15')), null);
+  assert.equal(itemRuleBlock(overnight, at('2026-04-10', '01:59')), null);
+  assert.equal(itemRuleBlock(overnight, at('2026-04-10', '02:00')), 'only plays 22:00-02:00');
+});
+
+await check('sequential plays in order, wraps and skips held-back items', async () => {
+  const playlist = [item(1), item(2, { playLimit: 1, playCount: 1 }), item(3), item(4)];
+  assert.deepEqual(await play(planner('sequential'), playlist, 5), [3, 4, 1, 3, 4]);
+});
+
+await check('shuffle plays every video once per cycle until the bag is empty', async () => {
+  const playlist = [1, 2, 3, 4, 5, 6].map(id => item(id));
+  const plan = planner('shuffle');
+  const played = await play(plan, playlist, 6 * 50);
+  for (let cycle = 0; cycle < 50; cycle++) {
+    const ids = played.slice(cycle * 6, cycle * 6 + 6);
+    assert.deepEqual([...ids].sort(), [1, 2, 3, 4, 5, 6], `cycle ${cycle}`);
+    // A new cycle never opens with the video that closed the last one
+    if (cycle > 0) {
+      assert.notEqual(ids[0], played[cycle * 6 - 1], `cycle ${cycle} repeats across the boundary`);
+    }
+  }
+});
+
+await check('shuffle drops videos removed from the playlist mid-cycle', async () => {
+  const plan = planner('shuffle');
+  const playlist = [1, 2, 3, 4].map(id => item(id));
+  const first = await play(plan, playlist, 2);
+  const remaining = playlist.filter(video => !first.includes(video.id));
+  const shrunk = playlist.filter(video => video.id !== remaining[0].id);
+  const rest = await play(plan, shrunk, 1);
+  assert.deepEqual(rest, [remaining[1].id]);
+});
+
+await check('random never repeats a video inside the no-repeat window', async () => {
+  const playlist = [1, 2, 3, 4, 5].map(id => item(id));
+  const played = await play(planner('random', 3), playlist, 2000);
+  for (let i = 1; i < played.length; i++) {
+    assert.ok(!played.slice(Math.max(0, i - 3), i).includes(played[i]), `pick ${i} repeated ${played[i]}`);
+  }
+});
+
+await check('the no-repeat window shrinks to leave one candidate', async () => {
+  const played = await play(planner('random', 10), [item(1), item(2)], 100);
+  for (let i = 1; i < played.length; i++) {
+    assert.notEqual(played[i], played[i - 1]);
+  }
+});
+
+await check('weighted picks follow the weights and skip weight 0', async () => {
+  const playlist = [item(1, { weight: 1 }), item(2, { weight: 3 }), item(3, { weight: 0 })];
+  const played = await play(planner('weighted', 0), playlist, 8000);
+  assert.ok(!played.includes(3), 'a weight-0 video played');
+  const heavyShare = played.filter(id => id === 2).length / played.length;
+  assert.ok(Math.abs(heavyShare - 0.75) < 0.03, `weight 3 of 4 got ${heavyShare.toFixed(3)} of the picks`);
+});
+
+await check('weighted falls back to an even pick when every weight is 0', async () => {
+  const playlist = [item(1, { weight: 0 }), item(2, { weight: 0 })];
+  const played = await play(planner('weighted', 0), playlist, 400);
+  assert.ok(played.includes(1) && played.includes(2));
+});
+
+await check('when every item is held back the rules are ignored', async () => {
+  const playlist = [item(1, { playLimit: 1, playCount: 1 }), item(2, { expiresAt: new Date(0) })];
+  const played = await play(planner('sequential'), playlist, 2);
+  assert.deepEqual(played, [2, 1]);
+});
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} playback check(s) failed`);
+  process.exit(1);
+}
+console.log('\n🎉 All playback checks passed!');
+process.exit(0);
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+// Checks cron parsing and schedule occurrence expansion (server/recurrence.ts)
+// against known calendars. Runs without a database or server:
+//   npx tsx test-recurrence.mjs
+
+import assert from 'node:assert/strict';
+import { parseCron, validateScheduleEntry, expandOccurrences, activeOccurrence } from './server/recurrence.ts';
+
+// Times are read in America/New_York so the DST cases are the same everywhere
+process.env.TZ = 'America/New_York';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+// Local wall-clock time, as the scheduler reads it
+const at = (date, time = '00:00') => new Date(`${date}T${time}:00`);
+
+function entry(fields) {
+  return {
+    id: 1,
+    title: 'Test entry',
+    videoId: null,
+    recurrence: 'none',
+    cronExpression: null,
+    recurrenceUntil: null,
+    ...fields,
+  };
+}
+
+const localTimes = occurrences => occurrences.map(({ start }) =>
+  `${start.getMonth() + 1}-${start.getDate()} ${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`);
+
+console.log('🗓️  Testing schedule recurrence...\n');
+
+check('cron field ranges are enforced', () => {
+  for (const expression of ['60 * * * *', '0 24 * * *', '0 0 0 * *', '0 0 32 * *', '0 0 * 0 *', '0 0 * 13 *', '0 0 * * 8', '*/0 * * * *', '5-1 * * * *', 'x * * * *']) {
+    assert.throws(() => parseCron(expression), /Invalid/, expression);
+  }
+  assert.throws(() => parseCron('0 9 * *'), /five fields/);
+});
+
+check('cron lists, ranges and steps expand', () => {
+  const schedule = parseCron('0,30 9-11 */10 1-3 1-5/2');
+  assert.deepEqual([...schedule.minute.values], [0, 30]);
+  assert.deepEqual([...schedule.hour.values], [9, 10, 11]);
+  assert.deepEqual([...schedule.dayOfMonth.values], [1, 11, 21, 31]);
+  assert.deepEqual([...schedule.month.values], [1, 2, 3]);
+  assert.deepEqual([...schedule.dayOfWeek.values], [1, 3, 5]);
+  assert.deepEqual([...parseCron('5/15 * * * *').minute.values], [5, 20, 35, 50]);
+});
+
+check('day-of-week 7 is Sunday', () => {
+  assert.ok(parseCron('0 9 * * 7').dayOfWeek.values.has(0));
+});
+
+check('weekday cron gives five mornings a week', () => {
+  const occurrences = expandOccurrences(
+    entry({ startsAt: at('2026-04-01'), endsAt: at('2026-04-01', '00:30'), recurrence: 'cron', cronExpression: '0 9 * * 1-5' }),
+    at('2026-04-06'), at('2026-04-13'),
+  );
+  assert.deepEqual(localTimes(occurrences), ['4-6 09:00', '4-7 09:00', '4-8 09:00', '4-9 09:00', '4-10 09:00']);
+});
+
+check('restricted day-of-month and day-of-week match either one', () => {
+  // April 2026: Sundays are the 5th, 12th, 19th and 26th; the 15th is a Wednesday
+  const either = expandOccurrences(
+    entry({ startsAt: at('2026-03-01'), endsAt: at('2026-03-01', '01:00'), recurrence: 'cron', cronExpression: '0 12 15 * 0' }),
+    at('2026-04-01'), at('2026-05-01'),
+  );
+  assert.deepEqual(localTimes(either), ['4-5 12:00', '4-12 12:00', '4-15 12:00', '4-19 12:00', '4-26 12:00']);
+
+  const sundaysOnly = expandOccurrences(
+    entry({ startsAt: at('2026-03-01'), endsAt: at('2026-03-01', '01:00'), recurrence: 'cron', cronExpression: '0 12 * * 0' }),
+    at('2026-04-01'), at('2026-05-01'),
+  );
+  assert.equal(sundaysOnly.length, 4);
+});
+
+check('month-end days only fire in months that have them', () => {
+  const thirtyFirst = expandOccurrences(
+    entry({ startsAt: at('2026-01-01'), endsAt: at('2026-01-01', '00:10'), recurrence: 'cron', cronExpression: '0 0 31 * *' }),
+    at('2026-01-15'), at('2026-03-15'),
+  );
+  assert.deepEqual(localTimes(thirtyFirst), ['1-31 00:00']);
+
+  const leapDay = cronExpression => entry({ startsAt: at('2026-01-01'), endsAt: at('2026-01-01', '00:10'), recurrence: 'cron', cronExpression });
+  assert.equal(expandOccurrences(leapDay('0 0 29 2 *'), at('2026-02-01'), at('2026-03-01')).length, 0);
+  assert.equal(expandOccurrences(leapDay('0 0 29 2 *'), at('2028-02-01'), at('2028-03-01')).length, 1);
+});
+
+check('daily repeats keep their wall-clock time across the spring DST change', () => {
+  const occurrences = expandOccurrences(
+    entry({ startsAt: at('2026-03-06', '09:00'), endsAt: at('2026-03-06', '10:00'), recurrence: 'daily' }),
+    at('2026-03-06'), at('2026-03-11'),
+  );
+  assert.deepEqual(localTimes(occurrences), ['3-6 09:00', '3-7 09:00', '3-8 09:00', '3-9 09:00', '3-10 09:00']);
+  // The night the clocks go forward is an hour short
+  assert.equal(occurrences[2].start.getTime() - occurrences[1].start.getTime(), 23 * 60 * 60 * 1000);
+});
+
+check('weekly repeats keep their wall-clock time across the autumn DST change', () => {
+  const occurrences = expandOccurrences(
+    entry({ startsAt: at('2026-10-18', '20:00'), endsAt: at('2026-10-18', '21:00'), recurrence: 'weekly' }),
+    at('2026-10-20'), at('2026-11-20'),
+  );
+  assert.deepEqual(localTimes(occurrences), ['10-25 20:00', '11-1 20:00', '11-8 20:00', '11-15 20:00']);
+});
+
+check('cron times skipped by the spring DST change do not fire that day', () => {
+  // 02:30 does not exist on 2026-03-08 in New York
+  const occurrences = expandOccurrences(
+    entry({ startsAt: at('2026-03-01'), endsAt: at('2026-03-01', '00:15'), recurrence: 'cron', cronExpression: '30 2 * * *' }),
+    at('2026-03-07'), at('2026-03-10'),
+  );
+  assert.deepEqual(localTimes(occurrences), ['3-7 02:30', '3-9 02:30']);
+});
+
+check('an occurrence that began before the window is included', () => {
+  const occurrences = expandOccurrences(
+    entry({ startsAt: at('2026-04-01', '23:00'), endsAt: at('2026-04-02', '01:00'), recurrence: 'daily' }),
+    at('2026-04-03', '00:30'), at('2026-04-03', '01:00'),
+  );
+  assert.deepEqual(localTimes(occurrences), ['4-2 23:00']);
+});
+
+check('repeats stop at recurrenceUntil and never start before startsAt', () => {
+  const daily = entry({
+    startsAt: at('2026-04-10', '08:00'),
+    endsAt: at('2026-04-10', '08:30'),
+    recurrence: 'daily',
+    recurrenceUntil: at('2026-04-12', '12:00'),
+  });
+  assert.deepEqual(localTimes(expandOccurrences(daily, at('2026-04-01'), at('2026-04-30'))), ['4-10 08:00', '4-11 08:00', '4-12 08:00']);
+
+  const cron = entry({ ...daily, recurrence: 'cron', cronExpression: '0 8 * * *' });
+  assert.deepEqual(localTimes(expandOccurrences(cron, at('2026-04-01'), at('2026-04-30'))), ['4-10 08:00', '4-11 08:00', '4-12 08:00']);
+});
+
+check('one-off entries expand to themselves only when they overlap', () => {
+  const once = entry({ startsAt: at('2026-04-10', '08:00'), endsAt: at('2026-04-10', '09:00') });
+  assert.equal(expandOccurrences(once, at('2026-04-10', '08:59'), at('2026-04-11')).length, 1);
+  assert.equal(expandOccurrences(once, at('2026-04-10', '09:00'), at('2026-04-11')).length, 0);
+});
+
+check('activeOccurrence picks the occurrence running now', () => {
+  const hourly = entry({ startsAt: at('2026-04-10'), endsAt: at('2026-04-10', '01:30'), recurrence: 'cron', cronExpression: '0 * * * *' });
+  // At 05:15 both the 04:00 and the 05:00 runs are on; the later one wins
+  assert.deepEqual(localTimes([activeOccurrence(hourly, at('2026-04-10', '05:15'))]), ['4-10 05:00']);
+  assert.equal(activeOccurrence(hourly, at('2026-04-09', '23:00')), null);
+});
+
+check('validateScheduleEntry rejects bad windows and cron expressions', () => {
+  const valid = { startsAt: at('2026-04-10', '08:00'), endsAt: at('2026-04-10', '09:00'), recurrence: 'none', cronExpression: null, recurrenceUntil: null };
+  assert.equal(validateScheduleEntry(valid), null);
+  assert.match(validateScheduleEntry({ ...valid, endsAt: valid.startsAt }), /End time/);
+  assert.match(validateScheduleEntry({ ...valid, recurrenceUntil: at('2026-04-09') }), /Repeat-until/);
+  assert.match(validateScheduleEntry({ ...valid, recurrence: 'cron' }), /required/);
+  assert.match(validateScheduleEntry({ ...valid, recurrence: 'cron', cronExpression: '0 25 * * *' }), /Invalid hour/);
+});
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} recurrence check(s) failed`);
+  process.exit(1);
+}
+console.log('\n🎉 All recurrence checks passed!');
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+// Checks the resumable upload protocol (server/uploads.ts): chunks sent in
+// order, an interrupted chunk, a server restart mid-upload, offset and
+// checksum errors and the size limits, ending with the stored file's hash.
+//   npx tsx test-uploads.mjs
+// Runs in a temporary directory with upload sessions kept in memory instead
+// of the upload_sessions table, so it needs no database; without
+// DATABASE_URL the storage module logs that it cannot connect.
+
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const repoDir = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sa-plays-uploads-'));
+// uploads/ is resolved from the working directory when the module loads
+process.chdir(workDir);
+
+process.on('unhandledRejection', (error) => {
+  if (!String(error?.message).includes('DATABASE_URL')) {
+    throw error;
+  }
+});
+
+const { storage } = await import(path.join(repoDir, 'server/storage.ts'));
+const { UploadManager, UploadError, MAX_CHUNK_SIZE, MAX_UPLOAD_SIZE } = await import(path.join(repoDir, 'server/uploads.ts'));
+
+// The upload_sessions table, in memory
+const sessions = new Map();
+Object.assign(storage, {
+  async createUploadSession(data) {
+    const now = new Date();
+    const session = { receivedBytes: 0, checksum: null, contentHash: null, status: 'uploading', videoId: null, createdAt: now, updatedAt: now, ...data };
+    sessions.set(session.id, session);
+    return { ...session };
+  },
+  async getUploadSession(id) {
+    return sessions.has(id) ? { ...sessions.get(id) } : undefined;
+  },
+  async updateUploadSession(id, changes) {
+    if (!sessions.has(id)) return undefined;
+    sessions.set(id, { ...sessions.get(id), ...changes, updatedAt: new Date() });
+    return { ...sessions.get(id) };
+  },
+  async deleteUploadSession(id) {
+    return sessions.delete(id);
+  },
+  async getStaleUploadSessions(before) {
+    return Array.from(sessions.values()).filter(session => session.updatedAt <= before);
+  },
+});
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+const CHUNK = 256 * 1024;
+const file = randomBytes(CHUNK * 5 + 1234);
+const chunks = [];
+for (let offset = 0; offset < file.length; offset += CHUNK) {
+  chunks.push({ offset, data: file.subarray(offset, offset + CHUNK) });
+}
+
+function start(manager, fields = {}) {
+  return manager.create({ filename: 'recording.mp4', title: 'Recording', mimeType: 'video/mp4', totalSize: file.length, checksum: sha256(file), ...fields });
+}
+
+async function rejects(promise, status, offset) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof UploadError, `expected an UploadError, got ${error}`);
+    assert.equal(error.status, status, error.message);
+    if (offset !== undefined) {
+      assert.equal(error.offset, offset, error.message);
+    }
+    return true;
+  });
+}
+
+const partialFile = id => path.join(workDir, 'uploads', '.partial', `${id}.part`);
+
+console.log('📤 Testing resumable uploads...\n');
+
+await check('chunks sent in order assemble into the original file', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager);
+  for (const { offset, data } of chunks) {
+    const updated = await manager.appendChunk(session.id, offset, data, sha256(data));
+    assert.equal(updated.receivedBytes, offset + data.length);
+  }
+  const { session: done, filename } = await manager.commit(session.id);
+  assert.equal(done.status, 'complete');
+  assert.equal(done.contentHash, sha256(file));
+  assert.equal(sha256(fs.readFileSync(path.join(workDir, 'uploads', filename))), sha256(file));
+  assert.ok(!fs.existsSync(partialFile(session.id)), 'the partial file was left behind');
+});
+
+await check('an interrupted chunk is cut off and resent from the recorded offset', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager);
+  await manager.appendChunk(session.id, 0, chunks[0].data);
+  await manager.appendChunk(session.id, chunks[1].offset, chunks[1].data);
+
+  // The connection drops halfway through the third chunk: bytes reach the
+  // disk but the session never records them
+  fs.appendFileSync(partialFile(session.id), chunks[2].data.subarray(0, 1000));
+  const resumed = await manager.get(session.id);
+  assert.equal(resumed.receivedBytes, chunks[2].offset);
+  assert.equal(fs.statSync(partialFile(session.id)).size, chunks[2].offset);
+
+  for (const { offset, data } of chunks.slice(2)) {
+    await manager.appendChunk(session.id, offset, data);
+  }
+  const verified = await manager.verify(session.id);
+  assert.equal(verified.contentHash, sha256(file));
+});
+
+await check('a restart mid-upload falls back to hashing the file', async () => {
+  const before = new UploadManager();
+  const session = await start(before);
+  await before.appendChunk(session.id, 0, chunks[0].data);
+  await before.appendChunk(session.id, chunks[1].offset, chunks[1].data);
+
+  // A fresh manager has no running hash for the upload
+  const after = new UploadManager();
+  assert.equal((await after.get(session.id)).receivedBytes, chunks[2].offset);
+  for (const { offset, data } of chunks.slice(2)) {
+    await after.appendChunk(session.id, offset, data);
+  }
+  const { session: done } = await after.commit(session.id);
+  assert.equal(done.contentHash, sha256(file));
+});
+
+await check('a partial file lost with the disk is recreated and the upload restarts at 0', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager);
+  await manager.appendChunk(session.id, 0, chunks[0].data);
+  fs.rmSync(partialFile(session.id));
+  assert.equal((await manager.get(session.id)).receivedBytes, 0);
+  await rejects(manager.appendChunk(session.id, chunks[1].offset, chunks[1].data), 409, 0);
+  await manager.discard(session.id);
+});
+
+await check('wrong offsets, bad chunk checksums and overruns are refused with the offset to resume from', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager);
+  await manager.appendChunk(session.id, 0, chunks[0].data);
+  const resumeAt = chunks[0].data.length;
+
+  await rejects(manager.appendChunk(session.id, 0, chunks[0].data), 409, resumeAt);
+  await rejects(manager.appendChunk(session.id, resumeAt + 1, chunks[1].data), 409, resumeAt);
+  await rejects(manager.appendChunk(session.id, resumeAt, chunks[1].data, sha256(chunks[2].data)), 422, resumeAt);
+  await rejects(manager.appendChunk(session.id, resumeAt, Buffer.alloc(0)), 400);
+  await rejects(manager.appendChunk(session.id, resumeAt, Buffer.alloc(file.length)), 400, resumeAt);
+  // None of the refused chunks reached the disk
+  assert.equal(fs.statSync(partialFile(session.id)).size, resumeAt);
+  await manager.discard(session.id);
+});
+
+await check('completing early is refused; a whole-file checksum mismatch discards the upload', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager, { checksum: sha256(Buffer.from('something else')) });
+  await manager.appendChunk(session.id, 0, chunks[0].data);
+  await rejects(manager.verify(session.id), 409, chunks[0].data.length);
+
+  for (const { offset, data } of chunks.slice(1)) {
+    await manager.appendChunk(session.id, offset, data);
+  }
+  await rejects(manager.verify(session.id), 422, 0);
+  assert.equal(sessions.has(session.id), false);
+  assert.ok(!fs.existsSync(partialFile(session.id)));
+});
+
+await check('a completed upload takes no more chunks', async () => {
+  const manager = new UploadManager();
+  const session = await start(manager);
+  for (const { offset, data } of chunks) {
+    await manager.appendChunk(session.id, offset, data);
+  }
+  await manager.commit(session.id);
+  await rejects(manager.appendChunk(session.id, file.length, Buffer.from('x')), 409);
+  await rejects(manager.commit(session.id), 409);
+});
+
+await check('uploads over MAX_UPLOAD_SIZE and other file types are refused up front', async () => {
+  const manager = new UploadManager();
+  await rejects(start(manager, { totalSize: MAX_UPLOAD_SIZE + 1 }), 413);
+  await rejects(start(manager, { mimeType: 'application/zip' }), 400);
+});
+
+await check('MAX_CHUNK_SIZE matches nginx and fits the chunks the dashboard sends', () => {
+  const nginxLimit = fs.readFileSync(path.join(repoDir, 'nginx.conf'), 'utf8').match(/client_max_body_size (\d+)m; # upload chunks/);
+  assert.ok(nginxLimit, 'nginx.conf has no client_max_body_size for upload chunks');
+  assert.equal(Number(nginxLimit[1]) * 1024 * 1024, MAX_CHUNK_SIZE);
+
+  const clientChunk = fs.readFileSync(path.join(repoDir, 'client/src/lib/chunked-upload.ts'), 'utf8').match(/const CHUNK_SIZE = (\d+) \* 1024 \* 1024;/);
+  assert.ok(clientChunk, 'client CHUNK_SIZE not found');
+  assert.ok(Number(clientChunk[1]) * 1024 * 1024 <= MAX_CHUNK_SIZE);
+});
+
+process.chdir(repoDir);
+fs.rmSync(workDir, { recursive: true, force: true });
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} upload check(s) failed`);
+  process.exit(1);
+}
+console.log('\n🎉 All upload checks passed!');
+process.exit(0);